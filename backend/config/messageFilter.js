@@ -0,0 +1,31 @@
+// Default word filter for messages (see services/WordFilter.js).
+// Matching is case-insensitive on whole words and phrases; a trailing * matches any ending.
+// Extend it with MESSAGE_FILTER_WORDS (comma-separated) or MESSAGE_FILTER_FILE (one term per line).
+module.exports = [
+    // Moving contact off the platform or into secrecy
+    "don't tell your parents",
+    "don't tell anyone",
+    'our secret',
+    'keep this secret',
+    'delete this message',
+    'snapchat',
+    'whatsapp',
+    'kik',
+    // Asking for personal information, photos or meetings
+    "what's your address",
+    'where do you live',
+    'your phone number',
+    'send me a photo',
+    'send me a picture',
+    'send pics',
+    'meet up alone',
+    // Bullying and self-harm
+    'kill yourself',
+    'kys',
+    'nobody likes you',
+    // Profanity
+    'fuck*',
+    'shit',
+    'shitty',
+    'bitch*',
+];
@@ -0,0 +1,37 @@
+// What each role may do. Routes ask for a permission (middleware/roleMiddleware.js `authorize`),
+// never for a role, so what a role can reach is decided here alone.
+const ROLE_PERMISSIONS = {
+    student: [
+        'meetings:request', // Book office hours and request meetings
+        'digest:preview',
+        'guardians:invite' // Link a parent's account with an invite code
+    ],
+    teacher: [
+        'quizzes:manage',
+        'attempts:review', // Any student's quiz attempts, answers included
+        'mnemonics:manage',
+        'meetings:host', // Office hours and answering meeting requests
+        'messages:groups',
+        'messages:moderate', // Reports involving students of the teacher's domains
+        'notifications:send',
+        'recommender:manage'
+    ],
+    admin: [
+        'users:manage', // Accounts, roles and teachers' domains
+        'curriculum:manage', // Domains and the Tree
+        'jobs:manage',
+        'attempts:review',
+        'messages:moderate', // Every report
+        'recommender:manage'
+    ],
+    guardian: [
+        'students:follow' // Read-only dashboards of linked students
+    ]
+};
+
+const hasPermission = (role, permission) => Boolean(ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    hasPermission
+};
@@ -0,0 +1,48 @@
+const CalendarFeed = require('../services/CalendarFeed');
+
+// Public URL of a feed; PUBLIC_API_URL wins when the API sits behind a proxy
+const getFeedUrls = (req, token) => {
+    const base = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+    const url = `${base}/api/calendar/feed/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+// Public (token in the URL): Calendar feed for calendar apps
+exports.getFeed = async (req, res) => {
+    try {
+        const user = await CalendarFeed.findUserByToken(req.params.token);
+        if (!user) {
+            return res.status(404).json({ message: 'Calendar feed not found.' });
+        }
+
+        const calendar = await CalendarFeed.buildFeed(user);
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.status(200).send(calendar);
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({ message: 'Error building calendar feed', error: error.message });
+    }
+};
+
+// Get my feed URL. Created on first use and shown only then; afterwards { url: null } until rotated
+exports.getFeedUrl = async (req, res) => {
+    try {
+        const token = await CalendarFeed.createToken(req.user.id);
+        res.status(200).json(token ? getFeedUrls(req, token) : { url: null, webcalUrl: null });
+    } catch (error) {
+        console.error('Error fetching calendar feed URL:', error);
+        res.status(500).json({ message: 'Error fetching calendar feed URL', error: error.message });
+    }
+};
+
+// Replace my feed URL; subscriptions to the old one stop updating
+exports.rotateFeedUrl = async (req, res) => {
+    try {
+        const token = await CalendarFeed.rotateToken(req.user.id);
+        res.status(200).json(getFeedUrls(req, token));
+    } catch (error) {
+        console.error('Error rotating calendar feed URL:', error);
+        res.status(500).json({ message: 'Error rotating calendar feed URL', error: error.message });
+    }
+};
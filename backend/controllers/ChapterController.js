@@ -1,4 +1,5 @@
 const Chapter = require('../models/Chapter');
+const Quiz = require('../models/Quiz');
 
 // Get all chapters
 exports.getAllChapters = async (req, res) => {
@@ -23,7 +24,9 @@ const getChapterById = async (req, res) => {
             return res.status(404).json({ message: 'Chapter not found' });
         }
 
-        res.status(200).json(chapter);
+        // Answers stripped, templated questions as the user's next variant
+        const quizzes = await Quiz.toStudentViews(chapter.quizzes, req.user.id);
+        res.status(200).json({ ...chapter.toObject(), quizzes });
     } catch (error) {
         console.error('Error fetching chapter:', error);
         res.status(500).json({ message: 'Error retrieving chapter data' });
@@ -1,4 +1,12 @@
 const Domain = require('../models/Domain');
+const Tree = require('../models/Tree');
+const User = require('../models/User');
+
+// Only these fields are set from requests
+const domainFields = ({ name, chapters }) => ({
+    ...(name !== undefined && { name }),
+    ...(chapters !== undefined && { chapters })
+});
 
 // Get all domains
 exports.getAllDomains = async (req, res) => {
@@ -24,7 +32,7 @@ exports.getDomainById = async (req, res) => {
 // Create a domain
 exports.createDomain = async (req, res) => {
     try {
-        const domain = new Domain(req.body);
+        const domain = new Domain(domainFields(req.body));
         await domain.save();
         res.status(201).json({ message: 'Domain created successfully', domain });
     } catch (error) {
@@ -35,7 +43,7 @@ exports.createDomain = async (req, res) => {
 // Update a domain
 exports.updateDomain = async (req, res) => {
     try {
-        const domain = await Domain.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const domain = await Domain.findByIdAndUpdate(req.params.id, domainFields(req.body), { new: true, runValidators: true });
         if (!domain) return res.status(404).json({ message: 'Domain not found' });
         res.status(200).json({ message: 'Domain updated successfully', domain });
     } catch (error) {
@@ -43,11 +51,14 @@ exports.updateDomain = async (req, res) => {
     }
 };
 
-// Delete a domain
+// Delete a domain, with its places in the Tree and its teachers' assignments
 exports.deleteDomain = async (req, res) => {
     try {
         const domain = await Domain.findByIdAndDelete(req.params.id);
         if (!domain) return res.status(404).json({ message: 'Domain not found' });
+        await Tree.updateMany({}, { $pull: { 'ageRanges.$[].domains': domain._id } });
+        // Teachers' domains are not in the User schema, hence strict: false
+        await User.updateMany({ role: 'teacher' }, { $pull: { domains: domain._id } }, { strict: false });
         res.status(200).json({ message: 'Domain deleted successfully' });
     } catch (error) {
         res.status(500).json({ message: 'Error deleting domain', error });
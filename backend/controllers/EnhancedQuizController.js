@@ -4,9 +4,14 @@
  */
 
 const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
 const Student = require('../models/Student');
 const User = require('../models/User');
 const RetentionAlgorithm = require('../services/RetentionAlgorithm');
+const QuestionScheduler = require('../services/QuestionScheduler');
+const QuestionGrader = require('../services/QuestionGrader');
+const QuestionTemplate = require('../services/QuestionTemplate');
+const { hasPermission } = require('../config/permissions');
 
 class EnhancedQuizController {
   /**
@@ -17,24 +22,28 @@ class EnhancedQuizController {
     try {
       const userId = req.user.id;
       
-      // Get student with quiz attempts
-      let student = await Student.findById(userId).populate('quizAttempts.quiz');
+      const student = await Student.findById(userId);
       
       if (!student) {
         return res.status(404).json({ message: 'Student not found' });
       }
 
+      // Get the student's attempts, oldest first, without per-question detail
+      const studentAttempts = await QuizAttempt.find({ student: userId })
+        .select('-responses')
+        .sort({ finishedAt: 1 });
+
       // Get all quizzes for the student's chapters
       const quizzes = await Quiz.find().populate('chapter');
       
-      // Enrich quizzes with attempt history
+      // Enrich quizzes with attempt history (answers stripped)
       const quizzesWithHistory = quizzes.map(quiz => {
-        const attempts = student.quizAttempts.filter(
-          attempt => attempt.quiz._id.toString() === quiz._id.toString()
+        const attempts = studentAttempts.filter(
+          attempt => attempt.quiz.toString() === quiz._id.toString()
         );
         
         return {
-          ...quiz.toObject(),
+          ...quiz.toStudentView(),
           attempts: attempts,
           lastAttempt: attempts.length > 0 ? attempts[attempts.length - 1] : null
         };
@@ -63,8 +72,9 @@ class EnhancedQuizController {
   static async submitQuizAttemptWithRetention(req, res) {
     try {
       const quizId = req.params.id;
-      const { answers } = req.body;
+      const { answers, startedAt, questionTimes } = req.body;
       const userId = req.user.id;
+      const finishedAt = new Date();
       
       // Find the quiz
       const quiz = await Quiz.findById(quizId);
@@ -79,21 +89,17 @@ class EnhancedQuizController {
         });
       }
       
-      // Calculate score
-      let correctCount = 0;
-      const results = quiz.questions.map((question, index) => {
-        const isCorrect = question.correctAnswer === answers[index];
-        if (isCorrect) correctCount++;
-        
-        return {
-          isCorrect,
-          userAnswer: answers[index],
-          correctAnswer: question.correctAnswer,
-          explanation: question.explanation
-        };
-      });
+      // Get previous attempts for this quiz
+      const previousAttempts = await QuizAttempt.find({ student: userId, quiz: quizId })
+        .select('-responses')
+        .sort({ finishedAt: 1 });
+
+      // Grade against the variant the student was shown for this attempt (see QuizController.getQuizById)
+      const seed = QuestionTemplate.seedFor(userId, quizId, previousAttempts.length + 1);
+      const questions = QuestionTemplate.instantiateAll(quiz.questions, seed);
       
-      const scorePercentage = Math.round((correctCount / quiz.questions.length) * 100);
+      // Calculate score (partial credit counts towards the percentage)
+      const { results, correctCount, score: scorePercentage } = QuestionGrader.gradeAll(questions, answers);
       
       // Get or create student
       let student = await Student.findById(userId);
@@ -112,8 +118,7 @@ class EnhancedQuizController {
             password: user.password,
             role: user.role,
             birthday: user.birthday,
-            studies: [],
-            quizAttempts: []
+            studies: []
           });
           await student.save();
         } else {
@@ -121,24 +126,50 @@ class EnhancedQuizController {
         }
       }
 
-      // Get previous attempts for this quiz
-      const previousAttempts = student.quizAttempts.filter(
-        attempt => attempt.quiz.toString() === quizId
-      );
-
       // Calculate learning strength using retention algorithm
       const retentionData = RetentionAlgorithm.updateLearningStrength(
         previousAttempts,
         scorePercentage
       );
 
+      // Update per-question memory state; the quiz is due again when its first question is
+      const cards = await QuestionScheduler.recordAnswers(
+        userId,
+        quizId,
+        quiz.questions.map((question, index) => ({
+          questionId: question._id,
+          grade: results[index].credit * 100
+        }))
+      );
+
       // Calculate next review date
-      const nextReviewDate = RetentionAlgorithm.calculateNextReviewDate(retentionData.S);
+      const nextReviewDate = QuestionScheduler.earliestDue(cards) ||
+        RetentionAlgorithm.calculateNextReviewDate(retentionData.S);
 
-      // Record the attempt
-      const attempt = {
+      // Timing is reported by the client; ignore values that cannot be right
+      const start = startedAt ? new Date(startedAt) : null;
+      const validStart = start && !isNaN(start) && start <= finishedAt ? start : null;
+      const times = Array.isArray(questionTimes) ? questionTimes : [];
+      const timeFor = index => Math.max(0, Number(times[index]) || 0);
+
+      // Record the attempt with its per-question responses
+      const attempt = await QuizAttempt.create({
+        student: userId,
         quiz: quizId,
-        date: new Date(),
+        attemptNumber: previousAttempts.length + 1,
+        seed,
+        startedAt: validStart,
+        finishedAt,
+        timeSpent: validStart
+          ? Math.round((finishedAt - validStart) / 1000)
+          : quiz.questions.reduce((sum, question, index) => sum + timeFor(index), 0),
+        responses: quiz.questions.map((question, index) => ({
+          question: question._id,
+          answer: answers[index],
+          isCorrect: results[index].isCorrect,
+          credit: results[index].credit,
+          timeSpent: timeFor(index)
+        })),
         score: scorePercentage,
         correct: correctCount,
         total: quiz.questions.length,
@@ -146,16 +177,15 @@ class EnhancedQuizController {
         S: retentionData.S, // Store learning strength
         retention: retentionData.retention,
         timeSinceLastReview: retentionData.timeSinceLastReview || 0
-      };
-
-      student.quizAttempts.push(attempt);
-      await student.save();
+      });
 
       console.log(`Quiz attempt recorded for student ${userId}: Score ${scorePercentage}%`);
       console.log(`Learning Strength (S): ${retentionData.S.toFixed(2)} days`);
       console.log(`Next review scheduled for: ${nextReviewDate.toLocaleDateString()}`);
 
       res.status(200).json({
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
         score: scorePercentage,
         correct: correctCount,
         total: quiz.questions.length,
@@ -164,8 +194,13 @@ class EnhancedQuizController {
           S: retentionData.S,
           retention: retentionData.retention,
           nextReviewDate: nextReviewDate,
-          daysUntilReview: RetentionAlgorithm.calculateNextReviewDays(retentionData.S)
-        }
+          daysUntilReview: Math.max(0, Math.ceil((nextReviewDate - new Date()) / (1000 * 60 * 60 * 24)))
+        },
+        questionSchedule: cards.map(card => ({
+          questionId: card.question,
+          due: card.due,
+          stability: card.stability
+        }))
       });
       
     } catch (error) {
@@ -174,6 +209,27 @@ class EnhancedQuizController {
     }
   }
 
+  /**
+   * Get the questions due for review today, across all quizzes
+   */
+  static async getDueCards(req, res) {
+    try {
+      const userId = req.user.id;
+      const limit = parseInt(req.query.limit, 10) || 50;
+
+      const cards = await QuestionScheduler.getDueCards(userId, { limit });
+      const dueCount = await QuestionScheduler.countDueCards(userId);
+
+      res.status(200).json({
+        cards,
+        dueCount
+      });
+    } catch (error) {
+      console.error('Error getting due cards:', error);
+      res.status(500).json({ message: 'Error fetching due cards', error: error.message });
+    }
+  }
+
   /**
    * Get lesson statistics with retention analysis
    */
@@ -182,15 +238,11 @@ class EnhancedQuizController {
       const { lessonId } = req.params;
       const userId = req.user.id;
 
-      const student = await Student.findById(userId).populate('quizAttempts.quiz');
-      if (!student) {
-        return res.status(404).json({ message: 'Student not found' });
-      }
-
       // Get attempts for this lesson
-      const lessonAttempts = student.quizAttempts.filter(attempt => {
-        return attempt.quiz.chapter && attempt.quiz.chapter.toString() === lessonId;
-      });
+      const lessonQuizIds = await Quiz.find({ chapter: lessonId }).distinct('_id');
+      const lessonAttempts = await QuizAttempt.find({ student: userId, quiz: { $in: lessonQuizIds } })
+        .select('-responses')
+        .sort({ finishedAt: 1 });
 
       if (lessonAttempts.length === 0) {
         return res.status(200).json({
@@ -236,17 +288,12 @@ class EnhancedQuizController {
       const { quizId } = req.params;
       const userId = req.user.id;
 
-      const student = await Student.findById(userId);
-      if (!student) {
-        return res.status(404).json({ message: 'Student not found' });
-      }
+      // Get the most recent attempt for this quiz
+      const lastAttempt = await QuizAttempt.findOne({ student: userId, quiz: quizId })
+        .select('-responses')
+        .sort({ finishedAt: -1 });
 
-      // Get all attempts for this quiz
-      const attempts = student.quizAttempts.filter(
-        attempt => attempt.quiz.toString() === quizId
-      );
-
-      if (attempts.length === 0) {
+      if (!lastAttempt) {
         return res.status(200).json({
           quizId,
           curve: [],
@@ -255,7 +302,6 @@ class EnhancedQuizController {
       }
 
       // Generate retention curve from last attempt
-      const lastAttempt = attempts[attempts.length - 1];
       const S = lastAttempt.S || 5;
       
       const curve = [];
@@ -288,22 +334,26 @@ class EnhancedQuizController {
   static async getQuizAttempts(req, res) {
     try {
       const userId = req.user.id;
-      const { limit = 20, offset = 0 } = req.query;
-
-      const student = await Student.findById(userId).populate('quizAttempts.quiz');
-      if (!student) {
-        return res.status(404).json({ message: 'Student not found' });
-      }
+      const limit = parseInt(req.query.limit, 10) || 20;
+      const offset = parseInt(req.query.offset, 10) || 0;
 
-      const attempts = student.quizAttempts
-        .sort((a, b) => new Date(b.date) - new Date(a.date))
-        .slice(offset, offset + limit);
+      const attempts = await QuizAttempt.find({ student: userId })
+        .select('-responses')
+        .sort({ finishedAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .populate('quiz', 'title');
+      const total = await QuizAttempt.countDocuments({ student: userId });
 
       res.status(200).json({
-        attempts: attempts.map(attempt => ({
+        // Skip attempts whose quiz has since been deleted
+        attempts: attempts.filter(attempt => attempt.quiz).map(attempt => ({
+          attemptId: attempt._id,
+          attemptNumber: attempt.attemptNumber,
           quizId: attempt.quiz._id,
           quizTitle: attempt.quiz.title,
           date: attempt.date,
+          timeSpent: attempt.timeSpent,
           score: attempt.score,
           correct: attempt.correct,
           total: attempt.total,
@@ -313,13 +363,70 @@ class EnhancedQuizController {
           daysUntilReview: attempt.nextReview ? 
             Math.ceil((new Date(attempt.nextReview) - new Date()) / (1000 * 60 * 60 * 24)) : 0
         })),
-        total: student.quizAttempts.length
+        total
       });
     } catch (error) {
       console.error('Error getting quiz attempts:', error);
       res.status(500).json({ message: 'Error fetching quiz attempts', error: error.message });
     }
   }
+
+  /**
+   * Get one attempt with its per-question responses.
+   * Available to the student who made it and to users who review attempts (teachers, admins).
+   */
+  static async getAttemptDetails(req, res) {
+    try {
+      const { attemptId } = req.params;
+
+      const attempt = await QuizAttempt.findById(attemptId).populate('quiz');
+      if (!attempt) {
+        return res.status(404).json({ message: 'Attempt not found' });
+      }
+
+      if (attempt.student.toString() !== req.user.id && !hasPermission(req.user.role, 'attempts:review')) {
+        return res.status(403).json({ message: 'Access denied to this attempt' });
+      }
+
+      // Answers are revealed here because the attempt has already been submitted.
+      // Templated questions are rebuilt from the attempt's seed to show the variant answered.
+      const questions = attempt.quiz
+        ? QuestionTemplate.instantiateAll(attempt.quiz.questions, attempt.seed || 0)
+        : [];
+      const responses = attempt.responses.map(response => {
+        const question = questions.find(q => q._id.toString() === response.question.toString());
+        return {
+          questionId: response.question,
+          question: question ? question.question : null,
+          answer: response.answer,
+          isCorrect: response.isCorrect,
+          credit: response.credit,
+          timeSpent: response.timeSpent,
+          correctAnswer: question ? QuestionGrader.displayAnswer(question) : null,
+          explanation: question ? question.explanation : null
+        };
+      });
+
+      res.status(200).json({
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        student: attempt.student,
+        quizId: attempt.quiz ? attempt.quiz._id : null,
+        quizTitle: attempt.quiz ? attempt.quiz.title : null,
+        startedAt: attempt.startedAt,
+        finishedAt: attempt.finishedAt,
+        timeSpent: attempt.timeSpent,
+        score: attempt.score,
+        correct: attempt.correct,
+        total: attempt.total,
+        nextReview: attempt.nextReview,
+        responses
+      });
+    } catch (error) {
+      console.error('Error getting attempt details:', error);
+      res.status(500).json({ message: 'Error fetching attempt', error: error.message });
+    }
+  }
 }
 
 module.exports = EnhancedQuizController;
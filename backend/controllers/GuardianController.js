@@ -0,0 +1,91 @@
+const GuardianService = require('../services/GuardianService');
+const MessagingPolicy = require('../services/MessagingPolicy');
+
+// Guardian errors carry their HTTP status; anything else is a server error
+const handleError = (res, error, message) => {
+    if (error instanceof GuardianService.GuardianError) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message, error: error.message });
+};
+
+// Student: Create an invite code for a guardian; any earlier code stops working
+exports.createInvite = async (req, res) => {
+    try {
+        const invite = await GuardianService.createInvite(req.user.id);
+        res.status(201).json(invite);
+    } catch (error) {
+        handleError(res, error, 'Error creating invite code');
+    }
+};
+
+// Student: Guardians following the current student
+exports.getGuardians = async (req, res) => {
+    try {
+        const guardians = await GuardianService.getGuardians(req.user.id);
+        res.status(200).json(guardians);
+    } catch (error) {
+        handleError(res, error, 'Error fetching guardians');
+    }
+};
+
+// Student: Stop a guardian from following the current student
+exports.removeGuardian = async (req, res) => {
+    try {
+        await GuardianService.unlink(req.params.guardianId, req.user.id);
+        res.status(200).json({ message: 'Guardian removed' });
+    } catch (error) {
+        handleError(res, error, 'Error removing guardian');
+    }
+};
+
+// Guardian: Students the current guardian follows
+exports.getStudents = async (req, res) => {
+    try {
+        const students = await GuardianService.getStudents(req.user.id);
+        res.status(200).json(students);
+    } catch (error) {
+        handleError(res, error, 'Error fetching students');
+    }
+};
+
+// Guardian: Follow a student with their invite code ({ code })
+exports.linkStudent = async (req, res) => {
+    try {
+        const student = await GuardianService.redeemInvite(req.user.id, req.body.code);
+        res.status(201).json(student);
+    } catch (error) {
+        handleError(res, error, 'Error linking student');
+    }
+};
+
+// Guardian: Stop following a student
+exports.unlinkStudent = async (req, res) => {
+    try {
+        await GuardianService.unlink(req.user.id, req.params.studentId);
+        res.status(200).json({ message: 'Student removed' });
+    } catch (error) {
+        handleError(res, error, 'Error removing student');
+    }
+};
+
+// Guardian: Read-only dashboard of a followed student
+exports.getStudentDashboard = async (req, res) => {
+    try {
+        const dashboard = await GuardianService.getDashboard(req.user.id, req.params.studentId);
+        res.status(200).json(dashboard);
+    } catch (error) {
+        handleError(res, error, 'Error fetching student dashboard');
+    }
+};
+
+// Guardian: Teachers the guardian may message, those of the followed students' domains
+exports.getTeachers = async (req, res) => {
+    try {
+        const teachers = await MessagingPolicy.getTeachersForGuardian(req.user.id);
+        res.status(200).json(teachers);
+    } catch (error) {
+        handleError(res, error, 'Error fetching teachers');
+    }
+};
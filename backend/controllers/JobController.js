@@ -0,0 +1,43 @@
+const JobScheduler = require('../services/JobScheduler');
+
+// Job scheduler errors carry their HTTP status; anything else is a server error
+const handleError = (res, error, message) => {
+    if (error instanceof JobScheduler.JobSchedulerError) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message, error: error.message });
+};
+
+// Get the state of every background job
+exports.getJobs = async (req, res) => {
+    try {
+        const jobs = await JobScheduler.getStatus();
+        res.status(200).json({ instance: JobScheduler.INSTANCE_ID, now: new Date(), jobs });
+    } catch (error) {
+        handleError(res, error, 'Error fetching jobs');
+    }
+};
+
+// Run a job as soon as possible (on the next poll of any instance)
+exports.runJob = async (req, res) => {
+    try {
+        const job = await JobScheduler.runNow(req.params.name);
+        res.status(200).json({ message: 'Job scheduled to run now.', job });
+    } catch (error) {
+        handleError(res, error, 'Error scheduling job');
+    }
+};
+
+// Pause or resume a job ({ enabled })
+exports.updateJob = async (req, res) => {
+    try {
+        if (typeof req.body.enabled !== 'boolean') {
+            return res.status(400).json({ message: 'enabled must be true or false' });
+        }
+        const job = await JobScheduler.setEnabled(req.params.name, req.body.enabled);
+        res.status(200).json(job);
+    } catch (error) {
+        handleError(res, error, 'Error updating job');
+    }
+};
@@ -1,46 +1,43 @@
 const MeetingRequest = require('../models/MeetingRequest');
-const User = require('../models/User');
+const OfficeHours = require('../services/OfficeHours');
+const MeetingNegotiation = require('../services/MeetingNegotiation');
+const CalendarFeed = require('../services/CalendarFeed');
+const SocketManager = require('../services/SocketManager');
+const NotificationService = require('../services/NotificationService');
+
+// Map office-hours errors to their status; anything else is a server error
+const handleError = (res, error, message) => {
+    if (error instanceof OfficeHours.OfficeHoursError) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message, error: error.message });
+};
+
+// Push a request to both sides of the meeting (every connected device, so the acting user's
+// other devices stay in sync too), and notify the side that did not act
+const notifyParties = async (request, teacherEvent = 'meetingRequestUpdate') => {
+    await NotificationService.meetingChanged(request);
+    if (!SocketManager.isOnline(request.student) && !SocketManager.isOnline(request.teacher)) return;
+    const populatedReq = await MeetingRequest.findById(request._id)
+        .populate('student', 'name')
+        .populate('teacher', 'name');
+    SocketManager.emitToUser(request.student, 'meetingRequestUpdate', populatedReq.toObject());
+    SocketManager.emitToUser(request.teacher, teacherEvent, populatedReq.toObject());
+};
 
-// Student: Create a new meeting request
+// Student: Book an office-hours slot (creates a pending meeting request)
 exports.createMeetingRequest = async (req, res) => {
     try {
-        const { teacherId, requestedTime, message, relatedDomain } = req.body;
-        const studentId = req.user.id;
+        const { teacherId, windowId, startsAt, message, relatedDomain } = req.body;
+        const newRequest = await OfficeHours.book(req.user.id, { teacherId, windowId, startsAt, message, relatedDomain });
 
-        if (!teacherId || !requestedTime) {
-            return res.status(400).json({ message: 'Teacher ID and requested time are required.' });
-        }
-
-        // Validate teacher exists
-        const teacherExists = await User.findOne({ _id: teacherId, role: 'teacher' });
-        if (!teacherExists) {
-            return res.status(404).json({ message: 'Teacher not found.' });
-        }
-
-        const newRequest = new MeetingRequest({
-            student: studentId,
-            teacher: teacherId,
-            requestedTime,
-            message,
-            relatedDomain: relatedDomain || null,
-        });
-
-        await newRequest.save();
-        
-        // TODO: Emit notification to teacher via WebSocket
-        const io = req.io;
-        const userSockets = req.userSockets;
-        const teacherSocketId = userSockets[teacherId];
-        if (teacherSocketId) {
-            // Populate student info before emitting
-            const populatedReq = await MeetingRequest.findById(newRequest._id).populate('student', 'name');
-            io.to(teacherSocketId).emit('newMeetingRequest', populatedReq.toObject());
-        }
+        // Notify the teacher (and the student's other devices)
+        await notifyParties(newRequest, 'newMeetingRequest');
 
         res.status(201).json(newRequest);
     } catch (error) {
-        console.error("Error creating meeting request:", error);
-        res.status(500).json({ message: 'Error creating meeting request', error: error.message });
+        handleError(res, error, 'Error creating meeting request');
     }
 };
 
@@ -59,6 +56,26 @@ exports.getPendingRequestsForTeacher = async (req, res) => {
     }
 };
 
+// Teacher: Open requests and upcoming accepted meetings, soonest first
+exports.getTeacherMeetings = async (req, res) => {
+    try {
+        const requests = await MeetingRequest.find({
+            teacher: req.user.id,
+            $or: [
+                { status: { $in: ['pending', 'countered'] } },
+                { status: 'accepted', requestedTime: { $gte: new Date() } }
+            ]
+        })
+            .populate('student', 'name email')
+            .populate('relatedDomain', 'name')
+            .sort({ requestedTime: 1 });
+        res.status(200).json(requests);
+    } catch (error) {
+        console.error("Error fetching teacher meetings:", error);
+        res.status(500).json({ message: 'Error fetching meetings', error: error.message });
+    }
+};
+
 // Student: Get their meeting requests
 exports.getMyRequests = async (req, res) => {
      try {
@@ -74,7 +91,7 @@ exports.getMyRequests = async (req, res) => {
     }
 };
 
-// Teacher: Update meeting request status (accept/reject)
+// Teacher: Update meeting request status (accept/reject). Accepting reserves the slot.
 exports.updateRequestStatus = async (req, res) => {
     try {
         const { requestId } = req.params;
@@ -85,54 +102,152 @@ exports.updateRequestStatus = async (req, res) => {
             return res.status(400).json({ message: 'Invalid status update.' });
         }
 
-        const request = await MeetingRequest.findOneAndUpdate(
-            { _id: requestId, teacher: teacherId, status: 'pending' }, // Can only update pending requests owned by this teacher
-            { status },
-            { new: true }
-        );
+        const request = status === 'accepted'
+            ? await OfficeHours.accept(teacherId, requestId)
+            : await OfficeHours.reject(teacherId, requestId);
 
-        if (!request) {
-            return res.status(404).json({ message: 'Pending meeting request not found or access denied.' });
-        }
-
-        // TODO: Emit notification to student via WebSocket
-        const io = req.io;
-        const userSockets = req.userSockets;
-        const studentSocketId = userSockets[request.student.toString()]; // request.student is an ObjectId
-         if (studentSocketId) {
-             // Populate teacher info before emitting
-             const populatedReq = await MeetingRequest.findById(request._id).populate('teacher', 'name');
-             io.to(studentSocketId).emit('meetingRequestUpdate', populatedReq.toObject());
-         }
+        await notifyParties(request);
 
         res.status(200).json(request);
     } catch (error) {
-        console.error("Error updating meeting request status:", error);
-        res.status(500).json({ message: 'Error updating meeting request status', error: error.message });
+        handleError(res, error, 'Error updating meeting request status');
     }
 };
 
-// Student: Cancel a pending meeting request
+// Student or teacher: Cancel an open request or accepted meeting, freeing its slot
 exports.cancelRequest = async (req, res) => {
     try {
-         const { requestId } = req.params;
-         const studentId = req.user.id;
+        const { requestId } = req.params;
+        const { request } = await OfficeHours.cancel(req.user.id, requestId);
+
+        await notifyParties(request);
+
+        res.status(200).json({ message: 'Meeting request cancelled.', request });
+    } catch (error) {
+        handleError(res, error, 'Error cancelling meeting request');
+    }
+};
+
+// Teacher: Answer a pending request with other times ({ times: [{ startsAt, endsAt, windowId }], note })
+exports.counterProposeRequest = async (req, res) => {
+    try {
+        const { times, note } = req.body;
+        const request = await MeetingNegotiation.counter(req.user.id, req.params.requestId, { times, note });
+
+        await notifyParties(request);
+
+        res.status(200).json(request);
+    } catch (error) {
+        handleError(res, error, 'Error proposing other times');
+    }
+};
+
+// Student or teacher: Propose new times for an accepted meeting ({ times, note })
+exports.proposeReschedule = async (req, res) => {
+    try {
+        const { times, note } = req.body;
+        const request = await MeetingNegotiation.proposeReschedule(req.user.id, req.params.requestId, { times, note });
+
+        await notifyParties(request);
+
+        res.status(200).json(request);
+    } catch (error) {
+        handleError(res, error, 'Error proposing to reschedule');
+    }
+};
+
+// Student or teacher: Accept one of the times the other side proposed ({ proposedTimeId })
+exports.acceptProposal = async (req, res) => {
+    try {
+        const request = await MeetingNegotiation.acceptProposal(req.user.id, req.params.requestId, req.body.proposedTimeId);
 
-        const request = await MeetingRequest.findOneAndUpdate(
-            { _id: requestId, student: studentId, status: 'pending' }, // Can only cancel own pending requests
-            { status: 'cancelled' },
-            { new: true }
-        );
+        await notifyParties(request);
 
-        if (!request) {
-            return res.status(404).json({ message: 'Pending meeting request not found.' });
+        res.status(200).json(request);
+    } catch (error) {
+        handleError(res, error, 'Error accepting proposed time');
+    }
+};
+
+// Student or teacher: Withdraw your proposal or decline the other side's ({ note })
+exports.closeProposal = async (req, res) => {
+    try {
+        const request = await MeetingNegotiation.closeProposal(req.user.id, req.params.requestId, req.body && req.body.note);
+
+        await notifyParties(request);
+
+        res.status(200).json(request);
+    } catch (error) {
+        handleError(res, error, 'Error closing proposal');
+    }
+};
+
+// Student or teacher: Download an accepted meeting as an .ics file
+exports.getMeetingCalendar = async (req, res) => {
+    try {
+        const calendar = await CalendarFeed.buildMeeting(req.user.id, req.params.requestId);
+        if (!calendar) {
+            return res.status(404).json({ message: 'Accepted meeting not found.' });
         }
-        
-        // TODO: Optionally notify teacher of cancellation?
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="meeting-${req.params.requestId}.ics"`);
+        res.status(200).send(calendar);
+    } catch (error) {
+        handleError(res, error, 'Error building meeting calendar');
+    }
+};
+
+// Teacher: Get my office hours
+exports.getMyAvailability = async (req, res) => {
+    try {
+        const windows = await OfficeHours.getWindows(req.user.id);
+        res.status(200).json(windows);
+    } catch (error) {
+        handleError(res, error, 'Error fetching office hours');
+    }
+};
 
-        res.status(200).json({ message: 'Meeting request cancelled.' });
+// Teacher: Publish office hours
+exports.createAvailabilityWindow = async (req, res) => {
+    try {
+        const window = await OfficeHours.createWindow(req.user.id, req.body);
+        res.status(201).json(window);
     } catch (error) {
-        console.error("Error cancelling meeting request:", error);
-        res.status(500).json({ message: 'Error cancelling meeting request', error: error.message });
+        handleError(res, error, 'Error creating office hours');
     }
-}; 
\ No newline at end of file
+};
+
+// Teacher: Change office hours
+exports.updateAvailabilityWindow = async (req, res) => {
+    try {
+        const window = await OfficeHours.updateWindow(req.user.id, req.params.windowId, req.body);
+        res.status(200).json(window);
+    } catch (error) {
+        handleError(res, error, 'Error updating office hours');
+    }
+};
+
+// Teacher: Stop offering office hours (accepted meetings stay)
+exports.deleteAvailabilityWindow = async (req, res) => {
+    try {
+        await OfficeHours.removeWindow(req.user.id, req.params.windowId);
+        res.status(200).json({ message: 'Office hours removed.' });
+    } catch (error) {
+        handleError(res, error, 'Error removing office hours');
+    }
+};
+
+// Get a teacher's bookable slots (?from=&to=)
+exports.getTeacherSlots = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const slots = await OfficeHours.getSlots(req.params.teacherId, {
+            from,
+            to,
+            studentId: req.user.role === 'student' ? req.user.id : undefined
+        });
+        res.status(200).json(slots);
+    } catch (error) {
+        handleError(res, error, 'Error fetching slots');
+    }
+};
@@ -1,21 +1,24 @@
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
-const User = require('../models/User');
-
-// Helper function to get or create a conversation between two users
-const getOrCreateConversation = async (userId1, userId2) => {
-    // Ensure consistent order of participants to avoid duplicate conversations
-    const participants = [userId1, userId2].sort();
-    
-    let conversation = await Conversation.findOne({
-        participants: { $all: participants, $size: 2 } 
-    });
-
-    if (!conversation) {
-        conversation = new Conversation({ participants });
-        await conversation.save();
+const MessagingService = require('../services/MessagingService');
+const MessagingPolicy = require('../services/MessagingPolicy');
+const MessageModeration = require('../services/MessageModeration');
+const SocketManager = require('../services/SocketManager');
+const AttachmentStorage = require('../services/AttachmentStorage');
+
+const { MessagingError, PARTICIPANT_FIELDS, LAST_MESSAGE_FIELDS } = MessagingService;
+const { AttachmentError } = AttachmentStorage;
+
+// Messaging rule violations carry their own status; anything else is ours
+const handleError = (res, error, message) => {
+    if (error instanceof MessagingError) {
+        return res.status(error.status).json({ message: error.message });
     }
-    return conversation;
+    if (error instanceof AttachmentError) {
+        return res.status(400).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message, error: error.message });
 };
 
 // Get all conversations for the logged-in user
@@ -25,13 +28,25 @@ exports.getConversations = async (req, res) => {
         const conversations = await Conversation.find({ participants: userId })
             .populate({
                 path: 'participants',
-                select: 'name email role' // Select fields to return for participants
+                select: PARTICIPANT_FIELDS // Select fields to return for participants
             })
             .populate({
                 path: 'lastMessage',
-                select: 'content sender read createdAt' // Select fields for last message
+                select: LAST_MESSAGE_FIELDS // Select fields for last message
             })
-            .sort({ updatedAt: -1 }); // Sort by last updated
+            .sort({ updatedAt: -1 }) // Sort by last updated
+            .lean();
+
+        const unreadCounts = await MessagingService.getUnreadCounts(userId, conversations);
+
+        // Presence of each participant, kept current afterwards by 'presence' socket events
+        conversations.forEach(conversation => {
+            conversation.unreadCount = unreadCounts.get(conversation._id.toString()) || 0;
+            conversation.participants.forEach(participant => {
+                participant.online = SocketManager.isOnline(participant._id);
+                participant.lastSeen = SocketManager.getLastSeen(participant._id);
+            });
+        });
 
         res.status(200).json(conversations);
     } catch (error) {
@@ -40,84 +55,239 @@ exports.getConversations = async (req, res) => {
     }
 };
 
-// Get messages for a specific conversation
+// Get a page of messages for a conversation: ?before=<messageId>&limit=30
+// Returns { messages (oldest first), hasMore, nextCursor }; pass nextCursor as `before` for older ones.
+// Reading is not implied; clients mark what they have shown via PATCH /conversations/:id/read.
 exports.getMessages = async (req, res) => {
     try {
         const { conversationId } = req.params;
-        const userId = req.user.id;
-
-        // Verify the user is part of this conversation
-        const conversation = await Conversation.findById(conversationId);
-        if (!conversation || !conversation.participants.includes(userId)) {
-            return res.status(403).json({ message: 'Access denied to this conversation' });
-        }
-
-        const messages = await Message.find({ conversationId })
-            .populate('sender', 'name role') // Populate sender info
-            .sort({ createdAt: 1 }); // Sort messages chronologically
+        const { before, limit } = req.query;
+        const page = await MessagingService.getMessagePage(conversationId, req.user.id, { before, limit });
+        // Loading messages delivers them; senders see the receipt live
+        await MessagingService.markDelivered(req.user.id, page.messages.map(message => message._id));
+        res.status(200).json(page);
+    } catch (error) {
+        handleError(res, error, 'Error fetching messages');
+    }
+};
 
-        // Mark messages as read when viewed
-        await Message.updateMany(
-            { conversationId, recipient: userId, read: false },
-            { read: true }
-        );
+// Mark a conversation read up to a message ({ upTo: messageId }) or up to now
+exports.markConversationRead = async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const readAt = await MessagingService.markRead(conversationId, req.user.id, { upTo: req.body.upTo });
+        res.status(200).json({ conversationId, readAt });
+    } catch (error) {
+        handleError(res, error, 'Error marking conversation as read');
+    }
+};
 
-        res.status(200).json(messages);
+// Search the logged-in user's messages: ?q=fractions&limit=30&offset=0
+exports.searchMessages = async (req, res) => {
+    try {
+        const { q, limit, offset } = req.query;
+        const results = await MessagingService.search(req.user.id, q, { limit, offset });
+        res.status(200).json(results);
     } catch (error) {
-        console.error("Error fetching messages:", error);
-        res.status(500).json({ message: 'Error fetching messages', error: error.message });
+        handleError(res, error, 'Error searching messages');
     }
 };
 
-// Send a new message
+// Send a new message: { recipientId, content } or { conversationId, content }
+// Sent as multipart/form-data when it carries files (field "attachments")
 exports.sendMessage = async (req, res) => {
+    let attachments = [];
     try {
-        const { recipientId, content } = req.body;
-        const senderId = req.user.id;
-        const io = req.io; // Get io instance from request
-        const userSockets = req.userSockets; // Get socket mapping
-
-        if (!recipientId || !content) {
-            return res.status(400).json({ message: 'Recipient ID and content are required' });
+        const { recipientId, conversationId, content } = req.body;
+        // Check access before storing anything
+        if (conversationId) {
+            await MessagingService.getConversationFor(conversationId, req.user.id);
         }
-        
-        const recipientExists = await User.findById(recipientId);
-        if (!recipientExists) {
-            return res.status(404).json({ message: 'Recipient user not found' });
+        attachments = await AttachmentStorage.storeAll(req.files);
+        const message = await MessagingService.send(req.user.id, { recipientId, conversationId, content, attachments });
+        res.status(201).json(message);
+    } catch (error) {
+        // The message was not saved, so its files are orphans
+        await AttachmentStorage.removeAll(attachments);
+        handleError(res, error, 'Error sending message');
+    }
+};
+
+// Download an attachment (?thumbnail=true for the image thumbnail). Participants only.
+exports.getAttachment = async (req, res) => {
+    try {
+        const { messageId, attachmentId } = req.params;
+
+        const message = await Message.findById(messageId).catch(() => null);
+        if (!message) {
+            return res.status(404).json({ message: 'Attachment not found' });
         }
+        await MessagingService.getConversationFor(message.conversationId, req.user.id);
 
-        const conversation = await getOrCreateConversation(senderId, recipientId);
+        const attachment = message.attachments.id(attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ message: 'Attachment not found' });
+        }
 
-        const newMessage = new Message({
-            conversationId: conversation._id,
-            sender: senderId,
-            recipient: recipientId,
-            content,
-            read: false
+        const { stream, mimeType } = await AttachmentStorage.open(attachment, req.query.thumbnail === 'true');
+        res.set({
+            'Content-Type': mimeType,
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, max-age=86400'
         });
-        await newMessage.save();
+        stream.on('error', (error) => {
+            console.error('Error streaming attachment:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ message: 'Attachment file is missing' });
+        }
+        handleError(res, error, 'Error fetching attachment');
+    }
+};
 
-        conversation.lastMessage = newMessage._id;
-        conversation.updatedAt = Date.now(); 
-        await conversation.save();
-        
-        // Populate sender details for the response and emission
-        const populatedMessage = await Message.findById(newMessage._id)
-                                            .populate('sender', 'name role');
-
-        // Emit the message to the recipient if they are online
-        const recipientSocketId = userSockets[recipientId];
-        if (recipientSocketId) {
-            console.log(`Emitting message to recipient ${recipientId} via socket ${recipientSocketId}`);
-            io.to(recipientSocketId).emit('receiveMessage', populatedMessage.toObject());
+// Teacher: Create a study group or, with domainId, a class channel: { name, memberIds, domainId }
+exports.createGroup = async (req, res) => {
+    try {
+        const { name, memberIds, domainId } = req.body;
+        const conversation = await MessagingService.createGroup(req.user, { name, memberIds, domainId });
+        res.status(201).json(conversation);
+    } catch (error) {
+        handleError(res, error, 'Error creating group');
+    }
+};
+
+// Group admin: Rename a group
+exports.updateGroup = async (req, res) => {
+    try {
+        const conversation = await MessagingService.updateGroup(req.params.conversationId, req.user.id, req.body);
+        res.status(200).json(conversation);
+    } catch (error) {
+        handleError(res, error, 'Error updating group');
+    }
+};
+
+// Group admin: Add members: { memberIds }
+exports.addGroupMembers = async (req, res) => {
+    try {
+        const conversation = await MessagingService.addMembers(req.params.conversationId, req.user.id, req.body.memberIds);
+        res.status(200).json(conversation);
+    } catch (error) {
+        handleError(res, error, 'Error adding group members');
+    }
+};
+
+// Group admin: Remove a member; any member may remove themselves to leave the group
+exports.removeGroupMember = async (req, res) => {
+    try {
+        const { conversationId, userId } = req.params;
+        const conversation = await MessagingService.removeMember(conversationId, req.user.id, userId);
+        res.status(200).json(conversation || { message: 'Group deleted' });
+    } catch (error) {
+        handleError(res, error, 'Error removing group member');
+    }
+};
+
+// Users the logged-in user has blocked
+exports.getBlockedUsers = async (req, res) => {
+    try {
+        const blocked = await MessagingPolicy.getBlockedUsers(req.user.id);
+        res.status(200).json(blocked);
+    } catch (error) {
+        handleError(res, error, 'Error fetching blocked users');
+    }
+};
+
+// Block a user: no direct messages either way until unblocked
+exports.blockUser = async (req, res) => {
+    try {
+        const blocked = await MessagingPolicy.block(req.user.id, req.params.userId);
+        res.status(200).json(blocked);
+    } catch (error) {
+        handleError(res, error, 'Error blocking user');
+    }
+};
+
+// Unblock a user
+exports.unblockUser = async (req, res) => {
+    try {
+        const blocked = await MessagingPolicy.unblock(req.user.id, req.params.userId);
+        res.status(200).json(blocked);
+    } catch (error) {
+        handleError(res, error, 'Error unblocking user');
+    }
+};
+
+// Report a message or a user: { messageId | userId, reason, details, block }
+// With block: true the reported user is blocked as well.
+exports.createReport = async (req, res) => {
+    try {
+        const { messageId, userId, reason, details, block } = req.body;
+        let report;
+        if (messageId) {
+            report = await MessageModeration.reportMessage(req.user.id, messageId, { reason, details });
+        } else if (userId) {
+            report = await MessageModeration.reportUser(req.user.id, userId, { reason, details });
         } else {
-            console.log(`Recipient ${recipientId} is offline, message saved.`);
+            return res.status(400).json({ message: 'A messageId or userId to report is required' });
         }
 
-        res.status(201).json(populatedMessage);
+        const blocked = block ? await MessagingPolicy.block(req.user.id, report.reportedUser) : undefined;
+        // Reporters only learn that the report was received, not how it is handled
+        res.status(201).json({ reportId: report._id, status: 'received', blocked });
+    } catch (error) {
+        handleError(res, error, 'Error creating report');
+    }
+};
+
+// Teacher or admin: The moderation queue: ?status=open|dismissed|actioned|all&limit=20&offset=0
+// Returns { reports, hasMore, openCount }
+exports.getModerationQueue = async (req, res) => {
+    try {
+        const { status, limit, offset } = req.query;
+        const queue = await MessageModeration.getQueue(req.user.id, { status, limit, offset });
+        res.status(200).json(queue);
     } catch (error) {
-        console.error("Error sending message:", error);
-        res.status(500).json({ message: 'Error sending message', error: error.message });
+        handleError(res, error, 'Error fetching moderation queue');
+    }
+};
+
+// Teacher or admin: Close a report: { status: 'dismissed' | 'actioned', note }
+exports.resolveReport = async (req, res) => {
+    try {
+        const report = await MessageModeration.resolve(req.user.id, req.params.reportId, req.body);
+        res.status(200).json(report);
+    } catch (error) {
+        handleError(res, error, 'Error resolving report');
+    }
+};
+
+// Teacher or admin: Download a file retained with a report (?thumbnail=true for the image thumbnail)
+exports.getReportAttachment = async (req, res) => {
+    try {
+        const { reportId, attachmentId } = req.params;
+        const { stream, mimeType, fileName } = await MessageModeration.openAttachment(
+            req.user.id, reportId, attachmentId, req.query.thumbnail === 'true'
+        );
+        res.set({
+            'Content-Type': mimeType,
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, no-store'
+        });
+        stream.on('error', (error) => {
+            console.error('Error streaming report attachment:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ message: 'Attachment file is missing' });
+        }
+        handleError(res, error, 'Error fetching report attachment');
     }
 };
 
@@ -147,15 +317,22 @@ exports.getSentMessages = async (req, res) => {
     }
 };
 
-// Get unread message count
+// Get unread message counts: the total and per conversation
 exports.getUnreadCount = async (req, res) => {
     try {
         const userId = req.user.id;
-        const count = await Message.countDocuments({
-            recipient: userId,
-            read: false
+        const conversations = await Conversation.find({ participants: userId })
+            .select('type readState')
+            .lean();
+        const counts = await MessagingService.getUnreadCounts(userId, conversations);
+
+        const byConversation = {};
+        let unreadCount = 0;
+        counts.forEach((count, conversationId) => {
+            if (count > 0) byConversation[conversationId] = count;
+            unreadCount += count;
         });
-        res.status(200).json({ unreadCount: count });
+        res.status(200).json({ unreadCount, conversations: byConversation });
     } catch (error) {
         res.status(500).json({ message: 'Error fetching unread count', error: error.message });
     }
@@ -174,12 +351,13 @@ exports.getMessageThread = async (req, res) => {
         }
         
         // Check if user is part of the conversation
-        if (message.sender.toString() !== userId && message.recipient.toString() !== userId) {
+        const conversationId = message.conversationId;
+        const conversation = await Conversation.findById(conversationId);
+        if (!conversation || !conversation.hasParticipant(userId)) {
             return res.status(403).json({ message: 'Access denied to this message' });
         }
         
         // Get all messages in the conversation
-        const conversationId = message.conversationId;
         const thread = await Message.find({ conversationId })
             .populate('sender', 'name role')
             .sort({ createdAt: 1 });
@@ -226,6 +404,10 @@ exports.deleteMessage = async (req, res) => {
         if (!message) {
             return res.status(404).json({ message: 'Message not found or not authorized to delete' });
         }
+        // Flagged messages live on in their MessageReport, files included
+        if (!message.flagged) {
+            await AttachmentStorage.removeAll(message.attachments);
+        }
         
         res.status(200).json({ message: 'Message deleted successfully' });
     } catch (error) {
@@ -236,47 +418,21 @@ exports.deleteMessage = async (req, res) => {
 // Reply to a message (legacy - use sendMessage instead)
 exports.replyToMessage = async (req, res) => {
     try {
-        const messageId = req.params.id;
         const { content } = req.body;
-        const senderId = req.user.id;
-        
+
         // Get original message
-        const originalMessage = await Message.findById(messageId);
+        const originalMessage = await Message.findById(req.params.id);
         if (!originalMessage) {
             return res.status(404).json({ message: 'Original message not found' });
         }
-        
-        // Determine recipient (the other person in the conversation)
-        const recipientId = originalMessage.sender.toString() === senderId 
-            ? originalMessage.recipient 
-            : originalMessage.sender;
-            
-        // Create reply using the same conversation
-        const newMessage = new Message({
+
+        // Reply in the same conversation; its participants decide who receives it
+        const message = await MessagingService.send(req.user.id, {
             conversationId: originalMessage.conversationId,
-            sender: senderId,
-            recipient: recipientId,
-            content,
-            read: false
+            content
         });
-        
-        await newMessage.save();
-        
-        // Update conversation's last message
-        await Conversation.findByIdAndUpdate(
-            originalMessage.conversationId,
-            { 
-                lastMessage: newMessage._id,
-                updatedAt: Date.now()
-            }
-        );
-        
-        // Populate sender details
-        const populatedMessage = await Message.findById(newMessage._id)
-            .populate('sender', 'name role');
-            
-        res.status(201).json(populatedMessage);
+        res.status(201).json(message);
     } catch (error) {
-        res.status(500).json({ message: 'Error replying to message', error: error.message });
+        handleError(res, error, 'Error replying to message');
     }
 };
@@ -0,0 +1,147 @@
+const LearningMetrics = require('../services/LearningMetrics');
+
+const { LearningMetricsError } = LearningMetrics;
+
+// Retry-queue types used by the frontend UserMetricsService, mapped to event kinds
+const RETRY_KINDS = {
+    interaction: 'interaction',
+    timeSpent: 'time_spent',
+    difficultyRating: 'difficulty_rating',
+    comprehensionLevel: 'comprehension_level'
+};
+
+// Validation problems are the client's fault; anything else is ours
+const handleError = (res, error, message) => {
+    if (error instanceof LearningMetricsError) {
+        return res.status(400).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message, error: error.message });
+};
+
+// Events from a session report: a start, and an end once the session has finished
+const sessionEvents = (userId, sessionId, sessionData = {}) => {
+    const events = [];
+    if (sessionData.startTime && !sessionData.endTime) {
+        events.push(LearningMetrics.toEvent(userId, 'session_start', sessionData, { sessionId }));
+    }
+    if (sessionData.endTime) {
+        events.push(LearningMetrics.toEvent(userId, 'session_end', sessionData, { sessionId }));
+    }
+    return events;
+};
+
+// Build events from a client batch, setting aside the ones that fail validation
+const batchEvents = (userId, sessionId, events) => {
+    const valid = [];
+    const rejected = [];
+    events.forEach((event, index) => {
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            rejected.push({ index, message: 'Event must be an object' });
+            return;
+        }
+        try {
+            valid.push(LearningMetrics.toEvent(userId, event.kind, event, { sessionId }));
+        } catch (error) {
+            if (!(error instanceof LearningMetricsError)) throw error;
+            rejected.push({ index, message: error.message });
+        }
+    });
+    return { valid, rejected };
+};
+
+// Record a single event of the given kind (interaction, time spent, ratings)
+const recordOne = (kind, errorMessage) => async (req, res) => {
+    try {
+        const event = LearningMetrics.toEvent(req.user.id, kind, req.body);
+        await LearningMetrics.record([event]);
+        res.status(201).json({ recorded: 1 });
+    } catch (error) {
+        handleError(res, error, errorMessage);
+    }
+};
+
+exports.recordInteraction = recordOne('interaction', 'Error recording interaction');
+exports.recordTimeSpent = recordOne('time_spent', 'Error recording time spent');
+exports.recordDifficultyRating = recordOne('difficulty_rating', 'Error recording difficulty rating');
+exports.recordComprehensionLevel = recordOne('comprehension_level', 'Error recording comprehension level');
+
+// Record the start or end of a metrics session
+exports.recordSession = async (req, res) => {
+    try {
+        const { sessionId, sessionData } = req.body;
+        if (!sessionId) {
+            return res.status(400).json({ message: 'sessionId is required' });
+        }
+
+        const recorded = await LearningMetrics.record(sessionEvents(req.user.id, sessionId, sessionData));
+        res.status(201).json({ recorded });
+    } catch (error) {
+        handleError(res, error, 'Error recording session');
+    }
+};
+
+// Record many events at once: { sessionId, events: [{ kind, ...payload }] }
+// Invalid events are skipped and reported rather than failing the whole batch.
+exports.recordBatch = async (req, res) => {
+    try {
+        const { sessionId, events } = req.body;
+        if (!Array.isArray(events)) {
+            return res.status(400).json({ message: 'events must be an array' });
+        }
+        if (events.length > LearningMetrics.MAX_BATCH_SIZE) {
+            return res.status(413).json({ message: `A batch may hold at most ${LearningMetrics.MAX_BATCH_SIZE} events` });
+        }
+
+        const { valid, rejected } = batchEvents(req.user.id, sessionId, events);
+        const recorded = await LearningMetrics.record(valid);
+        res.status(201).json({ recorded, rejected });
+    } catch (error) {
+        handleError(res, error, 'Error recording events');
+    }
+};
+
+// Replay of a request from the client's failed-request queue: { type, data, sessionId, timestamp }
+exports.recordRetry = async (req, res) => {
+    try {
+        const { type, data = {}, sessionId, timestamp } = req.body;
+        let events;
+
+        if (type === 'session') {
+            events = sessionEvents(req.user.id, sessionId, data);
+        } else if (type === 'batch') {
+            // Invalid events are dropped so the client stops retrying them
+            events = batchEvents(req.user.id, sessionId, Array.isArray(data) ? data : []).valid;
+        } else if (RETRY_KINDS[type]) {
+            events = [LearningMetrics.toEvent(req.user.id, RETRY_KINDS[type], { timestamp, ...data }, { sessionId })];
+        } else {
+            return res.status(400).json({ message: `Unknown request type "${type}"` });
+        }
+
+        const recorded = await LearningMetrics.record(events);
+        res.status(201).json({ recorded });
+    } catch (error) {
+        handleError(res, error, 'Error replaying metrics request');
+    }
+};
+
+// Get the logged-in user's learning stats
+exports.getLearningStats = async (req, res) => {
+    try {
+        const stats = await LearningMetrics.getLearningStats(req.user.id);
+        res.status(200).json(stats);
+    } catch (error) {
+        handleError(res, error, 'Error fetching learning stats');
+    }
+};
+
+// Get the logged-in user's learning patterns (?days=30)
+exports.getLearningPatterns = async (req, res) => {
+    try {
+        const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+        const patterns = await LearningMetrics.getLearningPatterns(req.user.id, { days });
+        res.status(200).json(patterns);
+    } catch (error) {
+        handleError(res, error, 'Error fetching learning patterns');
+    }
+};
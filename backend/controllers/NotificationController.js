@@ -1,6 +1,18 @@
 const Notification = require('../models/Notification');
+const NotificationService = require('../services/NotificationService');
+const ProgressDigest = require('../services/ProgressDigest');
+const TemplateRenderer = require('../services/TemplateRenderer');
 const User = require('../models/User');
 
+// NotificationErrors carry their HTTP status; anything else is a server error
+const handleError = (res, error, message) => {
+    if (error instanceof NotificationService.NotificationError) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message, error: error.message });
+};
+
 // Get all notifications for the current user
 exports.getNotifications = async (req, res) => {
     try {
@@ -42,39 +54,49 @@ exports.getUnreadCount = async (req, res) => {
     }
 };
 
-// Create a new notification
+// Teacher: Send an assignment or announcement to students
+// ({ recipientIds, type: 'assignment' | 'announcement', title, message, relatedItem, itemModel })
 exports.createNotification = async (req, res) => {
     try {
-        const { recipientId, title, message, type } = req.body;
-        const senderId = req.user.id;
-        
-        // Validate recipient
-        const recipient = await User.findById(recipientId);
-        if (!recipient) {
-            return res.status(404).json({ message: 'Recipient not found' });
-        }
-        
-        const notification = new Notification({
-            sender: senderId,
-            recipient: recipientId,
+        const { recipientId, recipientIds, type, title, message, relatedItem, itemModel } = req.body;
+        const notifications = await NotificationService.send(req.user.id, {
+            recipientIds: recipientIds || recipientId,
+            type,
             title,
             message,
-            type: type || 'system', // Default to system type if not specified
-            isRead: false
+            relatedItem,
+            itemModel
         });
         
-        await notification.save();
-        
         res.status(201).json({
-            message: 'Notification created successfully',
-            notification
+            message: 'Notification sent successfully',
+            count: notifications.length,
+            notifications
         });
     } catch (error) {
-        console.error('Error creating notification:', error);
-        res.status(500).json({ 
-            message: 'Failed to create notification',
-            error: error.message
-        });
+        handleError(res, error, 'Failed to create notification');
+    }
+};
+
+// Get the current user's notification preferences
+exports.getPreferences = async (req, res) => {
+    try {
+        const preferences = await NotificationService.getPreferences(req.user.id);
+        res.status(200).json({ ...preferences, mutableTypes: NotificationService.MUTABLE_TYPES });
+    } catch (error) {
+        handleError(res, error, 'Failed to fetch notification preferences');
+    }
+};
+
+// Mute notification types, set quiet hours or turn the weekly digest email on or off
+// ({ mutedTypes, quietHours: { start, end, timezone } | null, weeklyDigest })
+exports.updatePreferences = async (req, res) => {
+    try {
+        const { mutedTypes, quietHours, weeklyDigest } = req.body;
+        const preferences = await NotificationService.updatePreferences(req.user.id, { mutedTypes, quietHours, weeklyDigest });
+        res.status(200).json({ ...preferences, mutableTypes: NotificationService.MUTABLE_TYPES });
+    } catch (error) {
+        handleError(res, error, 'Failed to update notification preferences');
     }
 };
 
@@ -186,4 +208,49 @@ exports.deleteAllRead = async (req, res) => {
             error: error.message
         });
     }
-};
\ No newline at end of file
+};
+
+// Student: Preview this week's digest email as HTML
+exports.previewDigest = async (req, res) => {
+    try {
+        const student = await User.findById(req.user.id).select('name email').lean();
+        if (!student) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const email = await ProgressDigest.compose(student);
+        if (!email) {
+            return res.status(200).json({ message: 'Nothing to report this week, so no digest would be sent.' });
+        }
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.status(200).send(email.html);
+    } catch (error) {
+        handleError(res, error, 'Failed to build digest preview');
+    }
+};
+
+// Public (signed token in the link): Confirmation page for the unsubscribe link in the email.
+// Opening the link changes nothing, so link scanners and prefetching cannot unsubscribe anyone.
+exports.confirmDigestUnsubscribe = (req, res) => {
+    const token = req.query.token;
+    if (!ProgressDigest.verifyUnsubscribeToken(token)) {
+        return res.status(400).type('text/plain').send('This unsubscribe link is invalid.');
+    }
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.status(200).send(TemplateRenderer.render('pages/digest-unsubscribe.html', { token, done: false }));
+};
+
+// Public (signed token in the link): Stop the weekly digest email. POSTed by the confirmation
+// page's form and by mail clients' one-click unsubscribe (RFC 8058), which keeps the token in the URL.
+exports.unsubscribeDigest = async (req, res) => {
+    try {
+        const token = req.query.token || (req.body && req.body.token);
+        const unsubscribed = await ProgressDigest.unsubscribe(token);
+        if (!unsubscribed) {
+            return res.status(400).type('text/plain').send('This unsubscribe link is invalid.');
+        }
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.status(200).send(TemplateRenderer.render('pages/digest-unsubscribe.html', { done: true }));
+    } catch (error) {
+        handleError(res, error, 'Failed to unsubscribe');
+    }
+};
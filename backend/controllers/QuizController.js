@@ -1,18 +1,20 @@
 const Quiz = require('../models/Quiz');
-const Student = require('../models/Student');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionTemplate = require('../services/QuestionTemplate');
 
-// Get all quizzes
+// Get all quizzes (answers stripped, templated questions as the user's next variant)
 exports.getAllQuizzes = async (req, res) => {
     try {
         const quizzes = await Quiz.find();
-        res.status(200).json(quizzes);
+        res.status(200).json(await Quiz.toStudentViews(quizzes, req.user.id));
     } catch (error) {
         console.error('Error fetching quizzes:', error);
         res.status(500).json({ message: 'Error retrieving quizzes', error: error.message });
     }
 };
 
-// Get a specific quiz by ID
+// Get a specific quiz by ID (answers stripped).
+// Templated questions are shown as the variant for the user's next attempt.
 exports.getQuizById = async (req, res) => {
     try {
         const quizId = req.params.id;
@@ -22,6 +24,33 @@ exports.getQuizById = async (req, res) => {
             return res.status(404).json({ message: 'Quiz not found' });
         }
         
+        const previousCount = await QuizAttempt.countDocuments({ student: req.user.id, quiz: quizId });
+        res.status(200).json(quiz.toStudentView(QuestionTemplate.seedFor(req.user.id, quizId, previousCount + 1)));
+    } catch (error) {
+        console.error('Error fetching quiz:', error);
+        res.status(500).json({ message: 'Error retrieving quiz', error: error.message });
+    }
+};
+
+// Teacher/author: Get a quiz including answers and explanations.
+// Pass ?seed=<number> to preview the variant templated questions produce for that seed.
+exports.getQuizWithAnswers = async (req, res) => {
+    try {
+        const quizId = req.params.id;
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({ message: 'Quiz not found' });
+        }
+
+        if (req.query.seed !== undefined) {
+            const seed = parseInt(req.query.seed, 10);
+            if (isNaN(seed)) {
+                return res.status(400).json({ message: 'Seed must be a number' });
+            }
+            return res.status(200).json(quiz.toVariant(seed));
+        }
+
         res.status(200).json(quiz);
     } catch (error) {
         console.error('Error fetching quiz:', error);
@@ -29,12 +58,12 @@ exports.getQuizById = async (req, res) => {
     }
 };
 
-// Get all quizzes for a specific chapter
+// Get all quizzes for a specific chapter (answers stripped, templated questions as the user's next variant)
 exports.getQuizzesByChapter = async (req, res) => {
     try {
         const chapterId = req.params.chapterId;
         const quizzes = await Quiz.find({ chapter: chapterId });
-        res.status(200).json(quizzes);
+        res.status(200).json(await Quiz.toStudentViews(quizzes, req.user.id));
     } catch (error) {
         console.error('Error fetching chapter quizzes:', error);
         res.status(500).json({ message: 'Error retrieving chapter quizzes', error: error.message });
@@ -44,10 +73,13 @@ exports.getQuizzesByChapter = async (req, res) => {
 // Create a new quiz
 exports.createQuiz = async (req, res) => {
     try {
-        const quiz = new Quiz(req.body);
+        const quiz = new Quiz({ ...req.body, createdBy: req.user.id });
         await quiz.save();
         res.status(201).json({ message: 'Quiz created successfully', quiz });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Invalid quiz', error: error.message });
+        }
         console.error('Error creating quiz:', error);
         res.status(500).json({ message: 'Error creating quiz', error: error.message });
     }
@@ -59,13 +91,20 @@ exports.updateQuiz = async (req, res) => {
         const quizId = req.params.id;
         const updates = req.body;
         
-        const quiz = await Quiz.findByIdAndUpdate(quizId, updates, { new: true });
+        // Load and save rather than findByIdAndUpdate so question templates are validated
+        const quiz = await Quiz.findById(quizId);
         if (!quiz) {
             return res.status(404).json({ message: 'Quiz not found' });
         }
         
+        quiz.set(updates);
+        await quiz.save();
+        
         res.status(200).json({ message: 'Quiz updated successfully', quiz });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ message: 'Invalid quiz', error: error.message });
+        }
         console.error('Error updating quiz:', error);
         res.status(500).json({ message: 'Error updating quiz', error: error.message });
     }
@@ -87,75 +126,3 @@ exports.deleteQuiz = async (req, res) => {
         res.status(500).json({ message: 'Error deleting quiz', error: error.message });
     }
 };
-
-// Submit a quiz attempt and get results
-exports.submitQuizAttempt = async (req, res) => {
-    try {
-        const quizId = req.params.id;
-        const { answers } = req.body;
-        const userId = req.user.id;
-        
-        // Find the quiz
-        const quiz = await Quiz.findById(quizId);
-        if (!quiz) {
-            return res.status(404).json({ message: 'Quiz not found' });
-        }
-        
-        // Check if there are enough answers
-        if (!answers || answers.length !== quiz.questions.length) {
-            return res.status(400).json({ 
-                message: 'Invalid submission: number of answers does not match number of questions' 
-            });
-        }
-        
-        // Calculate the score
-        let correctCount = 0;
-        const results = quiz.questions.map((question, index) => {
-            const isCorrect = question.correctAnswer === answers[index];
-            if (isCorrect) correctCount++;
-            
-            return {
-                isCorrect,
-                userAnswer: answers[index],
-                correctAnswer: question.correctAnswer,
-                explanation: question.explanation
-            };
-        });
-        
-        const scorePercentage = (correctCount / quiz.questions.length) * 100;
-        
-        // Record the attempt in the student's record for spaced repetition
-        if (quiz.type === 'spaced-repetition') {
-            try {
-                await Student.findByIdAndUpdate(
-                    userId,
-                    { 
-                        $push: { 
-                            quizAttempts: {
-                                quiz: quizId,
-                                date: new Date(),
-                                score: scorePercentage,
-                                correct: correctCount,
-                                total: quiz.questions.length
-                            } 
-                        } 
-                    }
-                );
-            } catch (err) {
-                console.error('Error recording quiz attempt:', err);
-                // Continue anyway - non-critical error
-            }
-        }
-        
-        res.status(200).json({
-            score: scorePercentage,
-            correct: correctCount,
-            total: quiz.questions.length,
-            results
-        });
-        
-    } catch (error) {
-        console.error('Error submitting quiz attempt:', error);
-        res.status(500).json({ message: 'Error processing quiz submission', error: error.message });
-    }
-};
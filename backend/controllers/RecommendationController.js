@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Recommender = require('../services/Recommender');
+
+// Chapter being viewed; the frontend has sent it as both ?chapterId= and ?currentChapter=
+const chapterFromQuery = (query) => query.chapterId || query.currentChapter || null;
+
+const parseLimit = (value) => Math.min(50, Math.max(1, parseInt(value, 10) || 10));
+
+// Get recommendations for the logged-in student (collaborative, with content-based fallback)
+exports.getRecommendations = async (req, res) => {
+    try {
+        const chapterId = chapterFromQuery(req.query);
+        if (chapterId && !mongoose.Types.ObjectId.isValid(chapterId)) {
+            return res.status(400).json({ message: 'Invalid chapter ID' });
+        }
+
+        const recommendations = await Recommender.recommend(req.user.id, {
+            chapterId,
+            limit: parseLimit(req.query.limit)
+        });
+        res.status(200).json(recommendations);
+    } catch (error) {
+        console.error('Error getting recommendations:', error);
+        res.status(500).json({ message: 'Error fetching recommendations', error: error.message });
+    }
+};
+
+// Get recommendations from the collaborative model only.
+// Empty for students the model has not been trained on yet; the client then falls back to getRecommendations.
+exports.getPersonalizedRecommendations = async (req, res) => {
+    try {
+        const chapterId = chapterFromQuery(req.query);
+        if (chapterId && !mongoose.Types.ObjectId.isValid(chapterId)) {
+            return res.status(400).json({ message: 'Invalid chapter ID' });
+        }
+
+        const recommendations = await Recommender.recommend(req.user.id, {
+            chapterId,
+            limit: parseLimit(req.query.limit),
+            collaborativeOnly: true
+        });
+        res.status(200).json(recommendations);
+    } catch (error) {
+        console.error('Error getting personalized recommendations:', error);
+        res.status(500).json({ message: 'Error fetching recommendations', error: error.message });
+    }
+};
+
+// Teacher: metadata of the current model
+exports.getModelStatus = async (req, res) => {
+    try {
+        const model = await Recommender.getModel();
+        res.status(200).json({ trained: Boolean(model), model });
+    } catch (error) {
+        console.error('Error getting recommender status:', error);
+        res.status(500).json({ message: 'Error fetching recommender status', error: error.message });
+    }
+};
+
+// Teacher: retrain now instead of waiting for the next scheduled run
+exports.trainModel = async (req, res) => {
+    try {
+        const model = await Recommender.train();
+        if (!model) {
+            return res.status(200).json({ trained: false, message: 'Not enough interaction data to train yet' });
+        }
+        res.status(200).json({ trained: true, model });
+    } catch (error) {
+        console.error('Error training recommender:', error);
+        res.status(500).json({ message: 'Error training recommender', error: error.message });
+    }
+};
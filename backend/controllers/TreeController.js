@@ -28,7 +28,7 @@ exports.addTreeNode = async (req, res) => {
 // Update a tree node
 exports.updateTreeNode = async (req, res) => {
     try {
-        const tree = await Tree.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const tree = await Tree.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
         if (!tree) return res.status(404).json({ message: 'Tree node not found' });
         res.status(200).json({ message: 'Tree node updated successfully', tree });
     } catch (error) {
@@ -1,21 +1,56 @@
 const User = require('../models/User');
 const Student = require('../models/Student');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const SessionService = require('../services/SessionService');
+const UserAdministration = require('../services/UserAdministration');
+const PasswordService = require('../services/PasswordService');
+const LoginGuard = require('../services/LoginGuard');
+const GuardianService = require('../services/GuardianService');
+
+// Admins are not self-registered; scripts/createAdmin.js creates the first one
+const REGISTRATION_ROLES = ['student', 'teacher', 'guardian'];
+
+const handleError = (res, error, message) => {
+    if (error instanceof SessionService.SessionError) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    if (error instanceof LoginGuard.LoginBlockedError) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ message: error.message, code: error.code, retryAfter: error.retryAfter });
+    }
+    if (error instanceof UserAdministration.UserAdministrationError
+        || error instanceof PasswordService.PasswordError
+        || error instanceof LoginGuard.LoginGuardError
+        || error instanceof GuardianService.GuardianError) {
+        return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${message}:`, error);
+    res.status(500).json({ message, error: error.message });
+};
+
+// Device details kept with a session, so users can tell their sessions apart
+const sessionMeta = (req) => ({ userAgent: req.headers['user-agent'], ip: req.ip });
 
 // Register a new user
+// Guardians may pass the invite code of their student ({ inviteCode }) to link right away
 exports.register = async (req, res) => {
-    const { name, email, password, role, birthday } = req.body;
+    const { name, email, password, role, birthday, inviteCode } = req.body;
 
     if (!name || !email || !password || !role || !birthday) {
         return res.status(400).json({ message: "All fields are required" });
     }
+    if (!REGISTRATION_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of ${REGISTRATION_ROLES.join(', ')}` });
+    }
 
     try {
         const existingUser = await User.findOne({ email });
         if (existingUser) {
             return res.status(400).json({ message: "Email already in use" });
         }
+        if (role === 'guardian' && inviteCode) {
+            await GuardianService.assertInviteValid(inviteCode);
+        }
 
         const hashedPassword = await bcrypt.hash(password, 10);
         let newUser;
@@ -39,16 +74,38 @@ exports.register = async (req, res) => {
             });
         }
 
-        // Debug saving process
-        console.log('Attempting to save user:', newUser);
-
         await newUser.save(); // Save user to the database
-        console.log('User saved successfully:', newUser);
+        console.log('User registered:', newUser._id.toString());
+
+        // Checked above, but it may have been used since; the account stands either way
+        let inviteError;
+        if (role === 'guardian' && inviteCode) {
+            try {
+                await GuardianService.redeemInvite(newUser._id, inviteCode);
+            } catch (error) {
+                if (!(error instanceof GuardianService.GuardianError)) throw error;
+                inviteError = error.message;
+            }
+        }
 
-        const token = jwt.sign({ id: newUser._id, role: newUser.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        const { token, refreshToken } = await SessionService.start(newUser, sessionMeta(req));
 
-        res.status(201).json({ message: "User registered successfully", token });
+        res.status(201).json({
+            message: "User registered successfully",
+            token,
+            refreshToken,
+            user: {
+                id: newUser._id,
+                role: newUser.role,
+                name: newUser.name,
+                email: newUser.email
+            },
+            inviteError
+        });
     } catch (error) {
+        if (error instanceof GuardianService.GuardianError) {
+            return handleError(res, error, "Error registering user");
+        }
         console.error('Error saving user:', error);
         res.status(500).json({ message: "Error registering user", error });
     }
@@ -62,6 +119,9 @@ exports.login = async (req, res) => {
     }
 
     try {
+        const userAgent = req.headers['user-agent'] || '';
+        await LoginGuard.check(email, req.ip, { userAgent });
+
         let user = null;
         // Try to find user as Student first if exists
         if (await Student.exists({ email })) {
@@ -70,30 +130,24 @@ exports.login = async (req, res) => {
             user = await User.findOne({ email });
         }
 
-        if (!user) {
-            return res.status(404).json({ message: "User not found" });
+        // One answer for unknown emails and wrong passwords, so accounts cannot be discovered
+        if (!(await LoginGuard.verifyPassword(user, password))) {
+            await LoginGuard.recordFailure(email, req.ip, { user, userAgent });
+            return res.status(401).json({ message: "Invalid email or password" });
         }
+        await LoginGuard.recordSuccess(email);
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            return res.status(401).json({ message: "Invalid credentials" });
-        }
-
-        const token = jwt.sign(
-            { 
-                id: user._id, 
-                role: user.role, 
-                email: user.email,
-                name: user.name,
-                birthday: user.birthday 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        const { token, refreshToken } = await SessionService.start(user, sessionMeta(req));
 
         res.status(200).json({
+            success: true,
             message: "Login successful",
             token,
+            refreshToken,
+            // Read by the older login page
+            userRole: user.role,
+            userName: user.name,
+            userId: user._id,
             user: {
                 id: user._id,
                 role: user.role,
@@ -103,18 +157,148 @@ exports.login = async (req, res) => {
             }
         });
     } catch (error) {
-        console.error("Error during login:", error.message);
-        res.status(500).json({ message: "An error occurred during login" });
+        handleError(res, error, "An error occurred during login");
+    }
+};
+
+// Trade a refresh token for a new access token and refresh token
+exports.refreshToken = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    try {
+        const session = await SessionService.refresh(refreshToken, sessionMeta(req));
+        res.status(200).json({
+            token: session.token,
+            refreshToken: session.refreshToken,
+            user: {
+                id: session.user._id,
+                role: session.user.role,
+                name: session.user.name,
+                email: session.user.email
+            }
+        });
+    } catch (error) {
+        handleError(res, error, "Error refreshing session");
+    }
+};
+
+// End the session of a refresh token; works without a valid access token
+exports.logout = async (req, res) => {
+    try {
+        await SessionService.logout(req.body.refreshToken);
+        res.status(200).json({ message: "Logged out" });
+    } catch (error) {
+        handleError(res, error, "Error logging out");
+    }
+};
+
+// End every session of the current user, including this one
+exports.logoutAll = async (req, res) => {
+    try {
+        const ended = await SessionService.logoutAll(req.user.id);
+        res.status(200).json({ message: "Logged out everywhere", ended });
+    } catch (error) {
+        handleError(res, error, "Error logging out everywhere");
+    }
+};
+
+// Active sessions (signed-in devices) of the current user
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await SessionService.list(req.user.id, req.user.sid);
+        res.status(200).json(sessions);
+    } catch (error) {
+        handleError(res, error, "Error fetching sessions");
     }
 };
 
-// Get all users
+// Sign out one device of the current user, e.g. a lost one
+exports.revokeSession = async (req, res) => {
+    try {
+        await SessionService.revoke(req.user.id, req.params.sessionId);
+        res.status(200).json({ message: "Session ended" });
+    } catch (error) {
+        handleError(res, error, "Error ending session");
+    }
+};
+
+// Change the current user's password; other devices are signed out, this one stays
+exports.changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const ended = await PasswordService.changePassword(
+            req.user.id,
+            { currentPassword, newPassword },
+            { sessionId: req.user.sid }
+        );
+        res.status(200).json({ message: "Password changed", ended });
+    } catch (error) {
+        handleError(res, error, "Error changing password");
+    }
+};
+
+// Mail a reset link. Answers the same whether or not the email belongs to an account.
+exports.forgotPassword = async (req, res) => {
+    try {
+        await PasswordService.requestReset(req.body.email, { ip: req.ip });
+        res.status(200).json({ message: "If an account uses this email, a reset link is on its way" });
+    } catch (error) {
+        handleError(res, error, "Error requesting password reset");
+    }
+};
+
+// Set a new password with the token from a reset link; signs the user out everywhere
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+        await PasswordService.resetPassword(token, newPassword);
+        res.status(200).json({ message: "Password reset. Please log in with your new password." });
+    } catch (error) {
+        handleError(res, error, "Error resetting password");
+    }
+};
+
+// Admin: Users by name: ?search=&role=&limit=50&offset=0
 exports.getUsers = async (req, res) => {
     try {
-        const users = await User.find();
-        res.status(200).json(users);
+        const page = await UserAdministration.list(req.query);
+        res.status(200).json(page);
+    } catch (error) {
+        handleError(res, error, "Error fetching users");
+    }
+};
+
+// Admin: Failed and refused logins, newest first: ?email=&ip=&limit=50&offset=0
+exports.getLoginAttempts = async (req, res) => {
+    try {
+        const page = await LoginGuard.listAttempts(req.query);
+        res.status(200).json(page);
     } catch (error) {
-        res.status(500).json({ message: "Error fetching users", error });
+        handleError(res, error, "Error fetching login attempts");
+    }
+};
+
+// Admin: Email addresses and IPs currently locked out or backing off
+exports.getLoginBlocks = async (req, res) => {
+    try {
+        const blocks = await LoginGuard.listBlocks();
+        res.status(200).json(blocks);
+    } catch (error) {
+        handleError(res, error, "Error fetching login blocks");
+    }
+};
+
+// Admin: Lift a lockout or backoff
+exports.removeLoginBlock = async (req, res) => {
+    try {
+        await LoginGuard.unblock(req.params.blockId);
+        res.status(200).json({ message: "Login unblocked" });
+    } catch (error) {
+        handleError(res, error, "Error unblocking login");
     }
 };
 
@@ -143,59 +327,43 @@ exports.getAllStudents = async (req, res) => {
     }
 };
 
-// Get user by ID
+// Admin: Get user by ID
 exports.getUserById = async (req, res) => {
-    const { id } = req.params;
-
     try {
-        const user = await User.findById(id);
-        if (!user) return res.status(404).json({ message: "User not found" });
+        const user = await UserAdministration.get(req.params.id);
         res.status(200).json(user);
     } catch (error) {
-        res.status(500).json({ message: "Error fetching user", error });
+        handleError(res, error, "Error fetching user");
     }
 };
 
-// Update a user
+// Admin: Update a user's name, email, birthday or role
 exports.updateUser = async (req, res) => {
-    const { id } = req.params;
-    const updates = req.body;
-
     try {
-        const user = await User.findByIdAndUpdate(id, updates, { new: true });
-        if (!user) return res.status(404).json({ message: "User not found" });
+        const user = await UserAdministration.update(req.user.id, req.params.id, req.body);
         res.status(200).json({ message: "User updated successfully", user });
     } catch (error) {
-        res.status(500).json({ message: "Error updating user", error });
+        handleError(res, error, "Error updating user");
     }
 };
 
-// Delete a user
-exports.deleteUser = async (req, res) => {
-    const { id } = req.params;
-
+// Admin: Set the domains a teacher teaches: { domainIds }
+exports.setTeacherDomains = async (req, res) => {
     try {
-        const user = await User.findByIdAndDelete(id);
-        if (!user) return res.status(404).json({ message: "User not found" });
-        res.status(200).json({ message: "User deleted successfully" });
+        const user = await UserAdministration.setTeacherDomains(req.params.id, req.body.domainIds);
+        res.status(200).json({ message: "Domains updated successfully", user });
     } catch (error) {
-        res.status(500).json({ message: "Error deleting user", error });
+        handleError(res, error, "Error updating domains");
     }
 };
 
-// Fetch user role by email
-exports.getUserRole = async (req, res) => {
-    const { email } = req.params;
-
+// Admin: Delete a user
+exports.deleteUser = async (req, res) => {
     try {
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(404).json({ message: "User not found" });
-        }
-        res.status(200).json({ role: user.role });
+        await UserAdministration.remove(req.user.id, req.params.id);
+        res.status(200).json({ message: "User deleted successfully" });
     } catch (error) {
-        console.error("Error fetching user role:", error);
-        res.status(500).json({ message: "Error fetching user role" });
+        handleError(res, error, "Error deleting user");
     }
 };
 
@@ -240,26 +408,16 @@ exports.getProfile = async (req, res) => {
 exports.updateProfile = async (req, res) => {
     try {
         const userId = req.user.id;
-        const { name, email, currentPassword, newPassword } = req.body;
+        const { name, email, birthday } = req.body;
 
         let user = await User.findById(userId);
         if (!user) {
             return res.status(404).json({ message: "User not found" });
         }
 
-        // If updating password, verify current password
-        if (currentPassword && newPassword) {
-            const isValidPassword = await bcrypt.compare(currentPassword, user.password);
-            if (!isValidPassword) {
-                return res.status(400).json({ message: "Current password is incorrect" });
-            }
-            // Hash new password
-            const hashedPassword = await bcrypt.hash(newPassword, 10);
-            user.password = hashedPassword;
-        }
-
-        // Update other fields
+        // The password is changed through /change-password, which checks the current one
         if (name) user.name = name;
+        if (birthday) user.birthday = birthday;
         if (email) {
             // Check if email is already in use by another user
             const existingUser = await User.findOne({ email, _id: { $ne: userId } });
@@ -1,7 +1,7 @@
-const jwt = require('jsonwebtoken');
+const SessionService = require('../services/SessionService');
 
-// Middleware to verify JWT token
-exports.authenticateToken = (req, res, next) => {
+// Middleware to verify the access token and that its session has not ended
+exports.authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -9,9 +9,14 @@ exports.authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Authentication required' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) return res.status(403).json({ message: 'Invalid or expired token' });
-        req.user = user;
-        next();
-    });
+    try {
+        req.user = await SessionService.verifyAccessToken(token);
+    } catch (error) {
+        if (error instanceof SessionService.SessionError) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
+        console.error('Error checking session:', error);
+        return res.status(500).json({ message: 'Error checking session' });
+    }
+    next();
 };
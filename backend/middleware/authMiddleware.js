@@ -1,6 +1,7 @@
-const jwt = require('jsonwebtoken');
+const SessionService = require('../services/SessionService');
 
-const authenticateToken = (req, res, next) => {
+// Access tokens must be valid and belong to a session that has not ended (see SessionService)
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -8,13 +9,18 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Authentication required' });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) return res.status(403).json({ message: 'Invalid or expired token' });
-        req.user = user;
-        next();
-    });
+    try {
+        req.user = await SessionService.verifyAccessToken(token);
+    } catch (error) {
+        if (error instanceof SessionService.SessionError) {
+            return res.status(error.status).json({ message: error.message, code: error.code });
+        }
+        console.error('Error checking session:', error);
+        return res.status(500).json({ message: 'Error checking session' });
+    }
+    next();
 };
 
 module.exports = {
     authenticateToken
-}; 
\ No newline at end of file
+}; 
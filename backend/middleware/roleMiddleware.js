@@ -1,18 +1,21 @@
-const authorizeRole = (role) => {
+const { hasPermission } = require('../config/permissions');
+
+// Only lets through users whose role has the permission (see config/permissions.js)
+const authorize = (permission) => {
     return (req, res, next) => {
         if (!req.user) {
             // This should ideally be handled by authenticateToken first
             return res.status(401).json({ message: 'Authentication required' });
         }
         
-        if (req.user.role !== role) {
-            return res.status(403).json({ message: `Access denied. Requires ${role} role.` });
+        if (!hasPermission(req.user.role, permission)) {
+            return res.status(403).json({ message: `Access denied. Requires the ${permission} permission.` });
         }
         
-        next(); // User has the required role
+        next(); // User's role grants the permission
     };
 };
 
 module.exports = {
-    authorizeRole
-}; 
\ No newline at end of file
+    authorize
+}; 
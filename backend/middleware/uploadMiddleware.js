@@ -0,0 +1,32 @@
+const multer = require('multer');
+const AttachmentStorage = require('../services/AttachmentStorage');
+
+// Files are kept in memory until AttachmentStorage has checked them
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: AttachmentStorage.MAX_ATTACHMENT_BYTES,
+        files: AttachmentStorage.MAX_ATTACHMENTS,
+    },
+});
+
+// Parse up to MAX_ATTACHMENTS files from the "attachments" field of a multipart request.
+// JSON requests pass through untouched.
+const uploadAttachments = (req, res, next) => {
+    upload.array('attachments', AttachmentStorage.MAX_ATTACHMENTS)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `Attachments may be at most ${Math.round(AttachmentStorage.MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB each`
+                : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+                    ? `A message may have at most ${AttachmentStorage.MAX_ATTACHMENTS} attachments`
+                    : err.message;
+            return res.status(status).json({ message });
+        }
+        next(err);
+    });
+};
+
+module.exports = {
+    uploadAttachments
+};
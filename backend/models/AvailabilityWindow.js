@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "HH:MM", 24-hour
+
+// A teacher's recurring office hours: every week on dayOfWeek between startTime and endTime
+// (in the teacher's timezone), split into slots of slotMinutes that up to `capacity` students
+// can book. Bookings are tracked per slot in MeetingSlot (services/OfficeHours.js).
+const availabilityWindowSchema = new mongoose.Schema({
+    teacher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    dayOfWeek: {
+        type: Number, // 0 = Sunday
+        required: true,
+        min: 0,
+        max: 6,
+    },
+    startTime: {
+        type: String,
+        required: true,
+        match: TIME_PATTERN,
+    },
+    endTime: {
+        type: String,
+        required: true,
+        match: TIME_PATTERN,
+    },
+    slotMinutes: {
+        type: Number,
+        default: 30,
+        min: 5,
+        max: 240,
+    },
+    capacity: {
+        type: Number, // Students per slot
+        default: 1,
+        min: 1,
+        max: 50,
+    },
+    timezone: {
+        type: String, // IANA name, e.g. "Europe/Brussels"
+        default: 'UTC',
+    },
+    // Optional limits on the weeks the window applies to
+    validFrom: { type: Date },
+    validUntil: { type: Date },
+    location: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+    },
+    // Removed windows are deactivated rather than deleted; meetings still refer to them
+    active: {
+        type: Boolean,
+        default: true,
+    },
+}, { timestamps: true });
+
+availabilityWindowSchema.index({ teacher: 1, active: 1 });
+
+module.exports = mongoose.model('AvailabilityWindow', availabilityWindowSchema);
@@ -1,6 +1,41 @@
 const mongoose = require('mongoose');
 
 const conversationSchema = new mongoose.Schema({
+    // 'direct' is between exactly two users; 'group' is a named study group;
+    // 'class' is a group channel for the students of a domain
+    type: {
+        type: String,
+        enum: ['direct', 'group', 'class'],
+        default: 'direct',
+    },
+    name: {
+        type: String,
+        trim: true,
+        required: function () { return this.type !== 'direct'; },
+    },
+    domain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Domain',
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    // Members allowed to rename the group and add or remove members
+    admins: [
+        {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    ],
+    // When each member last read the conversation
+    readState: [
+        {
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            lastReadAt: { type: Date, default: null },
+            _id: false,
+        },
+    ],
     participants: [
         {
             type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +50,36 @@ const conversationSchema = new mongoose.Schema({
     // Timestamps for when the conversation was created/updated
 }, { timestamps: true });
 
+conversationSchema.index({ participants: 1, updatedAt: -1 });
+
+conversationSchema.methods.isGroup = function () {
+    return this.type !== 'direct';
+};
+
+conversationSchema.methods.hasParticipant = function (userId) {
+    return this.participants.some(id => (id._id || id).toString() === String(userId));
+};
+
+conversationSchema.methods.isAdmin = function (userId) {
+    return this.admins.some(id => (id._id || id).toString() === String(userId));
+};
+
+// When the member last read the conversation, or null if never
+conversationSchema.methods.lastReadAtFor = function (userId) {
+    const entry = this.readState.find(state => state.user.toString() === String(userId));
+    return entry ? entry.lastReadAt : null;
+};
+
+// Record that a member has read the conversation up to the given time (never moves backwards)
+conversationSchema.methods.markReadBy = function (userId, at = new Date()) {
+    const entry = this.readState.find(state => state.user.toString() === String(userId));
+    if (entry) {
+        if (!entry.lastReadAt || at > entry.lastReadAt) entry.lastReadAt = at;
+    } else {
+        this.readState.push({ user: userId, lastReadAt: at });
+    }
+};
+
 // Ensure a conversation between the same two participants is unique
 // Note: Order matters, so we might need application logic to ensure consistency (e.g., always store IDs in sorted order)
 // Or, use a compound index after ensuring consistent order in the application layer.
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// An invite code a student hands to a guardian (see services/GuardianService.js). Only the hash
+// of the code is kept; a code links one guardian, until it expires.
+const guardianInviteSchema = new mongoose.Schema({
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    codeHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+// MongoDB removes codes once they expire
+guardianInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GuardianInvite', guardianInviteSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// A guardian (parent) following a student's progress (see services/GuardianService.js). Made by
+// redeeming an invite code of the student; either side can remove it.
+const guardianLinkSchema = new mongoose.Schema({
+    guardian: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+}, { timestamps: true });
+
+guardianLinkSchema.index({ guardian: 1, student: 1 }, { unique: true });
+
+module.exports = mongoose.model('GuardianLink', guardianLinkSchema);
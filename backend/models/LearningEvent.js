@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One thing a learner did: an interaction, time spent on content, a rating, or a session boundary.
+// Written in batches by services/LearningMetrics.js.
+const learningEventSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    sessionId: { type: String }, // Client-generated metrics session
+    kind: {
+        type: String,
+        enum: ['interaction', 'time_spent', 'difficulty_rating', 'comprehension_level', 'session_start', 'session_end'],
+        required: true,
+    },
+    action: { type: String }, // Interaction name, e.g. 'recommendation_click'
+    contentId: { type: String }, // Chapter, quiz or mnemonic ID the event is about
+    contentType: { type: String }, // 'chapter', 'quiz', 'mnemonic', ...
+    value: { type: Number }, // Milliseconds for time_spent and session_end, 1-5 for ratings
+    data: { type: mongoose.Schema.Types.Mixed }, // Anything else the client sent
+    occurredAt: { type: Date, required: true }, // When it happened on the client
+}, { timestamps: { createdAt: 'receivedAt', updatedAt: false } });
+
+learningEventSchema.index({ user: 1, occurredAt: -1 });
+learningEventSchema.index({ contentId: 1, occurredAt: -1 });
+learningEventSchema.index({ user: 1, contentId: 1, occurredAt: -1 });
+
+module.exports = mongoose.model('LearningEvent', learningEventSchema);
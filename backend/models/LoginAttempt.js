@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const FAILURE_REASONS = ['bad_password', 'unknown_user', 'throttled', 'locked'];
+
+// A failed or refused login, kept for the admin audit (see services/LoginGuard.js). The email is
+// recorded lowercased, whether or not an account uses it.
+const loginAttemptSchema = new mongoose.Schema({
+    email: { type: String, default: '', index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    ip: { type: String, default: '', index: true },
+    userAgent: { type: String, default: '' },
+    reason: { type: String, enum: FAILURE_REASONS, required: true },
+}, { timestamps: true });
+
+// MongoDB removes attempts after 30 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+LoginAttempt.FAILURE_REASONS = FAILURE_REASONS;
+
+module.exports = LoginAttempt;
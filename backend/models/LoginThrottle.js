@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Recent login failures of one email address or one IP (see services/LoginGuard.js), and until
+// when further attempts are refused
+const loginThrottleSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // 'account:<email>' or 'ip:<address>'
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    blockedUntil: { type: Date, default: null }, // Backoff before the next attempt
+    lockedUntil: { type: Date, default: null }, // Accounts only
+    expiresAt: { type: Date, required: true },
+}, { timestamps: true });
+
+// MongoDB removes throttles that have been quiet long enough to be forgotten
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
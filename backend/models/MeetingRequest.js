@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+// pending: the student asked, waiting for the teacher
+// countered: the teacher proposed other times, waiting for the student
+const MEETING_STATUSES = ['pending', 'countered', 'accepted', 'rejected', 'cancelled'];
+
+const HISTORY_ACTIONS = [
+    'requested',
+    'accepted',
+    'rejected',
+    'cancelled',
+    'countered',           // Teacher proposed other times for a pending request
+    'counter_accepted',    // Student took one of them
+    'counter_withdrawn',   // Teacher took the proposal back; the request is pending again
+    'counter_declined',    // Student turned them all down; the request is closed
+    'reschedule_proposed', // Either side proposed new times for an accepted meeting
+    'rescheduled',         // The other side took one of them
+    'reschedule_withdrawn',
+    'reschedule_declined'
+];
+
+// A time offered in a proposal; availabilityWindow is set when it is an office-hours slot
+const proposedTimeSchema = new mongoose.Schema({
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    availabilityWindow: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AvailabilityWindow',
+    },
+});
+
 const meetingRequestSchema = new mongoose.Schema({
     student: {
         type: mongoose.Schema.Types.ObjectId,
@@ -11,20 +40,56 @@ const meetingRequestSchema = new mongoose.Schema({
         ref: 'User',
         required: true,
     },
+    // Start of the meeting; for office-hours bookings the start of the slot
     requestedTime: {
-        // Could be more complex (e.g., multiple options)
         type: Date,
         required: true,
     },
+    endTime: {
+        type: Date,
+    },
+    // The office-hours window the slot was booked from
+    availabilityWindow: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AvailabilityWindow',
+    },
+    // Set while an accepted booking holds a place in the slot
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MeetingSlot',
+    },
     message: {
         type: String,
         trim: true,
     },
     status: {
         type: String,
-        enum: ['pending', 'accepted', 'rejected', 'cancelled'],
+        enum: MEETING_STATUSES,
         default: 'pending',
     },
+    // Open proposal of other times: a teacher's counter-proposal while countered, or a
+    // reschedule proposed by either side of an accepted meeting
+    proposal: {
+        type: new mongoose.Schema({
+            by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            times: { type: [proposedTimeSchema], required: true },
+            note: { type: String, trim: true, maxlength: 500 },
+            createdAt: { type: Date, default: Date.now },
+        }, { _id: false }),
+        default: undefined,
+    },
+    // Every step of the negotiation, oldest first
+    history: [{
+        action: { type: String, enum: HISTORY_ACTIONS, required: true },
+        status: { type: String, enum: MEETING_STATUSES }, // Status after the step
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date, default: Date.now },
+        requestedTime: Date,
+        endTime: Date,
+        times: [proposedTimeSchema], // Times proposed in this step
+        note: String,
+        _id: false,
+    }],
     // Optional: Link to a specific domain/chapter
     relatedDomain: {
          type: mongoose.Schema.Types.ObjectId,
@@ -36,4 +101,13 @@ const meetingRequestSchema = new mongoose.Schema({
 meetingRequestSchema.index({ teacher: 1, status: 1 });
 meetingRequestSchema.index({ student: 1, status: 1 });
 
-module.exports = mongoose.model('MeetingRequest', meetingRequestSchema); 
\ No newline at end of file
+// A history entry for a step, recording the meeting time it leaves behind
+meetingRequestSchema.statics.historyEntry = function (action, by, { status, requestedTime, endTime, times, note } = {}) {
+    return { action, status, by, at: new Date(), requestedTime, endTime, times, note };
+};
+
+const MeetingRequest = mongoose.model('MeetingRequest', meetingRequestSchema);
+
+MeetingRequest.MEETING_STATUSES = MEETING_STATUSES;
+
+module.exports = MeetingRequest; 
\ No newline at end of file
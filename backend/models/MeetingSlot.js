@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Reservations of one office-hours slot. Created on the first accepted booking; `count` only
+// grows through a conditional update (count < capacity), which keeps slots from overbooking.
+const meetingSlotSchema = new mongoose.Schema({
+    teacher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    window: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AvailabilityWindow',
+        required: true,
+    },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    capacity: { type: Number, required: true, min: 1 },
+    count: { type: Number, default: 0, min: 0 },
+    requests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'MeetingRequest' }], // Accepted bookings
+}, { timestamps: true });
+
+// One document per teacher and start time
+meetingSlotSchema.index({ teacher: 1, startsAt: 1 }, { unique: true });
+
+module.exports = mongoose.model('MeetingSlot', meetingSlotSchema);
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+// A file sent with a message; the bytes live in the storage adapter (services/AttachmentStorage.js)
+const attachmentSchema = new mongoose.Schema({
+    fileName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    storage: { type: String, required: true }, // Adapter id, e.g. 'local'
+    storageKey: { type: String, required: true },
+    thumbnailKey: { type: String }, // Images only
+    width: { type: Number },
+    height: { type: Number },
+});
+
+// Storage details stay on the server; clients fetch files through the attachment endpoint
+attachmentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.storage;
+        delete ret.storageKey;
+        ret.hasThumbnail = Boolean(ret.thumbnailKey);
+        delete ret.thumbnailKey;
+        return ret;
+    },
+});
+
 const messageSchema = new mongoose.Schema({
     conversationId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -11,21 +34,50 @@ const messageSchema = new mongoose.Schema({
         ref: 'User',
         required: true,
     },
+    // Set for direct messages only; group messages go to every member of the conversation
     recipient: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
     },
+    // Optional when the message carries attachments
     content: {
         type: String,
-        required: true,
+        required: function () { return !(this.attachments && this.attachments.length > 0); },
         trim: true,
+        default: '',
     },
+    attachments: [attachmentSchema],
+    // Receipts per recipient: when the message reached one of their devices, and when they read it
+    deliveredTo: [
+        {
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            at: { type: Date, required: true },
+            _id: false,
+        },
+    ],
+    readBy: [
+        {
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            at: { type: Date, required: true },
+            _id: false,
+        },
+    ],
+    // Direct messages only; group read state is Conversation.readState
     read: {
         type: Boolean,
         default: false,
     },
+    // Reported or caught by the word filter; a copy is kept in MessageReport for moderators
+    flagged: {
+        type: Boolean,
+        default: false,
+    },
     // Timestamps for when the message was sent
 }, { timestamps: true });
 
+// History pages are read newest-first per conversation
+messageSchema.index({ conversationId: 1, createdAt: -1, _id: -1 });
+// Full-text search over message content
+messageSchema.index({ content: 'text' });
+
 module.exports = mongoose.model('Message', messageSchema); 
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Message = require('./Message');
+
+const REPORT_REASONS = ['inappropriate', 'bullying', 'personal_information', 'spam', 'other'];
+
+// The same shape as Message.attachments, so moderators can open the retained files
+const attachmentSchema = Message.schema.path('attachments').schema;
+
+// A report on a message or user, filed by a user or raised by the word filter
+// (services/MessageModeration.js). The reported message is copied into the report so it stays
+// reviewable after the original is deleted.
+const messageReportSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: ['user', 'filter'],
+        default: 'user',
+    },
+    // Null for word filter flags
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    reportedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Unset when a user (rather than a message) was reported
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+    },
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true,
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+    },
+    matchedTerms: [{ type: String }], // Word filter matches
+    // Copy of the reported message
+    snapshot: {
+        content: { type: String },
+        attachments: [attachmentSchema],
+        sentAt: { type: Date },
+    },
+    // The messages just before it, oldest first
+    context: [
+        {
+            sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            content: { type: String },
+            sentAt: { type: Date },
+            _id: false,
+        },
+    ],
+    // Domains of the students involved; teachers of these domains moderate the report
+    domains: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Domain' }],
+    status: {
+        type: String,
+        enum: ['open', 'dismissed', 'actioned'],
+        default: 'open',
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    reviewedAt: { type: Date },
+    resolutionNote: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+    },
+}, { timestamps: true });
+
+// The moderation queue lists reports by status, newest first
+messageReportSchema.index({ status: 1, createdAt: -1 });
+messageReportSchema.index({ domains: 1, status: 1 });
+
+const MessageReport = mongoose.model('MessageReport', messageReportSchema);
+MessageReport.REPORT_REASONS = REPORT_REASONS;
+
+module.exports = MessageReport;
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// 'meeting': meeting request changes, 'review': quizzes due for review (services/NotificationService.js)
+const NOTIFICATION_TYPES = ['system', 'message', 'assignment', 'progress', 'announcement', 'meeting', 'review'];
+
 const notificationSchema = new mongoose.Schema({
     sender: {
         type: mongoose.Schema.Types.ObjectId,
@@ -20,7 +23,7 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['system', 'message', 'assignment', 'progress', 'announcement'],
+        enum: NOTIFICATION_TYPES,
         default: 'system'
     },
     isRead: {
@@ -33,8 +36,13 @@ const notificationSchema = new mongoose.Schema({
     },
     itemModel: {
         type: String,
-        enum: ['Message', 'Chapter', 'Quiz', null]
+        enum: ['Message', 'Conversation', 'Chapter', 'Quiz', 'MeetingRequest', null]
     }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// A password reset link (see services/PasswordService.js). Only the hash of the token is kept;
+// a token works once, until it expires.
+const passwordResetTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String, default: '' },
+}, { timestamps: true });
+
+// MongoDB removes tokens a day after they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
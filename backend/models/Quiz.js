@@ -1,13 +1,59 @@
 const mongoose = require('mongoose');
+const QuizAttempt = require('./QuizAttempt');
+const QuestionTemplate = require('../services/QuestionTemplate');
+
+// A variable in a parameterized question: drawn from a range, picked from a list, or derived
+const TemplateVariableSchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Single letter, used as {name} in the question text
+  min: Number,
+  max: Number,
+  step: { type: Number, default: 1 },
+  values: [Number], // Pick one of these instead of a range
+  formula: String // Derived from earlier variables, e.g. "a*x + b"
+}, { _id: false });
+
+// Parameterized question (see services/QuestionTemplate.js)
+const TemplateSchema = new mongoose.Schema({
+  variables: [TemplateVariableSchema],
+  constraints: [String], // e.g. "a != 0", "c - b > 0"
+  answer: String, // Formula for correctAnswer, e.g. "(c-b)/a"
+  precision: { type: Number, default: 2 } // Decimals when rounding computed numbers
+}, { _id: false });
 
 const QuestionSchema = new mongoose.Schema({
   question: { type: String, required: true },
-  options: [String],
-  correctAnswer: { type: String, required: true },
+  // How the question is answered and graded (see services/QuestionGrader.js)
+  type: {
+    type: String,
+    enum: ['multiple-choice', 'multi-select', 'numeric', 'expression'],
+    default: 'multiple-choice'
+  },
+  options: [String], // Choices for multiple-choice and multi-select
+  // Single answer: the option text, the number, or the expression (e.g. "2x+2").
+  // In a template it may contain {placeholders}.
+  correctAnswer: {
+    type: String,
+    // Not needed when a template computes it
+    required: function () { return this.type !== 'multi-select' && !(this.template && this.template.answer); }
+  },
+  correctAnswers: [String], // All correct options for multi-select
+  tolerance: { type: Number, default: 0 }, // Numeric: accepted absolute difference
+  unit: String, // Numeric: expected unit, e.g. "cm"
   explanation: String,
   difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
   tags: [String], // For categorizing questions (e.g., "recall", "application", "conceptual")
-  imageUrl: String
+  imageUrl: String,
+  template: TemplateSchema // Present when the text contains {placeholders}
+});
+
+// Reject templates that cannot produce a variant before they reach students
+QuestionSchema.pre('validate', function (next) {
+  try {
+    QuestionTemplate.validate(this.toObject());
+  } catch (error) {
+    this.invalidate('template', `Invalid question template: ${error.message}`);
+  }
+  next();
 });
 
 const QuizSchema = new mongoose.Schema({
@@ -21,7 +67,44 @@ const QuizSchema = new mongoose.Schema({
     default: 'recall'
   },
   timeLimit: Number, // Time limit in minutes (optional)
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Author (optional for seeded quizzes)
   createdAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model('Quiz', QuizSchema);
+// The quiz with templated questions replaced by the variant for a seed
+QuizSchema.methods.toVariant = function (seed) {
+  const quiz = this.toObject();
+  quiz.questions = QuestionTemplate.instantiateAll(quiz.questions, seed);
+  return quiz;
+};
+
+// Strip answers and explanations from a quiz before it is sent to a student.
+// These are only revealed per question in the attempt response.
+// With a seed, templated questions are shown as that attempt's variant.
+QuizSchema.methods.toStudentView = function (seed) {
+  const quiz = seed === undefined ? this.toObject() : this.toVariant(seed);
+  quiz.questions = (quiz.questions || []).map(
+    ({ correctAnswer, correctAnswers, explanation, template, ...question }) => question
+  );
+  return quiz;
+};
+
+// Student views of several quizzes, templated questions shown as the variant of the student's
+// next attempt at each quiz (as on the single quiz view)
+QuizSchema.statics.toStudentViews = async function (quizzes, studentId) {
+  const counts = await QuizAttempt.aggregate([
+    { $match: { student: new mongoose.Types.ObjectId(String(studentId)), quiz: { $in: quizzes.map(quiz => quiz._id) } } },
+    { $group: { _id: '$quiz', count: { $sum: 1 } } }
+  ]);
+  const previous = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  return quizzes.map(quiz => quiz.toStudentView(
+    QuestionTemplate.seedFor(studentId, String(quiz._id), (previous.get(String(quiz._id)) || 0) + 1)
+  ));
+};
+
+const Quiz = mongoose.model('Quiz', QuizSchema);
+
+// Projection for queries/populates that reach students
+Quiz.STUDENT_PROJECTION = '-questions.correctAnswer -questions.correctAnswers -questions.explanation -questions.template';
+
+module.exports = Quiz;
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Answer given to a single question within an attempt
+const ResponseSchema = new mongoose.Schema({
+    question: { type: mongoose.Schema.Types.ObjectId, required: true }, // _id of the Quiz.questions subdocument
+    answer: { type: mongoose.Schema.Types.Mixed }, // What the student submitted
+    isCorrect: { type: Boolean, required: true },
+    credit: { type: Number, default: 0 }, // 0-1, partial credit for multi-select
+    timeSpent: { type: Number, default: 0 } // In seconds
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true,
+    },
+    attemptNumber: { type: Number, required: true }, // 1 for the first attempt at this quiz
+    seed: { type: Number }, // Variant of templated questions shown (see services/QuestionTemplate.js)
+    startedAt: { type: Date },
+    finishedAt: { type: Date, required: true },
+    timeSpent: { type: Number, default: 0 }, // Total, in seconds
+    responses: [ResponseSchema],
+    score: { type: Number, required: true }, // Percentage 0-100
+    correct: { type: Number, required: true },
+    total: { type: Number, required: true },
+    nextReview: { type: Date },
+    // Retention algorithm state (see services/RetentionAlgorithm.js)
+    S: { type: Number }, // Learning strength in days
+    retention: { type: Number },
+    timeSinceLastReview: { type: Number, default: 0 },
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// `date` is what the retention algorithm and older clients read
+quizAttemptSchema.virtual('date').get(function () {
+    return this.finishedAt;
+});
+
+quizAttemptSchema.index({ student: 1, quiz: 1, finishedAt: 1 });
+quizAttemptSchema.index({ student: 1, finishedAt: -1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
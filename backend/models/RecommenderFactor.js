@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Latent factors of one user or item in a trained recommendation model.
+// Items are keyed "<type>:<id>", e.g. "quiz:64f..." or "chapter:64f...".
+const recommenderFactorSchema = new mongoose.Schema({
+    model: { type: String, required: true }, // RecommenderModel name
+    version: { type: Number, required: true }, // RecommenderModel version these factors belong to
+    kind: { type: String, enum: ['user', 'item'], required: true },
+    key: { type: String, required: true }, // User ID, or item key
+    bias: { type: Number, default: 0 },
+    factors: [Number],
+});
+
+recommenderFactorSchema.index({ model: 1, version: 1, kind: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('RecommenderFactor', recommenderFactorSchema);
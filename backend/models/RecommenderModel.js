@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Metadata of the trained recommendation model (see services/Recommender.js).
+// There is one document per model name; `version` points at the current set of RecommenderFactor rows.
+const recommenderModelSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true }, // 'content'
+    version: { type: Number, required: true }, // Incremented on every training run
+    numFactors: { type: Number, required: true },
+    globalMean: { type: Number, required: true }, // Mean rating, the baseline prediction
+    ratings: { type: Number, default: 0 }, // Number of user-item ratings trained on
+    users: { type: Number, default: 0 },
+    items: { type: Number, default: 0 },
+    rmse: { type: Number }, // Training error of the last epoch
+    trainedAt: { type: Date, required: true },
+}, { timestamps: true });
+
+module.exports = mongoose.model('RecommenderModel', recommenderModelSchema);
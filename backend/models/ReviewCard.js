@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Per-question memory state for spaced repetition.
+// One card per (student, quiz, question); updated every time the student answers that question.
+const reviewCardSchema = new mongoose.Schema({
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true,
+    },
+    // _id of the question subdocument inside Quiz.questions
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // Name of the scheduler that produced this state (see services/QuestionScheduler.js)
+    algorithm: {
+        type: String,
+        required: true,
+    },
+    stability: { type: Number, default: 0 }, // Days until retention decays to the review threshold
+    difficulty: { type: Number, default: 0 }, // Algorithm-specific (e.g. SM-2 ease factor)
+    reps: { type: Number, default: 0 }, // Consecutive correct reviews
+    lapses: { type: Number, default: 0 }, // Times the card was forgotten after being learned
+    lastGrade: { type: Number }, // Score of the last answer (0-100)
+    lastReview: { type: Date },
+    due: { type: Date, required: true },
+}, { timestamps: true });
+
+reviewCardSchema.index({ student: 1, quiz: 1, question: 1 }, { unique: true });
+// Index for the daily "due cards" query
+reviewCardSchema.index({ student: 1, due: 1 });
+
+module.exports = mongoose.model('ReviewCard', reviewCardSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Run state of a background job (see services/JobScheduler.js). One document per job name,
+// shared by every server instance: the lock fields make sure only one of them runs a job at a time.
+const scheduledJobSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    schedule: { type: String, required: true }, // Cron expression, or "every <n>ms" for interval jobs
+    enabled: { type: Boolean, default: true },
+    nextRunAt: { type: Date, required: true },
+    // Held by the instance running the job until it finishes or lockedUntil passes
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    attempts: { type: Number, default: 0 }, // Consecutive failures of the current run, reset on success
+    lastRunAt: { type: Date },
+    lastFinishedAt: { type: Date },
+    lastDurationMs: { type: Number },
+    lastStatus: { type: String, enum: ['running', 'succeeded', 'retrying', 'failed'] },
+    lastError: { type: String },
+    lastResult: { type: mongoose.Schema.Types.Mixed }, // Whatever the handler returned
+    runCount: { type: Number, default: 0 },
+    failureCount: { type: Number, default: 0 },
+}, { timestamps: true });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A signed-in device (see services/SessionService.js). Access tokens name their session, so
+// revoking it ends them too; the refresh token changes on every use and only its hash is kept.
+const sessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    // The token the current one replaced: presenting it again means it was copied
+    previousTokenHash: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, enum: ['logout', 'logout_all', 'revoked', 'reuse', 'account_deleted', 'password_changed', 'password_reset'] },
+}, { timestamps: true });
+
+// MongoDB removes sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
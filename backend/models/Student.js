@@ -8,6 +8,8 @@ const StudentSchema = new mongoose.Schema({
             session_start: { type: Date, required: true },
         },
     ],
+    // Legacy: attempts now live in the QuizAttempt collection.
+    // Kept so scripts/migrateQuizAttempts.js can move existing data across.
     quizAttempts: [
         {
             quiz: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', required: true },
@@ -15,7 +17,11 @@ const StudentSchema = new mongoose.Schema({
             score: { type: Number, required: true },
             correct: { type: Number, required: true },
             total: { type: Number, required: true },
-            nextReview: { type: Date }
+            nextReview: { type: Date },
+            // Retention algorithm state (see services/RetentionAlgorithm.js)
+            S: { type: Number }, // Learning strength in days
+            retention: { type: Number },
+            timeSinceLastReview: { type: Number, default: 0 }
         }
     ]
 });
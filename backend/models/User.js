@@ -1,11 +1,36 @@
 const mongoose = require('mongoose');
 
+// What each role may do is in config/permissions.js
+const ROLES = ['student', 'teacher', 'admin', 'guardian'];
+
 const UserSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ['student', 'teacher'], required: true },
+    role: { type: String, enum: ROLES, required: true },
     birthday: { type: Date, required: true }, // Existing field
+    // Users this user has blocked: no direct messages either way. Private, so not selected by default.
+    blockedUsers: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], select: false },
+    // SHA-256 hash of the secret in the user's calendar feed URL (services/CalendarFeed.js). Private, so not selected by default.
+    calendarTokenHash: { type: String, select: false, index: { unique: true, sparse: true } },
+    // What reaches the user as notifications (services/NotificationService.js). Private, so not selected by default.
+    notificationPreferences: {
+        type: {
+            _id: false,
+            mutedTypes: [String],
+            quietHours: {
+                start: String, // "HH:MM"; no quiet hours without both ends
+                end: String,
+                timezone: { type: String, default: 'UTC' }
+            },
+            weeklyDigest: { type: Boolean, default: true } // Weekly progress email (services/ProgressDigest.js)
+        },
+        select: false
+    },
+    lastDigestSentAt: { type: Date, select: false },
 });
 
-module.exports = mongoose.model('User', UserSchema);
+const User = mongoose.model('User', UserSchema);
+User.ROLES = ROLES;
+
+module.exports = User;
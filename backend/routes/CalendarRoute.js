@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+    getFeed,
+    getFeedUrl,
+    rotateFeedUrl
+} = require('../controllers/CalendarController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Calendar apps: the feed, authorized by the token in the URL
+router.get('/feed/:token.ics', getFeed);
+
+// The feed URL of the logged-in user
+router.get('/feed-url', authenticateToken, getFeedUrl);
+router.post('/feed-url/rotate', authenticateToken, rotateFeedUrl);
+
+module.exports = router;
@@ -4,8 +4,12 @@ const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Student = require('../models/Student');
 const Tree = require('../models/Tree');
-const jwt = require('jsonwebtoken');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const SessionService = require('../services/SessionService');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const StudentStats = require('../services/StudentStats');
+const MessagingPolicy = require('../services/MessagingPolicy');
 
 // Helper function to calculate age
 const calculateAge = (birthday) => {
@@ -19,68 +23,6 @@ const calculateAge = (birthday) => {
     return age;
 };
 
-const calculateStudyHours = (studies) => {
-    if (!studies || studies.length === 0) return 0;
-    
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
-    
-    // Filter studies from current month
-    const currentMonthStudies = studies.filter(study => {
-        const studyDate = new Date(study.session_start);
-        return studyDate.getMonth() === currentMonth && studyDate.getFullYear() === currentYear;
-    });
-    
-    return currentMonthStudies.length;
-};
-
-const calculateActiveStreak = (studies) => {
-    if (!studies || studies.length === 0) return 0;
-    
-    // Sort studies by date (most recent first)
-    const sortedStudies = [...studies].sort((a, b) => 
-        new Date(b.session_start) - new Date(a.session_start)
-    );
-    
-    // Get unique dates (considering a day as studied if there's at least one session)
-    const studyDates = new Set();
-    sortedStudies.forEach(study => {
-        const date = new Date(study.session_start);
-        studyDates.add(`${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`);
-    });
-    
-    const dateArray = Array.from(studyDates).map(dateStr => {
-        const [year, month, day] = dateStr.split('-').map(Number);
-        return new Date(year, month, day);
-    }).sort((a, b) => b - a); // Sort descending (newest first)
-    
-    // Calculate streak
-    let streak = 0;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Start with today or most recent study day
-    let currentDate = dateArray[0] > today ? dateArray[0] : today;
-    
-    for (const date of dateArray) {
-        const daysDiff = Math.floor((currentDate - date) / (1000 * 60 * 60 * 24));
-        
-        if (daysDiff <= 1) {
-            // Consecutive day - increase streak
-            if (daysDiff === 1) streak++;
-            else if (daysDiff === 0 && streak === 0) streak = 1;
-            
-            currentDate = date;
-        } else {
-            // Break in streak
-            break;
-        }
-    }
-    
-    return streak;
-};
-
 // GET route for student dashboard - support both token and email/password
 router.get('/student', authenticateToken, async (req, res) => {
     try {
@@ -93,10 +35,7 @@ router.get('/student', authenticateToken, async (req, res) => {
             user = await Student.findById(req.user.id)
                 .populate({
                     path: 'studies.chapter',
-                    populate: { path: 'quizzes' }
-                })
-                .populate({
-                    path: 'quizAttempts.quiz'
+                    populate: { path: 'quizzes', select: Quiz.STUDENT_PROJECTION }
                 });
             
             if (!user) {
@@ -116,10 +55,7 @@ router.get('/student', authenticateToken, async (req, res) => {
             user = await Student.findOne({ email })
                 .populate({
                     path: 'studies.chapter',
-                    populate: { path: 'quizzes' }
-                })
-                .populate({
-                    path: 'quizAttempts.quiz'
+                    populate: { path: 'quizzes', select: Quiz.STUDENT_PROJECTION }
                 });
             
             if (!user) {
@@ -143,12 +79,18 @@ router.get('/student', authenticateToken, async (req, res) => {
         // Calculate the student's age
         const age = calculateAge(user.birthday);
 
-        // Fetch tree data with fully populated chapters including quizzes
+        // Quiz attempts, oldest first (per-question responses are served by /api/quizzes/attempts/:attemptId)
+        const quizAttempts = await QuizAttempt.find({ student: user._id })
+            .select('-responses')
+            .sort({ finishedAt: 1 })
+            .populate({ path: 'quiz', select: Quiz.STUDENT_PROJECTION });
+
+        // Fetch tree data with fully populated chapters including quizzes (answers stripped)
         const tree = await Tree.findOne().populate({
             path: 'ageRanges.domains',
             populate: { 
                 path: 'chapters',
-                populate: { path: 'quizzes' }
+                populate: { path: 'quizzes', select: Quiz.STUDENT_PROJECTION }
             }
         });
 
@@ -169,17 +111,7 @@ router.get('/student', authenticateToken, async (req, res) => {
             });
         }
 
-        // Calculate stats for the student - now including quiz stats
-        const stats = {
-            totalSessions: user.studies?.length || 0,
-            uniqueChapters: user.studies ? [...new Set(user.studies.map(s => s.chapter?._id?.toString()))].length : 0,
-            lastStudySession: user.studies?.length > 0 ? user.studies[user.studies.length - 1].session_start : null,
-            studyHoursThisMonth: calculateStudyHours(user.studies || []),
-            activeStreak: calculateActiveStreak(user.studies || []),
-            // Add quiz stats
-            quizAttempts: user.quizAttempts?.length || 0,
-            quizAvgScore: calculateQuizAverage(user.quizAttempts || [])
-        };
+        const stats = await StudentStats.summarize(user, quizAttempts);
 
         const response = {
             studentName: user.name,
@@ -188,7 +120,7 @@ router.get('/student', authenticateToken, async (req, res) => {
             domains: matchingRange.domains,
             stats,
             studies: user.studies || [],
-            quizAttempts: user.quizAttempts || []
+            quizAttempts
         };
 
         res.status(200).json(response);
@@ -201,14 +133,6 @@ router.get('/student', authenticateToken, async (req, res) => {
     }
 });
 
-// Helper function to calculate quiz average score
-const calculateQuizAverage = (quizAttempts) => {
-    if (!quizAttempts || quizAttempts.length === 0) return 0;
-    
-    const totalScore = quizAttempts.reduce((sum, attempt) => sum + attempt.score, 0);
-    return Math.round(totalScore / quizAttempts.length);
-};
-
 // Add route to get teachers for a specific student - based on domains they're studying
 router.get('/student/teachers', async (req, res) => {
     try {
@@ -219,7 +143,7 @@ router.get('/student/teachers', async (req, res) => {
             return res.status(401).json({ message: 'Authentication required' });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = await SessionService.verifyAccessToken(token);
         const studentId = decoded.id;
 
         // Get student details
@@ -228,54 +152,12 @@ router.get('/student/teachers', async (req, res) => {
             return res.status(403).json({ message: 'Access denied' });
         }
 
-        // Calculate student's age
-        const age = calculateAge(student.birthday);
-        
-        // Find the tree data with domains for this age
-        const tree = await Tree.findOne().populate({
-            path: 'ageRanges.domains'
-        });
-
-        if (!tree) {
-            return res.status(404).json({ message: 'No learning content available' });
-        }
-
-        // Find matching age range
-        const matchingRange = tree.ageRanges.find(range => {
-            const [min, max] = range.range.split('-').map(Number);
-            return age >= min && age <= max;
-        });
-
-        if (!matchingRange) {
-            return res.status(404).json({ message: `No content available for age ${age}` });
-        }
-
-        // Get domain IDs for the student's age range
-        const domainIds = matchingRange.domains.map(d => d._id.toString());
-
-        // Find teachers
-        const teachers = await User.find({ role: 'teacher' })
-            .select('-password')
-            .lean();
-
-        // Assign domains to teachers randomly (in real app would be from database)
-        const teachersWithDomains = teachers.map((teacher, index) => {
-            // Assign different domains to different teachers
-            let assignedDomains;
-            if (index === teachers.length - 1) {
-                // Last teacher gets all domains (as a specialist)
-                assignedDomains = [...domainIds];
-            } else {
-                // Other teachers get a subset of domains
-                assignedDomains = domainIds.filter((_, i) => i % teachers.length === index);
-            }
-            
-            return {
-                ...teacher,
-                domains: assignedDomains,
-                bio: `Experienced educator specializing in ${teacher.subject || "Mathematics"}.`
-            };
-        });
+        // Only teachers assigned to the student's domains; they are the ones the student may message
+        const teachers = await MessagingPolicy.getTeachersForStudent(studentId);
+        const teachersWithDomains = teachers.map(teacher => ({
+            ...teacher,
+            bio: `Experienced educator specializing in ${teacher.subject || "Mathematics"}.`
+        }));
 
         res.status(200).json(teachersWithDomains);
     } catch (error) {
@@ -359,8 +241,8 @@ router.post('/student/study', authenticateToken, async (req, res) => {
             totalSessions: student.studies.length,
             uniqueChapters: [...new Set(student.studies.map(s => s.chapter.toString()))].length,
             lastStudySession: sessionTimestamp,
-            studyHoursThisMonth: calculateStudyHours(student.studies),
-            activeStreak: calculateActiveStreak(student.studies)
+            studyHoursThisMonth: StudentStats.calculateStudyHours(student.studies),
+            activeStreak: StudentStats.calculateActiveStreak(student.studies)
         };
 
         res.status(200).json({ 
@@ -448,15 +330,27 @@ router.get('/teacher/performance', authenticateToken, async (req, res) => {
         // Get all students who have studied these chapters
         const students = await require('../models/Student').find({ 'studies.chapter': { $in: chapterIds } })
             .populate('studies.chapter')
-            .populate('quizAttempts.quiz')
             .lean();
 
+        // Quiz attempts of those students, grouped by student
+        const attempts = await QuizAttempt.find({ student: { $in: students.map(s => s._id) } })
+            .select('-responses')
+            .populate('quiz')
+            .lean();
+        const attemptsByStudent = {};
+        for (const attempt of attempts) {
+            const key = attempt.student.toString();
+            if (!attemptsByStudent[key]) attemptsByStudent[key] = [];
+            attemptsByStudent[key].push(attempt);
+        }
+
         // Build a list of recent quiz attempts and study sessions
         let performance = [];
         for (const student of students) {
             // Recent quiz attempts in teacher's domains
-            if (student.quizAttempts) {
-                for (const qa of student.quizAttempts) {
+            const studentAttempts = attemptsByStudent[student._id.toString()];
+            if (studentAttempts) {
+                for (const qa of studentAttempts) {
                     if (qa.quiz && chapterIds.includes(qa.quiz.chapter?.toString())) {
                         performance.push({
                             type: 'quiz',
@@ -467,7 +361,7 @@ router.get('/teacher/performance', authenticateToken, async (req, res) => {
                             score: qa.score,
                             correct: qa.correct,
                             total: qa.total,
-                            date: qa.date,
+                            date: qa.finishedAt,
                             domainName: qa.quiz.chapter?.domain?.name || '',
                             chapterName: qa.quiz.chapter?.name || '',
                         });
@@ -512,6 +406,11 @@ router.get('/analytics/peer-usage/:chapterId', authenticateToken, async (req, re
             _id: { $ne: userId } // Exclude the requesting user
         }).limit(10).lean();
 
+        const peerAttempts = await QuizAttempt.find({ student: { $in: students.map(s => s._id) } })
+            .select('student quiz score finishedAt')
+            .sort({ finishedAt: 1 })
+            .lean();
+
         // Generate simulated usage data for peers - in a real app this would be fetched from a database
         const peerUsageData = students.map(student => {
             // Create simulated click counts based on student's name hash for demo purposes
@@ -527,15 +426,12 @@ router.get('/analytics/peer-usage/:chapterId', authenticateToken, async (req, re
                 clickCounts[contentId] = Math.floor((nameHash % 10) + (contentId.charCodeAt(0) % 5));
             });
             
-            // Generate performance scores for quizzes
-            if (student.quizAttempts) {
-                student.quizAttempts.forEach(attempt => {
-                    const quizId = attempt.quiz?.toString();
-                    if (quizId) {
-                        performanceScores[quizId] = attempt.score;
-                    }
+            // Generate performance scores for quizzes (latest attempt wins)
+            peerAttempts
+                .filter(attempt => attempt.student.toString() === student._id.toString())
+                .forEach(attempt => {
+                    performanceScores[attempt.quiz.toString()] = attempt.score;
                 });
-            }
             
             return {
                 userId: student._id,
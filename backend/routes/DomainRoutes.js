@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const domainController = require('../controllers/DomainController');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/roleMiddleware');
 
 // Get all domains
 router.get('/', authenticateToken, domainController.getAllDomains);
@@ -9,13 +10,13 @@ router.get('/', authenticateToken, domainController.getAllDomains);
 // Get domain by ID
 router.get('/:id', authenticateToken, domainController.getDomainById);
 
-// Create a new domain (protected, only for admins/teachers)
-router.post('/', authenticateToken, domainController.createDomain);
+// Admin: Create a new domain
+router.post('/', authenticateToken, authorize('curriculum:manage'), domainController.createDomain);
 
-// Update a domain
-router.put('/:id', authenticateToken, domainController.updateDomain);
+// Admin: Update a domain
+router.put('/:id', authenticateToken, authorize('curriculum:manage'), domainController.updateDomain);
 
-// Delete a domain
-router.delete('/:id', authenticateToken, domainController.deleteDomain);
+// Admin: Delete a domain (also removed from the Tree and from teachers)
+router.delete('/:id', authenticateToken, authorize('curriculum:manage'), domainController.deleteDomain);
 
 module.exports = router;
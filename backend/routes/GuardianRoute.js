@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+    createInvite,
+    getGuardians,
+    removeGuardian,
+    getStudents,
+    linkStudent,
+    unlinkStudent,
+    getStudentDashboard,
+    getTeachers
+} = require('../controllers/GuardianController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Guardian: followed students, their dashboards and their teachers
+router.get('/students', authorize('students:follow'), getStudents);
+router.post('/students', authorize('students:follow'), linkStudent);
+router.delete('/students/:studentId', authorize('students:follow'), unlinkStudent);
+router.get('/students/:studentId/dashboard', authorize('students:follow'), getStudentDashboard);
+router.get('/teachers', authorize('students:follow'), getTeachers);
+
+// Student: invite codes and the guardians following them
+router.post('/invites', authorize('guardians:invite'), createInvite);
+router.get('/', authorize('guardians:invite'), getGuardians);
+router.delete('/:guardianId', authorize('guardians:invite'), removeGuardian);
+
+module.exports = router;
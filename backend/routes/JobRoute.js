@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+    getJobs,
+    runJob,
+    updateJob
+} = require('../controllers/JobController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const router = express.Router();
+
+// Admin: Background job status and control
+router.use(authenticateToken, authorize('jobs:manage'));
+
+router.get('/', getJobs);
+router.post('/:name/run', runJob);
+router.patch('/:name', updateJob);
+
+module.exports = router;
@@ -2,33 +2,69 @@ const express = require('express');
 const {
     createMeetingRequest,
     getPendingRequestsForTeacher,
+    getTeacherMeetings,
     getMyRequests,
     updateRequestStatus,
-    cancelRequest
+    cancelRequest,
+    counterProposeRequest,
+    proposeReschedule,
+    acceptProposal,
+    closeProposal,
+    getMeetingCalendar,
+    getMyAvailability,
+    createAvailabilityWindow,
+    updateAvailabilityWindow,
+    deleteAvailabilityWindow,
+    getTeacherSlots
 } = require('../controllers/MeetingRequestController');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const { authorizeRole } = require('../middleware/roleMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
 const router = express.Router();
 
 // All meeting routes require authentication
 router.use(authenticateToken);
 
-// Student: Create a request
-router.post('/', authorizeRole('student'), createMeetingRequest);
+// Student: Book an office-hours slot
+router.post('/', authorize('meetings:request'), createMeetingRequest);
 
 // Student: Get my requests
-router.get('/my-requests', authorizeRole('student'), getMyRequests);
+router.get('/my-requests', authorize('meetings:request'), getMyRequests);
 
-// Student: Cancel a request
-router.patch('/:requestId/cancel', authorizeRole('student'), cancelRequest);
+// Student or teacher: Cancel an open request or accepted meeting
+router.patch('/:requestId/cancel', cancelRequest);
+
+// Teacher: Propose other times for a pending request
+router.patch('/:requestId/counter', authorize('meetings:host'), counterProposeRequest);
+
+// Student or teacher: Propose new times for an accepted meeting
+router.patch('/:requestId/reschedule', proposeReschedule);
+
+// Student or teacher: Accept a proposed time, or withdraw/decline the open proposal
+router.patch('/:requestId/proposal/accept', acceptProposal);
+router.delete('/:requestId/proposal', closeProposal);
+
+// Student or teacher: Download an accepted meeting for a calendar app
+router.get('/:requestId/calendar.ics', getMeetingCalendar);
 
 // Teacher: Get pending requests
-router.get('/pending', authorizeRole('teacher'), getPendingRequestsForTeacher);
+router.get('/pending', authorize('meetings:host'), getPendingRequestsForTeacher);
 
 // Teacher: Update request status (accept/reject)
-router.patch('/:requestId/status', authorizeRole('teacher'), updateRequestStatus);
+router.patch('/:requestId/status', authorize('meetings:host'), updateRequestStatus);
 
 // Teacher: Get all meeting requests
-router.get('/teacher/requests', authorizeRole('teacher'), getPendingRequestsForTeacher);
+router.get('/teacher/requests', authorize('meetings:host'), getPendingRequestsForTeacher);
+
+// Teacher: Get pending requests and upcoming accepted meetings
+router.get('/teacher/meetings', authorize('meetings:host'), getTeacherMeetings);
+
+// Teacher: Manage office hours
+router.get('/availability', authorize('meetings:host'), getMyAvailability);
+router.post('/availability', authorize('meetings:host'), createAvailabilityWindow);
+router.put('/availability/:windowId', authorize('meetings:host'), updateAvailabilityWindow);
+router.delete('/availability/:windowId', authorize('meetings:host'), deleteAvailabilityWindow);
+
+// Bookable slots of a teacher
+router.get('/teachers/:teacherId/slots', getTeacherSlots);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
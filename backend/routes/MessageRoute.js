@@ -3,8 +3,25 @@ const {
     getConversations,
     getMessages,
     sendMessage,
+    createGroup,
+    updateGroup,
+    addGroupMembers,
+    removeGroupMember,
+    getAttachment,
+    markConversationRead,
+    searchMessages,
+    getUnreadCount,
+    getBlockedUsers,
+    blockUser,
+    unblockUser,
+    createReport,
+    getModerationQueue,
+    resolveReport,
+    getReportAttachment,
 } = require('../controllers/MessageController');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { uploadAttachments } = require('../middleware/uploadMiddleware');
 const router = express.Router();
 
 // All message routes require authentication
@@ -13,10 +30,53 @@ router.use(authenticateToken);
 // Get all conversations for the logged-in user
 router.get('/conversations', getConversations);
 
-// Get messages for a specific conversation
+// Get a page of messages for a specific conversation (?before=<messageId>&limit=)
 router.get('/conversations/:conversationId', getMessages);
 
-// Send a new message
-router.post('/', sendMessage);
+// Mark a conversation as read, up to a message ({ upTo }) or up to now
+router.patch('/conversations/:conversationId/read', markConversationRead);
+
+// Unread message counts, total and per conversation
+router.get('/unread/count', getUnreadCount);
+
+// Full-text search across the user's conversations (?q=&limit=&offset=)
+router.get('/search', searchMessages);
+
+// Send a new message, optionally with image/PDF attachments (multipart field "attachments")
+router.post('/', uploadAttachments, sendMessage);
+
+// Download an attachment (conversation participants only)
+router.get('/attachments/:messageId/:attachmentId', getAttachment);
+
+// Create a study group or class channel (teachers only)
+router.post('/groups', authorize('messages:groups'), createGroup);
+
+// Rename a group (group admins)
+router.put('/groups/:conversationId', updateGroup);
+
+// Add members to a group (group admins)
+router.post('/groups/:conversationId/members', addGroupMembers);
+
+// Remove a member from a group (group admins, or the member leaving)
+router.delete('/groups/:conversationId/members/:userId', removeGroupMember);
+
+// Users the logged-in user has blocked
+router.get('/blocks', getBlockedUsers);
+
+// Block or unblock a user (no direct messages either way while blocked)
+router.post('/blocks/:userId', blockUser);
+router.delete('/blocks/:userId', unblockUser);
+
+// Report a message or a user: { messageId | userId, reason, details, block }
+router.post('/reports', createReport);
+
+// Moderation queue of reported and filter-flagged messages (teachers and admins)
+router.get('/moderation/reports', authorize('messages:moderate'), getModerationQueue);
+
+// Close a report: { status: 'dismissed' | 'actioned', note } (teachers and admins)
+router.patch('/moderation/reports/:reportId', authorize('messages:moderate'), resolveReport);
+
+// Download a file retained with a report (teachers and admins)
+router.get('/moderation/reports/:reportId/attachments/:attachmentId', authorize('messages:moderate'), getReportAttachment);
 
 module.exports = router; 
\ No newline at end of file
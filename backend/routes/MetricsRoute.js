@@ -0,0 +1,38 @@
+const express = require('express');
+const {
+    recordInteraction,
+    recordTimeSpent,
+    recordDifficultyRating,
+    recordComprehensionLevel,
+    recordSession,
+    recordBatch,
+    recordRetry,
+    getLearningStats,
+    getLearningPatterns
+} = require('../controllers/MetricsController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const router = express.Router();
+
+// Metrics are always recorded for the logged-in user, whatever userId the client sends
+router.use(authenticateToken);
+
+// POST /api/metrics/batch - Record many events in one request (preferred)
+router.post('/batch', recordBatch);
+
+// Single-event endpoints used by UserMetricsService
+router.post('/interaction', recordInteraction);
+router.post('/timeSpent', recordTimeSpent);
+router.post('/difficultyRating', recordDifficultyRating);
+router.post('/comprehensionLevel', recordComprehensionLevel);
+router.post('/session', recordSession);
+
+// POST /api/metrics/bulkUpdate - Replay of a request that failed earlier
+router.post('/bulkUpdate', recordRetry);
+
+// GET /api/metrics/learningStats - Summary for the recommendations panel
+router.get('/learningStats', getLearningStats);
+
+// GET /api/metrics/learningPatterns?days=30 - Activity by hour/weekday, sessions, time by content type
+router.get('/learningPatterns', getLearningPatterns);
+
+module.exports = router;
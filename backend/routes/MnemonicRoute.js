@@ -7,11 +7,11 @@ const {
     deleteMnemonic
 } = require('../controllers/MnemonicController');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const { authorizeRole } = require('../middleware/roleMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
 const router = express.Router();
 
 // All mnemonic routes require teacher authentication
-router.use(authenticateToken, authorizeRole('teacher'));
+router.use(authenticateToken, authorize('mnemonics:manage'));
 
 // GET /api/mnemonics - Get all mnemonics for the logged-in teacher
 router.get('/', getMyMnemonics);
@@ -2,8 +2,14 @@ const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/NotificationController');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/roleMiddleware');
 
-// All routes require authentication
+// Public (signed token in the link): Unsubscribe from the weekly digest email. GET only shows a
+// confirmation page; the POST unsubscribes.
+router.get('/digest/unsubscribe', notificationController.confirmDigestUnsubscribe);
+router.post('/digest/unsubscribe', express.urlencoded({ extended: false }), notificationController.unsubscribeDigest);
+
+// All other routes require authentication
 router.use(authenticateToken);
 
 // Get all notifications for the current user
@@ -12,19 +18,26 @@ router.get('/', notificationController.getNotifications);
 // Get unread notification count
 router.get('/unread-count', notificationController.getUnreadCount);
 
-// Create a new notification
-router.post('/', notificationController.createNotification);
+// Notification preferences: muted types and quiet hours
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', notificationController.updatePreferences);
 
-// Mark a notification as read
-router.put('/:id/read', notificationController.markAsRead);
+// Student: Preview this week's digest email
+router.get('/digest/preview', authorize('digest:preview'), notificationController.previewDigest);
+
+// Teacher: Send an assignment or announcement to students
+router.post('/', authorize('notifications:send'), notificationController.createNotification);
 
 // Mark all notifications as read
 router.put('/mark-all-read', notificationController.markAllAsRead);
 
-// Delete a notification
-router.delete('/:id', notificationController.deleteNotification);
+// Mark a notification as read
+router.put('/:id/read', notificationController.markAsRead);
 
-// Delete all read notifications
+// Delete all read notifications (before '/:id' so 'read' is not taken for an ID)
 router.delete('/read', notificationController.deleteAllRead);
 
+// Delete a notification
+router.delete('/:id', notificationController.deleteNotification);
+
 module.exports = router;
\ No newline at end of file
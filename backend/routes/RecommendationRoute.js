@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+    getRecommendations,
+    getPersonalizedRecommendations,
+    getModelStatus,
+    trainModel
+} = require('../controllers/RecommendationController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const router = express.Router();
+
+// GET /api/recommendations?chapterId=...&limit=10 - Recommendations for the logged-in student
+router.get('/', authenticateToken, getRecommendations);
+
+// GET /api/recommendations/personalized - Collaborative recommendations only (empty for new students)
+router.get('/personalized', authenticateToken, getPersonalizedRecommendations);
+
+// GET /api/recommendations/model - Current model metadata
+router.get('/model', authenticateToken, authorize('recommender:manage'), getModelStatus);
+
+// POST /api/recommendations/train - Retrain on all students now
+router.post('/train', authenticateToken, authorize('recommender:manage'), trainModel);
+
+module.exports = router;
@@ -8,19 +8,19 @@ const {
     removeDomainFromAgeRange
 } = require('../controllers/TreeController'); // Ensure the path and function names are correct
 const { authenticateToken } = require('../middleware/authMiddleware'); // Import authentication middleware
-const { authorizeRole } = require('../middleware/roleMiddleware');   // Import role authorization middleware
+const { authorize } = require('../middleware/roleMiddleware');   // Import permission middleware
 const router = express.Router();
 
 // Public route to get tree structure (e.g., for students)
 router.get('/', getTree);
 
-// Teacher-only routes for managing the tree structure
-router.post('/', authenticateToken, authorizeRole('teacher'), addTreeNode);
-router.put('/:id', authenticateToken, authorizeRole('teacher'), updateTreeNode);
-router.delete('/:id', authenticateToken, authorizeRole('teacher'), deleteTreeNode);
+// Admin: managing the tree structure
+router.post('/', authenticateToken, authorize('curriculum:manage'), addTreeNode);
+router.put('/:id', authenticateToken, authorize('curriculum:manage'), updateTreeNode);
+router.delete('/:id', authenticateToken, authorize('curriculum:manage'), deleteTreeNode);
 
 // Routes to manage domains within a specific age range
-router.post('/:treeId/agerange/:rangeId/domains', authenticateToken, authorizeRole('teacher'), addDomainToAgeRange);
-router.delete('/:treeId/agerange/:rangeId/domains/:domainId', authenticateToken, authorizeRole('teacher'), removeDomainFromAgeRange);
+router.post('/:treeId/agerange/:rangeId/domains', authenticateToken, authorize('curriculum:manage'), addDomainToAgeRange);
+router.delete('/:treeId/agerange/:rangeId/domains/:domainId', authenticateToken, authorize('curriculum:manage'), removeDomainFromAgeRange);
 
 module.exports = router;
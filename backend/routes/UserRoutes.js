@@ -10,7 +10,6 @@ const jwt = require('jsonwebtoken');
 // Public routes
 router.post('/register', userController.register);
 router.post('/login', userController.login);
-router.get('/role/:email', userController.getUserRole);
 
 // Protected routes
 router.get('/', authenticateToken, userController.getUsers);
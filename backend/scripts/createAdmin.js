@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+require('dotenv').config();
+
+// Creates an admin account, or makes an existing account an admin. Admins cannot sign up, so
+// the first one comes from here; later ones can be appointed in the admin console.
+// Usage: node scripts/createAdmin.js <email> [name]
+//   The password is read from ADMIN_PASSWORD (required for a new account).
+
+const [email, name = 'Administrator'] = process.argv.slice(2);
+
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/DBC');
+        console.log('MongoDB connected...');
+    } catch (err) {
+        console.error('MongoDB connection error:', err);
+        process.exit(1);
+    }
+};
+
+const createAdmin = async () => {
+    if (!email) {
+        console.error('Usage: node scripts/createAdmin.js <email> [name]');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    try {
+        const existing = await User.findOne({ email });
+        if (existing) {
+            await User.updateOne({ _id: existing._id }, { $set: { role: 'admin' } });
+            console.log(`${email} is now an admin (was ${existing.role})`);
+            return;
+        }
+
+        if (!process.env.ADMIN_PASSWORD) {
+            console.error('Set ADMIN_PASSWORD to create a new account');
+            process.exitCode = 1;
+            return;
+        }
+        await User.create({
+            name,
+            email,
+            password: await bcrypt.hash(process.env.ADMIN_PASSWORD, 10),
+            role: 'admin',
+            birthday: new Date('1970-01-01') // Required by the schema; not used for admins
+        });
+        console.log(`Admin ${email} created`);
+    } catch (error) {
+        console.error('Error creating admin:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+};
+
+createAdmin();
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const QuizAttempt = require('../models/QuizAttempt');
+require('dotenv').config();
+
+// Moves attempts embedded in Student.quizAttempts into the QuizAttempt collection.
+// Usage: node scripts/migrateQuizAttempts.js [--keep]
+//   --keep  leave the embedded array in place (default clears it once copied)
+// Safe to re-run: students whose embedded array is empty are skipped.
+
+const keepEmbedded = process.argv.includes('--keep');
+
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/DBC');
+        console.log('MongoDB connected...');
+    } catch (err) {
+        console.error('MongoDB connection error:', err);
+        process.exit(1);
+    }
+};
+
+const migrateStudent = async (student) => {
+    const existing = await QuizAttempt.find({ student: student._id })
+        .select('quiz finishedAt attemptNumber')
+        .lean();
+    const alreadyMigrated = new Set(existing.map(attempt => (
+        `${attempt.quiz.toString()}:${new Date(attempt.finishedAt).getTime()}`
+    )));
+
+    const docs = [];
+    for (const attempt of student.quizAttempts) {
+        if (!attempt.quiz || !attempt.date) continue;
+
+        // Skip attempts copied by an earlier --keep run
+        if (alreadyMigrated.has(`${attempt.quiz.toString()}:${new Date(attempt.date).getTime()}`)) continue;
+
+        docs.push({
+            student: student._id,
+            quiz: attempt.quiz,
+            attemptNumber: 0, // Set below
+            finishedAt: attempt.date,
+            responses: [], // Per-question data was never recorded for embedded attempts
+            score: attempt.score,
+            correct: attempt.correct,
+            total: attempt.total,
+            nextReview: attempt.nextReview,
+            S: attempt.S,
+            retention: attempt.retention,
+            timeSinceLastReview: attempt.timeSinceLastReview || 0
+        });
+    }
+
+    // Number existing and migrated attempts together, per quiz in the order they were taken, so
+    // older embedded attempts come before attempts already in the collection
+    const byQuiz = {};
+    for (const attempt of [...existing, ...docs]) {
+        const quizId = attempt.quiz.toString();
+        (byQuiz[quizId] = byQuiz[quizId] || []).push(attempt);
+    }
+    const renumbered = [];
+    for (const attempts of Object.values(byQuiz)) {
+        attempts
+            .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+            .forEach((attempt, index) => {
+                const attemptNumber = index + 1;
+                if (attempt._id && attempt.attemptNumber !== attemptNumber) {
+                    renumbered.push({
+                        updateOne: { filter: { _id: attempt._id }, update: { $set: { attemptNumber } } }
+                    });
+                }
+                attempt.attemptNumber = attemptNumber;
+            });
+    }
+
+    if (docs.length > 0) {
+        await QuizAttempt.insertMany(docs);
+    }
+    if (renumbered.length > 0) {
+        await QuizAttempt.bulkWrite(renumbered);
+    }
+    if (!keepEmbedded) {
+        await Student.updateOne({ _id: student._id }, { $set: { quizAttempts: [] } });
+    }
+    return { migrated: docs.length, renumbered: renumbered.length };
+};
+
+const migrateQuizAttempts = async () => {
+    await connectDB();
+
+    try {
+        const students = await Student.find({ 'quizAttempts.0': { $exists: true } })
+            .select('name quizAttempts')
+            .lean();
+        console.log(`Found ${students.length} students with embedded quiz attempts`);
+
+        let total = 0;
+        for (const student of students) {
+            const { migrated, renumbered } = await migrateStudent(student);
+            total += migrated;
+            console.log(`- ${student.name} (${student._id}): ${migrated} attempts migrated, ${renumbered} renumbered`);
+        }
+
+        console.log(`Migration completed: ${total} attempts moved to QuizAttempt${keepEmbedded ? ' (embedded copies kept)' : ''}`);
+    } catch (error) {
+        console.error('Error migrating quiz attempts:', error);
+    } finally {
+        await mongoose.disconnect();
+        console.log('Disconnected from MongoDB');
+    }
+};
+
+migrateQuizAttempts();
@@ -176,22 +176,38 @@ const createGeometryQuizzes = async (chapterId) => {
             type: "contextual-variation",
             questions: [
                 {
-                    question: "A rectangular garden has a perimeter of 36 meters and a width of 6 meters. What is its length?",
-                    options: ["12 meters", "18 meters", "24 meters", "30 meters"],
-                    correctAnswer: "12 meters",
-                    explanation: "Perimeter = 2(length + width) = 36m\n2(length + 6) = 36\nLength + 6 = 18\nLength = 12m"
+                    // Templates: every attempt gets new numbers (see services/QuestionTemplate.js)
+                    question: "A rectangular garden has a perimeter of {2(l+w)} meters and a width of {w} meters. What is its length in meters?",
+                    type: "numeric",
+                    unit: "m",
+                    template: {
+                        variables: [
+                            { name: "w", min: 3, max: 10 },
+                            { name: "l", min: 4, max: 20 }
+                        ],
+                        constraints: ["l > w"],
+                        answer: "l"
+                    },
+                    explanation: "Perimeter = 2(length + width) = {2(l+w)}m\n2(length + {w}) = {2(l+w)}\nLength + {w} = {l+w}\nLength = {l}m"
                 },
                 {
-                    question: "A circular pizza has a diameter of 14 inches. What is its area in square inches? (Use π ≈ 3.14)",
-                    options: ["43.96", "153.86", "615.44", "21.98"],
-                    correctAnswer: "153.86",
-                    explanation: "Area = πr² = π(d/2)² = 3.14 × (14/2)² = 3.14 × 49 ≈ 153.86 square inches"
+                    question: "A circular pizza has a diameter of {d} inches. What is its area in square inches? (Use π ≈ 3.14)",
+                    options: ["{3.14*d/2}", "{3.14*(d/2)^2}", "{3.14*d^2}", "{3.14*d}"],
+                    correctAnswer: "{3.14*(d/2)^2}",
+                    template: {
+                        variables: [{ name: "d", values: [8, 10, 12, 14, 16, 18] }]
+                    },
+                    explanation: "Area = πr² = π(d/2)² = 3.14 × ({d}/2)² = 3.14 × {(d/2)^2} ≈ {3.14*(d/2)^2} square inches"
                 },
                 {
-                    question: "A ladder 10 feet long leans against a vertical wall. If the bottom of the ladder is 6 feet from the wall, how high up the wall does the ladder reach?",
-                    options: ["4 feet", "8 feet", "10 feet", "16 feet"],
-                    correctAnswer: "8 feet",
-                    explanation: "Using the Pythagorean theorem: 6² + h² = 10²\n36 + h² = 100\nh² = 64\nh = 8 feet"
+                    question: "A ladder {5k} feet long leans against a vertical wall. If the bottom of the ladder is {3k} feet from the wall, how high up the wall (in feet) does the ladder reach?",
+                    type: "numeric",
+                    unit: "ft",
+                    template: {
+                        variables: [{ name: "k", min: 1, max: 5 }],
+                        answer: "4k"
+                    },
+                    explanation: "Using the Pythagorean theorem: {3k}² + h² = {5k}²\n{9k^2} + h² = {25k^2}\nh² = {16k^2}\nh = {4k} feet"
                 }
             ]
         },
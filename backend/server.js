@@ -5,6 +5,10 @@ const cors = require('cors');
 const http = require('http'); // Import http
 const { Server } = require("socket.io"); // Import Server from socket.io
 const UserRoute = require('./routes/UserRoute');
+const JobScheduler = require('./services/JobScheduler');
+const BackgroundJobs = require('./services/BackgroundJobs');
+const SocketManager = require('./services/SocketManager');
+const MessagingService = require('./services/MessagingService');
 
 // Load environment variables
 dotenv.config();
@@ -23,84 +27,114 @@ const io = new Server(server, {
     }
 });
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address; login
+// throttling counts failures per IP
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+
 // Middleware
 app.use(cors({
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
     credentials: true
 })); // Enhanced CORS for all HTTP requests
 app.use(express.json()); // Body parser
 
+// Body fields never written to the log
+const REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'refreshToken', 'inviteCode', 'code'];
+
+const redactBody = (body) => {
+    if (!body || typeof body !== 'object') return body;
+    const redacted = { ...body };
+    REDACTED_FIELDS.forEach(field => {
+        if (field in redacted) redacted[field] = '[redacted]';
+    });
+    return redacted;
+};
+
+// Calendar feed URLs carry the feed's secret token (services/CalendarFeed.js)
+const redactPath = (path) => path.replace(/^(\/api\/calendar\/feed\/)[^/]+\.ics$/, '$1[redacted].ics');
+
 // Attach io instance to request object for use in controllers
 app.use((req, res, next) => {
     req.io = io;
-    req.userSockets = userSockets; // Make socket mapping available too
-    console.log(`${req.method} ${req.path}`, req.body); // Add logging
+    console.log(`${req.method} ${redactPath(req.path)}`, redactBody(req.body)); // Add logging
     next();
 });
 
 // Routes
 app.use('/api/users', UserRoute);
 app.use('/api/tree', require('./routes/TreeRoute'));
+app.use('/api/domains', require('./routes/DomainRoutes')); // Curriculum domains
 app.use('/api/dashboard', require('./routes/DashboardRoute'));
 app.use('/api/chapters', require('./routes/ChapterRoutes'));
 app.use('/api/quizzes', require('./routes/QuizRoutes')); // Add the quiz routes
 app.use('/api/messages', require('./routes/MessageRoute')); // Add message routes
 app.use('/api/mnemonics', require('./routes/MnemonicRoute')); // Add mnemonic routes
 app.use('/api/meetings', require('./routes/MeetingRequestRoute')); // Add meeting routes
+app.use('/api/calendar', require('./routes/CalendarRoute')); // iCalendar feeds
+app.use('/api/notifications', require('./routes/NotificationRoutes')); // Notifications and their preferences
+app.use('/api/jobs', require('./routes/JobRoute')); // Background job status
+app.use('/api/guardians', require('./routes/GuardianRoute')); // Parents following students
+app.use('/api/metrics', require('./routes/MetricsRoute')); // Learning metrics ingestion and stats
+app.use('/api/recommendations', require('./routes/RecommendationRoute')); // Content recommendations
 
 // Socket.IO Connection Handling
-const userSockets = {}; // Map userId to socketId
-
-io.on('connection', (socket) => {
-    console.log('New client connected:', socket.id);
-
-    // Store user socket mapping when they join
-    socket.on('join', (userId) => {
-        if (userId) {
-            console.log(`User ${userId} joined with socket ${socket.id}`);
-            userSockets[userId] = socket.id;
-            socket.join(userId); // User joins a room identified by their userId
-            // Optional: emit online status to others?
+// Connections authenticate with their JWT; SocketManager tracks each user's sockets and presence.
+SocketManager.init(io, {
+    // Save and deliver a message. The sender comes from the socket's token and the recipient
+    // from the conversation, never from the payload: { conversationId | recipientId, content }
+    sendMessage: async (socket, messageData, ack) => {
+        try {
+            const message = await MessagingService.send(socket.data.user.id, messageData || {});
+            ack({ ok: true, message: message.toJSON() });
+        } catch (error) {
+            if (!(error instanceof MessagingService.MessagingError)) {
+                console.error('Error sending message over socket:', error);
+            }
+            ack({ ok: false, error: error.message });
         }
-    });
-
-    // Handle sending messages
-    socket.on('sendMessage', async (messageData) => {
-        // messageData should contain { recipientId, content, senderId, conversationId, ...}
-        // The message is usually saved via HTTP POST first, 
-        // but we need to emit it to the recipient if they are online.
-        const recipientSocketId = userSockets[messageData.recipientId];
-        
-        console.log(`Attempting to send message from ${messageData.sender?.name} to user ${messageData.recipientId}`);
-
-        if (recipientSocketId) {
-            console.log(`Recipient ${messageData.recipientId} is online. Emitting message to socket ${recipientSocketId}.`);
-            // Emit to the specific recipient's room (their userId room)
-            io.to(messageData.recipientId).emit('receiveMessage', messageData);
-        } else {
-            console.log(`Recipient ${messageData.recipientId} is offline.`);
-            // Handle offline message storage/notification if needed (e.g., push notification)
+    },
+
+    // Mark a conversation read: { conversationId, upTo }. Synced to all participants as 'conversationRead'.
+    markRead: async (socket, payload, ack) => {
+        try {
+            const { conversationId, upTo } = payload || {};
+            const readAt = await MessagingService.markRead(conversationId, socket.data.user.id, { upTo });
+            ack({ ok: true, readAt });
+        } catch (error) {
+            if (!(error instanceof MessagingService.MessagingError)) {
+                console.error('Error marking conversation read over socket:', error);
+            }
+            ack({ ok: false, error: error.message });
         }
-    });
-
-    // Handle disconnection
-    socket.on('disconnect', () => {
-        console.log('Client disconnected:', socket.id);
-        // Remove user from mapping on disconnect
-        for (const userId in userSockets) {
-            if (userSockets[userId] === socket.id) {
-                console.log(`User ${userId} disconnected.`);
-                delete userSockets[userId];
-                // Optional: emit offline status to others?
-                break;
+    },
+
+    // Client received messages: { messageIds }. Senders get 'messagesDelivered'.
+    delivered: async (socket, payload, ack) => {
+        try {
+            const { messageIds } = payload || {};
+            const count = await MessagingService.markDelivered(socket.data.user.id, messageIds);
+            ack({ ok: true, delivered: count });
+        } catch (error) {
+            console.error('Error recording message delivery:', error);
+            ack({ ok: false, error: error.message });
+        }
+    },
+
+    // Typing indicator: { conversationId, typing }. Relayed to the other members as 'typing'.
+    typing: async (socket, payload, ack) => {
+        try {
+            const { conversationId, typing } = payload || {};
+            await MessagingService.setTyping(conversationId, socket.data.user, typing);
+            ack({ ok: true });
+        } catch (error) {
+            if (!(error instanceof MessagingService.MessagingError)) {
+                console.error('Error relaying typing indicator:', error);
             }
+            ack({ ok: false, error: error.message });
         }
-    });
-
-    // Listen for potential meeting-related events if needed (though emission is handled in controller)
-    // Example: socket.on('meetingAction', (data) => { ... });
+    }
 });
 
 // Basic route for testing
@@ -114,6 +148,10 @@ const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
     console.log(`Server (with Socket.IO) started on port ${PORT}`);
     console.log('Routes registered:', app._router.stack.filter(r => r.route).map(r => r.route.path));
+
+    // Review reminders, notification cleanup and recommender training (services/BackgroundJobs.js)
+    BackgroundJobs.defineAll();
+    JobScheduler.start().catch(error => console.error('Error starting job scheduler:', error));
 }).on('error', (error) => {
     console.error('Error starting server:', error);
     if (error.code === 'EADDRINUSE') {
@@ -0,0 +1,207 @@
+/**
+ * Attachment Storage Service
+ * Validates uploaded message attachments, generates image thumbnails and hands the bytes
+ * to a storage adapter.
+ *
+ * Storage is pluggable. Each adapter is an object exposing:
+ * - id: unique name stored on the attachment
+ * - save(key, buffer, { contentType }): store a file
+ * - read(key): readable stream of a stored file
+ * - remove(key): delete a stored file
+ *
+ * New attachments go to the adapter named by ATTACHMENT_STORAGE (default 'local').
+ * Existing attachments are read from the adapter they were stored with.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const LocalDiskStorage = require('./storage/LocalDiskStorage');
+
+const DEFAULT_STORAGE = 'local';
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+const THUMBNAIL_SIZE = 320;
+
+// Accepted types, identified from the file contents rather than the client's claim
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+const SHARP_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+
+const adapters = {};
+
+class AttachmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttachmentError';
+  }
+}
+
+class AttachmentStorage {
+  /**
+   * Register a storage adapter
+   *
+   * @param {Object} adapter - Object implementing the adapter interface
+   */
+  static register(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.save !== 'function' || typeof adapter.read !== 'function') {
+      throw new Error('Storage adapter must have an id and save()/read() functions');
+    }
+    adapters[adapter.id] = adapter;
+  }
+
+  /**
+   * Get an adapter by id, defaulting to the configured one
+   *
+   * @param {string} [id] - Adapter id
+   * @returns {Object} Storage adapter
+   */
+  static getAdapter(id) {
+    const name = id || process.env.ATTACHMENT_STORAGE || DEFAULT_STORAGE;
+    const adapter = adapters[name];
+    if (!adapter) {
+      throw new Error(`Unknown attachment storage "${name}"`);
+    }
+    return adapter;
+  }
+
+  /**
+   * Work out the real type of a file from its contents
+   *
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<Object|null>} { mimeType, width, height } or null when not allowed
+   */
+  static async detectType(buffer) {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return { mimeType: 'application/pdf' };
+    }
+    try {
+      const metadata = await sharp(buffer).metadata();
+      const mimeType = SHARP_FORMATS[metadata.format];
+      return mimeType ? { mimeType, width: metadata.width, height: metadata.height } : null;
+    } catch (error) {
+      return null; // Not an image sharp can read
+    }
+  }
+
+  /**
+   * Validate and store one uploaded file
+   *
+   * @param {Object} file - { originalname, buffer, size } as produced by multer
+   * @returns {Promise<Object>} Attachment metadata for Message.attachments
+   */
+  static async store(file) {
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      throw new AttachmentError(`${file.originalname} is larger than ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB`);
+    }
+
+    const detected = await this.detectType(file.buffer);
+    if (!detected) {
+      throw new AttachmentError(`${file.originalname} is not a supported file type (images and PDFs only)`);
+    }
+
+    const adapter = this.getAdapter();
+    const now = new Date();
+    const baseKey = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}`;
+    const attachment = {
+      fileName: path.basename(file.originalname).slice(0, 200),
+      mimeType: detected.mimeType,
+      size: file.size,
+      storage: adapter.id,
+      storageKey: baseKey + ALLOWED_TYPES[detected.mimeType]
+    };
+
+    await adapter.save(attachment.storageKey, file.buffer, { contentType: attachment.mimeType });
+
+    if (detected.width) {
+      attachment.width = detected.width;
+      attachment.height = detected.height;
+      try {
+        const thumbnail = await sharp(file.buffer)
+          .rotate() // Respect EXIF orientation from phone cameras
+          .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+        attachment.thumbnailKey = `${baseKey}-thumb.jpg`;
+        await adapter.save(attachment.thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+      } catch (error) {
+        // The original is still usable without a thumbnail
+        console.error(`Error creating thumbnail for ${attachment.storageKey}:`, error);
+        delete attachment.thumbnailKey;
+      }
+    }
+
+    return attachment;
+  }
+
+  /**
+   * Validate and store a set of uploaded files. If any file is rejected, the ones already
+   * stored are removed again.
+   *
+   * @param {Array} files - multer files
+   * @returns {Promise<Array>} Attachment metadata
+   */
+  static async storeAll(files = []) {
+    if (files.length > MAX_ATTACHMENTS) {
+      throw new AttachmentError(`A message may have at most ${MAX_ATTACHMENTS} attachments`);
+    }
+
+    const stored = [];
+    try {
+      for (const file of files) {
+        stored.push(await this.store(file));
+      }
+    } catch (error) {
+      await this.removeAll(stored);
+      throw error;
+    }
+    return stored;
+  }
+
+  /**
+   * Open a stored attachment
+   *
+   * @param {Object} attachment - Attachment metadata
+   * @param {boolean} thumbnail - Read the thumbnail instead, when there is one
+   * @returns {Promise<Object>} { stream, mimeType }
+   */
+  static async open(attachment, thumbnail = false) {
+    const adapter = this.getAdapter(attachment.storage);
+    if (thumbnail && attachment.thumbnailKey) {
+      return { stream: await adapter.read(attachment.thumbnailKey), mimeType: 'image/jpeg' };
+    }
+    return { stream: await adapter.read(attachment.storageKey), mimeType: attachment.mimeType };
+  }
+
+  /**
+   * Delete the stored files of some attachments, logging rather than failing
+   *
+   * @param {Array} attachments - Attachment metadata
+   */
+  static async removeAll(attachments = []) {
+    for (const attachment of attachments) {
+      const adapter = this.getAdapter(attachment.storage);
+      for (const key of [attachment.storageKey, attachment.thumbnailKey].filter(Boolean)) {
+        try {
+          await adapter.remove(key);
+        } catch (error) {
+          console.error(`Error removing attachment file ${key}:`, error);
+        }
+      }
+    }
+  }
+}
+
+AttachmentStorage.register(LocalDiskStorage);
+
+AttachmentStorage.AttachmentError = AttachmentError;
+AttachmentStorage.ALLOWED_TYPES = Object.keys(ALLOWED_TYPES);
+AttachmentStorage.MAX_ATTACHMENT_BYTES = MAX_ATTACHMENT_BYTES;
+AttachmentStorage.MAX_ATTACHMENTS = MAX_ATTACHMENTS;
+
+module.exports = AttachmentStorage;
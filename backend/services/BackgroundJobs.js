@@ -0,0 +1,62 @@
+/**
+ * Background Jobs
+ * The jobs the server runs on a schedule (see services/JobScheduler.js). Schedules are cron
+ * expressions in UTC and can be changed through the environment:
+ * - reviews-due (REVIEWS_DUE_CRON, daily at 07:00): remind students of quizzes due for review
+ * - notification-cleanup (NOTIFICATION_CLEANUP_CRON, Sundays at 03:00): delete read
+ *   notifications older than NOTIFICATION_RETENTION_DAYS (30)
+ * - recommender-training (every RECOMMENDER_TRAIN_INTERVAL_HOURS, 6): retrain the
+ *   recommendation model
+ * - weekly-digest (WEEKLY_DIGEST_CRON, Sundays at 17:00): mail students their progress digest
+ */
+
+const JobScheduler = require('./JobScheduler');
+const NotificationService = require('./NotificationService');
+const Recommender = require('./Recommender');
+const ProgressDigest = require('./ProgressDigest');
+
+const DEFAULT_TRAIN_INTERVAL_HOURS = 6;
+const DEFAULT_NOTIFICATION_RETENTION_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+class BackgroundJobs {
+  /**
+   * Define every job with the scheduler; JobScheduler.start() then runs them
+   */
+  static defineAll() {
+    JobScheduler.define(
+      'reviews-due',
+      process.env.REVIEWS_DUE_CRON || '0 7 * * *',
+      () => NotificationService.notifyReviewsDue()
+    );
+
+    const retentionDays = Number(process.env.NOTIFICATION_RETENTION_DAYS) || DEFAULT_NOTIFICATION_RETENTION_DAYS;
+    JobScheduler.define(
+      'notification-cleanup',
+      process.env.NOTIFICATION_CLEANUP_CRON || '0 3 * * 0',
+      () => NotificationService.deleteReadOlderThan(retentionDays)
+    );
+
+    const trainHours = Number(process.env.RECOMMENDER_TRAIN_INTERVAL_HOURS) || DEFAULT_TRAIN_INTERVAL_HOURS;
+    JobScheduler.define(
+      'recommender-training',
+      trainHours * HOUR_MS,
+      async () => {
+        const model = await Recommender.train();
+        return model ? { version: model.version, ratings: model.ratings, rmse: model.rmse } : { skipped: 'too little data' };
+      },
+      // Training reads everything; give it time and do not hammer the database when it fails
+      { retries: 1, retryDelayMs: 10 * 60 * 1000, lockMs: HOUR_MS }
+    );
+
+    JobScheduler.define(
+      'weekly-digest',
+      process.env.WEEKLY_DIGEST_CRON || '0 17 * * 0',
+      () => ProgressDigest.sendWeekly(),
+      // Students already mailed are skipped on retry
+      { retries: 2, retryDelayMs: 15 * 60 * 1000, lockMs: HOUR_MS }
+    );
+  }
+}
+
+module.exports = BackgroundJobs;
@@ -0,0 +1,250 @@
+/**
+ * Calendar Feed Service
+ * iCalendar (RFC 5545) output for calendar apps: a per-user feed of accepted meetings and, for
+ * students, upcoming quiz reviews, plus a single .ics per meeting.
+ *
+ * Calendar apps cannot send a JWT, so a feed URL carries a random per-user token instead.
+ * Only its hash is stored (User.calendarTokenHash), so the URL is shown once, when the token is
+ * created. Anyone holding the URL can read the feed; rotating the token invalidates every URL
+ * handed out before.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const MeetingRequest = require('../models/MeetingRequest');
+const QuizAttempt = require('../models/QuizAttempt');
+const { DEFAULT_MEETING_MINUTES } = require('./OfficeHours');
+
+const PRODUCT_ID = '-//Learning Platform//Calendar Feed//EN';
+const UID_DOMAIN = 'learning-platform';
+const PAST_MEETING_DAYS = 30; // Recent meetings stay in the feed for reference
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20260318T140000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// All-day date, e.g. 20260318
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+class CalendarFeed {
+  /**
+   * Render a calendar
+   *
+   * @param {string} name - Calendar name shown by calendar apps
+   * @param {Array} events - [{ uid, start, end, allDay, summary, description, location, status,
+   *   sequence, updatedAt }]
+   * @returns {string} iCalendar text
+   */
+  static render(name, events) {
+    const now = formatDateTime(new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    events.forEach(event => {
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${event.uid}`);
+      lines.push(`DTSTAMP:${event.updatedAt ? formatDateTime(event.updatedAt) : now}`);
+      if (event.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(event.start).getTime() + DAY_MS)}`);
+      } else {
+        lines.push(`DTSTART:${formatDateTime(event.start)}`);
+        lines.push(`DTEND:${formatDateTime(event.end)}`);
+      }
+      lines.push(`SUMMARY:${escapeText(event.summary)}`);
+      if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+      if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+      if (event.status) lines.push(`STATUS:${event.status}`);
+      if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+      if (event.allDay) lines.push('TRANSP:TRANSPARENT');
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Calendar event for a meeting, seen by one of its participants
+   *
+   * @param {Object} meeting - Meeting request with student, teacher, relatedDomain and
+   *   availabilityWindow populated
+   * @param {string} userId - Viewing participant
+   * @returns {Object} Event for render()
+   */
+  static meetingEvent(meeting, userId) {
+    const isStudent = Boolean(meeting.student) && meeting.student._id.toString() === String(userId);
+    const other = isStudent ? meeting.teacher : meeting.student;
+    const description = [
+      meeting.relatedDomain && `Topic: ${meeting.relatedDomain.name}`,
+      meeting.message
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      uid: `meeting-${meeting._id}@${UID_DOMAIN}`,
+      start: meeting.requestedTime,
+      end: meeting.endTime || new Date(meeting.requestedTime.getTime() + DEFAULT_MEETING_MINUTES * 60 * 1000),
+      summary: `Meeting with ${other ? other.name : 'a former user'}`,
+      description,
+      location: meeting.availabilityWindow && meeting.availabilityWindow.location,
+      status: 'CONFIRMED',
+      // Bumped on every step so calendar apps pick up reschedules
+      sequence: (meeting.history || []).length,
+      updatedAt: meeting.updatedAt
+    };
+  }
+
+  static populateMeeting(query) {
+    return query
+      .populate('student', 'name')
+      .populate('teacher', 'name')
+      .populate('relatedDomain', 'name')
+      .populate('availabilityWindow', 'location')
+      .lean();
+  }
+
+  /**
+   * All-day events for a student's upcoming quiz reviews: the nextReview of their latest
+   * attempt at each quiz
+   *
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Array>} Events for render()
+   */
+  static async getReviewEvents(studentId) {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const reviews = await QuizAttempt.aggregate([
+      { $match: { student: new mongoose.Types.ObjectId(String(studentId)) } },
+      { $sort: { finishedAt: -1 } },
+      { $group: { _id: '$quiz', nextReview: { $first: '$nextReview' }, score: { $first: '$score' } } },
+      { $match: { nextReview: { $gte: today } } },
+      { $lookup: { from: 'quizzes', localField: '_id', foreignField: '_id', as: 'quiz' } },
+      { $unwind: '$quiz' },
+      { $project: { nextReview: 1, score: 1, title: '$quiz.title' } }
+    ]);
+
+    return reviews.map(review => ({
+      uid: `review-${review._id}-${studentId}@${UID_DOMAIN}`,
+      start: review.nextReview,
+      allDay: true,
+      summary: `Review: ${review.title}`,
+      description: `Time to review this quiz so it stays fresh. Last score: ${Math.round(review.score)}%.`
+    }));
+  }
+
+  /**
+   * The feed of a user: accepted meetings from the last PAST_MEETING_DAYS on, and upcoming
+   * quiz reviews for students
+   *
+   * @param {Object} user - User document
+   * @returns {Promise<string>} iCalendar text
+   */
+  static async buildFeed(user) {
+    const meetings = await this.populateMeeting(MeetingRequest.find({
+      $or: [{ student: user._id }, { teacher: user._id }],
+      status: 'accepted',
+      requestedTime: { $gte: new Date(Date.now() - PAST_MEETING_DAYS * DAY_MS) }
+    }).sort({ requestedTime: 1 }));
+
+    const events = meetings.map(meeting => this.meetingEvent(meeting, user._id));
+    if (user.role === 'student') {
+      events.push(...await this.getReviewEvents(user._id));
+    }
+    return this.render(`${user.name} - meetings and reviews`, events);
+  }
+
+  /**
+   * Calendar with a single accepted meeting
+   *
+   * @param {string} userId - Participant asking for it
+   * @param {string} requestId - Meeting request ID
+   * @returns {Promise<string|null>} iCalendar text, or null when not found
+   */
+  static async buildMeeting(userId, requestId) {
+    const meeting = await this.populateMeeting(MeetingRequest.findOne({
+      _id: requestId,
+      status: 'accepted',
+      $or: [{ student: userId }, { teacher: userId }]
+    })).catch(() => null);
+    if (!meeting) return null;
+
+    const event = this.meetingEvent(meeting, userId);
+    return this.render(event.summary, [event]);
+  }
+
+  /**
+   * Create the user's feed token, unless they already have one
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} The new token, or null when there already is one: it cannot
+   *   be shown again, only rotated
+   */
+  static async createToken(userId) {
+    const token = generateToken();
+    const result = await User.updateOne(
+      { _id: userId, calendarTokenHash: null },
+      { calendarTokenHash: hashToken(token) }
+    );
+    return result.modifiedCount > 0 ? token : null;
+  }
+
+  /**
+   * Replace the user's feed token; old feed URLs stop working
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} New token
+   */
+  static async rotateToken(userId) {
+    const token = generateToken();
+    await User.updateOne({ _id: userId }, { calendarTokenHash: hashToken(token) });
+    return token;
+  }
+
+  /**
+   * User a feed token belongs to
+   *
+   * @param {string} token - Token from a feed URL
+   * @returns {Promise<Object|null>} User, or null for unknown tokens
+   */
+  static async findUserByToken(token) {
+    if (typeof token !== 'string' || !/^[0-9a-f]{48}$/.test(token)) return null;
+    return User.findOne({ calendarTokenHash: hashToken(token) }).lean();
+  }
+}
+
+module.exports = CalendarFeed;
@@ -0,0 +1,234 @@
+/**
+ * Guardian Service
+ * Guardians (parents) following the progress of their students.
+ *
+ * - A student creates an invite code and hands it to their guardian, who redeems it to link the
+ *   accounts. Codes expire after INVITE_DAYS and link one guardian; a new code replaces the old.
+ *   Only the hash of a code is stored.
+ * - A guardian can follow several students, and a student can have several guardians. Either
+ *   side can remove a link.
+ * - Guardians see a read-only dashboard of each linked student, with the figures of the
+ *   student's own dashboard (StudentStats) and their week (ProgressDigest). Who they may message
+ *   is up to MessagingPolicy.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const QuizAttempt = require('../models/QuizAttempt');
+const GuardianLink = require('../models/GuardianLink');
+const GuardianInvite = require('../models/GuardianInvite');
+const StudentStats = require('./StudentStats');
+const ProgressDigest = require('./ProgressDigest');
+
+const INVITE_DAYS = 7;
+const CODE_LENGTH = 8;
+// No 0/O or 1/I, so codes read out or copied by hand come through
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_RECENT_QUIZZES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GuardianError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GuardianError';
+    this.status = status;
+  }
+}
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '');
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+const generateCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+const toObjectId = (id, what) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new GuardianError(`Invalid ${what} ID`);
+  }
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+class GuardianService {
+  /**
+   * Create an invite code for a student's guardian, replacing any earlier one
+   *
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Object>} { code, expiresAt }
+   */
+  static async createInvite(studentId) {
+    const student = await User.exists({ _id: studentId, role: 'student' });
+    if (!student) throw new GuardianError('Only students can invite guardians', 403);
+
+    await GuardianInvite.deleteMany({ student: studentId });
+    const code = generateCode();
+    const expiresAt = new Date(Date.now() + INVITE_DAYS * DAY_MS);
+    await GuardianInvite.create({ student: studentId, codeHash: hashCode(code), expiresAt });
+    return { code, expiresAt };
+  }
+
+  /**
+   * Check an invite code without using it, e.g. before creating the guardian's account
+   *
+   * @param {string} code - Invite code
+   * @throws {GuardianError} When the code is unknown or expired
+   */
+  static async assertInviteValid(code) {
+    const invite = normalizeCode(code).length === CODE_LENGTH
+      && await GuardianInvite.exists({ codeHash: hashCode(code), expiresAt: { $gt: new Date() } });
+    if (!invite) throw new GuardianError('This invite code is invalid or has expired');
+  }
+
+  /**
+   * Link a guardian to the student who created an invite code. The code is used up.
+   *
+   * @param {string} guardianId - Guardian ID
+   * @param {string} code - Invite code
+   * @returns {Promise<Object>} The student ({ _id, name, linkedAt })
+   */
+  static async redeemInvite(guardianId, code) {
+    const guardian = await User.exists({ _id: guardianId, role: 'guardian' });
+    if (!guardian) throw new GuardianError('Only guardians can redeem invite codes', 403);
+    if (normalizeCode(code).length !== CODE_LENGTH) {
+      throw new GuardianError('This invite code is invalid or has expired');
+    }
+
+    // Deleted as it is claimed, so a code cannot link two guardians
+    const invite = await GuardianInvite.findOneAndDelete({ codeHash: hashCode(code), expiresAt: { $gt: new Date() } });
+    if (!invite) throw new GuardianError('This invite code is invalid or has expired');
+
+    let link;
+    try {
+      link = await GuardianLink.create({ guardian: guardianId, student: invite.student });
+    } catch (error) {
+      if (error.code === 11000) throw new GuardianError('You already follow this student', 409);
+      throw error;
+    }
+    const student = await User.findById(invite.student).select('name').lean();
+    return { _id: invite.student, name: student ? student.name : '', linkedAt: link.createdAt };
+  }
+
+  /**
+   * Students a guardian follows
+   *
+   * @param {string} guardianId - Guardian ID
+   * @returns {Promise<Array>} Students ({ _id, name, linkedAt })
+   */
+  static async getStudents(guardianId) {
+    const links = await GuardianLink.find({ guardian: guardianId })
+      .populate('student', 'name')
+      .sort({ createdAt: 1 })
+      .lean();
+    return links
+      .filter(link => link.student)
+      .map(link => ({ _id: link.student._id, name: link.student.name, linkedAt: link.createdAt }));
+  }
+
+  /**
+   * Guardians following a student
+   *
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Array>} Guardians ({ _id, name, email, linkedAt })
+   */
+  static async getGuardians(studentId) {
+    const links = await GuardianLink.find({ student: studentId })
+      .populate('guardian', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+    return links
+      .filter(link => link.guardian)
+      .map(link => ({ ...link.guardian, linkedAt: link.createdAt }));
+  }
+
+  /**
+   * Remove the link between a guardian and a student
+   *
+   * @param {string} guardianId - Guardian ID
+   * @param {string} studentId - Student ID
+   */
+  static async unlink(guardianId, studentId) {
+    const result = await GuardianLink.deleteOne({
+      guardian: toObjectId(guardianId, 'guardian'),
+      student: toObjectId(studentId, 'student')
+    });
+    if (result.deletedCount === 0) throw new GuardianError('Link not found', 404);
+  }
+
+  /**
+   * Remove every link and invite of a user, e.g. when their account is deleted
+   *
+   * @param {string} userId - User ID
+   */
+  static async removeUser(userId) {
+    await Promise.all([
+      GuardianLink.deleteMany({ $or: [{ guardian: userId }, { student: userId }] }),
+      GuardianInvite.deleteMany({ student: userId })
+    ]);
+  }
+
+  /**
+   * IDs of the students a guardian follows
+   *
+   * @param {string} guardianId - Guardian ID
+   * @returns {Promise<Array<string>>}
+   */
+  static async getStudentIds(guardianId) {
+    const studentIds = await GuardianLink.find({ guardian: guardianId }).distinct('student');
+    return studentIds.map(String);
+  }
+
+  /**
+   * Read-only dashboard of a student the guardian follows
+   *
+   * @param {string} guardianId - Guardian ID
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Object>} { student, stats, recentQuizzes, week }
+   * @throws {GuardianError} 404 when the guardian does not follow the student
+   */
+  static async getDashboard(guardianId, studentId) {
+    const linked = await GuardianLink.exists({
+      guardian: toObjectId(guardianId, 'guardian'),
+      student: toObjectId(studentId, 'student')
+    });
+    const student = linked
+      ? await User.findOne({ _id: studentId, role: 'student' }).select('name birthday studies').lean()
+      : null;
+    if (!student) throw new GuardianError('Student not found', 404);
+
+    const quizAttempts = await QuizAttempt.find({ student: student._id })
+      .select('quiz score finishedAt')
+      .sort({ finishedAt: 1 })
+      .populate('quiz', 'title')
+      .lean();
+    const [stats, week] = await Promise.all([
+      StudentStats.summarize(student, quizAttempts),
+      ProgressDigest.build(student)
+    ]);
+
+    return {
+      student: { _id: student._id, name: student.name },
+      stats,
+      recentQuizzes: quizAttempts.slice(-MAX_RECENT_QUIZZES).reverse().map(attempt => ({
+        _id: attempt._id,
+        title: attempt.quiz ? attempt.quiz.title : 'A removed quiz',
+        score: Math.round(attempt.score),
+        finishedAt: attempt.finishedAt
+      })),
+      // This week's study time and quizzes, the retention forecast and the reviews coming up
+      week: {
+        period: week.period,
+        study: week.study,
+        quizzes: week.quizzes,
+        retention: week.retention,
+        reviews: week.reviews
+      }
+    };
+  }
+}
+
+GuardianService.GuardianError = GuardianError;
+
+module.exports = GuardianService;
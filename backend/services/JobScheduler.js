@@ -0,0 +1,346 @@
+/**
+ * Job Scheduler
+ * Runs background jobs inside the server process. Jobs are defined in code (define()) and
+ * their run state is kept in MongoDB (models/ScheduledJob.js), so schedules survive restarts
+ * and several server instances can share them:
+ *
+ * - A job runs on a cron schedule ("m h dom mon dow", evaluated in UTC) or every N milliseconds.
+ * - Every instance polls for due jobs. Claiming a job is one conditional update that sets a
+ *   lock, so only one instance runs it; a lock that outlives lockMs (a crashed instance) expires.
+ * - A failed run is retried up to `retries` times with exponential backoff, after which the job
+ *   waits for its next scheduled run.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const DEFAULT_POLL_SECONDS = 30;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+const DEFAULT_LOCK_MS = 15 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const MAX_CRON_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// minute, hour, day of month, month, day of week (0 or 7 is Sunday)
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Identifies this process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const definitions = new Map(); // name -> { name, schedule, handler, retries, retryDelayMs, lockMs }
+let pollTimer = null;
+let ticking = false;
+
+class JobSchedulerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'JobSchedulerError';
+    this.status = status;
+  }
+}
+
+// Values one cron field allows: "*", "5", "1-5", "*/15", "10-50/10" and lists of those
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new JobSchedulerError(`Invalid cron ${name}: ${part}`);
+    }
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? min : Number(from);
+    const end = range === '*' ? max : (to !== undefined ? Number(to) : (step ? max : start));
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new JobSchedulerError(`Cron ${name} out of range: ${part}`);
+    }
+    for (let value = start; value <= end; value += increment) values.add(value);
+  });
+  return values;
+};
+
+const parseCron = (expression) => {
+  const fields = (CRON_ALIASES[expression] || expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new JobSchedulerError(`A cron expression has 5 fields: ${expression}`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron: when both day fields are restricted, either one matching is enough
+    daysRestricted: fields[2] !== '*',
+    weekdaysRestricted: fields[4] !== '*'
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const dayOfMonth = cron.days.has(date.getUTCDate());
+  const dayOfWeek = cron.weekdays.has(date.getUTCDay());
+  if (cron.daysRestricted && cron.weekdaysRestricted) return dayOfMonth || dayOfWeek;
+  if (cron.daysRestricted) return dayOfMonth;
+  if (cron.weekdaysRestricted) return dayOfWeek;
+  return true;
+};
+
+const describeSchedule = (schedule) => (typeof schedule === 'number' ? `every ${schedule}ms` : schedule);
+
+class JobScheduler {
+  /**
+   * The first time a cron expression matches after an instant, in UTC
+   *
+   * @param {string} expression - "m h dom mon dow" or @hourly, @daily, @weekly, @monthly
+   * @param {Date} after - Exclusive lower bound
+   * @returns {Date}
+   */
+  static nextCronTime(expression, after = new Date()) {
+    const cron = parseCron(expression);
+    const time = new Date(after);
+    time.setUTCSeconds(0, 0);
+    time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+    // Skip whole months, days and hours that cannot match before trying minutes
+    for (let step = 0; step < MAX_CRON_SEARCH_MINUTES; step++) {
+      if (!cron.months.has(time.getUTCMonth() + 1)) {
+        time.setUTCMonth(time.getUTCMonth() + 1, 1);
+        time.setUTCHours(0, 0);
+      } else if (!dayMatches(cron, time)) {
+        time.setUTCDate(time.getUTCDate() + 1);
+        time.setUTCHours(0, 0);
+      } else if (!cron.hours.has(time.getUTCHours())) {
+        time.setUTCHours(time.getUTCHours() + 1, 0);
+      } else if (!cron.minutes.has(time.getUTCMinutes())) {
+        time.setUTCMinutes(time.getUTCMinutes() + 1);
+      } else {
+        return time;
+      }
+    }
+    throw new JobSchedulerError(`Cron expression never matches: ${expression}`);
+  }
+
+  /**
+   * When a job runs next after a run that started at `from`
+   *
+   * @param {string|number} schedule - Cron expression or interval in milliseconds
+   * @param {Date} from - Start of the last run
+   * @returns {Date}
+   */
+  static nextRunTime(schedule, from = new Date()) {
+    if (typeof schedule === 'number') {
+      return new Date(from.getTime() + schedule);
+    }
+    return this.nextCronTime(schedule, from);
+  }
+
+  /**
+   * Define a job. Define every job before start().
+   *
+   * @param {string} name - Unique job name
+   * @param {string|number} schedule - Cron expression (UTC) or interval in milliseconds
+   * @param {Function} handler - async () => result; the result is kept as lastResult
+   * @param {Object} options - { retries, retryDelayMs (doubled on every retry), lockMs: how long
+   *   a run may take before another instance may take the job over }
+   */
+  static define(name, schedule, handler, { retries = DEFAULT_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS, lockMs = DEFAULT_LOCK_MS } = {}) {
+    if (typeof schedule === 'number') {
+      if (!(schedule >= MINUTE_MS)) {
+        throw new JobSchedulerError(`Job ${name} cannot run more often than once a minute`);
+      }
+    } else {
+      parseCron(schedule); // Fail at startup on a bad expression
+    }
+    definitions.set(name, { name, schedule, handler, retries, retryDelayMs, lockMs });
+  }
+
+  /**
+   * Register the defined jobs in the database and start polling for due ones
+   *
+   * @param {Object} options - { pollSeconds } (default SCHEDULER_POLL_SECONDS or 30)
+   */
+  static async start({ pollSeconds = Number(process.env.SCHEDULER_POLL_SECONDS) || DEFAULT_POLL_SECONDS } = {}) {
+    for (const job of definitions.values()) {
+      await this.register(job);
+    }
+
+    const tickSafely = () => this.tick().catch(error => console.error('Job scheduler tick failed:', error));
+    this.stop();
+    pollTimer = setInterval(tickSafely, pollSeconds * 1000);
+    pollTimer.unref(); // Do not keep the process alive just for jobs
+    tickSafely();
+    console.log(`Job scheduler started (${definitions.size} jobs, instance ${INSTANCE_ID})`);
+  }
+
+  static stop() {
+    if (pollTimer) clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  /**
+   * Create the job's document on first start. Jobs run right away the first time; a changed
+   * schedule takes effect from now on.
+   */
+  static async register(job) {
+    const schedule = describeSchedule(job.schedule);
+    await ScheduledJob.updateOne(
+      { name: job.name },
+      { $setOnInsert: { schedule, nextRunAt: new Date() } },
+      { upsert: true }
+    );
+    await ScheduledJob.updateOne(
+      { name: job.name, schedule: { $ne: schedule } },
+      { schedule, nextRunAt: this.nextRunTime(job.schedule), attempts: 0 }
+    );
+  }
+
+  /**
+   * Run every due job this instance can claim, one after another
+   */
+  static async tick() {
+    if (ticking) return; // The previous tick is still running jobs
+    ticking = true;
+    try {
+      for (const job of definitions.values()) {
+        const claimed = await this.claim(job);
+        if (claimed) await this.run(job, claimed);
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  /**
+   * Lock a due job for this instance
+   *
+   * @returns {Promise<Object|null>} The job document, or null when not due or locked elsewhere
+   */
+  static claim(job, now = new Date()) {
+    return ScheduledJob.findOneAndUpdate(
+      {
+        name: job.name,
+        enabled: true,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + job.lockMs),
+        lastRunAt: now,
+        lastStatus: 'running'
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run a claimed job and record the outcome: the next scheduled run after success, a retry
+   * after failure, or the next scheduled run once the retries are used up
+   */
+  static async run(job, claimed) {
+    const startedAt = claimed.lastRunAt;
+    const unlock = { lockedBy: null, lockedUntil: null };
+    let update;
+
+    try {
+      const result = await job.handler();
+      update = {
+        $set: {
+          ...unlock,
+          lastFinishedAt: new Date(),
+          lastStatus: 'succeeded',
+          lastError: null,
+          lastResult: result === undefined ? null : result,
+          attempts: 0,
+          nextRunAt: this.nextRunTime(job.schedule, startedAt)
+        },
+        $inc: { runCount: 1 }
+      };
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      const attempts = claimed.attempts + 1;
+      const retry = attempts <= job.retries;
+      update = {
+        $set: {
+          ...unlock,
+          lastFinishedAt: new Date(),
+          lastStatus: retry ? 'retrying' : 'failed',
+          lastError: error.message,
+          attempts: retry ? attempts : 0,
+          nextRunAt: retry
+            ? new Date(Date.now() + job.retryDelayMs * 2 ** (attempts - 1))
+            : this.nextRunTime(job.schedule, startedAt)
+        },
+        $inc: { runCount: 1, failureCount: 1 }
+      };
+    }
+
+    update.$set.lastDurationMs = update.$set.lastFinishedAt - startedAt;
+    // Only while we still hold the lock; if it expired, whoever took over records their run
+    await ScheduledJob.updateOne({ _id: claimed._id, lockedBy: INSTANCE_ID }, update);
+  }
+
+  /**
+   * State of every job
+   *
+   * @returns {Promise<Array>} Job documents, with `defined` telling whether this instance knows the job
+   */
+  static async getStatus() {
+    const jobs = await ScheduledJob.find().sort({ name: 1 }).lean();
+    return jobs.map(job => ({ ...job, defined: definitions.has(job.name) }));
+  }
+
+  /**
+   * Make a job due now; the next poll of any instance runs it
+   *
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} The job document
+   */
+  static async runNow(name) {
+    const job = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { nextRunAt: new Date(), attempts: 0 },
+      { new: true }
+    ).lean();
+    if (!job) {
+      throw new JobSchedulerError('Job not found', 404);
+    }
+    return job;
+  }
+
+  /**
+   * Pause or resume a job
+   *
+   * @param {string} name - Job name
+   * @param {boolean} enabled - Whether the job runs
+   * @returns {Promise<Object>} The job document
+   */
+  static async setEnabled(name, enabled) {
+    const job = await ScheduledJob.findOneAndUpdate({ name }, { enabled: Boolean(enabled) }, { new: true }).lean();
+    if (!job) {
+      throw new JobSchedulerError('Job not found', 404);
+    }
+    return job;
+  }
+}
+
+JobScheduler.JobSchedulerError = JobSchedulerError;
+JobScheduler.INSTANCE_ID = INSTANCE_ID;
+
+module.exports = JobScheduler;
@@ -0,0 +1,350 @@
+/**
+ * Learning Metrics Service
+ * Stores the events UserMetricsService sends from the browser (LearningEvent) and
+ * summarises them into learning stats and patterns.
+ *
+ * Events arrive one at a time or in batches; either way they are normalised here and
+ * written with a single insertMany per request.
+ */
+
+const mongoose = require('mongoose');
+const LearningEvent = require('../models/LearningEvent');
+const QuizAttempt = require('../models/QuizAttempt');
+const Student = require('../models/Student');
+const Chapter = require('../models/Chapter');
+const Quiz = require('../models/Quiz');
+
+// Largest batch accepted in one request
+const MAX_BATCH_SIZE = 500;
+
+// Client clocks drift; timestamps further in the future than this are replaced by the server time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// A single time_spent report longer than this is treated as a tab left open
+const MAX_TIME_SPENT_MS = 4 * 60 * 60 * 1000;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+class LearningMetricsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LearningMetricsError';
+  }
+}
+
+/**
+ * Client timestamp if it is usable, otherwise now
+ */
+const toDate = (value, now) => {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date) || date - now > MAX_CLOCK_SKEW_MS) return now;
+  return date;
+};
+
+const requireRating = (value, name) => {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new LearningMetricsError(`${name} must be a whole number from 1 to 5`);
+  }
+  return rating;
+};
+
+const requireContent = (payload) => {
+  if (!payload.contentId) {
+    throw new LearningMetricsError('contentId is required');
+  }
+  return { contentId: String(payload.contentId), contentType: payload.contentType || null };
+};
+
+/**
+ * Number of consecutive days, ending today or yesterday, with at least one date in the list
+ */
+const streakFromDates = (dates) => {
+  const days = new Set(dates.map(date => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day.getTime();
+  }));
+
+  const cursor = new Date();
+  cursor.setHours(0, 0, 0, 0);
+  // Not having studied yet today does not break the streak
+  if (!days.has(cursor.getTime())) cursor.setDate(cursor.getDate() - 1);
+
+  let streak = 0;
+  while (days.has(cursor.getTime())) {
+    streak++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return streak;
+};
+
+class LearningMetrics {
+  /**
+   * Build a LearningEvent from what the client sent
+   *
+   * @param {string} userId - Authenticated user (never taken from the payload)
+   * @param {string} kind - interaction | time_spent | difficulty_rating | comprehension_level | session_start | session_end
+   * @param {Object} payload - Request body for that kind of event
+   * @param {Object} options - { sessionId, now }
+   * @returns {Object} LearningEvent fields
+   * @throws {LearningMetricsError} When the payload is missing required fields
+   */
+  static toEvent(userId, kind, payload = {}, { sessionId = null, now = new Date() } = {}) {
+    const base = { user: userId, sessionId: payload.sessionId || sessionId, kind };
+
+    switch (kind) {
+      case 'interaction': {
+        const interaction = payload.interaction || payload;
+        if (!interaction.type) {
+          throw new LearningMetricsError('Interaction type is required');
+        }
+        const data = interaction.data || {};
+        return {
+          ...base,
+          action: String(interaction.type),
+          contentId: data.contentId || data.recommendationId || null,
+          contentType: data.contentType || data.type || null,
+          data,
+          occurredAt: toDate(interaction.timestamp, now)
+        };
+      }
+      case 'time_spent': {
+        const timeSpent = Number(payload.timeSpent);
+        if (!Number.isFinite(timeSpent) || timeSpent < 0) {
+          throw new LearningMetricsError('timeSpent must be a positive number of milliseconds');
+        }
+        return {
+          ...base,
+          ...requireContent(payload),
+          value: Math.min(timeSpent, MAX_TIME_SPENT_MS),
+          occurredAt: toDate(payload.timestamp, now)
+        };
+      }
+      case 'difficulty_rating':
+        return {
+          ...base,
+          ...requireContent(payload),
+          value: requireRating(payload.rating, 'rating'),
+          occurredAt: toDate(payload.timestamp, now)
+        };
+      case 'comprehension_level':
+        return {
+          ...base,
+          ...requireContent(payload),
+          value: requireRating(payload.level, 'level'),
+          occurredAt: toDate(payload.timestamp, now)
+        };
+      case 'session_start':
+        return { ...base, occurredAt: toDate(payload.startTime, now) };
+      case 'session_end': {
+        const duration = Number(payload.duration);
+        return {
+          ...base,
+          value: Number.isFinite(duration) && duration >= 0 ? duration : null,
+          occurredAt: toDate(payload.endTime, now)
+        };
+      }
+      default:
+        throw new LearningMetricsError(`Unknown event kind "${kind}"`);
+    }
+  }
+
+  /**
+   * Save a batch of events
+   *
+   * @param {Array} events - Results of toEvent()
+   * @returns {Promise<number>} Number of events stored
+   * @throws {LearningMetricsError} When the batch is too large
+   */
+  static async record(events) {
+    if (events.length === 0) return 0;
+    if (events.length > MAX_BATCH_SIZE) {
+      throw new LearningMetricsError(`A batch may hold at most ${MAX_BATCH_SIZE} events`);
+    }
+    const saved = await LearningEvent.insertMany(events, { ordered: false });
+    return saved.length;
+  }
+
+  /**
+   * Summary shown next to recommendations
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { completedContent, avgQuizScore, quizAttempts, totalTimeSpent (minutes),
+   *   streakDays, averageDifficulty, averageComprehension, areasOfFocus }
+   */
+  static async getLearningStats(userId) {
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    const [attempts, student, timeTotals, ratings, activeDays] = await Promise.all([
+      QuizAttempt.find({ student: userId }).select('quiz score finishedAt').lean(),
+      Student.findById(userId).select('studies').lean(),
+      LearningEvent.aggregate([
+        { $match: { user: userObjectId, kind: 'time_spent' } },
+        { $group: { _id: null, total: { $sum: '$value' } } }
+      ]),
+      LearningEvent.aggregate([
+        { $match: { user: userObjectId, kind: { $in: ['difficulty_rating', 'comprehension_level'] } } },
+        { $sort: { occurredAt: 1 } },
+        // Latest rating per content wins
+        {
+          $group: {
+            _id: { kind: '$kind', contentId: '$contentId' },
+            contentType: { $last: '$contentType' },
+            value: { $last: '$value' }
+          }
+        }
+      ]),
+      LearningEvent.aggregate([
+        { $match: { user: userObjectId, occurredAt: { $gte: new Date(Date.now() - 365 * DAY_MS) } } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$occurredAt' } } } }
+      ])
+    ]);
+
+    const studies = (student && student.studies) || [];
+    const completed = new Set([
+      ...attempts.map(attempt => `quiz:${attempt.quiz}`),
+      ...studies.map(study => `chapter:${study.chapter}`)
+    ]);
+
+    const avgQuizScore = attempts.length > 0
+      ? Math.round(attempts.reduce((sum, attempt) => sum + attempt.score, 0) / attempts.length)
+      : 0;
+
+    const average = list => (list.length > 0
+      ? Math.round((list.reduce((sum, r) => sum + r.value, 0) / list.length) * 10) / 10
+      : null);
+    const difficulty = ratings.filter(r => r._id.kind === 'difficulty_rating');
+    const comprehension = ratings.filter(r => r._id.kind === 'comprehension_level');
+
+    return {
+      completedContent: completed.size,
+      avgQuizScore,
+      quizAttempts: attempts.length,
+      totalTimeSpent: Math.round(((timeTotals[0] && timeTotals[0].total) || 0) / 60000),
+      streakDays: streakFromDates([
+        ...activeDays.map(day => new Date(`${day._id}T12:00:00`)),
+        ...attempts.map(attempt => attempt.finishedAt),
+        ...studies.map(study => study.session_start)
+      ]),
+      averageDifficulty: average(difficulty),
+      averageComprehension: average(comprehension),
+      areasOfFocus: await this.getAreasOfFocus(attempts, difficulty, comprehension)
+    };
+  }
+
+  /**
+   * Names of the content the learner finds hardest: quizzes averaging under 60%,
+   * content rated 4-5 for difficulty or 1-2 for comprehension
+   */
+  static async getAreasOfFocus(attempts, difficulty, comprehension, limit = 5) {
+    const quizScores = {};
+    attempts.forEach(attempt => {
+      const id = attempt.quiz.toString();
+      quizScores[id] = quizScores[id] || [];
+      quizScores[id].push(attempt.score);
+    });
+
+    const weakQuizIds = Object.keys(quizScores).filter(id => {
+      const scores = quizScores[id];
+      return scores.reduce((sum, score) => sum + score, 0) / scores.length < 60;
+    });
+
+    const struggling = [
+      ...difficulty.filter(r => r.value >= 4),
+      ...comprehension.filter(r => r.value <= 2)
+    ].filter(r => mongoose.Types.ObjectId.isValid(r._id.contentId));
+
+    const chapterIds = struggling.filter(r => r.contentType === 'chapter').map(r => r._id.contentId);
+    const quizIds = [
+      ...weakQuizIds,
+      ...struggling.filter(r => r.contentType === 'quiz').map(r => r._id.contentId)
+    ];
+
+    const [chapters, quizzes] = await Promise.all([
+      chapterIds.length > 0 ? Chapter.find({ _id: { $in: chapterIds } }).select('name').lean() : [],
+      quizIds.length > 0 ? Quiz.find({ _id: { $in: quizIds } }).select('title').lean() : []
+    ]);
+
+    return [...new Set([...chapters.map(c => c.name), ...quizzes.map(q => q.title)])].slice(0, limit);
+  }
+
+  /**
+   * When and how the learner studies
+   *
+   * @param {string} userId - User ID
+   * @param {Object} options - { days } look-back window (default 30)
+   * @returns {Promise<Object>} { period, activityByHour[24], activityByWeekday[7], preferredTimeOfDay,
+   *   averageSessionMinutes, sessions, interactions, timeByContentType, dailyActivity }
+   */
+  static async getLearningPatterns(userId, { days = 30 } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const events = await LearningEvent.find({ user: userId, occurredAt: { $gte: since } })
+      .select('kind action contentType value occurredAt')
+      .sort({ occurredAt: 1 })
+      .lean();
+
+    const activityByHour = new Array(24).fill(0);
+    const activityByWeekday = new Array(7).fill(0); // 0 = Sunday
+    const interactions = {};
+    const timeByContentType = {};
+    const dailyActivity = {};
+    const sessionDurations = [];
+
+    for (const event of events) {
+      const date = new Date(event.occurredAt);
+      activityByHour[date.getHours()]++;
+      activityByWeekday[date.getDay()]++;
+
+      const day = date.toISOString().slice(0, 10);
+      dailyActivity[day] = dailyActivity[day] || { events: 0, minutes: 0 };
+      dailyActivity[day].events++;
+
+      if (event.kind === 'interaction') {
+        interactions[event.action] = (interactions[event.action] || 0) + 1;
+      } else if (event.kind === 'time_spent') {
+        const type = event.contentType || 'other';
+        timeByContentType[type] = (timeByContentType[type] || 0) + event.value / 60000;
+        dailyActivity[day].minutes += event.value / 60000;
+      } else if (event.kind === 'session_end' && event.value) {
+        sessionDurations.push(event.value / 60000);
+      }
+    }
+
+    Object.keys(timeByContentType).forEach(type => {
+      timeByContentType[type] = Math.round(timeByContentType[type]);
+    });
+    Object.values(dailyActivity).forEach(day => {
+      day.minutes = Math.round(day.minutes);
+    });
+
+    const busiestHour = events.length > 0 ? activityByHour.indexOf(Math.max(...activityByHour)) : null;
+    let preferredTimeOfDay = null;
+    if (busiestHour !== null) {
+      if (busiestHour < 6) preferredTimeOfDay = 'night';
+      else if (busiestHour < 12) preferredTimeOfDay = 'morning';
+      else if (busiestHour < 18) preferredTimeOfDay = 'afternoon';
+      else preferredTimeOfDay = 'evening';
+    }
+
+    return {
+      period: { from: since, to: new Date(), days },
+      totalEvents: events.length,
+      activityByHour,
+      activityByWeekday,
+      preferredTimeOfDay,
+      sessions: sessionDurations.length,
+      averageSessionMinutes: sessionDurations.length > 0
+        ? Math.round(sessionDurations.reduce((sum, d) => sum + d, 0) / sessionDurations.length)
+        : 0,
+      interactions,
+      timeByContentType,
+      dailyActivity: Object.keys(dailyActivity).map(date => ({ date, ...dailyActivity[date] }))
+    };
+  }
+}
+
+LearningMetrics.LearningMetricsError = LearningMetricsError;
+LearningMetrics.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+module.exports = LearningMetrics;
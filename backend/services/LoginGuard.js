@@ -0,0 +1,248 @@
+/**
+ * Login Guard
+ * Slows down password guessing at login, and keeps the failed attempts for admins.
+ *
+ * - Failures are counted per email address and per IP. Past a few free failures each further one
+ *   doubles the wait before the next attempt (1s, 2s, 4s... up to 15 minutes); failures more than
+ *   an hour apart start the count over.
+ * - An email address with ten failures in a row is locked for 30 minutes. Resetting the
+ *   password (PasswordService) or an admin unlocks it sooner.
+ * - Addresses without an account are counted, refused and locked the same way, so none of the
+ *   answers tell whether an account exists.
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const ACCOUNT_LOCK_MS = 30 * 60 * 1000;
+const ACCOUNT_FREE_FAILURES = 3;
+const ACCOUNT_LOCK_AFTER = 10;
+// Higher, since a school network puts many students behind one address
+const IP_FREE_FAILURES = 20;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class LoginBlockedError extends Error {
+  constructor(message, retryAfter, code) {
+    super(message);
+    this.name = 'LoginBlockedError';
+    this.status = 429;
+    this.retryAfter = retryAfter; // Seconds
+    this.code = code;
+  }
+}
+
+class LoginGuardError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LoginGuardError';
+    this.status = status;
+  }
+}
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+const accountKey = (email) => `account:${normalizeEmail(email)}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compared against when the email has no account, so unknown emails take as long as wrong passwords
+let dummyHash = null;
+
+class LoginGuard {
+  /**
+   * Refuse the attempt if the email address or IP is waiting out a backoff or a lock
+   *
+   * @param {string} email - Email address entered
+   * @param {string} ip - Client IP
+   * @param {Object} meta - { userAgent }
+   * @throws {LoginBlockedError} When the attempt has to wait
+   */
+  static async check(email, ip, { userAgent = '' } = {}) {
+    const now = new Date();
+    const throttles = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } }).lean();
+
+    const latest = (field) => throttles
+      .map(throttle => throttle[field])
+      .filter(date => date && date > now)
+      .sort((a, b) => b - a)[0];
+    const lockedUntil = latest('lockedUntil');
+    const blockedUntil = latest('blockedUntil');
+    if (!lockedUntil && !blockedUntil) return;
+
+    const retryAfter = Math.ceil(((lockedUntil || blockedUntil) - now) / 1000);
+    await LoginAttempt.create({
+      email: normalizeEmail(email),
+      ip,
+      userAgent,
+      reason: lockedUntil ? 'locked' : 'throttled'
+    });
+
+    if (lockedUntil) {
+      throw new LoginBlockedError(
+        `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes, or reset your password to sign in now.`,
+        retryAfter,
+        'LOGIN_LOCKED'
+      );
+    }
+    throw new LoginBlockedError(
+      `Too many failed login attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+      retryAfter,
+      'LOGIN_THROTTLED'
+    );
+  }
+
+  /**
+   * Check a password against a user's hash, taking as long when there is no user
+   *
+   * @param {Object|null} user - User with their password hash, or null
+   * @param {string} password - Password entered
+   * @returns {Promise<boolean>} Whether there is a user and the password is theirs
+   */
+  static async verifyPassword(user, password) {
+    if (!dummyHash) dummyHash = await bcrypt.hash('no account uses this password', 10);
+    const matches = await bcrypt.compare(String(password), user ? user.password : dummyHash);
+    return Boolean(user) && matches;
+  }
+
+  /**
+   * Record a failed login and lengthen the wait for the email address and the IP
+   *
+   * @param {string} email - Email address entered
+   * @param {string} ip - Client IP
+   * @param {Object} details - { user (if the email has an account), userAgent }
+   */
+  static async recordFailure(email, ip, { user = null, userAgent = '' } = {}) {
+    const now = new Date();
+    await LoginAttempt.create({
+      email: normalizeEmail(email),
+      user: user ? user._id : null,
+      ip,
+      userAgent,
+      reason: user ? 'bad_password' : 'unknown_user'
+    });
+    await Promise.all([
+      this.countFailure(accountKey(email), now, ACCOUNT_FREE_FAILURES, ACCOUNT_LOCK_AFTER),
+      this.countFailure(ipKey(ip), now, IP_FREE_FAILURES, null)
+    ]);
+  }
+
+  static async countFailure(key, now, freeFailures, lockAfter) {
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+    // Counted in one update, so simultaneous failures are all counted
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: { $cond: [{ $gt: ['$lastFailureAt', windowStart] }, { $add: ['$failures', 1] }, 1] },
+          lastFailureAt: now,
+          createdAt: { $ifNull: ['$createdAt', now] }, // Not set by timestamps in a pipeline upsert
+          expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS + ACCOUNT_LOCK_MS)
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    const update = {};
+    const excess = throttle.failures - freeFailures;
+    if (excess >= 0) {
+      update.blockedUntil = new Date(now.getTime() + Math.min(1000 * 2 ** excess, MAX_BACKOFF_MS));
+    }
+    if (lockAfter && throttle.failures >= lockAfter) {
+      update.lockedUntil = new Date(now.getTime() + ACCOUNT_LOCK_MS);
+    }
+    if (Object.keys(update).length > 0) {
+      await LoginThrottle.updateOne({ _id: throttle._id }, { $set: update });
+    }
+  }
+
+  /**
+   * Forget the failures of an email address after a successful login. The IP keeps its count,
+   * or signing in to one's own account would reset it between guesses at others.
+   *
+   * @param {string} email - Email address
+   */
+  static async recordSuccess(email) {
+    await LoginThrottle.deleteOne({ key: accountKey(email) });
+  }
+
+  /**
+   * Unlock an email address, e.g. after its password was reset
+   *
+   * @param {string} email - Email address
+   */
+  static async unlockAccount(email) {
+    await LoginThrottle.deleteOne({ key: accountKey(email) });
+  }
+
+  /**
+   * Failed and refused logins, newest first
+   *
+   * @param {Object} options - { email (part of one), ip, limit, offset }
+   * @returns {Promise<Object>} { attempts, total }
+   */
+  static async listAttempts({ email, ip, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const filter = {};
+    if (typeof email === 'string' && email.trim()) {
+      filter.email = new RegExp(escapeRegex(normalizeEmail(email)));
+    }
+    if (typeof ip === 'string' && ip.trim()) filter.ip = ip.trim();
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .populate('user', 'name role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean(),
+      LoginAttempt.countDocuments(filter)
+    ]);
+    return { attempts, total };
+  }
+
+  /**
+   * Email addresses and IPs that are currently locked or waiting out a backoff
+   *
+   * @returns {Promise<Array>} { _id, type ('account' or 'ip'), value, failures, blockedUntil, lockedUntil }
+   */
+  static async listBlocks() {
+    const now = new Date();
+    const throttles = await LoginThrottle.find({
+      $or: [{ blockedUntil: { $gt: now } }, { lockedUntil: { $gt: now } }]
+    }).sort({ lastFailureAt: -1 }).lean();
+
+    return throttles.map(throttle => {
+      const separator = throttle.key.indexOf(':');
+      return {
+        _id: throttle._id,
+        type: throttle.key.slice(0, separator),
+        value: throttle.key.slice(separator + 1),
+        failures: throttle.failures,
+        lastFailureAt: throttle.lastFailureAt,
+        blockedUntil: throttle.blockedUntil,
+        lockedUntil: throttle.lockedUntil
+      };
+    });
+  }
+
+  /**
+   * Lift a lock or backoff, forgetting its failures
+   *
+   * @param {string} blockId - ID from listBlocks
+   */
+  static async unblock(blockId) {
+    if (!mongoose.Types.ObjectId.isValid(blockId)) throw new LoginGuardError('Invalid block ID');
+    const result = await LoginThrottle.deleteOne({ _id: blockId });
+    if (result.deletedCount === 0) throw new LoginGuardError('Block not found', 404);
+  }
+}
+
+LoginGuard.LoginBlockedError = LoginBlockedError;
+LoginGuard.LoginGuardError = LoginGuardError;
+
+module.exports = LoginGuard;
@@ -0,0 +1,68 @@
+/**
+ * Mail Service
+ * Sends email through a pluggable transport.
+ *
+ * Each transport is an object exposing:
+ * - id: unique name
+ * - send(message): deliver { from, to, subject, text, html, headers }, resolving to { messageId }
+ *
+ * Mail goes through the transport named by MAIL_TRANSPORT: 'smtp' (services/mail/SmtpTransport.js)
+ * in production, and by default 'outbox' (services/mail/OutboxTransport.js), which writes every
+ * message to a local folder instead of sending it, for development and tests.
+ */
+
+const SmtpTransport = require('./mail/SmtpTransport');
+const OutboxTransport = require('./mail/OutboxTransport');
+
+const DEFAULT_TRANSPORT = 'outbox';
+const DEFAULT_FROM = 'Mathemann <no-reply@mathemann.local>';
+
+const transports = {};
+
+class MailService {
+  /**
+   * Register a mail transport
+   *
+   * @param {Object} transport - Object implementing the transport interface
+   */
+  static register(transport) {
+    if (!transport || !transport.id || typeof transport.send !== 'function') {
+      throw new Error('Mail transport must have an id and a send() function');
+    }
+    transports[transport.id] = transport;
+  }
+
+  /**
+   * Get a transport by id, defaulting to the configured one
+   *
+   * @param {string} [id] - Transport id
+   * @returns {Object} Mail transport
+   */
+  static getTransport(id) {
+    const name = id || process.env.MAIL_TRANSPORT || DEFAULT_TRANSPORT;
+    const transport = transports[name];
+    if (!transport) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    return transport;
+  }
+
+  /**
+   * Send one email from MAIL_FROM
+   *
+   * @param {Object} message - { to, subject, text, html, headers }
+   * @returns {Promise<Object>} { messageId }
+   */
+  static send({ to, subject, text, html, headers = {} }) {
+    if (!to || !subject || (!text && !html)) {
+      throw new Error('An email needs a recipient, a subject and a body');
+    }
+    const from = process.env.MAIL_FROM || DEFAULT_FROM;
+    return this.getTransport().send({ from, to, subject, text, html, headers });
+  }
+}
+
+MailService.register(SmtpTransport);
+MailService.register(OutboxTransport);
+
+module.exports = MailService;
@@ -0,0 +1,393 @@
+/**
+ * Math Expression Service
+ * Parses and evaluates the algebraic expressions students type in (e.g. "2(x+1)", "x^2 - 3x", "sqrt(2)/2").
+ *
+ * Supported syntax:
+ * - numbers (decimal point or comma), + - * / ^ and parentheses. A comma that may as well group
+ *   thousands ("1,000") is refused rather than guessed at.
+ * - implicit multiplication: "2x", "3(x+1)", "(x+1)(x-1)", "xy" (= x * y)
+ * - functions: sqrt, abs, sin, cos, tan, ln, log (base 10), exp
+ * - constants: pi, e
+ * - single-letter variables
+ *
+ * Symbolic equivalence is checked numerically: both expressions are evaluated at the same
+ * sample points and must agree everywhere both are defined.
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Longest names first so "sqrt" is not read as "s", "q", ...
+const NAMED_TOKENS = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)]
+  .sort((a, b) => b.length - a.length);
+
+// Limits keep hostile answers from exhausting the stack while parsing or evaluating
+const MAX_INPUT_LENGTH = 1000;
+const MAX_NESTING_DEPTH = 100;
+
+class MathExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MathExpressionError';
+  }
+}
+
+/**
+ * Split an input string into tokens
+ *
+ * @param {string} input - Expression text
+ * @returns {Array} Tokens { type: 'num'|'name'|'var'|'op'|'(' |')', value }
+ */
+const tokenize = (input) => {
+  if (String(input).length > MAX_INPUT_LENGTH) {
+    throw new MathExpressionError(`Expression is longer than ${MAX_INPUT_LENGTH} characters`);
+  }
+  const source = String(input)
+    .replace(/[×·]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/\*\*/g, '^')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/π/g, 'pi');
+
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.,]/.test(ch)) {
+      let j = i;
+      while (j < source.length && /[0-9.,]/.test(source[j])) j++;
+      const raw = source.slice(i, j);
+      // "1,5" has a decimal comma, but "1,000" or "1,000.5" could be thousands groups
+      if (raw.includes(',') && (/[,.].*[,.]/.test(raw) || /^[1-9]\d{0,2},\d{3}$/.test(raw))) {
+        throw new MathExpressionError(`Ambiguous number "${raw}": write it without thousands separators`);
+      }
+      const text = raw.replace(',', '.');
+      const value = Number(text);
+      if (text === '.' || isNaN(value)) {
+        throw new MathExpressionError(`Invalid number "${raw}"`);
+      }
+      tokens.push({ type: 'num', value });
+      i = j;
+      continue;
+    }
+
+    if (/[a-zA-Z]/.test(ch)) {
+      const rest = source.slice(i).toLowerCase();
+      const named = NAMED_TOKENS.find(name => rest.startsWith(name));
+      if (named) {
+        tokens.push({ type: 'name', value: named });
+        i += named.length;
+      } else {
+        tokens.push({ type: 'var', value: ch });
+        i++;
+      }
+      continue;
+    }
+
+    if ('+-*/^'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch });
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === '[') {
+      tokens.push({ type: '(' });
+      i++;
+      continue;
+    }
+
+    if (ch === ')' || ch === ']') {
+      tokens.push({ type: ')' });
+      i++;
+      continue;
+    }
+
+    throw new MathExpressionError(`Unexpected character "${ch}"`);
+  }
+
+  return tokens;
+};
+
+/**
+ * Recursive-descent parser producing a small AST
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isOp(token, ops) {
+    return token && token.type === 'op' && ops.includes(token.value);
+  }
+
+  // A token that can start a factor, used to detect implicit multiplication
+  startsPrimary(token) {
+    return token && (token.type === 'num' || token.type === 'var' || token.type === 'name' || token.type === '(');
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new MathExpressionError('Empty expression');
+    }
+    const node = this.parseExpression();
+    if (this.pos < this.tokens.length) {
+      throw new MathExpressionError('Unexpected input after end of expression');
+    }
+    return node;
+  }
+
+  parseExpression() {
+    let node = this.parseTerm();
+    while (this.isOp(this.peek(), '+-')) {
+      const op = this.next().value;
+      node = { type: 'op', op, left: node, right: this.parseTerm() };
+    }
+    return node;
+  }
+
+  parseTerm() {
+    let node = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      if (this.isOp(token, '*/')) {
+        this.next();
+        node = { type: 'op', op: token.value, left: node, right: this.parseUnary() };
+      } else if (this.startsPrimary(token)) {
+        node = { type: 'op', op: '*', left: node, right: this.parsePower() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  // Every nested parenthesis, sign and exponent passes through here, so this bounds the recursion
+  parseUnary() {
+    if (++this.depth > MAX_NESTING_DEPTH) {
+      throw new MathExpressionError('Expression is nested too deeply');
+    }
+    const token = this.peek();
+    let node;
+    if (this.isOp(token, '+-')) {
+      this.next();
+      const operand = this.parseUnary();
+      node = token.value === '-' ? { type: 'neg', arg: operand } : operand;
+    } else {
+      node = this.parsePower();
+    }
+    this.depth--;
+    return node;
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOp(this.peek(), '^')) {
+      this.next();
+      return { type: 'op', op: '^', left: base, right: this.parseUnary() };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw new MathExpressionError('Unexpected end of expression');
+    }
+
+    if (token.type === 'num') {
+      return { type: 'num', value: token.value };
+    }
+
+    if (token.type === 'var') {
+      return { type: 'var', name: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (CONSTANTS[token.value] !== undefined) {
+        return { type: 'num', value: CONSTANTS[token.value] };
+      }
+      if (!this.peek() || this.peek().type !== '(') {
+        throw new MathExpressionError(`${token.value} needs parentheses, e.g. ${token.value}(x)`);
+      }
+      return { type: 'fn', name: token.value, arg: this.parsePrimary() };
+    }
+
+    if (token.type === '(') {
+      const node = this.parseExpression();
+      const close = this.next();
+      if (!close || close.type !== ')') {
+        throw new MathExpressionError('Missing closing parenthesis');
+      }
+      return node;
+    }
+
+    throw new MathExpressionError('Unexpected operator');
+  }
+}
+
+const evaluateNode = (node, scope) => {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'var':
+      if (scope[node.name] === undefined) {
+        throw new MathExpressionError(`No value for variable "${node.name}"`);
+      }
+      return Number(scope[node.name]);
+    case 'neg':
+      return -evaluateNode(node.arg, scope);
+    case 'fn':
+      return FUNCTIONS[node.name](evaluateNode(node.arg, scope));
+    case 'op': {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '^': return Math.pow(left, right);
+        default: throw new MathExpressionError(`Unknown operator ${node.op}`);
+      }
+    }
+    default:
+      throw new MathExpressionError(`Unknown node ${node.type}`);
+  }
+};
+
+const collectVariables = (node, vars = new Set()) => {
+  if (node.type === 'var') vars.add(node.name);
+  if (node.arg) collectVariables(node.arg, vars);
+  if (node.left) collectVariables(node.left, vars);
+  if (node.right) collectVariables(node.right, vars);
+  return vars;
+};
+
+// Small deterministic PRNG so equivalence checks are reproducible
+const mulberry32 = (seed) => () => {
+  seed |= 0;
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+class MathExpression {
+  /**
+   * Reproducible random number generator, uniform in [0, 1)
+   *
+   * @param {number} seed - 32-bit integer seed
+   * @returns {Function} Generator; each call returns the next number
+   */
+  static createRandom(seed) {
+    return mulberry32(seed);
+  }
+
+  /**
+   * Parse an expression into an AST
+   *
+   * @param {string} input - Expression text
+   * @returns {Object} AST root node
+   * @throws {MathExpressionError} When the input is not a valid expression
+   */
+  static parse(input) {
+    return new Parser(tokenize(input)).parse();
+  }
+
+  /**
+   * Evaluate an expression
+   *
+   * @param {string|Object} expression - Expression text or parsed AST
+   * @param {Object} scope - Variable values, e.g. { x: 2 }
+   * @returns {number} Result (may be NaN/Infinity outside the domain)
+   */
+  static evaluate(expression, scope = {}) {
+    const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+    return evaluateNode(ast, scope);
+  }
+
+  /**
+   * List the variables used in an expression
+   *
+   * @param {string|Object} expression - Expression text or parsed AST
+   * @returns {Array<string>} Sorted variable names
+   */
+  static variables(expression) {
+    const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+    return [...collectVariables(ast)].sort();
+  }
+
+  /**
+   * Check whether two expressions are mathematically equivalent.
+   * Both are evaluated at the same random points; they must agree (within tolerance)
+   * at every point where both are defined, and enough points must be defined.
+   *
+   * @param {string} a - First expression
+   * @param {string} b - Second expression
+   * @param {Object} options - { samples, tolerance, seed }
+   * @returns {boolean} True when equivalent
+   * @throws {MathExpressionError} When either expression cannot be parsed
+   */
+  static equivalent(a, b, { samples = 16, tolerance = 1e-6, seed = 12345 } = {}) {
+    const astA = this.parse(a);
+    const astB = this.parse(b);
+    const vars = [...new Set([...collectVariables(astA), ...collectVariables(astB)])];
+    const random = mulberry32(seed);
+
+    let checked = 0;
+    for (let i = 0; i < samples * 4 && checked < samples; i++) {
+      const scope = {};
+      for (const name of vars) {
+        // Non-integer values in [-5, 5] avoid accidental agreement at special points
+        scope[name] = (random() * 10 - 5) + 0.1234;
+      }
+
+      const valueA = evaluateNode(astA, scope);
+      const valueB = evaluateNode(astB, scope);
+      if (!Number.isFinite(valueA) || !Number.isFinite(valueB)) continue;
+
+      const scale = Math.max(1, Math.abs(valueA), Math.abs(valueB));
+      if (Math.abs(valueA - valueB) > tolerance * scale) return false;
+      checked++;
+
+      // Constant expressions only need one comparison
+      if (vars.length === 0) break;
+    }
+
+    return vars.length === 0 ? checked === 1 : checked >= Math.min(samples, 3);
+  }
+}
+
+MathExpression.MathExpressionError = MathExpressionError;
+
+module.exports = MathExpression;
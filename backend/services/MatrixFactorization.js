@@ -0,0 +1,110 @@
+/**
+ * Matrix Factorization
+ * Biased matrix factorization trained with stochastic gradient descent:
+ *
+ *   prediction(u, i) = mean + userBias[u] + itemBias[i] + userFactors[u] · itemFactors[i]
+ *
+ * Ratings are expected in [0, 1]. Pure computation, no I/O; services/Recommender.js
+ * collects the ratings and persists the result.
+ */
+
+const MathExpression = require('./MathExpression');
+
+class MatrixFactorization {
+  /**
+   * @param {Object} options - { numFactors, learningRate, regularization, epochs, seed }
+   */
+  constructor({ numFactors = 10, learningRate = 0.05, regularization = 0.05, epochs = 60, seed = 42 } = {}) {
+    this.numFactors = numFactors;
+    this.learningRate = learningRate;
+    this.regularization = regularization;
+    this.epochs = epochs;
+    this.random = MathExpression.createRandom(seed);
+    this.globalMean = 0.5;
+    this.users = new Map(); // userId -> { bias, factors }
+    this.items = new Map(); // itemKey -> { bias, factors }
+    this.rmse = null;
+  }
+
+  _initialEntry() {
+    return {
+      bias: 0,
+      factors: Array.from({ length: this.numFactors }, () => (this.random() - 0.5) * 0.1)
+    };
+  }
+
+  /**
+   * Train from scratch
+   *
+   * @param {Array} ratings - [{ userId, itemKey, rating }]
+   * @returns {MatrixFactorization} this
+   */
+  train(ratings) {
+    if (ratings.length === 0) return this;
+
+    this.globalMean = ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length;
+    for (const { userId, itemKey } of ratings) {
+      if (!this.users.has(userId)) this.users.set(userId, this._initialEntry());
+      if (!this.items.has(itemKey)) this.items.set(itemKey, this._initialEntry());
+    }
+
+    const order = ratings.map((rating, index) => index);
+    const { learningRate: lr, regularization: reg } = this;
+
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
+      // Shuffle so updates do not follow insertion order
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+
+      let squaredError = 0;
+      for (const index of order) {
+        const { userId, itemKey, rating } = ratings[index];
+        const user = this.users.get(userId);
+        const item = this.items.get(itemKey);
+        const error = rating - this._rawPrediction(user, item);
+        squaredError += error * error;
+
+        user.bias += lr * (error - reg * user.bias);
+        item.bias += lr * (error - reg * item.bias);
+        for (let f = 0; f < this.numFactors; f++) {
+          const userFactor = user.factors[f];
+          const itemFactor = item.factors[f];
+          user.factors[f] += lr * (error * itemFactor - reg * userFactor);
+          item.factors[f] += lr * (error * userFactor - reg * itemFactor);
+        }
+      }
+      this.rmse = Math.sqrt(squaredError / ratings.length);
+    }
+
+    return this;
+  }
+
+  _rawPrediction(user, item) {
+    let prediction = this.globalMean + user.bias + item.bias;
+    for (let f = 0; f < this.numFactors; f++) {
+      prediction += user.factors[f] * item.factors[f];
+    }
+    return prediction;
+  }
+
+  /**
+   * Predict a rating from stored factors
+   *
+   * @param {Object} user - { bias, factors }
+   * @param {Object} item - { bias, factors }
+   * @param {number} globalMean - Model baseline
+   * @returns {number} Rating clamped to [0, 1]
+   */
+  static predict(user, item, globalMean) {
+    let prediction = globalMean + (user.bias || 0) + (item.bias || 0);
+    const length = Math.min(user.factors.length, item.factors.length);
+    for (let f = 0; f < length; f++) {
+      prediction += user.factors[f] * item.factors[f];
+    }
+    return Math.max(0, Math.min(1, prediction));
+  }
+}
+
+module.exports = MatrixFactorization;
@@ -0,0 +1,268 @@
+/**
+ * Meeting Negotiation Service
+ * Proposing other times for a meeting, on top of office-hours booking (services/OfficeHours.js).
+ *
+ * - A teacher answers a pending request with a counter-proposal of up to MAX_PROPOSED_TIMES
+ *   alternatives (status 'countered'); the student accepts one of them or declines.
+ * - Either side of an accepted meeting proposes new times to reschedule it. The meeting keeps
+ *   its time until the other side accepts one of them.
+ *
+ * Teachers may propose any time that does not clash with their accepted meetings, or one of
+ * their office-hours slots; students reschedule into the teacher's office-hours slots only.
+ * Accepting a slot reserves a place in it the same way accepting a booking does, and moving
+ * away from a slot frees the old place. Every step is recorded in MeetingRequest.history.
+ */
+
+const MeetingRequest = require('../models/MeetingRequest');
+const OfficeHours = require('./OfficeHours');
+
+const { OfficeHoursError } = OfficeHours;
+
+const MAX_PROPOSED_TIMES = 5;
+const MAX_MEETING_MINUTES = 240;
+const MINUTE_MS = 60 * 1000;
+
+const isParty = (request, userId) => (
+  request.student.toString() === String(userId) || request.teacher.toString() === String(userId)
+);
+
+class MeetingNegotiation {
+  /**
+   * Validate proposed times for a meeting
+   *
+   * @param {Object} request - Meeting request the times are for
+   * @param {Array} times - [{ startsAt, endsAt, windowId }]; windowId marks an office-hours slot,
+   *   endsAt defaults to the meeting's current length
+   * @param {Object} options - { slotsOnly: only office-hours slots are allowed }
+   * @returns {Promise<Array>} [{ startsAt, endsAt, availabilityWindow }] in time order
+   */
+  static async normalizeTimes(request, times, { slotsOnly = false } = {}) {
+    if (!Array.isArray(times) || times.length === 0 || times.length > MAX_PROPOSED_TIMES) {
+      throw new OfficeHoursError(`Propose between 1 and ${MAX_PROPOSED_TIMES} times`);
+    }
+    const currentMinutes = request.endTime
+      ? (request.endTime - request.requestedTime) / MINUTE_MS
+      : OfficeHours.DEFAULT_MEETING_MINUTES;
+    const earliest = Date.now() + OfficeHours.MIN_NOTICE_MINUTES * MINUTE_MS;
+    const latest = Date.now() + OfficeHours.BOOKING_HORIZON_DAYS * 24 * 60 * MINUTE_MS;
+
+    const proposed = [];
+    for (const time of times) {
+      if (time && time.windowId) {
+        const slot = await OfficeHours.findSlot(request.teacher, time.windowId, time.startsAt);
+        await OfficeHours.assertSlotOpen(request.teacher, slot);
+        proposed.push({ startsAt: slot.startsAt, endsAt: slot.endsAt, availabilityWindow: slot.window._id });
+        continue;
+      }
+      if (slotsOnly) {
+        throw new OfficeHoursError("Choose times from the teacher's office hours");
+      }
+
+      const startsAt = new Date(time && time.startsAt);
+      const endsAt = time && time.endsAt
+        ? new Date(time.endsAt)
+        : new Date(startsAt.getTime() + currentMinutes * MINUTE_MS);
+      if (isNaN(startsAt) || isNaN(endsAt)) {
+        throw new OfficeHoursError('Each time needs a valid startsAt');
+      }
+      if (startsAt < earliest || startsAt > latest) {
+        throw new OfficeHoursError(`Times must be between ${OfficeHours.MIN_NOTICE_MINUTES} minutes and ${OfficeHours.BOOKING_HORIZON_DAYS} days ahead`);
+      }
+      const minutes = (endsAt - startsAt) / MINUTE_MS;
+      if (minutes <= 0 || minutes > MAX_MEETING_MINUTES) {
+        throw new OfficeHoursError(`A meeting lasts between 1 and ${MAX_MEETING_MINUTES} minutes`);
+      }
+      await OfficeHours.assertTeacherFree(request.teacher, startsAt, endsAt, request._id);
+      proposed.push({ startsAt, endsAt });
+    }
+
+    const distinct = new Set(proposed.map(time => time.startsAt.getTime()));
+    if (distinct.size !== proposed.length) {
+      throw new OfficeHoursError('The same time is proposed twice');
+    }
+    return proposed.sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Teacher: propose other times for a pending request
+   *
+   * @param {string} teacherId - Teacher the request is for
+   * @param {string} requestId - Meeting request ID
+   * @param {Object} data - { times (see normalizeTimes), note }
+   * @returns {Promise<Object>} The countered request
+   */
+  static async counter(teacherId, requestId, { times, note } = {}) {
+    const pending = await MeetingRequest.findOne({ _id: requestId, teacher: teacherId, status: 'pending' }).catch(() => null);
+    if (!pending) {
+      throw new OfficeHoursError('Pending meeting request not found or access denied.', 404);
+    }
+    const proposed = await this.normalizeTimes(pending, times);
+
+    const request = await MeetingRequest.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      {
+        status: 'countered',
+        proposal: { by: teacherId, times: proposed, note, createdAt: new Date() },
+        $push: { history: MeetingRequest.historyEntry('countered', teacherId, { status: 'countered', times: proposed, note }) }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!request) {
+      throw new OfficeHoursError('Pending meeting request not found or access denied.', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Either side: propose new times for an accepted meeting. Replaces any open proposal.
+   *
+   * @param {string} userId - Student or teacher of the meeting
+   * @param {string} requestId - Meeting request ID
+   * @param {Object} data - { times (see normalizeTimes), note }
+   * @returns {Promise<Object>} The request with the proposal
+   */
+  static async proposeReschedule(userId, requestId, { times, note } = {}) {
+    const accepted = await MeetingRequest.findOne({ _id: requestId, status: 'accepted' }).catch(() => null);
+    if (!accepted || !isParty(accepted, userId)) {
+      throw new OfficeHoursError('Accepted meeting not found or access denied.', 404);
+    }
+    if (accepted.requestedTime < new Date()) {
+      throw new OfficeHoursError('This meeting has already taken place', 409);
+    }
+    const isStudent = accepted.student.toString() === String(userId);
+    const proposed = await this.normalizeTimes(accepted, times, { slotsOnly: isStudent });
+
+    const request = await MeetingRequest.findOneAndUpdate(
+      { _id: accepted._id, status: 'accepted' },
+      {
+        proposal: { by: userId, times: proposed, note, createdAt: new Date() },
+        $push: { history: MeetingRequest.historyEntry('reschedule_proposed', userId, { status: 'accepted', times: proposed, note }) }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!request) {
+      throw new OfficeHoursError('Accepted meeting not found or access denied.', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Accept one of the times the other side proposed. The meeting moves to that time (taking a
+   * place when it is an office-hours slot) and is accepted.
+   *
+   * @param {string} userId - The side that did not make the proposal
+   * @param {string} requestId - Meeting request ID
+   * @param {string} proposedTimeId - _id of one of proposal.times
+   * @returns {Promise<Object>} The accepted request
+   */
+  static async acceptProposal(userId, requestId, proposedTimeId) {
+    const request = await MeetingRequest.findOne({ _id: requestId, status: { $in: ['countered', 'accepted'] } }).catch(() => null);
+    if (!request || !isParty(request, userId) || !request.proposal) {
+      throw new OfficeHoursError('No open proposal for this meeting.', 404);
+    }
+    if (request.proposal.by.toString() === String(userId)) {
+      throw new OfficeHoursError('Wait for the other side to answer your proposal', 403);
+    }
+    const time = request.proposal.times.id(proposedTimeId);
+    if (!time) {
+      throw new OfficeHoursError('Choose one of the proposed times');
+    }
+    if (time.startsAt < new Date()) {
+      throw new OfficeHoursError('That time has already passed', 409);
+    }
+
+    await OfficeHours.assertStudentFree(request.student, time.startsAt, time.endsAt, request._id);
+    if (!time.availabilityWindow) {
+      await OfficeHours.assertTeacherFree(request.teacher, time.startsAt, time.endsAt, request._id);
+    }
+    const slot = time.availabilityWindow
+      ? await OfficeHours.reserve({
+        _id: request._id,
+        teacher: request.teacher,
+        requestedTime: time.startsAt,
+        endTime: time.endsAt,
+        availabilityWindow: time.availabilityWindow
+      })
+      : null;
+
+    const action = request.status === 'countered' ? 'counter_accepted' : 'rescheduled';
+    const update = {
+      $set: { status: 'accepted', requestedTime: time.startsAt, endTime: time.endsAt },
+      $unset: { proposal: 1 },
+      $push: {
+        history: MeetingRequest.historyEntry(action, userId, {
+          status: 'accepted',
+          requestedTime: request.requestedTime,
+          endTime: request.endTime
+        })
+      }
+    };
+    if (slot) {
+      update.$set.availabilityWindow = time.availabilityWindow;
+      update.$set.reservation = slot._id;
+    } else {
+      update.$unset.availabilityWindow = 1;
+      update.$unset.reservation = 1;
+    }
+
+    // Only while this exact proposal is still open
+    const accepted = await MeetingRequest.findOneAndUpdate(
+      { _id: request._id, status: request.status, 'proposal.times._id': time._id },
+      update,
+      { new: true }
+    );
+    if (!accepted) {
+      if (slot) await OfficeHours.release({ _id: request._id, reservation: slot._id });
+      throw new OfficeHoursError('The proposal changed in the meantime. Please look again.', 409);
+    }
+
+    // Free the place the meeting held before it moved
+    if (request.reservation && (!slot || request.reservation.toString() !== slot._id.toString())) {
+      await OfficeHours.release(request);
+    }
+    return accepted;
+  }
+
+  /**
+   * Close an open proposal without accepting it. The proposer withdraws it; the other side
+   * declines it. A withdrawn counter-proposal puts the request back to pending; a declined one
+   * closes it. A rescheduled meeting keeps its current time either way.
+   *
+   * @param {string} userId - Student or teacher of the meeting
+   * @param {string} requestId - Meeting request ID
+   * @param {string} note - Optional reason
+   * @returns {Promise<Object>} The updated request
+   */
+  static async closeProposal(userId, requestId, note) {
+    const request = await MeetingRequest.findOne({ _id: requestId, status: { $in: ['countered', 'accepted'] } }).catch(() => null);
+    if (!request || !isParty(request, userId) || !request.proposal) {
+      throw new OfficeHoursError('No open proposal for this meeting.', 404);
+    }
+
+    const withdrawn = request.proposal.by.toString() === String(userId);
+    let status = 'accepted';
+    let action = withdrawn ? 'reschedule_withdrawn' : 'reschedule_declined';
+    if (request.status === 'countered') {
+      status = withdrawn ? 'pending' : 'cancelled';
+      action = withdrawn ? 'counter_withdrawn' : 'counter_declined';
+    }
+
+    const updated = await MeetingRequest.findOneAndUpdate(
+      { _id: request._id, status: request.status, 'proposal.createdAt': request.proposal.createdAt },
+      {
+        status,
+        $unset: { proposal: 1 },
+        $push: { history: MeetingRequest.historyEntry(action, userId, { status, note }) }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw new OfficeHoursError('The proposal changed in the meantime. Please look again.', 409);
+    }
+    return updated;
+  }
+}
+
+MeetingNegotiation.MAX_PROPOSED_TIMES = MAX_PROPOSED_TIMES;
+
+module.exports = MeetingNegotiation;
@@ -0,0 +1,332 @@
+/**
+ * Message Moderation
+ * Reports on messages and users, and the queue teachers and admins review them in.
+ *
+ * Reports are filed by users (reportMessage, reportUser) or raised by the word filter, which
+ * screens every message as it is sent (screen). The reported message is marked flagged and
+ * copied into the report together with the messages just before it, so it can be reviewed
+ * even after it is deleted. Files of flagged messages are never removed.
+ *
+ * Reports are moderated by the teachers of the domains of the students involved; reports that
+ * involve no students are open to every teacher. Admins moderate every report. Nobody moderates
+ * a report about themselves.
+ * Moderators receive new reports on their sockets as 'moderationReport'.
+ */
+
+const mongoose = require('mongoose');
+const { hasPermission } = require('../config/permissions');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const MessageReport = require('../models/MessageReport');
+const User = require('../models/User');
+const MessagingError = require('./MessagingError');
+const MessagingPolicy = require('./MessagingPolicy');
+const WordFilter = require('./WordFilter');
+const SocketManager = require('./SocketManager');
+const AttachmentStorage = require('./AttachmentStorage');
+
+const CONTEXT_MESSAGES = 5;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const USER_FIELDS = 'name email role';
+
+class MessageModeration {
+  /**
+   * Screen a newly sent message with the word filter, flagging it when anything matches
+   *
+   * @param {Object} message - Saved message document
+   * @returns {Promise<Object|null>} The report, or null when the message is clean
+   */
+  static async screen(message) {
+    const matchedTerms = WordFilter.match(message.content);
+    if (matchedTerms.length === 0) return null;
+
+    return this.createReport({
+      source: 'filter',
+      reportedUser: message.sender,
+      message,
+      reason: 'inappropriate',
+      matchedTerms
+    });
+  }
+
+  /**
+   * Report a message received in one of the reporter's conversations
+   *
+   * @param {string} reporterId - Reporting user
+   * @param {string} messageId - Reported message
+   * @param {Object} data - { reason, details }
+   * @returns {Promise<Object>} The report (an existing open one when already reported)
+   */
+  static async reportMessage(reporterId, messageId, { reason, details } = {}) {
+    this.validateReason(reason);
+    const message = await Message.findById(messageId).catch(() => null);
+    if (!message) {
+      throw new MessagingError('Message not found', 404);
+    }
+    const isParticipant = await Conversation.exists({ _id: message.conversationId, participants: reporterId });
+    if (!isParticipant) {
+      throw new MessagingError('Access denied to this message', 403);
+    }
+    if (message.sender.toString() === String(reporterId)) {
+      throw new MessagingError('You cannot report your own message');
+    }
+
+    const existing = await MessageReport.findOne({ reporter: reporterId, message: message._id, status: 'open' });
+    if (existing) return existing;
+
+    return this.createReport({ reporter: reporterId, reportedUser: message.sender, message, reason, details });
+  }
+
+  /**
+   * Report a user the reporter shares a conversation with. Their latest messages in the
+   * shared conversations are kept as context.
+   *
+   * @param {string} reporterId - Reporting user
+   * @param {string} userId - Reported user
+   * @param {Object} data - { reason, details }
+   * @returns {Promise<Object>} The report
+   */
+  static async reportUser(reporterId, userId, { reason, details } = {}) {
+    this.validateReason(reason);
+    if (String(reporterId) === String(userId)) {
+      throw new MessagingError('You cannot report yourself');
+    }
+    const shared = await Conversation.find({ participants: { $all: [reporterId, userId] } })
+      .distinct('_id')
+      .catch(() => []);
+    if (shared.length === 0) {
+      throw new MessagingError('You can only report users you have a conversation with', 403);
+    }
+
+    const latest = await Message.find({ conversationId: { $in: shared }, sender: userId })
+      .sort({ createdAt: -1 })
+      .limit(CONTEXT_MESSAGES)
+      .lean();
+    return this.createReport({
+      reporter: reporterId,
+      reportedUser: userId,
+      conversationId: shared.length === 1 ? shared[0] : undefined,
+      reason,
+      details,
+      context: latest.reverse()
+    });
+  }
+
+  static validateReason(reason) {
+    if (!MessageReport.REPORT_REASONS.includes(reason)) {
+      throw new MessagingError(`Reason must be one of: ${MessageReport.REPORT_REASONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Save a report, flag its message and notify the moderators
+   *
+   * @param {Object} data - Report fields; message is a Message document, context a list of
+   *   messages (defaults to the ones before message)
+   * @returns {Promise<Object>} The saved report
+   */
+  static async createReport({ message, context, ...fields }) {
+    const report = new MessageReport({ ...fields });
+
+    if (message) {
+      report.message = message._id;
+      report.conversationId = message.conversationId;
+      report.snapshot = {
+        content: message.content,
+        attachments: message.attachments.map(attachment => attachment.toObject()),
+        sentAt: message.createdAt
+      };
+      if (!context) {
+        const before = await Message.find({ conversationId: message.conversationId, createdAt: { $lt: message.createdAt } })
+          .sort({ createdAt: -1 })
+          .limit(CONTEXT_MESSAGES)
+          .lean();
+        context = before.reverse();
+      }
+    }
+    report.context = (context || []).map(previous => ({
+      sender: previous.sender,
+      content: previous.content,
+      sentAt: previous.createdAt
+    }));
+
+    // Moderated by the teachers of the students involved (both sides of a direct conversation)
+    // and of the class channel it came from
+    const involved = [report.reporter, report.reportedUser].filter(Boolean).map(String);
+    let channelDomain = null;
+    if (report.conversationId) {
+      const conversation = await Conversation.findById(report.conversationId).lean();
+      if (conversation && !['group', 'class'].includes(conversation.type)) {
+        involved.push(...conversation.participants.map(String));
+      }
+      channelDomain = conversation && conversation.domain ? conversation.domain.toString() : null;
+    }
+    const domains = await this.getDomainsOf(involved);
+    report.domains = channelDomain && !domains.includes(channelDomain) ? [...domains, channelDomain] : domains;
+
+    await report.save();
+    if (message) {
+      await Message.updateOne({ _id: message._id }, { flagged: true });
+    }
+
+    await this.notifyModerators(report);
+    return report;
+  }
+
+  /**
+   * Domains of the students among some users
+   */
+  static async getDomainsOf(userIds) {
+    const students = await User.find({ _id: { $in: [...new Set(userIds)] }, role: 'student' }).lean();
+    const domainIds = new Set();
+    for (const student of students) {
+      (await MessagingPolicy.getStudentDomainIds(student)).forEach(id => domainIds.add(id));
+    }
+    return [...domainIds];
+  }
+
+  /**
+   * Push a new report to the sockets of the teachers and admins who moderate it
+   */
+  static async notifyModerators(report) {
+    const teachers = { role: 'teacher' };
+    if (report.domains.length > 0) {
+      teachers.domains = { $in: report.domains.map(id => new mongoose.Types.ObjectId(String(id))) };
+    }
+    const filter = { _id: { $ne: report.reportedUser }, $or: [teachers, { role: 'admin' }] };
+    const moderators = await User.find(filter).select('_id').lean();
+    const populated = await this.getPopulatedReport(report._id);
+    moderators.forEach(moderator => {
+      SocketManager.emitToUser(moderator._id, 'moderationReport', populated);
+    });
+  }
+
+  /**
+   * Query filter for the reports a moderator may see
+   *
+   * @param {string} moderatorId - Teacher or admin
+   * @returns {Promise<Object>} MongoDB filter
+   */
+  static async getScopeFilter(moderatorId) {
+    const moderator = await User.findById(moderatorId).lean();
+    if (!moderator || !hasPermission(moderator.role, 'messages:moderate')) {
+      throw new MessagingError('Only teachers and admins can moderate messages', 403);
+    }
+    if (moderator.role === 'admin') {
+      return { reportedUser: { $ne: moderator._id } };
+    }
+    return {
+      reportedUser: { $ne: moderator._id },
+      $or: [
+        { domains: { $in: moderator.domains || [] } },
+        { domains: { $size: 0 } }
+      ]
+    };
+  }
+
+  static populate(query) {
+    return query
+      .populate('reporter', USER_FIELDS)
+      .populate('reportedUser', USER_FIELDS)
+      .populate('reviewedBy', 'name')
+      .populate('context.sender', 'name role');
+  }
+
+  static async getPopulatedReport(reportId) {
+    const report = await this.populate(MessageReport.findById(reportId)).lean();
+    return report && this.toClient(report);
+  }
+
+  // Like Message attachments, retained files keep their storage details on the server
+  static toClient(report) {
+    if (report.snapshot && report.snapshot.attachments) {
+      report.snapshot.attachments = report.snapshot.attachments.map(({ storage, storageKey, thumbnailKey, ...rest }) => ({
+        ...rest,
+        hasThumbnail: Boolean(thumbnailKey)
+      }));
+    }
+    return report;
+  }
+
+  /**
+   * A page of the moderation queue, newest first
+   *
+   * @param {string} moderatorId - Teacher or admin
+   * @param {Object} options - { status ('open', 'dismissed', 'actioned' or 'all'), limit, offset }
+   * @returns {Promise<Object>} { reports, hasMore, openCount }
+   */
+  static async getQueue(moderatorId, { status = 'open', limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const scope = await this.getScopeFilter(moderatorId);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const filter = status === 'all' ? scope : { ...scope, status };
+    const [reports, openCount] = await Promise.all([
+      this.populate(MessageReport.find(filter).sort({ createdAt: -1 }).skip(skip).limit(pageSize + 1)).lean(),
+      MessageReport.countDocuments({ ...scope, status: 'open' })
+    ]);
+
+    return {
+      reports: reports.slice(0, pageSize).map(report => this.toClient(report)),
+      hasMore: reports.length > pageSize,
+      openCount
+    };
+  }
+
+  /**
+   * Load a report the moderator may see
+   */
+  static async getReportFor(moderatorId, reportId) {
+    const scope = await this.getScopeFilter(moderatorId);
+    const report = await MessageReport.findOne({ ...scope, _id: reportId }).catch(() => null);
+    if (!report) {
+      throw new MessagingError('Report not found', 404);
+    }
+    return report;
+  }
+
+  /**
+   * Close a report
+   *
+   * @param {string} moderatorId - Reviewing teacher or admin
+   * @param {string} reportId - Report ID
+   * @param {Object} data - { status: 'dismissed' | 'actioned', note }
+   * @returns {Promise<Object>} The updated report
+   */
+  static async resolve(moderatorId, reportId, { status, note } = {}) {
+    if (!['dismissed', 'actioned'].includes(status)) {
+      throw new MessagingError("Status must be 'dismissed' or 'actioned'");
+    }
+    const report = await this.getReportFor(moderatorId, reportId);
+    report.status = status;
+    report.reviewedBy = moderatorId;
+    report.reviewedAt = new Date();
+    report.resolutionNote = typeof note === 'string' ? note : undefined;
+    await report.save();
+    return this.getPopulatedReport(report._id);
+  }
+
+  /**
+   * Open a file retained with a report
+   *
+   * @param {string} moderatorId - Teacher or admin
+   * @param {string} reportId - Report ID
+   * @param {string} attachmentId - Attachment ID (as on the original message)
+   * @param {boolean} thumbnail - Read the thumbnail instead, when there is one
+   * @returns {Promise<Object>} { stream, mimeType, fileName }
+   */
+  static async openAttachment(moderatorId, reportId, attachmentId, thumbnail = false) {
+    const report = await this.getReportFor(moderatorId, reportId);
+    const attachment = report.snapshot && report.snapshot.attachments.id(attachmentId);
+    if (!attachment) {
+      throw new MessagingError('Attachment not found', 404);
+    }
+    const file = await AttachmentStorage.open(attachment, thumbnail);
+    return { ...file, fileName: attachment.fileName };
+  }
+}
+
+MessageModeration.REPORT_REASONS = MessageReport.REPORT_REASONS;
+
+module.exports = MessageModeration;
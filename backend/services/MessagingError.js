@@ -0,0 +1,11 @@
+// A messaging rule was broken (bad input, no access, policy). Carries the HTTP status to answer with.
+// Shared by MessagingService, MessagingPolicy and MessageModeration.
+class MessagingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MessagingError';
+    this.status = status;
+  }
+}
+
+module.exports = MessagingError;
@@ -0,0 +1,227 @@
+/**
+ * Messaging Policy
+ * Who may message whom. Students are children, so:
+ * - a student may only exchange direct messages with teachers assigned to one of the
+ *   student's domains (Teacher.domains)
+ * - a guardian may only exchange direct messages with teachers assigned to a domain of one of
+ *   the students they follow (GuardianLink)
+ * - nobody exchanges direct messages with a user they blocked or who blocked them
+ * - only teachers add members to groups
+ *
+ * A student's domains are the domains of their age range in the Tree plus any domain whose
+ * chapters they have studied. Teachers may message any student or guardian.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Domain = require('../models/Domain');
+const Tree = require('../models/Tree');
+const GuardianLink = require('../models/GuardianLink');
+const MessagingError = require('./MessagingError');
+
+const USER_FIELDS = 'name email role';
+
+const calculateAge = (birthday) => {
+  const today = new Date();
+  const birthDate = new Date(birthday);
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDifference = today.getMonth() - birthDate.getMonth();
+  if (monthDifference < 0 || (monthDifference === 0 && today.getDate() < birthDate.getDate())) {
+    age--;
+  }
+  return age;
+};
+
+class MessagingPolicy {
+  /**
+   * Domains a student belongs to
+   *
+   * @param {Object} student - Student document with birthday and studies
+   * @returns {Promise<Array<string>>} Domain IDs
+   */
+  static async getStudentDomainIds(student) {
+    const domainIds = new Set();
+
+    const tree = await Tree.findOne().select('ageRanges').lean();
+    if (tree && student.birthday) {
+      const age = calculateAge(student.birthday);
+      const range = tree.ageRanges.find(ageRange => {
+        const [min, max] = ageRange.range.split('-').map(Number);
+        return age >= min && age <= max;
+      });
+      (range ? range.domains : []).forEach(id => domainIds.add(id.toString()));
+    }
+
+    const chapterIds = (student.studies || []).map(study => study.chapter);
+    if (chapterIds.length > 0) {
+      const studied = await Domain.find({ chapters: { $in: chapterIds } }).select('_id').lean();
+      studied.forEach(domain => domainIds.add(domain._id.toString()));
+    }
+
+    return [...domainIds];
+  }
+
+  /**
+   * Teachers a student may message, each with the domains they share with the student
+   *
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Array>} Teachers (without passwords)
+   */
+  static async getTeachersForStudent(studentId) {
+    const student = await User.findById(studentId).lean();
+    if (!student || student.role !== 'student') return [];
+
+    return this.getTeachersForDomains(await this.getStudentDomainIds(student));
+  }
+
+  /**
+   * Domains of all the students a guardian follows
+   *
+   * @param {string} guardianId - Guardian ID
+   * @returns {Promise<Array<string>>} Domain IDs
+   */
+  static async getGuardianDomainIds(guardianId) {
+    const studentIds = await GuardianLink.find({ guardian: guardianId }).distinct('student');
+    const students = await User.find({ _id: { $in: studentIds }, role: 'student' }).lean();
+    const domainIds = await Promise.all(students.map(student => this.getStudentDomainIds(student)));
+    return [...new Set(domainIds.flat())];
+  }
+
+  /**
+   * Teachers a guardian may message, each with the domains they share with the guardian's students
+   *
+   * @param {string} guardianId - Guardian ID
+   * @returns {Promise<Array>} Teachers (without passwords)
+   */
+  static async getTeachersForGuardian(guardianId) {
+    return this.getTeachersForDomains(await this.getGuardianDomainIds(guardianId));
+  }
+
+  static async getTeachersForDomains(domainIds) {
+    if (domainIds.length === 0) return [];
+
+    // Teachers are stored as plain users with role 'teacher', so Teacher.domains is not cast here
+    const teachers = await User.find({
+      role: 'teacher',
+      domains: { $in: domainIds.map(id => new mongoose.Types.ObjectId(id)) }
+    }).select('-password').lean();
+    return teachers.map(teacher => ({
+      ...teacher,
+      domains: teacher.domains.map(String).filter(id => domainIds.includes(id))
+    }));
+  }
+
+  /**
+   * Whether either user has blocked the other
+   *
+   * @param {string} userId - One user
+   * @param {string} otherId - The other user
+   * @returns {Promise<boolean>}
+   */
+  static async isBlocked(userId, otherId) {
+    const blocked = await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherId },
+        { _id: otherId, blockedUsers: userId }
+      ]
+    });
+    return Boolean(blocked);
+  }
+
+  /**
+   * Check that a user may send a direct message to another
+   *
+   * @param {string} senderId - Sender
+   * @param {string} recipientId - Recipient
+   * @throws {MessagingError} 403 when the policy forbids it
+   */
+  static async assertCanMessage(senderId, recipientId) {
+    const [sender, recipient] = await Promise.all([
+      User.findById(senderId).lean(),
+      User.findById(recipientId).lean()
+    ]);
+    if (!sender || !recipient) {
+      throw new MessagingError('Recipient user not found', 404);
+    }
+
+    if (await this.isBlocked(senderId, recipientId)) {
+      throw new MessagingError('You cannot message this user', 403);
+    }
+
+    if (sender.role === 'student') {
+      const domainIds = recipient.role === 'teacher' ? await this.getStudentDomainIds(sender) : [];
+      const assigned = (recipient.domains || []).some(id => domainIds.includes(id.toString()));
+      if (!assigned) {
+        throw new MessagingError('Students can only message teachers assigned to their domains', 403);
+      }
+    }
+
+    if (sender.role === 'guardian') {
+      const domainIds = recipient.role === 'teacher' ? await this.getGuardianDomainIds(sender._id) : [];
+      const assigned = (recipient.domains || []).some(id => domainIds.includes(id.toString()));
+      if (!assigned) {
+        throw new MessagingError("Guardians can only message teachers of their students' domains", 403);
+      }
+    }
+  }
+
+  /**
+   * Check that a user may add members to a group
+   *
+   * @param {string} userId - Acting group admin
+   * @throws {MessagingError} 403 for non-teachers
+   */
+  static async assertCanAddMembers(userId) {
+    const isTeacher = await User.exists({ _id: userId, role: 'teacher' });
+    if (!isTeacher) {
+      throw new MessagingError('Only teachers can add group members', 403);
+    }
+  }
+
+  /**
+   * Users someone has blocked
+   *
+   * @param {string} userId - Blocking user
+   * @returns {Promise<Array>} Blocked users ({ _id, name, email, role })
+   */
+  static async getBlockedUsers(userId) {
+    const user = await User.findById(userId)
+      .select('+blockedUsers')
+      .populate('blockedUsers', USER_FIELDS)
+      .lean();
+    return user ? user.blockedUsers || [] : [];
+  }
+
+  /**
+   * Block a user. Neither can send the other direct messages until it is lifted.
+   *
+   * @param {string} userId - Blocking user
+   * @param {string} blockedId - User to block
+   * @returns {Promise<Array>} The updated list of blocked users
+   */
+  static async block(userId, blockedId) {
+    if (String(userId) === String(blockedId)) {
+      throw new MessagingError('You cannot block yourself');
+    }
+    const exists = await User.exists({ _id: blockedId }).catch(() => null);
+    if (!exists) {
+      throw new MessagingError('User not found', 404);
+    }
+    await User.updateOne({ _id: userId }, { $addToSet: { blockedUsers: blockedId } });
+    return this.getBlockedUsers(userId);
+  }
+
+  /**
+   * Lift a block
+   *
+   * @param {string} userId - Blocking user
+   * @param {string} blockedId - Blocked user
+   * @returns {Promise<Array>} The updated list of blocked users
+   */
+  static async unblock(userId, blockedId) {
+    await User.updateOne({ _id: userId }, { $pull: { blockedUsers: blockedId } }).catch(() => null);
+    return this.getBlockedUsers(userId);
+  }
+}
+
+module.exports = MessagingPolicy;
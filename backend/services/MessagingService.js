@@ -0,0 +1,624 @@
+/**
+ * Messaging Service
+ * Direct and group conversations, shared by the HTTP endpoints (/api/messages) and the
+ * 'sendMessage' socket event.
+ *
+ * The sender is always the authenticated user. When a conversation ID is given, the
+ * recipients are looked up from the conversation's participants rather than taken from the
+ * client, so a client cannot deliver into a conversation it is not part of.
+ *
+ * Who may message whom is decided by MessagingPolicy, and every message is screened by the
+ * word filter (MessageModeration) as it is sent. The other members get a 'message' notification
+ * (NotificationService) that is marked read once they read the conversation.
+ *
+ * Group conversations ('group' study groups and 'class' channels for a domain) have a name
+ * and admins who manage membership. Every change is pushed to the members' sockets as a
+ * 'conversationUpdated' event; removed members receive 'removedFromConversation'.
+ */
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Domain = require('../models/Domain');
+const SocketManager = require('./SocketManager');
+const AttachmentStorage = require('./AttachmentStorage');
+const MessagingError = require('./MessagingError');
+const MessagingPolicy = require('./MessagingPolicy');
+const MessageModeration = require('./MessageModeration');
+const NotificationService = require('./NotificationService');
+
+const MAX_GROUP_SIZE = 200;
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Aggregation pipelines are not cast by Mongoose
+const userObjectId = (userId) => new mongoose.Types.ObjectId(String(userId));
+const PARTICIPANT_FIELDS = 'name email role';
+const LAST_MESSAGE_FIELDS = 'content sender read createdAt attachments.fileName attachments.mimeType deliveredTo readBy';
+
+class MessagingService {
+  /**
+   * Find the direct conversation between two users, creating it on first contact
+   *
+   * @param {string} userId1 - First participant
+   * @param {string} userId2 - Second participant
+   * @returns {Promise<Object>} Conversation document
+   */
+  static async getOrCreateConversation(userId1, userId2) {
+    // Consistent order of participants avoids duplicate conversations
+    const participants = [String(userId1), String(userId2)].sort();
+
+    let conversation = await Conversation.findOne({
+      type: { $nin: ['group', 'class'] }, // Conversations created before groups have no type
+      participants: { $all: participants, $size: 2 }
+    });
+
+    if (!conversation) {
+      conversation = new Conversation({ participants });
+      await conversation.save();
+    }
+    return conversation;
+  }
+
+  /**
+   * Resolve the conversation and recipient for a message
+   *
+   * @param {string} senderId - Authenticated sender
+   * @param {Object} target - { conversationId } or { recipientId }
+   * @returns {Promise<Object>} { conversation, recipientId } (recipientId is null for groups)
+   */
+  static async resolveTarget(senderId, { conversationId, recipientId }) {
+    if (conversationId) {
+      const conversation = await this.getConversationFor(conversationId, senderId);
+      if (conversation.isGroup()) {
+        return { conversation, recipientId: null };
+      }
+      const recipient = conversation.participants.find(id => id.toString() !== senderId);
+      if (!recipient) {
+        throw new MessagingError('Conversation has no recipient');
+      }
+      // Checked on every message: blocks and domain assignments change over time
+      await MessagingPolicy.assertCanMessage(senderId, recipient.toString());
+      return { conversation, recipientId: recipient.toString() };
+    }
+
+    if (!recipientId) {
+      throw new MessagingError('Recipient ID and content are required');
+    }
+    if (String(recipientId) === senderId) {
+      throw new MessagingError('You cannot message yourself');
+    }
+    const recipientExists = await User.exists({ _id: recipientId }).catch(() => null);
+    if (!recipientExists) {
+      throw new MessagingError('Recipient user not found', 404);
+    }
+    await MessagingPolicy.assertCanMessage(senderId, String(recipientId));
+    const conversation = await this.getOrCreateConversation(senderId, recipientId);
+    return { conversation, recipientId: String(recipientId) };
+  }
+
+  /**
+   * Load a conversation the user takes part in
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User who must be a participant
+   * @returns {Promise<Object>} Conversation document
+   */
+  static async getConversationFor(conversationId, userId) {
+    const conversation = await Conversation.findById(conversationId).catch(() => null);
+    if (!conversation || !conversation.hasParticipant(userId)) {
+      throw new MessagingError('Access denied to this conversation', 403);
+    }
+    return conversation;
+  }
+
+  /**
+   * Save a message and deliver it to the recipients' connected sockets
+   *
+   * @param {string} senderId - Authenticated sender
+   * @param {Object} data - { conversationId | recipientId, content, attachments }; groups need
+   *   conversationId. attachments are already stored (see AttachmentStorage.storeAll).
+   * @returns {Promise<Object>} Saved message with sender populated
+   */
+  static async send(senderId, { conversationId, recipientId, content, attachments = [] } = {}) {
+    senderId = String(senderId);
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text && attachments.length === 0) {
+      throw new MessagingError('Recipient ID and content are required');
+    }
+
+    const { conversation, recipientId: recipient } = await this.resolveTarget(senderId, { conversationId, recipientId });
+
+    const newMessage = new Message({
+      conversationId: conversation._id,
+      sender: senderId,
+      recipient: recipient || undefined,
+      content: text,
+      attachments,
+      read: false
+    });
+    await newMessage.save();
+
+    conversation.lastMessage = newMessage._id;
+    conversation.updatedAt = Date.now();
+    // Sending implies having read everything before it
+    conversation.markReadBy(senderId, newMessage.createdAt);
+    await conversation.save();
+
+    const populatedMessage = await Message.findById(newMessage._id).populate('sender', 'name role');
+    const payload = populatedMessage.toJSON(); // toJSON hides attachment storage keys
+
+    // Every member, including the sender's other tabs and devices
+    conversation.participants.forEach(participant => {
+      SocketManager.emitToUser(participant, 'receiveMessage', payload);
+    });
+    await NotificationService.messageSent(populatedMessage, conversation);
+
+    // Flagged messages are still delivered; moderators review them afterwards
+    try {
+      await MessageModeration.screen(newMessage);
+    } catch (error) {
+      console.error(`Error screening message ${newMessage._id}:`, error);
+    }
+
+    return populatedMessage;
+  }
+
+  /**
+   * One page of a conversation's history, newest first from the cursor backwards
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Participant asking
+   * @param {Object} options - { before: message ID cursor, limit }
+   * @returns {Promise<Object>} { messages (oldest first), hasMore, nextCursor }
+   */
+  static async getMessagePage(conversationId, userId, { before, limit = DEFAULT_PAGE_SIZE } = {}) {
+    await this.getConversationFor(conversationId, userId);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const filter = { conversationId };
+    if (before) {
+      const cursor = await Message.findOne({ _id: before, conversationId }).select('createdAt').lean().catch(() => null);
+      if (!cursor) {
+        throw new MessagingError('Invalid cursor');
+      }
+      // Messages can share a timestamp; _id breaks the tie
+      filter.$or = [
+        { createdAt: { $lt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+      ];
+    }
+
+    const page = await Message.find(filter)
+      .populate('sender', 'name role')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+
+    const hasMore = page.length > pageSize;
+    const messages = page.slice(0, pageSize).reverse();
+    return {
+      messages,
+      hasMore,
+      nextCursor: hasMore ? messages[0]._id : null
+    };
+  }
+
+  /**
+   * Search message content across every conversation the user takes part in
+   *
+   * @param {string} userId - User searching
+   * @param {string} query - Search words
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { results: [{ message, conversation }], hasMore }
+   */
+  static async search(userId, query, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const text = typeof query === 'string' ? query.trim() : '';
+    if (text.length < 2) {
+      throw new MessagingError('Search query must be at least 2 characters');
+    }
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+    const skip = Math.max(0, parseInt(offset, 10) || 0);
+
+    const conversations = await Conversation.find({ participants: userId })
+      .populate('participants', 'name role')
+      .lean();
+    const byId = new Map(conversations.map(conversation => [conversation._id.toString(), conversation]));
+
+    const matches = await Message.find(
+      { conversationId: { $in: [...byId.keys()] }, $text: { $search: text } },
+      { score: { $meta: 'textScore' } }
+    )
+      .populate('sender', 'name role')
+      .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize + 1);
+
+    return {
+      results: matches.slice(0, pageSize).map(message => {
+        const conversation = byId.get(message.conversationId.toString());
+        return {
+          message,
+          conversation: {
+            _id: conversation._id,
+            type: conversation.type || 'direct',
+            name: conversation.name,
+            participants: conversation.participants
+          }
+        };
+      }),
+      hasMore: matches.length > pageSize
+    };
+  }
+
+  /**
+   * Unread messages per conversation. Direct conversations use the per-message read flag;
+   * groups count messages from others since the member's last read time.
+   *
+   * @param {string} userId - Reader
+   * @param {Array} conversations - Conversations (documents or lean objects with readState)
+   * @returns {Promise<Map<string, number>>} conversationId -> unread count
+   */
+  static async getUnreadCounts(userId, conversations) {
+    const counts = new Map(conversations.map(conversation => [conversation._id.toString(), 0]));
+    if (conversations.length === 0) return counts;
+
+    const conditions = conversations.map(conversation => {
+      if (!conversation.type || conversation.type === 'direct') {
+        return { conversationId: conversation._id, recipient: userObjectId(userId), read: false };
+      }
+      const entry = (conversation.readState || []).find(state => state.user.toString() === String(userId));
+      return entry && entry.lastReadAt
+        ? { conversationId: conversation._id, createdAt: { $gt: entry.lastReadAt } }
+        : { conversationId: conversation._id };
+    });
+
+    const results = await Message.aggregate([
+      { $match: { sender: { $ne: userObjectId(userId) }, $or: conditions } },
+      { $group: { _id: '$conversationId', count: { $sum: 1 } } }
+    ]);
+    results.forEach(({ _id, count }) => counts.set(_id.toString(), count));
+    return counts;
+  }
+
+  /**
+   * Record that a user has read a conversation, up to a given message or up to now.
+   * Each message from others up to that point gets a read receipt (Message.readBy).
+   * Every participant's sockets receive 'conversationRead' { conversationId, userId, readAt, at }:
+   * senders update their receipts, and the reader's other devices clear their unread badges.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - Reader
+   * @param {Object} options - { upTo: ID of the last message seen }
+   * @returns {Promise<Date>} Time read up to
+   */
+  static async markRead(conversationId, userId, { upTo } = {}) {
+    const conversation = await this.getConversationFor(conversationId, userId);
+
+    let readAt = new Date();
+    if (upTo) {
+      const lastSeen = await Message.findOne({ _id: upTo, conversationId }).select('createdAt').lean().catch(() => null);
+      if (!lastSeen) {
+        throw new MessagingError('Message not found in this conversation', 404);
+      }
+      readAt = lastSeen.createdAt;
+    }
+
+    conversation.markReadBy(userId, readAt);
+    // Conversation.updatedAt orders the conversation list; reading must not bump it
+    await conversation.save({ timestamps: false });
+    await NotificationService.conversationRead(userId, conversation._id);
+
+    if (!conversation.isGroup()) {
+      await Message.updateMany(
+        { conversationId, recipient: userId, read: false, createdAt: { $lte: readAt } },
+        { read: true }
+      );
+    }
+
+    // Reading implies delivery
+    const now = new Date();
+    const fromOthers = { conversationId, sender: { $ne: userId }, createdAt: { $lte: readAt } };
+    await Message.updateMany(
+      { ...fromOthers, 'readBy.user': { $ne: userId } },
+      { $push: { readBy: { user: userId, at: now } } }
+    );
+    await Message.updateMany(
+      { ...fromOthers, 'deliveredTo.user': { $ne: userId } },
+      { $push: { deliveredTo: { user: userId, at: now } } }
+    );
+
+    const event = {
+      conversationId: conversation._id,
+      userId: String(userId),
+      readAt: conversation.lastReadAtFor(userId),
+      at: now
+    };
+    conversation.participants.forEach(participant => {
+      SocketManager.emitToUser(participant, 'conversationRead', event);
+    });
+    return event.readAt;
+  }
+
+  /**
+   * Record that messages reached one of the user's devices. Their senders receive
+   * 'messagesDelivered' { conversationId, messageIds, userId, at }.
+   *
+   * @param {string} userId - Recipient
+   * @param {Array<string>} messageIds - Messages the client received or loaded
+   * @returns {Promise<number>} Number of newly delivered messages
+   */
+  static async markDelivered(userId, messageIds = []) {
+    userId = String(userId);
+    const ids = (Array.isArray(messageIds) ? messageIds : [messageIds])
+      .slice(0, MAX_PAGE_SIZE)
+      .filter(id => mongoose.Types.ObjectId.isValid(String(id)));
+    if (ids.length === 0) return 0;
+
+    const pending = await Message.find({
+      _id: { $in: ids },
+      sender: { $ne: userId },
+      'deliveredTo.user': { $ne: userId }
+    }).select('conversationId sender').lean();
+    if (pending.length === 0) return 0;
+
+    // Only messages from conversations the user is actually in
+    const conversationIds = await Conversation.find({
+      _id: { $in: [...new Set(pending.map(message => message.conversationId.toString()))] },
+      participants: userId
+    }).distinct('_id');
+    const allowed = new Set(conversationIds.map(id => id.toString()));
+    const delivered = pending.filter(message => allowed.has(message.conversationId.toString()));
+    if (delivered.length === 0) return 0;
+
+    const at = new Date();
+    await Message.updateMany(
+      { _id: { $in: delivered.map(message => message._id) }, 'deliveredTo.user': { $ne: userId } },
+      { $push: { deliveredTo: { user: userId, at } } }
+    );
+
+    // One event per sender and conversation
+    const groups = new Map();
+    delivered.forEach(message => {
+      const key = `${message.sender}:${message.conversationId}`;
+      if (!groups.has(key)) {
+        groups.set(key, { sender: message.sender, conversationId: message.conversationId, messageIds: [] });
+      }
+      groups.get(key).messageIds.push(message._id);
+    });
+    groups.forEach(({ sender, conversationId, messageIds: deliveredIds }) => {
+      SocketManager.emitToUser(sender, 'messagesDelivered', { conversationId, messageIds: deliveredIds, userId, at });
+    });
+    return delivered.length;
+  }
+
+  /**
+   * Tell the other members of a conversation that a user started or stopped typing.
+   * Clients send 'typing' again every few seconds while typing and treat silence as stopped.
+   *
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} user - Authenticated user, { id, name }
+   * @param {boolean} typing - Started (true) or stopped (false)
+   */
+  static async setTyping(conversationId, user, typing) {
+    const conversation = await this.getConversationFor(conversationId, user.id);
+    const event = { conversationId: conversation._id, userId: String(user.id), name: user.name, typing: Boolean(typing) };
+    conversation.participants
+      .filter(participant => participant.toString() !== String(user.id))
+      .forEach(participant => SocketManager.emitToUser(participant, 'typing', event));
+  }
+
+  /**
+   * Students of a domain: those who have studied any of its chapters
+   *
+   * @param {string} domainId - Domain ID
+   * @returns {Promise<Array<string>>} Student IDs
+   */
+  static async getDomainStudentIds(domainId) {
+    const domain = await Domain.findById(domainId).select('chapters').lean();
+    const chapterIds = domain ? domain.chapters : [];
+    if (chapterIds.length === 0) return [];
+    const students = await Student.find({ 'studies.chapter': { $in: chapterIds } }).select('_id').lean();
+    return students.map(student => student._id.toString());
+  }
+
+  /**
+   * Check that every ID belongs to an existing user
+   */
+  static async requireUsers(userIds) {
+    const ids = [...new Set(userIds.map(String))];
+    const count = await User.countDocuments({ _id: { $in: ids } }).catch(() => -1);
+    if (count !== ids.length) {
+      throw new MessagingError('One or more members were not found', 404);
+    }
+    return ids;
+  }
+
+  /**
+   * Create a study group or a class channel. The creator becomes its admin.
+   *
+   * @param {Object} creator - Authenticated user, { id, role }
+   * @param {Object} data - { name, memberIds, domainId }; with domainId a 'class' channel is
+   *   created for the domain's students, who are added on top of memberIds
+   * @returns {Promise<Object>} Conversation with participants populated
+   */
+  static async createGroup(creator, { name, memberIds = [], domainId } = {}) {
+    const creatorId = String(creator.id);
+    const groupName = typeof name === 'string' ? name.trim() : '';
+    if (!groupName) {
+      throw new MessagingError('Group name is required');
+    }
+    if (!Array.isArray(memberIds)) {
+      throw new MessagingError('memberIds must be an array');
+    }
+
+    let members = memberIds.map(String);
+    if (domainId) {
+      const teacher = await User.findById(creatorId).lean();
+      if (!teacher || !(teacher.domains || []).some(id => id.toString() === String(domainId))) {
+        throw new MessagingError('You can only create class channels for domains you teach', 403);
+      }
+      members = members.concat(await this.getDomainStudentIds(domainId));
+    }
+
+    members = (await this.requireUsers(members)).filter(id => id !== creatorId);
+    if (members.length === 0) {
+      throw new MessagingError('A group needs at least one other member');
+    }
+    if (members.length + 1 > MAX_GROUP_SIZE) {
+      throw new MessagingError(`A group may have at most ${MAX_GROUP_SIZE} members`);
+    }
+
+    const conversation = new Conversation({
+      type: domainId ? 'class' : 'group',
+      name: groupName,
+      domain: domainId || undefined,
+      createdBy: creatorId,
+      admins: [creatorId],
+      participants: [creatorId, ...members],
+      readState: [{ user: creatorId, lastReadAt: new Date() }]
+    });
+    await conversation.save();
+
+    return this.broadcastConversation(conversation);
+  }
+
+  /**
+   * Load a group the user administers
+   */
+  static async getAdministeredGroup(conversationId, userId) {
+    const conversation = await this.getConversationFor(conversationId, userId);
+    if (!conversation.isGroup()) {
+      throw new MessagingError('Direct conversations have no members to manage');
+    }
+    if (!conversation.isAdmin(userId)) {
+      throw new MessagingError('Only group admins can do this', 403);
+    }
+    return conversation;
+  }
+
+  /**
+   * Rename a group
+   *
+   * @param {string} conversationId - Group ID
+   * @param {string} userId - Acting admin
+   * @param {Object} data - { name }
+   * @returns {Promise<Object>} Updated conversation
+   */
+  static async updateGroup(conversationId, userId, { name } = {}) {
+    const conversation = await this.getAdministeredGroup(conversationId, userId);
+    const groupName = typeof name === 'string' ? name.trim() : '';
+    if (!groupName) {
+      throw new MessagingError('Group name is required');
+    }
+    conversation.name = groupName;
+    await conversation.save();
+    return this.broadcastConversation(conversation);
+  }
+
+  /**
+   * Add members to a group
+   *
+   * @param {string} conversationId - Group ID
+   * @param {string} userId - Acting admin
+   * @param {Array<string>} memberIds - Users to add; existing members are ignored
+   * @returns {Promise<Object>} Updated conversation
+   */
+  static async addMembers(conversationId, userId, memberIds) {
+    const conversation = await this.getAdministeredGroup(conversationId, userId);
+    await MessagingPolicy.assertCanAddMembers(userId);
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      throw new MessagingError('memberIds must be a non-empty array');
+    }
+
+    const newMembers = (await this.requireUsers(memberIds)).filter(id => !conversation.hasParticipant(id));
+    if (conversation.participants.length + newMembers.length > MAX_GROUP_SIZE) {
+      throw new MessagingError(`A group may have at most ${MAX_GROUP_SIZE} members`);
+    }
+
+    conversation.participants.push(...newMembers);
+    await conversation.save();
+    return this.broadcastConversation(conversation);
+  }
+
+  /**
+   * Remove a member from a group. Admins can remove anyone; members can remove themselves.
+   * When the last admin leaves, the longest-standing remaining teacher becomes admin; a group
+   * with no teachers left has no admin.
+   *
+   * @param {string} conversationId - Group ID
+   * @param {string} userId - Acting user
+   * @param {string} memberId - Member to remove
+   * @returns {Promise<Object|null>} Updated conversation, or null when the group is now empty
+   */
+  static async removeMember(conversationId, userId, memberId) {
+    userId = String(userId);
+    memberId = String(memberId);
+    const conversation = memberId === userId
+      ? await this.getConversationFor(conversationId, userId)
+      : await this.getAdministeredGroup(conversationId, userId);
+
+    if (!conversation.isGroup()) {
+      throw new MessagingError('You cannot leave a direct conversation');
+    }
+    if (!conversation.hasParticipant(memberId)) {
+      throw new MessagingError('User is not a member of this group', 404);
+    }
+
+    conversation.participants = conversation.participants.filter(id => id.toString() !== memberId);
+    conversation.admins = conversation.admins.filter(id => id.toString() !== memberId);
+    conversation.readState = conversation.readState.filter(state => state.user.toString() !== memberId);
+    if (conversation.admins.length === 0 && conversation.participants.length > 0) {
+      const teachers = await User.find({ _id: { $in: conversation.participants }, role: 'teacher' }).distinct('_id');
+      const nextAdmin = conversation.participants.find(id => teachers.some(teacher => teacher.equals(id)));
+      conversation.admins = nextAdmin ? [nextAdmin] : [];
+    }
+
+    SocketManager.emitToUser(memberId, 'removedFromConversation', { conversationId: conversation._id });
+
+    if (conversation.participants.length === 0) {
+      // Files of flagged messages stay for the moderators (MessageReport keeps the message)
+      const withFiles = await Message.find({
+        conversationId: conversation._id,
+        'attachments.0': { $exists: true },
+        flagged: { $ne: true }
+      }).lean();
+      await AttachmentStorage.removeAll(withFiles.flatMap(message => message.attachments));
+      await Message.deleteMany({ conversationId: conversation._id });
+      await conversation.deleteOne();
+      return null;
+    }
+
+    await conversation.save();
+    return this.broadcastConversation(conversation);
+  }
+
+  /**
+   * Populate a conversation for clients and push it to every member
+   *
+   * @param {Object} conversation - Conversation document
+   * @returns {Promise<Object>} Populated conversation (plain object)
+   */
+  static async broadcastConversation(conversation) {
+    const populated = await Conversation.findById(conversation._id)
+      .populate('participants', PARTICIPANT_FIELDS)
+      .populate('lastMessage', LAST_MESSAGE_FIELDS)
+      .lean();
+
+    populated.participants.forEach(participant => {
+      participant.online = SocketManager.isOnline(participant._id);
+    });
+    populated.participants.forEach(participant => {
+      SocketManager.emitToUser(participant._id, 'conversationUpdated', populated);
+    });
+    return populated;
+  }
+}
+
+MessagingService.MessagingError = MessagingError;
+MessagingService.MAX_GROUP_SIZE = MAX_GROUP_SIZE;
+MessagingService.PARTICIPANT_FIELDS = PARTICIPANT_FIELDS;
+MessagingService.LAST_MESSAGE_FIELDS = LAST_MESSAGE_FIELDS;
+
+module.exports = MessagingService;
@@ -0,0 +1,414 @@
+/**
+ * Notification Service
+ * Creates notifications for things that happen elsewhere in the app and pushes each one to the
+ * recipient's sockets as a 'notification' event:
+ * - 'message': new messages, one unread notification per conversation that follows the latest message
+ * - 'meeting': every step of a meeting request, for the side that did not take it
+ * - 'review': a daily reminder of the quizzes due for review
+ * - 'assignment' / 'announcement': sent by teachers to their students
+ *
+ * Recipients decide what reaches them (User.notificationPreferences): muted types are not
+ * stored at all, and during quiet hours notifications are stored but not pushed, so they only
+ * show up on the next fetch. System notifications cannot be muted.
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const QuizAttempt = require('../models/QuizAttempt');
+const SocketManager = require('./SocketManager');
+const MessagingPolicy = require('./MessagingPolicy');
+const RetentionAlgorithm = require('./RetentionAlgorithm');
+
+const { NOTIFICATION_TYPES } = Notification;
+const MUTABLE_TYPES = NOTIFICATION_TYPES.filter(type => type !== 'system');
+const SENDABLE_TYPES = ['assignment', 'announcement']; // What teachers send by hand
+const MAX_RECIPIENTS = 200;
+const PREVIEW_LENGTH = 100;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Shown to the other side after each step of a meeting request (MeetingRequest.history actions)
+const MEETING_MESSAGES = {
+  requested: ['New meeting request', '{name} asked to meet with you.'],
+  accepted: ['Meeting accepted', '{name} accepted your meeting request.'],
+  rejected: ['Meeting request declined', '{name} declined your meeting request.'],
+  cancelled: ['Meeting cancelled', '{name} cancelled the meeting.'],
+  countered: ['Other times proposed', '{name} proposed other times for your meeting request.'],
+  counter_accepted: ['Meeting time confirmed', '{name} accepted one of the times you proposed.'],
+  counter_withdrawn: ['Proposal withdrawn', '{name} withdrew the times they proposed.'],
+  counter_declined: ['Proposal declined', '{name} declined the times you proposed.'],
+  reschedule_proposed: ['Reschedule proposed', '{name} proposed new times for your meeting.'],
+  rescheduled: ['Meeting rescheduled', '{name} accepted a new time for your meeting.'],
+  reschedule_withdrawn: ['Reschedule withdrawn', '{name} withdrew their reschedule proposal.'],
+  reschedule_declined: ['Reschedule declined', '{name} declined your reschedule proposal.']
+};
+
+class NotificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.status = status;
+  }
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minute of the day of an instant, in a timezone
+const minuteOfDay = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit' })
+    .formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  return value.hour * 60 + value.minute;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const preview = (text) => (text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH - 1)}…` : text);
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+class NotificationService {
+  /**
+   * Whether an instant falls in quiet hours. Quiet hours may run past midnight (22:00-07:00).
+   *
+   * @param {Object} quietHours - { start, end, timezone }
+   * @param {Date} now - Instant to check
+   * @returns {boolean}
+   */
+  static isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours || !quietHours.start || !quietHours.end) return false;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const minutes = minuteOfDay(now, quietHours.timezone || 'UTC');
+    return start <= end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * A user's notification preferences
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { mutedTypes, quietHours: { start, end, timezone } | null, weeklyDigest }
+   */
+  static async getPreferences(userId) {
+    const user = await User.findById(userId).select('+notificationPreferences').lean();
+    if (!user) {
+      throw new NotificationError('User not found', 404);
+    }
+    const preferences = user.notificationPreferences || {};
+    const quietHours = preferences.quietHours && preferences.quietHours.start && preferences.quietHours.end
+      ? preferences.quietHours
+      : null;
+    return {
+      mutedTypes: preferences.mutedTypes || [],
+      quietHours: quietHours && { start: quietHours.start, end: quietHours.end, timezone: quietHours.timezone || 'UTC' },
+      weeklyDigest: preferences.weeklyDigest !== false
+    };
+  }
+
+  /**
+   * Change a user's notification preferences. Fields left out keep their value.
+   *
+   * @param {string} userId - User ID
+   * @param {Object} data - { mutedTypes, quietHours: { start, end, timezone } | null to turn them off,
+   *   weeklyDigest: whether to get the weekly progress email (services/ProgressDigest.js) }
+   * @returns {Promise<Object>} The preferences (see getPreferences)
+   */
+  static async updatePreferences(userId, { mutedTypes, quietHours, weeklyDigest } = {}) {
+    const update = {};
+
+    if (weeklyDigest !== undefined) {
+      if (typeof weeklyDigest !== 'boolean') {
+        throw new NotificationError('weeklyDigest must be true or false');
+      }
+      update['notificationPreferences.weeklyDigest'] = weeklyDigest;
+    }
+
+    if (mutedTypes !== undefined) {
+      if (!Array.isArray(mutedTypes) || mutedTypes.some(type => !MUTABLE_TYPES.includes(type))) {
+        throw new NotificationError(`Muted types must be among: ${MUTABLE_TYPES.join(', ')}`);
+      }
+      update['notificationPreferences.mutedTypes'] = [...new Set(mutedTypes)];
+    }
+
+    if (quietHours === null) {
+      update['notificationPreferences.quietHours'] = {};
+    } else if (quietHours !== undefined) {
+      const { start, end, timezone = 'UTC' } = quietHours;
+      if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+        throw new NotificationError('Quiet hours need a start and end time as HH:MM');
+      }
+      if (start === end) {
+        throw new NotificationError('Quiet hours must not start and end at the same time');
+      }
+      if (!isValidTimeZone(timezone)) {
+        throw new NotificationError(`Unknown timezone: ${timezone}`);
+      }
+      update['notificationPreferences.quietHours'] = { start, end, timezone };
+    }
+
+    const result = await User.updateOne({ _id: userId }, { $set: update });
+    if (result.matchedCount === 0) {
+      throw new NotificationError('User not found', 404);
+    }
+    return this.getPreferences(userId);
+  }
+
+  /**
+   * Notify a user, unless they muted the type, and push the notification to their sockets
+   * unless it is quiet time for them
+   *
+   * @param {string} recipientId - User to notify
+   * @param {Object} data - { type, title, message, sender, relatedItem, itemModel }
+   * @param {Object} options - { collapse: replace the recipient's unread notification of the same
+   *   type about the same relatedItem instead of adding another }
+   * @returns {Promise<Object|null>} The notification, or null when muted
+   */
+  static async notify(recipientId, { type = 'system', title, message, sender, relatedItem, itemModel } = {}, { collapse = false } = {}) {
+    const preferences = await this.getPreferences(recipientId).catch(() => null);
+    if (!preferences) return null;
+    if (type !== 'system' && preferences.mutedTypes.includes(type)) return null;
+
+    const fields = { sender, title, message, relatedItem, itemModel: relatedItem ? itemModel : undefined };
+    let notification;
+    if (collapse && relatedItem) {
+      notification = await Notification.findOneAndUpdate(
+        { recipient: recipientId, type, relatedItem, isRead: false },
+        // A fresh createdAt moves it back to the top of the list
+        { $set: { ...fields, createdAt: new Date(), updatedAt: new Date() } },
+        { new: true, upsert: true, runValidators: true, timestamps: false }
+      );
+    } else {
+      notification = await Notification.create({ recipient: recipientId, type, ...fields, isRead: false });
+    }
+
+    if (!this.isQuietTime(preferences.quietHours)) {
+      const populated = await notification.populate('sender', 'name role');
+      SocketManager.emitToUser(recipientId, 'notification', populated.toObject());
+    }
+    return notification;
+  }
+
+  /**
+   * Notify without failing the caller: notifications are a side effect of the action that
+   * triggered them, so an error is only logged
+   */
+  static notifySafely(recipientId, data, options) {
+    return this.notify(recipientId, data, options).catch(error => {
+      console.error(`Error notifying user ${recipientId}:`, error);
+      return null;
+    });
+  }
+
+  /**
+   * Notify the other members of a conversation of a new message
+   *
+   * @param {Object} message - Saved message with sender populated
+   * @param {Object} conversation - Its conversation
+   */
+  static async messageSent(message, conversation) {
+    const senderId = String(message.sender._id || message.sender);
+    const senderName = message.sender.name || 'Someone';
+    const title = conversation.isGroup()
+      ? `New message in ${conversation.name || 'a group'}`
+      : `New message from ${senderName}`;
+    const text = message.content
+      ? preview(message.content)
+      : 'Sent an attachment';
+
+    await Promise.all(conversation.participants
+      .filter(participant => String(participant) !== senderId)
+      .map(participant => this.notifySafely(participant, {
+        type: 'message',
+        title,
+        message: conversation.isGroup() ? `${senderName}: ${text}` : text,
+        sender: senderId,
+        relatedItem: conversation._id,
+        itemModel: 'Conversation'
+      }, { collapse: true })));
+  }
+
+  /**
+   * A conversation was read: its message notification is read too
+   *
+   * @param {string} userId - Reader
+   * @param {string} conversationId - Conversation ID
+   */
+  static async conversationRead(userId, conversationId) {
+    await Notification.updateMany(
+      { recipient: userId, type: 'message', relatedItem: conversationId, isRead: false },
+      { isRead: true }
+    );
+  }
+
+  /**
+   * Notify the other side of a meeting request of its latest step (MeetingRequest.history)
+   *
+   * @param {Object} request - Meeting request after the change
+   */
+  static async meetingChanged(request) {
+    const step = (request.history || [])[request.history.length - 1];
+    const template = step && MEETING_MESSAGES[step.action];
+    if (!template) return;
+
+    const actorId = String(step.by);
+    const studentId = String(request.student._id || request.student);
+    const teacherId = String(request.teacher._id || request.teacher);
+    const recipientId = actorId === studentId ? teacherId : studentId;
+    const actor = await User.findById(actorId).select('name').lean().catch(() => null);
+
+    const [title, message] = template;
+    await this.notifySafely(recipientId, {
+      type: 'meeting',
+      title,
+      message: message.replace('{name}', actor ? actor.name : 'Someone'),
+      sender: actorId,
+      relatedItem: request._id,
+      itemModel: 'MeetingRequest'
+    });
+  }
+
+  /**
+   * Teacher: send an assignment or announcement to students. Students who blocked the teacher
+   * are skipped.
+   *
+   * @param {string} teacherId - Sending teacher
+   * @param {Object} data - { recipientIds, type, title, message, relatedItem, itemModel }
+   * @returns {Promise<Array>} The notifications created (muted recipients have none)
+   */
+  static async send(teacherId, { recipientIds, type = 'announcement', title, message, relatedItem, itemModel } = {}) {
+    if (!SENDABLE_TYPES.includes(type)) {
+      throw new NotificationError(`Type must be one of: ${SENDABLE_TYPES.join(', ')}`);
+    }
+    if (!title || !title.trim() || !message || !message.trim()) {
+      throw new NotificationError('Title and message are required');
+    }
+    const ids = [...new Set((Array.isArray(recipientIds) ? recipientIds : [recipientIds]).filter(Boolean).map(String))];
+    if (ids.length === 0 || ids.length > MAX_RECIPIENTS) {
+      throw new NotificationError(`Choose between 1 and ${MAX_RECIPIENTS} recipients`);
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new NotificationError('Invalid recipient ID');
+    }
+    if (relatedItem && !['Chapter', 'Quiz'].includes(itemModel)) {
+      throw new NotificationError('An assignment links to a Chapter or a Quiz');
+    }
+
+    const students = await User.find({ _id: { $in: ids }, role: 'student' }).select('_id').lean();
+    if (students.length !== ids.length) {
+      throw new NotificationError('Recipients must be students', 404);
+    }
+
+    const notifications = [];
+    for (const student of students) {
+      if (await MessagingPolicy.isBlocked(teacherId, student._id)) continue;
+      const notification = await this.notify(student._id, {
+        type,
+        title: title.trim(),
+        message: message.trim(),
+        sender: teacherId,
+        relatedItem,
+        itemModel
+      });
+      if (notification) notifications.push(notification);
+    }
+    return notifications;
+  }
+
+  /**
+   * Remind students of the quizzes due for review, as RetentionAlgorithm.getQuizRecommendations
+   * sees them from their latest attempt at each quiz. At most one reminder per student per day;
+   * run daily by the 'reviews-due' job (services/BackgroundJobs.js).
+   *
+   * @returns {Promise<Object>} { students: students with reviews due, reminded }
+   */
+  static async notifyReviewsDue() {
+    const today = startOfToday();
+    const cursor = QuizAttempt.aggregate([
+      { $sort: { finishedAt: -1 } },
+      {
+        $group: {
+          _id: { student: '$student', quiz: '$quiz' },
+          date: { $first: '$finishedAt' },
+          nextReview: { $first: '$nextReview' },
+          S: { $first: '$S' },
+          score: { $first: '$score' }
+        }
+      },
+      { $lookup: { from: 'quizzes', localField: '_id.quiz', foreignField: '_id', as: 'quiz' } },
+      { $unwind: '$quiz' },
+      {
+        $group: {
+          _id: '$_id.student',
+          quizzes: {
+            $push: {
+              _id: '$quiz._id',
+              title: '$quiz.title',
+              lastAttempt: { date: '$date', nextReview: '$nextReview', S: '$S', score: '$score' }
+            }
+          }
+        }
+      }
+    ]).allowDiskUse(true).cursor();
+
+    let students = 0;
+    let reminded = 0;
+    for await (const { _id: studentId, quizzes } of cursor) {
+      // Most overdue first
+      const due = RetentionAlgorithm.getQuizRecommendations(quizzes).filter(quiz => quiz.isDue);
+      if (due.length === 0) continue;
+      students++;
+
+      const alreadyReminded = await Notification.exists({ recipient: studentId, type: 'review', createdAt: { $gte: today } });
+      if (alreadyReminded) continue;
+
+      const titles = due.map(quiz => quiz.title);
+      const names = titles.slice(0, 3).join(', ') + (titles.length > 3 ? ` and ${titles.length - 3} more` : '');
+      const notification = await this.notifySafely(studentId, {
+        type: 'review',
+        title: titles.length === 1 ? 'A quiz is due for review' : `${titles.length} quizzes are due for review`,
+        message: `Review now so it stays fresh: ${names}.`,
+        // A single quiz can be opened straight from the notification
+        relatedItem: due.length === 1 ? due[0]._id : undefined,
+        itemModel: 'Quiz'
+      });
+      if (notification) reminded++;
+    }
+    return { students, reminded };
+  }
+
+  /**
+   * Delete read notifications older than some days; run weekly by the 'notification-cleanup'
+   * job (services/BackgroundJobs.js)
+   *
+   * @param {number} days - Age in days
+   * @returns {Promise<Object>} { deleted }
+   */
+  static async deleteReadOlderThan(days) {
+    const result = await Notification.deleteMany({
+      isRead: true,
+      updatedAt: { $lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    });
+    return { deleted: result.deletedCount };
+  }
+}
+
+NotificationService.NotificationError = NotificationError;
+NotificationService.MUTABLE_TYPES = MUTABLE_TYPES;
+
+module.exports = NotificationService;
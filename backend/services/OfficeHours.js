@@ -0,0 +1,549 @@
+/**
+ * Office Hours Service
+ * Teachers publish recurring availability windows (models/AvailabilityWindow.js); each window
+ * is split into slots of slotMinutes that up to `capacity` students can book.
+ *
+ * Students book a slot by sending a meeting request for it. Booking checks that the slot is
+ * really offered, is not full and does not clash with the student's other meetings. The place
+ * is only taken when the teacher accepts: reserve() increments MeetingSlot.count with a
+ * conditional update, so two acceptances can never overbook a slot. Cancelling or declining
+ * an accepted booking frees its place again.
+ *
+ * Window times are wall-clock times in the window's timezone, so slots stay at the same local
+ * time across daylight saving changes.
+ */
+
+const AvailabilityWindow = require('../models/AvailabilityWindow');
+const MeetingSlot = require('../models/MeetingSlot');
+const MeetingRequest = require('../models/MeetingRequest');
+const User = require('../models/User');
+
+const BOOKING_HORIZON_DAYS = 56;
+const MIN_NOTICE_MINUTES = 60;
+const DEFAULT_MEETING_MINUTES = 30; // Assumed length of meetings booked without a slot
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['pending', 'countered', 'accepted'];
+
+class OfficeHoursError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OfficeHoursError';
+    this.status = status;
+  }
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date, weekday and minute of the day of an instant, in a timezone
+const localParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+  return {
+    year: value.year,
+    month: value.month,
+    day: value.day,
+    minutes: value.hour * 60 + value.minute,
+    dayOfWeek: new Date(Date.UTC(value.year, value.month - 1, value.day)).getUTCDay()
+  };
+};
+
+// The instant at which a wall-clock time occurs in a timezone
+const zonedTimeToUtc = (year, month, day, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offsetAt = (instant) => {
+    const local = localParts(new Date(instant), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - instant;
+  };
+  let instant = wallClock - offsetAt(wallClock);
+  // A second pass settles instants near a daylight saving change
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+};
+
+// Filter for meetings overlapping a time range
+const overlapping = (startsAt, endsAt) => ({
+  requestedTime: { $lt: endsAt },
+  $or: [
+    { endTime: { $gt: startsAt } },
+    // Older requests have no end time
+    { endTime: { $exists: false }, requestedTime: { $gt: new Date(startsAt.getTime() - DEFAULT_MEETING_MINUTES * 60 * 1000) } }
+  ]
+});
+
+class OfficeHours {
+  /**
+   * Validate window fields from a client
+   *
+   * @param {Object} data - { dayOfWeek, startTime, endTime, slotMinutes, capacity, timezone,
+   *   validFrom, validUntil, location }
+   * @returns {Object} Fields for AvailabilityWindow
+   */
+  static normalizeWindow(data = {}) {
+    const fields = {
+      dayOfWeek: Number(data.dayOfWeek),
+      startTime: data.startTime,
+      endTime: data.endTime,
+      slotMinutes: data.slotMinutes === undefined ? 30 : Number(data.slotMinutes),
+      capacity: data.capacity === undefined ? 1 : Number(data.capacity),
+      timezone: data.timezone || 'UTC',
+      validFrom: data.validFrom ? new Date(data.validFrom) : undefined,
+      validUntil: data.validUntil ? new Date(data.validUntil) : undefined,
+      location: data.location
+    };
+
+    const error = new AvailabilityWindow(fields).validateSync(Object.keys(fields));
+    if (error) {
+      throw new OfficeHoursError(Object.values(error.errors)[0].message);
+    }
+    if (!isValidTimeZone(fields.timezone)) {
+      throw new OfficeHoursError(`Unknown timezone "${fields.timezone}"`);
+    }
+    const length = toMinutes(fields.endTime) - toMinutes(fields.startTime);
+    if (length < fields.slotMinutes) {
+      throw new OfficeHoursError('The window must end after its start and fit at least one slot');
+    }
+    if (fields.validFrom && fields.validUntil && fields.validUntil < fields.validFrom) {
+      throw new OfficeHoursError('validUntil must be after validFrom');
+    }
+    return fields;
+  }
+
+  /**
+   * Reject a window that overlaps another of the teacher's windows
+   */
+  static async assertNoOverlap(teacherId, fields, excludeId = null) {
+    const others = await AvailabilityWindow.find({
+      teacher: teacherId,
+      active: true,
+      dayOfWeek: fields.dayOfWeek,
+      timezone: fields.timezone,
+      ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    }).lean();
+
+    const clash = others.find(other => (
+      other.startTime < fields.endTime && fields.startTime < other.endTime &&
+      (!other.validUntil || !fields.validFrom || fields.validFrom <= other.validUntil) &&
+      (!fields.validUntil || !other.validFrom || other.validFrom <= fields.validUntil)
+    ));
+    if (clash) {
+      throw new OfficeHoursError(`Overlaps your office hours ${clash.startTime}-${clash.endTime} on the same day`, 409);
+    }
+  }
+
+  /**
+   * A teacher's active windows, in weekly order
+   *
+   * @param {string} teacherId - Teacher ID
+   * @returns {Promise<Array>} Windows
+   */
+  static async getWindows(teacherId) {
+    return AvailabilityWindow.find({ teacher: teacherId, active: true })
+      .sort({ dayOfWeek: 1, startTime: 1 })
+      .lean();
+  }
+
+  /**
+   * Publish a new window
+   *
+   * @param {string} teacherId - Teacher ID
+   * @param {Object} data - Window fields (see normalizeWindow)
+   * @returns {Promise<Object>} Saved window
+   */
+  static async createWindow(teacherId, data) {
+    const fields = this.normalizeWindow(data);
+    await this.assertNoOverlap(teacherId, fields);
+    const window = new AvailabilityWindow({ ...fields, teacher: teacherId });
+    await window.save();
+    return window;
+  }
+
+  /**
+   * Change a window. Accepted bookings keep their places; new bookings follow the new rules.
+   *
+   * @param {string} teacherId - Owning teacher
+   * @param {string} windowId - Window ID
+   * @param {Object} data - Window fields (see normalizeWindow)
+   * @returns {Promise<Object>} Updated window
+   */
+  static async updateWindow(teacherId, windowId, data) {
+    const window = await this.getOwnWindow(teacherId, windowId);
+    const fields = this.normalizeWindow({ ...window.toObject(), ...data });
+    await this.assertNoOverlap(teacherId, fields, window._id);
+    window.set(fields);
+    await window.save();
+    return window;
+  }
+
+  /**
+   * Stop offering a window. Meetings already accepted in it still take place.
+   *
+   * @param {string} teacherId - Owning teacher
+   * @param {string} windowId - Window ID
+   */
+  static async removeWindow(teacherId, windowId) {
+    const window = await this.getOwnWindow(teacherId, windowId);
+    window.active = false;
+    await window.save();
+  }
+
+  static async getOwnWindow(teacherId, windowId) {
+    const window = await AvailabilityWindow.findOne({ _id: windowId, teacher: teacherId, active: true }).catch(() => null);
+    if (!window) {
+      throw new OfficeHoursError('Office hours not found', 404);
+    }
+    return window;
+  }
+
+  /**
+   * Bookable slots of a teacher between two dates
+   *
+   * @param {string} teacherId - Teacher ID
+   * @param {Object} options - { from, to (default: the booking horizon), studentId (marks
+   *   the slots this student requested or booked) }
+   * @returns {Promise<Array>} [{ windowId, startsAt, endsAt, capacity, booked, available,
+   *   location, myStatus }] in time order
+   */
+  static async getSlots(teacherId, { from, to, studentId } = {}) {
+    const earliest = new Date(Date.now() + MIN_NOTICE_MINUTES * 60 * 1000);
+    const horizon = new Date(Date.now() + BOOKING_HORIZON_DAYS * DAY_MS);
+    const rangeStart = from && new Date(from) > earliest ? new Date(from) : earliest;
+    const rangeEnd = to && new Date(to) < horizon ? new Date(to) : horizon;
+    if (isNaN(rangeStart) || isNaN(rangeEnd)) {
+      throw new OfficeHoursError('from and to must be dates');
+    }
+    if (rangeEnd <= rangeStart) return [];
+
+    const windows = await this.getWindows(teacherId);
+    const slots = [];
+    windows.forEach(window => {
+      const start = toMinutes(window.startTime);
+      const end = toMinutes(window.endTime);
+      // Walk the calendar days of the range in the window's timezone
+      const first = localParts(rangeStart, window.timezone);
+      for (let offset = 0; offset <= BOOKING_HORIZON_DAYS + 1; offset++) {
+        const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+        if (date.getUTCDay() !== window.dayOfWeek) continue;
+        for (let minute = start; minute + window.slotMinutes <= end; minute += window.slotMinutes) {
+          const startsAt = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), minute, window.timezone);
+          if (startsAt < rangeStart || startsAt >= rangeEnd) continue;
+          // Skipped by a daylight saving change
+          if (localParts(startsAt, window.timezone).minutes !== minute) continue;
+          if (window.validFrom && startsAt < window.validFrom) continue;
+          if (window.validUntil && startsAt > window.validUntil) continue;
+          slots.push({
+            windowId: window._id,
+            startsAt,
+            endsAt: new Date(startsAt.getTime() + window.slotMinutes * 60 * 1000),
+            capacity: window.capacity,
+            location: window.location
+          });
+        }
+      }
+    });
+
+    const range = { $gte: rangeStart, $lt: rangeEnd };
+    const [reserved, mine] = await Promise.all([
+      MeetingSlot.find({ teacher: teacherId, startsAt: range }).select('startsAt count').lean(),
+      studentId
+        ? MeetingRequest.find({ teacher: teacherId, student: studentId, requestedTime: range, status: { $in: ACTIVE_STATUSES } })
+          .select('requestedTime status').lean()
+        : []
+    ]);
+    const bookedAt = new Map(reserved.map(slot => [slot.startsAt.getTime(), slot.count]));
+    const myStatusAt = new Map(mine.map(request => [request.requestedTime.getTime(), request.status]));
+
+    return slots
+      .map(slot => {
+        const booked = bookedAt.get(slot.startsAt.getTime()) || 0;
+        return {
+          ...slot,
+          booked,
+          available: booked < slot.capacity,
+          myStatus: myStatusAt.get(slot.startsAt.getTime()) || null
+        };
+      })
+      .sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Check that a window offers a slot starting at a given time
+   *
+   * @param {string} teacherId - Teacher ID
+   * @param {string} windowId - Window ID
+   * @param {Date|string} startsAt - Slot start
+   * @returns {Promise<Object>} { window, startsAt, endsAt }
+   */
+  static async findSlot(teacherId, windowId, startsAt) {
+    const window = await AvailabilityWindow.findOne({ _id: windowId, teacher: teacherId, active: true }).lean().catch(() => null);
+    if (!window) {
+      throw new OfficeHoursError('These office hours are no longer offered', 409);
+    }
+    const start = new Date(startsAt);
+    if (isNaN(start)) {
+      throw new OfficeHoursError('startsAt must be a date');
+    }
+
+    const local = localParts(start, window.timezone);
+    const offsetInWindow = local.minutes - toMinutes(window.startTime);
+    const offered = local.dayOfWeek === window.dayOfWeek &&
+      offsetInWindow >= 0 &&
+      offsetInWindow % window.slotMinutes === 0 &&
+      local.minutes + window.slotMinutes <= toMinutes(window.endTime) &&
+      start.getUTCSeconds() === 0 && start.getUTCMilliseconds() === 0 &&
+      (!window.validFrom || start >= window.validFrom) &&
+      (!window.validUntil || start <= window.validUntil);
+    if (!offered) {
+      throw new OfficeHoursError('That time is not one of the slots offered', 400);
+    }
+    if (start < new Date(Date.now() + MIN_NOTICE_MINUTES * 60 * 1000)) {
+      throw new OfficeHoursError(`Slots must be booked at least ${MIN_NOTICE_MINUTES} minutes ahead`);
+    }
+    if (start > new Date(Date.now() + BOOKING_HORIZON_DAYS * DAY_MS)) {
+      throw new OfficeHoursError(`Slots can be booked up to ${BOOKING_HORIZON_DAYS} days ahead`);
+    }
+
+    return { window, startsAt: start, endsAt: new Date(start.getTime() + window.slotMinutes * 60 * 1000) };
+  }
+
+  /**
+   * Reject a booking that clashes with another of the student's meetings
+   */
+  static async assertStudentFree(studentId, startsAt, endsAt, excludeRequestId = null) {
+    const clash = await MeetingRequest.findOne({
+      student: studentId,
+      status: { $in: ACTIVE_STATUSES },
+      ...overlapping(startsAt, endsAt),
+      ...(excludeRequestId ? { _id: { $ne: excludeRequestId } } : {})
+    }).populate('teacher', 'name').lean();
+
+    if (clash) {
+      const who = clash.teacher ? ` with ${clash.teacher.name}` : '';
+      throw new OfficeHoursError(`You already have a meeting${who} at that time`, 409);
+    }
+  }
+
+  /**
+   * Reject a time outside office hours that clashes with one of the teacher's accepted
+   * meetings. (Bookings in one office-hours slot share it up to its capacity.)
+   */
+  static async assertTeacherFree(teacherId, startsAt, endsAt, excludeRequestId = null) {
+    const clash = await MeetingRequest.exists({
+      teacher: teacherId,
+      status: 'accepted',
+      ...overlapping(startsAt, endsAt),
+      ...(excludeRequestId ? { _id: { $ne: excludeRequestId } } : {})
+    });
+    if (clash) {
+      throw new OfficeHoursError(`The teacher already has a meeting at ${startsAt.toISOString()}`, 409);
+    }
+  }
+
+  /**
+   * Reject a slot whose places are all taken
+   *
+   * @param {string} teacherId - Teacher ID
+   * @param {Object} slot - From findSlot
+   */
+  static async assertSlotOpen(teacherId, slot) {
+    const reserved = await MeetingSlot.findOne({ teacher: teacherId, startsAt: slot.startsAt }).lean();
+    if (reserved && reserved.count >= slot.window.capacity) {
+      throw new OfficeHoursError('This slot is fully booked', 409);
+    }
+  }
+
+  /**
+   * Book a slot: create a pending meeting request for it
+   *
+   * @param {string} studentId - Booking student
+   * @param {Object} data - { teacherId, windowId, startsAt, message, relatedDomain }
+   * @returns {Promise<Object>} The meeting request
+   */
+  static async book(studentId, { teacherId, windowId, startsAt, message, relatedDomain } = {}) {
+    if (!teacherId || !windowId || !startsAt) {
+      throw new OfficeHoursError('Teacher, office hours and slot time are required.');
+    }
+    const teacherExists = await User.exists({ _id: teacherId, role: 'teacher' }).catch(() => null);
+    if (!teacherExists) {
+      throw new OfficeHoursError('Teacher not found.', 404);
+    }
+
+    const slot = await this.findSlot(teacherId, windowId, startsAt);
+    await this.assertSlotOpen(teacherId, slot);
+    await this.assertStudentFree(studentId, slot.startsAt, slot.endsAt);
+
+    const request = new MeetingRequest({
+      student: studentId,
+      teacher: teacherId,
+      requestedTime: slot.startsAt,
+      endTime: slot.endsAt,
+      availabilityWindow: slot.window._id,
+      message,
+      relatedDomain: relatedDomain || null,
+      history: [MeetingRequest.historyEntry('requested', studentId, {
+        status: 'pending',
+        requestedTime: slot.startsAt,
+        endTime: slot.endsAt
+      })]
+    });
+    await request.save();
+    return request;
+  }
+
+  /**
+   * Take a place in a request's slot. Atomic: the count only grows while below capacity, and
+   * the unique (teacher, startsAt) index makes a full slot fail the upsert instead of
+   * creating a second document.
+   *
+   * @param {Object} request - Meeting request with availabilityWindow
+   * @returns {Promise<Object>} The MeetingSlot
+   */
+  static async reserve(request) {
+    const window = await AvailabilityWindow.findById(request.availabilityWindow).lean();
+    if (!window || !window.active) {
+      throw new OfficeHoursError('These office hours are no longer offered', 409);
+    }
+    try {
+      return await MeetingSlot.findOneAndUpdate(
+        { teacher: request.teacher, startsAt: request.requestedTime, count: { $lt: window.capacity } },
+        {
+          $inc: { count: 1 },
+          $push: { requests: request._id },
+          $set: { capacity: window.capacity },
+          $setOnInsert: { window: window._id, endsAt: request.endTime }
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new OfficeHoursError('This slot is fully booked', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give up a request's place in its slot
+   *
+   * @param {Object} request - Meeting request with reservation
+   */
+  static async release(request) {
+    if (!request.reservation) return;
+    await MeetingSlot.updateOne(
+      { _id: request.reservation, requests: request._id },
+      { $inc: { count: -1 }, $pull: { requests: request._id } }
+    );
+  }
+
+  /**
+   * Accept a pending request, reserving its slot first
+   *
+   * @param {string} teacherId - Teacher the request is for
+   * @param {string} requestId - Meeting request ID
+   * @returns {Promise<Object>} The accepted request
+   */
+  static async accept(teacherId, requestId) {
+    const pending = await MeetingRequest.findOne({ _id: requestId, teacher: teacherId, status: 'pending' }).catch(() => null);
+    if (!pending) {
+      throw new OfficeHoursError('Pending meeting request not found or access denied.', 404);
+    }
+    if (pending.requestedTime < new Date()) {
+      throw new OfficeHoursError('This meeting time has already passed', 409);
+    }
+
+    const slot = pending.availabilityWindow ? await this.reserve(pending) : null;
+    const accepted = await MeetingRequest.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      {
+        status: 'accepted',
+        reservation: slot ? slot._id : undefined,
+        $push: { history: MeetingRequest.historyEntry('accepted', teacherId, { status: 'accepted' }) }
+      },
+      { new: true }
+    );
+    if (!accepted) {
+      // Cancelled or answered meanwhile: hand the place back
+      if (slot) await this.release({ _id: pending._id, reservation: slot._id });
+      throw new OfficeHoursError('Pending meeting request not found or access denied.', 404);
+    }
+    return accepted;
+  }
+
+  /**
+   * Decline a pending request
+   *
+   * @param {string} teacherId - Teacher the request is for
+   * @param {string} requestId - Meeting request ID
+   * @returns {Promise<Object>} The declined request
+   */
+  static async reject(teacherId, requestId) {
+    const request = await MeetingRequest.findOneAndUpdate(
+      { _id: requestId, teacher: teacherId, status: 'pending' },
+      {
+        status: 'rejected',
+        $push: { history: MeetingRequest.historyEntry('rejected', teacherId, { status: 'rejected' }) }
+      },
+      { new: true }
+    ).catch(() => null);
+    if (!request) {
+      throw new OfficeHoursError('Pending meeting request not found or access denied.', 404);
+    }
+    return request;
+  }
+
+  /**
+   * Cancel a meeting request at any open stage, by either participant. An accepted booking
+   * frees its place in the slot; an open proposal is dropped.
+   *
+   * @param {string} userId - Student or teacher of the meeting
+   * @param {string} requestId - Meeting request ID
+   * @returns {Promise<Object>} { request (cancelled), wasAccepted }
+   */
+  static async cancel(userId, requestId) {
+    const previous = await MeetingRequest.findOneAndUpdate(
+      {
+        _id: requestId,
+        status: { $in: ACTIVE_STATUSES },
+        $or: [{ student: userId }, { teacher: userId }]
+      },
+      {
+        status: 'cancelled',
+        $unset: { proposal: 1 },
+        $push: { history: MeetingRequest.historyEntry('cancelled', userId, { status: 'cancelled' }) }
+      }
+    ).catch(() => null);
+    if (!previous) {
+      throw new OfficeHoursError('Meeting request not found or already closed.', 404);
+    }
+
+    await this.release(previous);
+    const request = await MeetingRequest.findByIdAndUpdate(previous._id, { $unset: { reservation: 1 } }, { new: true });
+    return { request, wasAccepted: previous.status === 'accepted' };
+  }
+}
+
+OfficeHours.OfficeHoursError = OfficeHoursError;
+OfficeHours.BOOKING_HORIZON_DAYS = BOOKING_HORIZON_DAYS;
+OfficeHours.MIN_NOTICE_MINUTES = MIN_NOTICE_MINUTES;
+OfficeHours.DEFAULT_MEETING_MINUTES = DEFAULT_MEETING_MINUTES;
+
+module.exports = OfficeHours;
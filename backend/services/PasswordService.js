@@ -0,0 +1,186 @@
+/**
+ * Password Service
+ * Changing a password, and resetting a forgotten one by email.
+ *
+ * - Changing needs the current password and signs out every other device.
+ * - A reset request mails a link with a random token through MailService (the local outbox in
+ *   development). Only the token's hash is stored, and it expires after RESET_TOKEN_MINUTES
+ *   (default 60). The account is looked up and mailed after the request has been answered, so
+ *   requests for unknown emails look exactly like the others, in content and in timing, and the
+ *   form does not tell who has an account. Each account gets at most one email per
+ *   RESET_REQUEST_INTERVAL_MS.
+ * - A token works once. Resetting ends every session of the user, since whoever knew the old
+ *   password may still be signed in, and lifts a login lockout (LoginGuard).
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const SessionService = require('./SessionService');
+const MailService = require('./MailService');
+const TemplateRenderer = require('./TemplateRenderer');
+const LoginGuard = require('./LoginGuard');
+
+const MIN_PASSWORD_LENGTH = 6; // As on the signup form
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+const RESET_TOKEN_MINUTES = Number(process.env.RESET_TOKEN_MINUTES) || 60;
+const RESET_REQUEST_INTERVAL_MS = 2 * 60 * 1000;
+const SALT_ROUNDS = 10;
+
+class PasswordError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PasswordError';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const validate = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new PasswordError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    throw new PasswordError(`Password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+  }
+};
+
+class PasswordService {
+  /**
+   * Change the password of a signed-in user
+   *
+   * @param {string} userId - User ID
+   * @param {Object} passwords - { currentPassword, newPassword }
+   * @param {Object} options - { sessionId: session to keep signed in }
+   * @returns {Promise<number>} Number of other sessions ended
+   */
+  static async changePassword(userId, { currentPassword, newPassword } = {}, { sessionId } = {}) {
+    if (!currentPassword || !newPassword) {
+      throw new PasswordError('Current and new password are required');
+    }
+    validate(newPassword);
+
+    const user = await User.findById(userId).select('password');
+    if (!user) throw new PasswordError('User not found', 404);
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      throw new PasswordError('Current password is incorrect');
+    }
+    if (currentPassword === newPassword) {
+      throw new PasswordError('New password must be different from the current one');
+    }
+
+    await User.updateOne({ _id: user._id }, { password: await bcrypt.hash(newPassword, SALT_ROUNDS) });
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+    return SessionService.logoutAll(user._id, { except: sessionId, reason: 'password_changed' });
+  }
+
+  /**
+   * Mail a reset link to the account with this email, if there is one. Resolves before the
+   * account is even looked up, so neither the answer nor its timing tells whether there is.
+   *
+   * @param {string} email - Email address entered on the form
+   * @param {Object} options - { ip } of the request
+   * @returns {Promise<void>}
+   */
+  static async requestReset(email, { ip = '' } = {}) {
+    if (typeof email !== 'string' || !email.trim()) {
+      throw new PasswordError('Email is required');
+    }
+
+    setImmediate(() => {
+      this.sendResetLink(email.trim(), { ip })
+        .catch(error => console.error('Error handling a password reset request:', error));
+    });
+  }
+
+  /**
+   * Look up the account with this email and mail it a reset link, unless one went out recently.
+   * Nothing happens for unknown emails.
+   *
+   * @param {string} email - Email address
+   * @param {Object} options - { ip } of the request
+   * @returns {Promise<boolean>} Whether a link was mailed
+   */
+  static async sendResetLink(email, { ip = '' } = {}) {
+    const user = await User.findOne({ email }).select('name email');
+    if (!user) return false;
+
+    const now = new Date();
+    const recent = await PasswordResetToken.exists({
+      user: user._id,
+      createdAt: { $gt: new Date(now.getTime() - RESET_REQUEST_INTERVAL_MS) }
+    });
+    if (recent) return false;
+
+    // Only the newest link works
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+    const token = crypto.randomBytes(32).toString('hex');
+    const record = await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + RESET_TOKEN_MINUTES * 60 * 1000),
+      requestedIp: ip
+    });
+
+    const data = {
+      name: user.name,
+      minutes: RESET_TOKEN_MINUTES,
+      resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`
+    };
+    try {
+      await MailService.send({
+        to: user.email,
+        subject: 'Reset your Mathemann password',
+        text: TemplateRenderer.render('email/password-reset.txt', data),
+        html: TemplateRenderer.render('email/password-reset.html', data)
+      });
+    } catch (error) {
+      // Not reported to the requester: that would tell them the account exists
+      console.error(`Error sending the password reset email to ${user._id}:`, error);
+      await PasswordResetToken.deleteOne({ _id: record._id });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Set a new password with a reset token, sign the user out everywhere and unlock their login
+   *
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword - New password
+   * @returns {Promise<void>}
+   * @throws {PasswordError} When the token is unknown, used or expired
+   */
+  static async resetPassword(token, newPassword) {
+    validate(newPassword);
+    if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+      throw new PasswordError('This reset link is invalid or has expired');
+    }
+
+    // Claimed atomically, so a token cannot be used twice
+    const now = new Date();
+    const record = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now },
+      { new: true }
+    );
+    if (!record) throw new PasswordError('This reset link is invalid or has expired');
+
+    const user = await User.findOneAndUpdate(
+      { _id: record.user },
+      { password: await bcrypt.hash(newPassword, SALT_ROUNDS) }
+    ).select('email');
+    if (!user) throw new PasswordError('This reset link is invalid or has expired');
+
+    await SessionService.logoutAll(record.user, { reason: 'password_reset' });
+    // Proving the mailbox is the way out of a login lockout
+    await LoginGuard.unlockAccount(user.email);
+  }
+}
+
+PasswordService.PasswordError = PasswordError;
+PasswordService.MIN_PASSWORD_LENGTH = MIN_PASSWORD_LENGTH;
+
+module.exports = PasswordService;
@@ -0,0 +1,245 @@
+/**
+ * Progress Digest Service
+ * A weekly email per student: study time, quizzes taken, a retention forecast and the reviews
+ * coming up. Rendered from templates/email/weekly-digest.{html,txt} and sent through
+ * MailService; run by the 'weekly-digest' job (services/BackgroundJobs.js).
+ *
+ * Students opt out in their notification preferences (notificationPreferences.weeklyDigest) or
+ * with the unsubscribe link in every digest, which opens a confirmation page. The link carries
+ * a signed token, so it works without logging in. Students with nothing to report get no email.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const QuizAttempt = require('../models/QuizAttempt');
+const LearningMetrics = require('./LearningMetrics');
+const RetentionAlgorithm = require('./RetentionAlgorithm');
+const TemplateRenderer = require('./TemplateRenderer');
+const MailService = require('./MailService');
+
+const DIGEST_DAYS = 7;
+const MIN_DAYS_BETWEEN_DIGESTS = 6; // A retried run does not mail anyone twice
+const MAX_LISTED_QUIZZES = 10;
+const MAX_FADING = 3;
+const DEFAULT_S = 5; // Learning strength assumed for attempts without one, as in RetentionAlgorithm
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const average = (values) => (values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : 0);
+
+// Unsubscribe tokens are "<userId>.<signature>", signed with the JWT secret
+const sign = (userId) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update(`weekly-digest:${userId}`)
+  .digest('hex');
+
+class ProgressDigest {
+  /**
+   * What a student did in the week before `now`, and what is coming up
+   *
+   * @param {Object} student - User document of a student
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} Template data; `empty` when there is nothing to report
+   */
+  static async build(student, { now = new Date() } = {}) {
+    const since = new Date(now.getTime() - DIGEST_DAYS * DAY_MS);
+    const nextWeek = new Date(now.getTime() + DIGEST_DAYS * DAY_MS);
+
+    const [patterns, weekAttempts, latest] = await Promise.all([
+      LearningMetrics.getLearningPatterns(student._id, { days: DIGEST_DAYS }),
+      QuizAttempt.find({ student: student._id, finishedAt: { $gte: since, $lt: now } })
+        .select('quiz score finishedAt')
+        .populate('quiz', 'title')
+        .sort({ finishedAt: 1 })
+        .lean(),
+      // Latest attempt at each quiz: the retention model and review schedule go by it
+      QuizAttempt.aggregate([
+        { $match: { student: new mongoose.Types.ObjectId(String(student._id)) } },
+        { $sort: { finishedAt: -1 } },
+        {
+          $group: {
+            _id: '$quiz',
+            finishedAt: { $first: '$finishedAt' },
+            nextReview: { $first: '$nextReview' },
+            S: { $first: '$S' }
+          }
+        },
+        { $lookup: { from: 'quizzes', localField: '_id', foreignField: '_id', as: 'quiz' } },
+        { $unwind: '$quiz' },
+        { $project: { finishedAt: 1, nextReview: 1, S: 1, title: '$quiz.title' } }
+      ])
+    ]);
+
+    const activeDays = Object.values(patterns.dailyActivity || {}).filter(day => day.minutes > 0).length;
+    const minutes = Object.values(patterns.dailyActivity || {}).reduce((sum, day) => sum + day.minutes, 0);
+    const study = { sessions: patterns.sessions, minutes, activeDays, active: minutes > 0 || patterns.sessions > 0 };
+
+    const quizzes = {
+      count: weekAttempts.length,
+      averageScore: average(weekAttempts.map(attempt => attempt.score)),
+      items: weekAttempts.slice(-MAX_LISTED_QUIZZES).map(attempt => ({
+        title: attempt.quiz ? attempt.quiz.title : 'A removed quiz',
+        score: Math.round(attempt.score),
+        date: formatDate(attempt.finishedAt)
+      }))
+    };
+
+    // Predicted retention now and in a week without review
+    const forecast = latest.map(quiz => {
+      const S = quiz.S || DEFAULT_S;
+      const daysSince = (now - quiz.finishedAt) / DAY_MS;
+      return {
+        title: quiz.title,
+        now: Math.round(RetentionAlgorithm.calculateRetention(daysSince, S)),
+        nextWeek: Math.round(RetentionAlgorithm.calculateRetention(daysSince + DIGEST_DAYS, S))
+      };
+    });
+    const retention = forecast.length > 0
+      ? {
+        now: average(forecast.map(quiz => quiz.now)),
+        nextWeek: average(forecast.map(quiz => quiz.nextWeek)),
+        fading: [...forecast].sort((a, b) => a.nextWeek - b.nextWeek).slice(0, MAX_FADING)
+      }
+      : null;
+
+    const scheduled = latest.filter(quiz => quiz.nextReview);
+    const reviews = {
+      overdue: scheduled.filter(quiz => quiz.nextReview < now).length,
+      upcoming: scheduled
+        .filter(quiz => quiz.nextReview >= now && quiz.nextReview < nextWeek)
+        .sort((a, b) => a.nextReview - b.nextReview)
+        .map(quiz => ({ title: quiz.title, date: formatDate(quiz.nextReview) }))
+    };
+
+    return {
+      name: student.name,
+      period: `from ${formatDate(since)} to ${formatDate(now)}`,
+      study,
+      quizzes,
+      retention,
+      reviews,
+      empty: !study.active && quizzes.count === 0 && reviews.overdue === 0 && reviews.upcoming.length === 0
+    };
+  }
+
+  /**
+   * The digest email of a student
+   *
+   * @param {Object} student - User document of a student
+   * @param {Object} options - { now }
+   * @returns {Promise<Object|null>} { subject, text, html, headers }, or null when there is nothing to report
+   */
+  static async compose(student, { now = new Date() } = {}) {
+    const digest = await this.build(student, { now });
+    if (digest.empty) return null;
+
+    const apiUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    const unsubscribeUrl = `${apiUrl}/api/notifications/digest/unsubscribe?token=${this.unsubscribeToken(student._id)}`;
+    const data = {
+      ...digest,
+      appUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard/student`,
+      unsubscribeUrl
+    };
+
+    return {
+      subject: `Your week on Mathemann, ${digest.period}`,
+      text: TemplateRenderer.render('email/weekly-digest.txt', data),
+      html: TemplateRenderer.render('email/weekly-digest.html', data),
+      // One-click unsubscribe from the mail client (RFC 8058)
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  }
+
+  /**
+   * Mail the digest to every student who did not opt out and was not mailed in the last days.
+   * Throws after trying everyone when some failed, so the job retries just those.
+   *
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { sent, skipped }
+   */
+  static async sendWeekly({ now = new Date() } = {}) {
+    const cursor = User.find({
+      role: 'student',
+      'notificationPreferences.weeklyDigest': { $ne: false },
+      $or: [
+        { lastDigestSentAt: null },
+        { lastDigestSentAt: { $lt: new Date(now.getTime() - MIN_DAYS_BETWEEN_DIGESTS * DAY_MS) } }
+      ]
+    }).select('name email').lean().cursor();
+
+    let sent = 0;
+    let skipped = 0;
+    let failed = 0;
+    for await (const student of cursor) {
+      try {
+        const email = await this.compose(student, { now });
+        if (!email) {
+          skipped++;
+          continue;
+        }
+        await MailService.send({ to: student.email, ...email });
+        await User.updateOne({ _id: student._id }, { lastDigestSentAt: now });
+        sent++;
+      } catch (error) {
+        console.error(`Error sending the weekly digest to ${student._id}:`, error);
+        failed++;
+      }
+    }
+
+    if (failed > 0) {
+      throw new Error(`Weekly digest failed for ${failed} student(s) (${sent} sent)`);
+    }
+    return { sent, skipped };
+  }
+
+  /**
+   * Token for the unsubscribe link of a user
+   *
+   * @param {string} userId - User ID
+   * @returns {string}
+   */
+  static unsubscribeToken(userId) {
+    return `${userId}.${sign(userId)}`;
+  }
+
+  /**
+   * User an unsubscribe token belongs to
+   *
+   * @param {string} token - Token from an unsubscribe link
+   * @returns {string|null} User ID, or null for invalid tokens
+   */
+  static verifyUnsubscribeToken(token) {
+    const [userId, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!userId || !/^[0-9a-f]{24}$/.test(userId) || !/^[0-9a-f]{64}$/.test(signature || '')) return null;
+    if (!crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(sign(userId), 'hex'))) return null;
+    return userId;
+  }
+
+  /**
+   * Turn the digest off for the user an unsubscribe token belongs to
+   *
+   * @param {string} token - Token from an unsubscribe link
+   * @returns {Promise<boolean>} false for invalid tokens
+   */
+  static async unsubscribe(token) {
+    const userId = this.verifyUnsubscribeToken(token);
+    if (!userId) return false;
+
+    const result = await User.updateOne({ _id: userId }, { 'notificationPreferences.weeklyDigest': false });
+    return result.matchedCount > 0;
+  }
+}
+
+module.exports = ProgressDigest;
@@ -0,0 +1,246 @@
+/**
+ * Question Grader Service
+ * Grades a student's answer to a single quiz question, for every question type:
+ *
+ * - multiple-choice: exact match against correctAnswer
+ * - multi-select: set of options against correctAnswers, with partial credit
+ * - numeric: number within tolerance of correctAnswer, with optional unit conversion
+ * - expression: algebraic expression, symbolically equivalent to correctAnswer
+ *
+ * Every grade returns credit between 0 and 1; a question counts as correct only with full credit.
+ */
+
+const MathExpression = require('./MathExpression');
+
+// Units students may answer in, as [dimension, factor to the base unit]
+const UNITS = {
+  mm: ['length', 0.001], cm: ['length', 0.01], dm: ['length', 0.1], m: ['length', 1], km: ['length', 1000],
+  'mm²': ['area', 1e-6], 'cm²': ['area', 1e-4], 'm²': ['area', 1], 'km²': ['area', 1e6],
+  'cm³': ['volume', 1e-6], 'm³': ['volume', 1], ml: ['volume', 1e-6], cl: ['volume', 1e-5], l: ['volume', 1e-3],
+  mg: ['mass', 1e-6], g: ['mass', 1e-3], kg: ['mass', 1],
+  ms: ['time', 0.001], s: ['time', 1], min: ['time', 60], h: ['time', 3600],
+  '°': ['angle', 1], deg: ['angle', 1], rad: ['angle', 180 / Math.PI],
+  '%': ['percent', 1]
+};
+
+/**
+ * Normalise unit spelling: "CM2" -> "cm²", "degrees" -> "deg"
+ *
+ * @param {string} unit - Unit as typed
+ * @returns {string|null} Normalised unit, or null when empty
+ */
+const normalizeUnit = (unit) => {
+  if (!unit) return null;
+  let normalized = String(unit).trim().toLowerCase()
+    .replace(/\^?2$/, '²')
+    .replace(/\^?3$/, '³');
+  if (normalized === 'degrees' || normalized === 'degree') normalized = 'deg';
+  if (normalized === 'sec') normalized = 's';
+  return normalized || null;
+};
+
+class QuestionGrader {
+  /**
+   * Question type, defaulting to multiple-choice for quizzes created before types existed
+   *
+   * @param {Object} question - Quiz question
+   * @returns {string} Question type
+   */
+  static typeOf(question) {
+    return question.type || 'multiple-choice';
+  }
+
+  /**
+   * Whether an answer was actually given (used to validate submissions)
+   *
+   * @param {*} answer - Submitted answer
+   * @returns {boolean} True when non-empty
+   */
+  static isAnswered(answer) {
+    if (Array.isArray(answer)) return answer.length > 0;
+    // Numeric answers may come as { value, unit }
+    if (answer && typeof answer === 'object') return this.isAnswered(answer.value);
+    return answer !== undefined && answer !== null && String(answer).trim() !== '';
+  }
+
+  /**
+   * Human-readable correct answer, revealed in attempt results
+   *
+   * @param {Object} question - Quiz question
+   * @returns {string} Correct answer text
+   */
+  static displayAnswer(question) {
+    switch (this.typeOf(question)) {
+      case 'multi-select':
+        return (question.correctAnswers || []).join(', ');
+      case 'numeric':
+        return question.unit ? `${question.correctAnswer} ${question.unit}` : String(question.correctAnswer);
+      default:
+        return question.correctAnswer;
+    }
+  }
+
+  /**
+   * Grade one answer
+   *
+   * @param {Object} question - Quiz question
+   * @param {*} answer - Submitted answer
+   * @returns {Object} { isCorrect, credit (0-1), feedback? }
+   */
+  static grade(question, answer) {
+    if (!this.isAnswered(answer)) {
+      return { isCorrect: false, credit: 0 };
+    }
+
+    switch (this.typeOf(question)) {
+      case 'multi-select':
+        return this.gradeMultiSelect(question, answer);
+      case 'numeric':
+        return this.gradeNumeric(question, answer);
+      case 'expression':
+        return this.gradeExpression(question, answer);
+      default: {
+        const isCorrect = question.correctAnswer === answer;
+        return { isCorrect, credit: isCorrect ? 1 : 0 };
+      }
+    }
+  }
+
+  /**
+   * Partial credit: (correct picks - wrong picks) / number of correct options, never below 0
+   */
+  static gradeMultiSelect(question, answer) {
+    const expected = new Set(question.correctAnswers || []);
+    const selected = new Set(Array.isArray(answer) ? answer : [answer]);
+    if (expected.size === 0) return { isCorrect: false, credit: 0 };
+
+    let hits = 0;
+    let misses = 0;
+    for (const option of selected) {
+      if (expected.has(option)) hits++;
+      else misses++;
+    }
+
+    const credit = Math.max(0, (hits - misses) / expected.size);
+    const isCorrect = hits === expected.size && misses === 0;
+    return { isCorrect, credit: isCorrect ? 1 : credit };
+  }
+
+  /**
+   * Parse a numeric answer such as "12", "-3,5", "3/4", "12 cm" or { value, unit }
+   *
+   * @param {*} answer - Submitted answer
+   * @returns {Object|null} { value, unit } or null when unreadable
+   */
+  static parseNumericAnswer(answer) {
+    if (typeof answer === 'number') return { value: answer, unit: null };
+    if (answer && typeof answer === 'object') {
+      if (!this.isAnswered(answer.value)) return null;
+      const value = Number(answer.value);
+      return isNaN(value) ? null : { value, unit: normalizeUnit(answer.unit) };
+    }
+
+    const match = String(answer).trim().match(/^([-+]?[0-9.,]+(?:\s*\/\s*[0-9.,]+)?)\s*(.*)$/);
+    if (!match) return null;
+
+    try {
+      const value = MathExpression.evaluate(match[1]);
+      return Number.isFinite(value) ? { value, unit: normalizeUnit(match[2]) } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Numeric answer within tolerance. If the question has a unit, answers in another unit of the
+   * same dimension are converted; answers without a unit are assumed to use the question's unit.
+   * If it has none, answers with a unit are wrong.
+   */
+  static gradeNumeric(question, answer) {
+    const parsed = this.parseNumericAnswer(answer);
+    if (!parsed) {
+      return { isCorrect: false, credit: 0, feedback: 'Answer is not a number' };
+    }
+
+    let expected;
+    try {
+      expected = MathExpression.evaluate(String(question.correctAnswer));
+    } catch (error) {
+      if (!(error instanceof MathExpression.MathExpressionError)) throw error;
+      expected = NaN;
+    }
+    if (!Number.isFinite(expected)) {
+      // A broken stored answer should not fail the whole submission
+      console.error(`Question ${question._id} has an unreadable correct answer "${question.correctAnswer}"`);
+      return { isCorrect: false, credit: 0, feedback: 'This question could not be graded' };
+    }
+    let value = parsed.value;
+    const expectedUnit = normalizeUnit(question.unit);
+
+    if (!expectedUnit && parsed.unit) {
+      return { isCorrect: false, credit: 0, feedback: 'Expected a number without a unit' };
+    }
+
+    if (expectedUnit && parsed.unit && parsed.unit !== expectedUnit) {
+      const from = UNITS[parsed.unit];
+      const to = UNITS[expectedUnit];
+      if (!from || !to || from[0] !== to[0]) {
+        return { isCorrect: false, credit: 0, feedback: `Expected an answer in ${question.unit}` };
+      }
+      value = value * from[1] / to[1];
+    }
+
+    const tolerance = Math.abs(question.tolerance || 0);
+    // Small epsilon absorbs floating point error from unit conversion
+    const isCorrect = Math.abs(value - expected) <= tolerance + 1e-9 * Math.max(1, Math.abs(expected));
+    return { isCorrect, credit: isCorrect ? 1 : 0 };
+  }
+
+  /**
+   * Expression answer, graded by symbolic equivalence with the correct expression
+   */
+  static gradeExpression(question, answer) {
+    try {
+      const isCorrect = MathExpression.equivalent(String(answer), String(question.correctAnswer));
+      return { isCorrect, credit: isCorrect ? 1 : 0 };
+    } catch (error) {
+      if (error instanceof MathExpression.MathExpressionError) {
+        return { isCorrect: false, credit: 0, feedback: `Could not read your expression: ${error.message}` };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Grade a full submission
+   *
+   * @param {Array} questions - Quiz questions
+   * @param {Array} answers - Answers, in question order
+   * @returns {Object} { results, correctCount, score (0-100) }
+   */
+  static gradeAll(questions, answers) {
+    let correctCount = 0;
+    let totalCredit = 0;
+
+    const results = questions.map((question, index) => {
+      const { isCorrect, credit, feedback } = this.grade(question, answers[index]);
+      if (isCorrect) correctCount++;
+      totalCredit += credit;
+
+      const result = {
+        isCorrect,
+        credit,
+        userAnswer: answers[index],
+        correctAnswer: this.displayAnswer(question),
+        explanation: question.explanation
+      };
+      if (feedback) result.feedback = feedback;
+      return result;
+    });
+
+    const score = questions.length > 0 ? Math.round((totalCredit / questions.length) * 100) : 0;
+    return { results, correctCount, score };
+  }
+}
+
+module.exports = QuestionGrader;
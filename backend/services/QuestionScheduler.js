@@ -0,0 +1,199 @@
+/**
+ * Question Scheduler Service
+ * Keeps per-question memory state (ReviewCard) up to date and answers "what is due" queries.
+ *
+ * Scheduling algorithms are pluggable. Each one is an object exposing:
+ * - id: unique name stored on the card
+ * - initialState(): state of a never-reviewed card
+ * - review(card, { grade, now }): next state, including `due`
+ * - retrievability(card, now): estimated retention (0-100)
+ *
+ * The algorithm used for new cards comes from SPACED_REPETITION_ALGORITHM (default 'exponential').
+ * Existing cards keep the algorithm they were created with.
+ */
+
+const ReviewCard = require('../models/ReviewCard');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionTemplate = require('./QuestionTemplate');
+const ExponentialScheduler = require('./schedulers/ExponentialScheduler');
+const SM2Scheduler = require('./schedulers/SM2Scheduler');
+
+const DEFAULT_ALGORITHM = 'exponential';
+const schedulers = {};
+
+class QuestionScheduler {
+  /**
+   * Register a scheduling algorithm
+   *
+   * @param {Object} scheduler - Object implementing the scheduler interface
+   */
+  static register(scheduler) {
+    if (!scheduler || !scheduler.id || typeof scheduler.review !== 'function') {
+      throw new Error('Scheduler must have an id and a review() function');
+    }
+    schedulers[scheduler.id] = scheduler;
+  }
+
+  /**
+   * Get a scheduler by id, falling back to the configured default
+   *
+   * @param {string} id - Scheduler id
+   * @returns {Object} Scheduler implementation
+   */
+  static getScheduler(id) {
+    const configured = process.env.SPACED_REPETITION_ALGORITHM || DEFAULT_ALGORITHM;
+    return schedulers[id] || schedulers[configured] || schedulers[DEFAULT_ALGORITHM];
+  }
+
+  /**
+   * List the ids of registered schedulers
+   *
+   * @returns {Array<string>} Scheduler ids
+   */
+  static availableAlgorithms() {
+    return Object.keys(schedulers);
+  }
+
+  /**
+   * Update the memory state of every answered question in a quiz attempt
+   *
+   * @param {string} studentId - Student who answered
+   * @param {string} quizId - Quiz the questions belong to
+   * @param {Array} answers - [{ questionId, grade }] with grade 0-100
+   * @param {Date} now - Review time
+   * @returns {Promise<Array>} Updated ReviewCard documents
+   */
+  static async recordAnswers(studentId, quizId, answers, now = new Date()) {
+    const existing = await ReviewCard.find({
+      student: studentId,
+      quiz: quizId,
+      question: { $in: answers.map(a => a.questionId) }
+    });
+    const byQuestion = new Map(existing.map(card => [card.question.toString(), card]));
+
+    const cards = [];
+    for (const { questionId, grade } of answers) {
+      let card = byQuestion.get(questionId.toString());
+      if (!card) {
+        const scheduler = this.getScheduler();
+        card = new ReviewCard({
+          student: studentId,
+          quiz: quizId,
+          question: questionId,
+          algorithm: scheduler.id,
+          ...scheduler.initialState(),
+          due: now
+        });
+      }
+
+      const scheduler = this.getScheduler(card.algorithm);
+      card.set(scheduler.review(card.toObject(), { grade, now }));
+      card.algorithm = scheduler.id;
+      await card.save();
+      cards.push(card);
+    }
+
+    return cards;
+  }
+
+  /**
+   * End of the given day, used as the cut-off for the daily review queue
+   *
+   * @param {Date} date - Reference date
+   * @returns {Date} 23:59:59.999 on that day
+   */
+  static endOfDay(date = new Date()) {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  }
+
+  /**
+   * Get the cards a student should review today, most overdue first.
+   * Each card is returned with its question (without the answer) and quiz title.
+   *
+   * @param {string} studentId - Student id
+   * @param {Object} options - { until: Date, limit: number }
+   * @returns {Promise<Array>} Due cards
+   */
+  static async getDueCards(studentId, { until = this.endOfDay(), limit = 50 } = {}) {
+    const cards = await ReviewCard.find({ student: studentId, due: { $lte: until } })
+      .sort({ due: 1 })
+      .limit(limit)
+      .populate('quiz', 'title chapter type questions')
+      .lean();
+
+    // Templated questions are previewed as the variant of the student's next attempt
+    const attemptCounts = {};
+    if (cards.some(card => card.quiz && card.quiz.questions.some(q => QuestionTemplate.isTemplate(q)))) {
+      const counts = await QuizAttempt.aggregate([
+        { $match: { student: cards[0].student } },
+        { $group: { _id: '$quiz', count: { $sum: 1 } } }
+      ]);
+      counts.forEach(({ _id, count }) => { attemptCounts[_id.toString()] = count; });
+    }
+
+    const now = new Date();
+    return cards
+      .filter(card => card.quiz) // Quiz may have been deleted
+      .map(card => {
+        const quizId = card.quiz._id.toString();
+        const template = (card.quiz.questions || []).find(
+          q => q._id.toString() === card.question.toString()
+        );
+        const question = template && QuestionTemplate.instantiate(
+          template,
+          QuestionTemplate.seedFor(studentId, quizId, (attemptCounts[quizId] || 0) + 1)
+        );
+        return {
+          _id: card._id,
+          quizId: card.quiz._id,
+          quizTitle: card.quiz.title,
+          chapter: card.quiz.chapter,
+          questionId: card.question,
+          question: question ? {
+            question: question.question,
+            options: question.options,
+            difficulty: question.difficulty,
+            imageUrl: question.imageUrl
+          } : null,
+          algorithm: card.algorithm,
+          stability: card.stability,
+          reps: card.reps,
+          lapses: card.lapses,
+          lastReview: card.lastReview,
+          due: card.due,
+          retention: Math.round(this.getScheduler(card.algorithm).retrievability(card, now))
+        };
+      })
+      .filter(card => card.question); // Question may have been removed from the quiz
+  }
+
+  /**
+   * Count the cards a student should review today
+   *
+   * @param {string} studentId - Student id
+   * @param {Date} until - Cut-off date
+   * @returns {Promise<number>} Number of due cards
+   */
+  static async countDueCards(studentId, until = this.endOfDay()) {
+    return ReviewCard.countDocuments({ student: studentId, due: { $lte: until } });
+  }
+
+  /**
+   * Earliest due date among a student's cards for one quiz.
+   * Used as the quiz-level nextReview so quiz recommendations follow the question schedule.
+   *
+   * @param {Array} cards - ReviewCard documents for the quiz
+   * @returns {Date|null} Earliest due date
+   */
+  static earliestDue(cards) {
+    if (!cards || cards.length === 0) return null;
+    return cards.reduce((min, card) => (card.due < min ? card.due : min), cards[0].due);
+  }
+}
+
+QuestionScheduler.register(ExponentialScheduler);
+QuestionScheduler.register(SM2Scheduler);
+
+module.exports = QuestionScheduler;
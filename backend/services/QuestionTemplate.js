@@ -0,0 +1,279 @@
+/**
+ * Question Template Service
+ * Turns a parameterized question into a concrete variant, so retaking a quiz tests the
+ * method rather than memory of the exact numbers.
+ *
+ * A templated question has `{...}` placeholders in its text, options and answers, and a
+ * `template` describing the variables:
+ *
+ *   question: "Solve {a}x + {b} = {c}",
+ *   type: "numeric",
+ *   template: {
+ *     variables: [{ name: 'a', min: -9, max: 9 }, { name: 'b', min: -20, max: 20 }, { name: 'c', min: -20, max: 20 }],
+ *     constraints: ["a != 0"],
+ *     answer: "(c-b)/a"
+ *   }
+ *
+ * Placeholders may hold any expression over the variables, e.g. "{2a}" or "{(c-b)/a}".
+ * Variants are seeded: the same seed always produces the same variant, which is how an
+ * attempt is graded against the variant the student was shown.
+ */
+
+const MathExpression = require('./MathExpression');
+
+const { MathExpressionError } = MathExpression;
+
+// Rejection sampling gives up after this many draws that break a constraint
+const MAX_DRAWS = 200;
+
+// Seeds tried when checking that a template can be instantiated, spread over the 32-bit range
+// like the seeds of real attempts (Fibonacci hashing of 1..VALIDATION_SEED_COUNT)
+const VALIDATION_SEED_COUNT = 100;
+const VALIDATION_SEEDS = Array.from({ length: VALIDATION_SEED_COUNT }, (_, i) => Math.imul(i + 1, 0x9e3779b9) >>> 0);
+
+// A seed whose variant cannot be built (say a division by zero the constraints missed) is
+// replaced by up to this many derived seeds before falling back to a validated one
+const MAX_SEED_RETRIES = 5;
+
+const COMPARISONS = /(!=|≠|<=|≤|>=|≥|==|=|<|>)/;
+
+class QuestionTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuestionTemplateError';
+  }
+}
+
+/**
+ * Format a computed number for display: rounded to `precision` decimals, no trailing zeros
+ */
+const formatNumber = (value, precision) => {
+  if (!Number.isFinite(value)) {
+    throw new QuestionTemplateError(`Template produced an invalid number (${value})`);
+  }
+  const rounded = Number(value.toFixed(precision));
+  return String(Object.is(rounded, -0) ? 0 : rounded);
+};
+
+/**
+ * Check one constraint such as "a != 0" or "c - b > 0" against the drawn values
+ */
+const satisfies = (constraint, scope) => {
+  const parts = String(constraint).split(COMPARISONS);
+  if (parts.length !== 3) {
+    throw new QuestionTemplateError(`Constraint "${constraint}" needs exactly one comparison`);
+  }
+
+  const left = MathExpression.evaluate(parts[0], scope);
+  const right = MathExpression.evaluate(parts[2], scope);
+  const equal = Math.abs(left - right) <= 1e-9 * Math.max(1, Math.abs(left), Math.abs(right));
+
+  switch (parts[1]) {
+    case '!=': case '≠': return !equal;
+    case '=': case '==': return equal;
+    case '<': return left < right && !equal;
+    case '>': return left > right && !equal;
+    case '<=': case '≤': return left < right || equal;
+    case '>=': case '≥': return left > right || equal;
+    default: return false;
+  }
+};
+
+/**
+ * Draw one value for a variable
+ */
+const drawValue = (variable, scope, random) => {
+  if (variable.formula) {
+    return MathExpression.evaluate(variable.formula, scope);
+  }
+  if (variable.values && variable.values.length > 0) {
+    return variable.values[Math.floor(random() * variable.values.length)];
+  }
+
+  const step = variable.step > 0 ? variable.step : 1;
+  const steps = Math.floor((variable.max - variable.min) / step);
+  if (!(steps >= 0)) {
+    throw new QuestionTemplateError(`Variable "${variable.name}" needs min <= max, a list of values or a formula`);
+  }
+  // Rounding keeps decimal steps such as 0.1 free of floating point noise
+  return Number((variable.min + Math.floor(random() * (steps + 1)) * step).toFixed(10));
+};
+
+class QuestionTemplate {
+  /**
+   * Whether a question is a template
+   *
+   * @param {Object} question - Quiz question
+   * @returns {boolean} True when it has template variables
+   */
+  static isTemplate(question) {
+    return Boolean(question.template && question.template.variables && question.template.variables.length > 0);
+  }
+
+  /**
+   * Seed for one student's attempt at a quiz. Deterministic, so the quiz shown before the
+   * attempt and the grading after it agree without the client sending anything back.
+   *
+   * @param {string} studentId - Student ID
+   * @param {string} quizId - Quiz ID
+   * @param {number} attemptNumber - 1 for the first attempt
+   * @returns {number} 32-bit seed
+   */
+  static seedFor(studentId, quizId, attemptNumber) {
+    // FNV-1a
+    const text = `${studentId}:${quizId}:${attemptNumber}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Draw values for all variables, honouring the constraints
+   *
+   * @param {Object} template - Question template
+   * @param {number} seed - Variant seed
+   * @returns {Object} Variable values, e.g. { a: 3, b: -2, c: 7 }
+   * @throws {QuestionTemplateError} When no values satisfy the constraints
+   */
+  static drawVariables(template, seed) {
+    const random = MathExpression.createRandom(seed);
+    const constraints = template.constraints || [];
+
+    for (let draw = 0; draw < MAX_DRAWS; draw++) {
+      const scope = {};
+      for (const variable of template.variables) {
+        scope[variable.name] = drawValue(variable, scope, random);
+      }
+      if (constraints.every(constraint => satisfies(constraint, scope))) {
+        return scope;
+      }
+    }
+
+    throw new QuestionTemplateError(`No values satisfy the constraints after ${MAX_DRAWS} draws`);
+  }
+
+  /**
+   * Replace every {expression} placeholder in a text with its value
+   *
+   * @param {string} text - Text with placeholders
+   * @param {Object} scope - Variable values
+   * @param {number} precision - Decimals to round to
+   * @returns {string} Text with values filled in
+   */
+  static fill(text, scope, precision = 2) {
+    if (typeof text !== 'string') return text;
+    return text.replace(/([+-]\s*)?\{([^{}]+)\}/g, (match, sign, expression) => {
+      const value = MathExpression.evaluate(expression, scope);
+      // Fold a negative value into the sign before it: "x + {b}" with b = -3 reads "x - 3"
+      if (sign && value < 0) {
+        return `${sign.trim() === '+' ? '-' : '+'}${sign.slice(1)}${formatNumber(-value, precision)}`;
+      }
+      return `${sign || ''}${formatNumber(value, precision)}`;
+    });
+  }
+
+  /**
+   * Build the concrete variant of a question. Non-template questions are returned unchanged.
+   * The variant keeps the question's _id, so responses and review cards still line up.
+   *
+   * When the seed gives values the template cannot handle, derived seeds are tried, then the
+   * first validation seed, and as a last resort the question is returned without its template.
+   * All of these are deterministic, so the quiz shown and its grading still agree.
+   *
+   * @param {Object} question - Quiz question (document or plain object)
+   * @param {number} seed - Variant seed
+   * @returns {Object} Plain question object without the template
+   */
+  static instantiate(question, seed) {
+    const plain = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+    if (!this.isTemplate(plain)) return plain;
+
+    const seeds = [seed];
+    for (let retry = 1; retry <= MAX_SEED_RETRIES; retry++) {
+      seeds.push(this.seedFor(seed, plain._id, retry));
+    }
+    seeds.push(VALIDATION_SEEDS[0]);
+
+    for (const candidate of seeds) {
+      try {
+        return this.build(plain, candidate);
+      } catch (error) {
+        if (!(error instanceof QuestionTemplateError || error instanceof MathExpressionError)) throw error;
+      }
+    }
+
+    console.error(`Question ${plain._id}: no variant of its template could be built`);
+    const { template, ...base } = plain;
+    return base;
+  }
+
+  /**
+   * Build the variant of a template question for exactly this seed
+   *
+   * @param {Object} plain - Template question as a plain object
+   * @param {number} seed - Variant seed
+   * @returns {Object} Plain question object without the template
+   * @throws {QuestionTemplateError|MathExpressionError} When the seed's values do not work
+   */
+  static build(plain, seed) {
+    const { template, ...variant } = plain;
+    const precision = template.precision !== undefined ? template.precision : 2;
+    const scope = this.drawVariables(template, seed);
+    const fill = text => this.fill(text, scope, precision);
+
+    variant.question = fill(variant.question);
+    variant.explanation = fill(variant.explanation);
+    if (variant.options) variant.options = variant.options.map(fill);
+    if (variant.correctAnswers) variant.correctAnswers = variant.correctAnswers.map(fill);
+    variant.correctAnswer = template.answer
+      ? formatNumber(MathExpression.evaluate(template.answer, scope), precision)
+      : fill(variant.correctAnswer);
+    variant.isVariant = true;
+
+    return variant;
+  }
+
+  /**
+   * Build the variant of every question in a quiz
+   *
+   * @param {Array} questions - Quiz questions
+   * @param {number} seed - Variant seed
+   * @returns {Array} Plain question objects
+   */
+  static instantiateAll(questions, seed) {
+    return (questions || []).map(question => this.instantiate(question, seed));
+  }
+
+  /**
+   * Check that a template can be instantiated: variables are single letters, expressions parse
+   * and the constraints can be met. Called when a quiz is saved.
+   *
+   * @param {Object} question - Quiz question
+   * @throws {QuestionTemplateError|MathExpressionError} Describing the first problem found
+   */
+  static validate(question) {
+    if (!this.isTemplate(question)) return;
+
+    for (const variable of question.template.variables) {
+      if (!/^[a-zA-Z]$/.test(variable.name || '')) {
+        throw new QuestionTemplateError(`Variable name "${variable.name}" must be a single letter`);
+      }
+      // "e" is read as Euler's number in expressions
+      if (variable.name.toLowerCase() === 'e') {
+        throw new QuestionTemplateError('Variable name "e" is reserved for the constant e');
+      }
+    }
+
+    const plain = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+    for (const seed of VALIDATION_SEEDS) {
+      this.build(plain, seed);
+    }
+  }
+}
+
+QuestionTemplate.QuestionTemplateError = QuestionTemplateError;
+
+module.exports = QuestionTemplate;
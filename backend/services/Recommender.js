@@ -0,0 +1,445 @@
+/**
+ * Recommender Service
+ * Recommends chapters, quizzes and mnemonics to a student.
+ *
+ * Two signals are combined:
+ * - collaborative: a matrix factorization model (services/MatrixFactorization.js) trained
+ *   periodically on what all students did - quiz scores, chapters studied, time spent,
+ *   comprehension ratings and recommendation clicks (the 'recommender-training' job in
+ *   services/BackgroundJobs.js). Factors live in RecommenderFactor.
+ * - content-based: tags and difficulty of the content compared with the student's history.
+ *   This is the only signal for students and items the model has not seen yet.
+ */
+
+const mongoose = require('mongoose');
+const Chapter = require('../models/Chapter');
+const Domain = require('../models/Domain');
+const Quiz = require('../models/Quiz');
+const Mnemonic = require('../models/Mnemonic');
+const Student = require('../models/Student');
+const QuizAttempt = require('../models/QuizAttempt');
+const LearningEvent = require('../models/LearningEvent');
+const RecommenderModel = require('../models/RecommenderModel');
+const RecommenderFactor = require('../models/RecommenderFactor');
+const MatrixFactorization = require('./MatrixFactorization');
+
+const MODEL_NAME = 'content';
+const NUM_FACTORS = 10;
+
+// Fewer ratings than this and the model would only learn noise
+const MIN_RATINGS = 20;
+
+// Weight of the collaborative prediction when both signals exist
+const COLLABORATIVE_WEIGHT = 0.7;
+
+// Difficulty on a 0-1 scale, for chapters (beginner...) and questions (easy...)
+const DIFFICULTY_LEVELS = {
+  beginner: 0, easy: 0,
+  intermediate: 0.5, medium: 0.5,
+  advanced: 1, hard: 1
+};
+
+const itemKey = (type, id) => `${type}:${id}`;
+
+// Training in progress, so concurrent requests share one run
+let currentTraining = null;
+
+/**
+ * Add one signal (0-1) for a user-item pair
+ */
+const addSignal = (signals, userId, key, value) => {
+  const pairKey = `${userId}|${key}`;
+  if (!signals.has(pairKey)) signals.set(pairKey, { userId, itemKey: key, values: [] });
+  signals.get(pairKey).values.push(Math.max(0, Math.min(1, value)));
+};
+
+const mostCommon = (values) => {
+  const counts = {};
+  values.filter(Boolean).forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+};
+
+class Recommender {
+  /**
+   * Turn everything students did into implicit ratings between 0 and 1
+   *
+   * @returns {Promise<Array>} [{ userId, itemKey, rating }]
+   */
+  static async collectRatings() {
+    const signals = new Map();
+
+    // Quiz results: taking a quiz is engagement, doing well on it more so
+    const attempts = await QuizAttempt.aggregate([
+      { $group: { _id: { student: '$student', quiz: '$quiz' }, avgScore: { $avg: '$score' } } }
+    ]);
+    attempts.forEach(({ _id, avgScore }) => {
+      addSignal(signals, _id.student.toString(), itemKey('quiz', _id.quiz), 0.4 + 0.6 * (avgScore / 100));
+    });
+
+    // Chapters studied, more sessions meaning more interest
+    const students = await Student.find({ 'studies.0': { $exists: true } }).select('studies').lean();
+    students.forEach(student => {
+      const sessions = {};
+      student.studies.forEach(study => {
+        const chapterId = study.chapter.toString();
+        sessions[chapterId] = (sessions[chapterId] || 0) + 1;
+      });
+      Object.keys(sessions).forEach(chapterId => {
+        addSignal(signals, student._id.toString(), itemKey('chapter', chapterId), 0.5 + 0.1 * sessions[chapterId]);
+      });
+    });
+
+    // Metrics sent by the frontend (see services/LearningMetrics.js)
+    const events = await LearningEvent.aggregate([
+      {
+        $match: {
+          contentType: { $in: ['chapter', 'quiz', 'mnemonic'] },
+          $or: [
+            { kind: { $in: ['time_spent', 'comprehension_level'] } },
+            { kind: 'interaction', action: { $in: ['recommendation_click', 'recommendation_dismiss'] } }
+          ]
+        }
+      },
+      { $sort: { occurredAt: 1 } },
+      {
+        $group: {
+          _id: { user: '$user', contentId: '$contentId', contentType: '$contentType', kind: '$kind', action: '$action' },
+          total: { $sum: '$value' },
+          last: { $last: '$value' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+    events.forEach(({ _id, total, last, count }) => {
+      if (!mongoose.Types.ObjectId.isValid(_id.contentId)) return;
+      const userId = _id.user.toString();
+      const key = itemKey(_id.contentType, _id.contentId);
+
+      if (_id.kind === 'time_spent') {
+        addSignal(signals, userId, key, 0.5 + Math.min(0.4, total / 60000 / 60)); // Up to an hour counts
+      } else if (_id.kind === 'comprehension_level') {
+        addSignal(signals, userId, key, 0.5 + (last - 1) / 8);
+      } else if (_id.action === 'recommendation_click') {
+        addSignal(signals, userId, key, Math.min(1, 0.6 + 0.1 * count));
+      } else if (_id.action === 'recommendation_dismiss') {
+        addSignal(signals, userId, key, 0.1);
+      }
+    });
+
+    return [...signals.values()].map(({ userId, itemKey: key, values }) => ({
+      userId,
+      itemKey: key,
+      rating: values.reduce((sum, value) => sum + value, 0) / values.length
+    }));
+  }
+
+  /**
+   * Train the model on all students and store it as a new version.
+   * The previous version keeps serving until the new factors are written.
+   *
+   * @returns {Promise<Object|null>} RecommenderModel, or null when there is too little data
+   */
+  static train() {
+    if (!currentTraining) {
+      currentTraining = this._train().finally(() => {
+        currentTraining = null;
+      });
+    }
+    return currentTraining;
+  }
+
+  static async _train() {
+    const ratings = await this.collectRatings();
+    if (ratings.length < MIN_RATINGS) {
+      console.log(`Recommender: ${ratings.length} ratings, need ${MIN_RATINGS} to train`);
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const mf = new MatrixFactorization({ numFactors: NUM_FACTORS }).train(ratings);
+
+    const previous = await RecommenderModel.findOne({ name: MODEL_NAME }).lean();
+    const version = (previous ? previous.version : 0) + 1;
+
+    const rows = [
+      ...[...mf.users].map(([key, entry]) => ({ kind: 'user', key, ...entry })),
+      ...[...mf.items].map(([key, entry]) => ({ kind: 'item', key, ...entry }))
+    ].map(row => ({ model: MODEL_NAME, version, ...row }));
+    for (let i = 0; i < rows.length; i += 1000) {
+      await RecommenderFactor.insertMany(rows.slice(i, i + 1000), { ordered: false });
+    }
+
+    const model = await RecommenderModel.findOneAndUpdate(
+      { name: MODEL_NAME },
+      {
+        version,
+        numFactors: NUM_FACTORS,
+        globalMean: mf.globalMean,
+        ratings: ratings.length,
+        users: mf.users.size,
+        items: mf.items.size,
+        rmse: mf.rmse,
+        trainedAt: new Date()
+      },
+      { upsert: true, new: true }
+    );
+    await RecommenderFactor.deleteMany({ model: MODEL_NAME, version: { $ne: version } });
+
+    console.log(`Recommender: trained v${version} on ${ratings.length} ratings in ${Date.now() - startedAt}ms (RMSE ${mf.rmse.toFixed(4)})`);
+    return model;
+  }
+
+  /**
+   * Current model metadata
+   *
+   * @returns {Promise<Object|null>} RecommenderModel or null if never trained
+   */
+  static getModel() {
+    return RecommenderModel.findOne({ name: MODEL_NAME }).lean();
+  }
+
+  /**
+   * Everything that can be recommended, with its content features
+   *
+   * @param {string|null} chapterId - Chapter being viewed (its mnemonics are included)
+   * @returns {Promise<Array>} Items { key, _id, type, title, description, difficulty, level, tags, chapter, prerequisites }
+   */
+  static async getCandidates(chapterId) {
+    const [chapters, quizzes, mnemonics] = await Promise.all([
+      Chapter.find().select('name summary difficulty estimatedDuration prerequisites').lean(),
+      Quiz.find().select('title description chapter type timeLimit questions.difficulty questions.tags').lean(),
+      chapterId ? Mnemonic.find({ relatedChapter: chapterId }).select('title tags relatedChapter').lean() : []
+    ]);
+
+    const chapterTags = {};
+    const addChapterTags = (chapter, tags) => {
+      if (!chapter) return;
+      const id = chapter.toString();
+      chapterTags[id] = chapterTags[id] || new Set();
+      tags.forEach(tag => chapterTags[id].add(tag));
+    };
+
+    const quizItems = quizzes.map(quiz => {
+      const questions = quiz.questions || [];
+      const tags = new Set(questions.flatMap(q => q.tags || []).map(tag => tag.toLowerCase()));
+      tags.add(quiz.type);
+      addChapterTags(quiz.chapter, tags);
+      const difficulty = mostCommon(questions.map(q => q.difficulty)) || 'medium';
+      return {
+        key: itemKey('quiz', quiz._id),
+        _id: quiz._id,
+        type: 'quiz',
+        title: quiz.title,
+        description: quiz.description,
+        estimatedTime: quiz.timeLimit || Math.max(5, Math.round(questions.length * 1.5)),
+        difficulty,
+        level: DIFFICULTY_LEVELS[difficulty],
+        tags,
+        chapter: quiz.chapter ? quiz.chapter.toString() : null
+      };
+    });
+
+    const mnemonicItems = mnemonics.map(mnemonic => {
+      const tags = new Set((mnemonic.tags || []).map(tag => tag.toLowerCase()));
+      addChapterTags(mnemonic.relatedChapter, tags);
+      return {
+        key: itemKey('mnemonic', mnemonic._id),
+        _id: mnemonic._id,
+        type: 'mnemonic',
+        title: mnemonic.title,
+        description: (mnemonic.tags || []).join(', '),
+        difficulty: null,
+        level: null,
+        tags,
+        chapter: mnemonic.relatedChapter.toString()
+      };
+    });
+
+    const chapterItems = chapters.map(chapter => ({
+      key: itemKey('chapter', chapter._id),
+      _id: chapter._id,
+      type: 'chapter',
+      title: chapter.name,
+      description: chapter.summary,
+      estimatedTime: chapter.estimatedDuration,
+      difficulty: chapter.difficulty,
+      level: DIFFICULTY_LEVELS[chapter.difficulty],
+      tags: chapterTags[chapter._id.toString()] || new Set(),
+      chapter: chapter._id.toString(),
+      prerequisites: (chapter.prerequisites || []).map(id => id.toString())
+    }));
+
+    return [...chapterItems, ...quizItems, ...mnemonicItems];
+  }
+
+  /**
+   * What the student has done, for content-based scoring and reasons
+   *
+   * @param {string} userId - Student ID
+   * @param {Array} items - Candidates from getCandidates()
+   * @returns {Promise<Object>} { quizStats, studiedChapters, tagWeights, targetLevel }
+   */
+  static async getProfile(userId, items) {
+    const [attempts, student] = await Promise.all([
+      QuizAttempt.find({ student: userId }).select('quiz score nextReview finishedAt').sort({ finishedAt: 1 }).lean(),
+      Student.findById(userId).select('studies').lean()
+    ]);
+
+    const quizStats = {};
+    attempts.forEach(attempt => {
+      const id = attempt.quiz.toString();
+      const stats = quizStats[id] || (quizStats[id] = { scores: [], nextReview: null });
+      stats.scores.push(attempt.score);
+      stats.nextReview = attempt.nextReview; // Latest attempt wins
+    });
+    Object.values(quizStats).forEach(stats => {
+      stats.average = stats.scores.reduce((sum, score) => sum + score, 0) / stats.scores.length;
+    });
+
+    const studiedChapters = new Set(((student && student.studies) || []).map(study => study.chapter.toString()));
+
+    // Tags of what the student engaged with, normalised so the most frequent weighs 1
+    const tagWeights = {};
+    const engaged = items.filter(item =>
+      (item.type === 'quiz' && quizStats[item._id.toString()]) ||
+      (item.type === 'chapter' && studiedChapters.has(item._id.toString()))
+    );
+    engaged.forEach(item => item.tags.forEach(tag => { tagWeights[tag] = (tagWeights[tag] || 0) + 1; }));
+    const maxWeight = Math.max(1, ...Object.values(tagWeights));
+    Object.keys(tagWeights).forEach(tag => { tagWeights[tag] /= maxWeight; });
+
+    // Aim a little above what the student handles well, a little below when they struggle
+    const levels = engaged.map(item => item.level).filter(level => level !== null && level !== undefined);
+    let targetLevel = levels.length > 0 ? levels.reduce((sum, l) => sum + l, 0) / levels.length : 0.5;
+    if (attempts.length > 0) {
+      const average = attempts.reduce((sum, attempt) => sum + attempt.score, 0) / attempts.length;
+      if (average >= 85) targetLevel += 0.25;
+      else if (average < 60) targetLevel -= 0.25;
+    }
+
+    return {
+      quizStats,
+      studiedChapters,
+      tagWeights,
+      targetLevel: Math.max(0, Math.min(1, targetLevel))
+    };
+  }
+
+  /**
+   * Content-based score between 0 and 1
+   */
+  static contentScore(item, profile, chapterId) {
+    const tags = [...item.tags];
+    const tagScore = tags.length > 0
+      ? tags.reduce((sum, tag) => sum + (profile.tagWeights[tag] || 0), 0) / tags.length
+      : 0;
+    const difficultyScore = item.level === null || item.level === undefined
+      ? 0.5
+      : 1 - Math.abs(item.level - profile.targetLevel);
+    const contextScore = chapterId && (item.chapter === chapterId || (item.prerequisites || []).includes(chapterId)) ? 1 : 0;
+
+    return 0.4 * tagScore + 0.35 * difficultyScore + 0.25 * contextScore;
+  }
+
+  /**
+   * Why an item is recommended: 'review', 'struggling', 'next' or 'suggested'
+   */
+  static reasonFor(item, profile, nextChapterIds, now) {
+    if (item.type === 'quiz') {
+      const stats = profile.quizStats[item._id.toString()];
+      if (stats && stats.nextReview && new Date(stats.nextReview) <= now) return 'review';
+      if (stats && stats.average < 60) return 'struggling';
+    }
+    if (item.type === 'chapter' && nextChapterIds.has(item._id.toString())) return 'next';
+    return 'suggested';
+  }
+
+  /**
+   * Chapters that follow the given one: the next chapter in its domain and chapters listing it as a prerequisite
+   */
+  static async getNextChapterIds(chapterId, items) {
+    const next = new Set();
+    if (!chapterId) return next;
+
+    items
+      .filter(item => item.type === 'chapter' && item.prerequisites.includes(chapterId))
+      .forEach(item => next.add(item._id.toString()));
+
+    const domain = await Domain.findOne({ chapters: chapterId }).select('chapters').lean();
+    if (domain) {
+      const chapters = domain.chapters.map(id => id.toString());
+      const index = chapters.indexOf(chapterId);
+      if (index >= 0 && index < chapters.length - 1) next.add(chapters[index + 1]);
+    }
+    return next;
+  }
+
+  /**
+   * Recommendations for a student
+   *
+   * @param {string} userId - Student ID
+   * @param {Object} options - { chapterId, limit, collaborativeOnly }
+   *   collaborativeOnly returns nothing for students the model does not know yet
+   * @returns {Promise<Array>} [{ _id, type, title, description, estimatedTime, difficulty, reason, score, source }]
+   */
+  static async recommend(userId, { chapterId = null, limit = 10, collaborativeOnly = false } = {}) {
+    const model = await this.getModel();
+    const userFactor = model
+      ? await RecommenderFactor.findOne({ model: MODEL_NAME, version: model.version, kind: 'user', key: userId }).lean()
+      : null;
+    if (collaborativeOnly && !userFactor) return [];
+
+    const items = await this.getCandidates(chapterId);
+    const [profile, nextChapterIds, itemFactors] = await Promise.all([
+      this.getProfile(userId, items),
+      this.getNextChapterIds(chapterId, items),
+      userFactor
+        ? RecommenderFactor.find({ model: MODEL_NAME, version: model.version, kind: 'item', key: { $in: items.map(item => item.key) } }).lean()
+        : []
+    ]);
+    const factorsByKey = new Map(itemFactors.map(factor => [factor.key, factor]));
+
+    const now = new Date();
+    const scored = [];
+    for (const item of items) {
+      const id = item._id.toString();
+      if (item.type === 'chapter' && id === chapterId) continue;
+
+      const itemFactor = factorsByKey.get(item.key);
+      const collaborative = userFactor && itemFactor
+        ? MatrixFactorization.predict(userFactor, itemFactor, model.globalMean)
+        : null;
+      if (collaborativeOnly && collaborative === null) continue;
+
+      const content = this.contentScore(item, profile, chapterId);
+      let score = collaborative === null
+        ? content
+        : COLLABORATIVE_WEIGHT * collaborative + (1 - COLLABORATIVE_WEIGHT) * content;
+
+      const reason = this.reasonFor(item, profile, nextChapterIds, now);
+      if (reason === 'review') score *= 1.3;
+      else if (reason === 'struggling' || reason === 'next') score *= 1.2;
+
+      // Push down what the student has already covered
+      const stats = profile.quizStats[id];
+      if (item.type === 'quiz' && stats && stats.average >= 85 && reason !== 'review') score *= 0.4;
+      if (item.type === 'chapter' && profile.studiedChapters.has(id)) score *= 0.6;
+
+      scored.push({
+        _id: item._id,
+        type: item.type,
+        title: item.title,
+        description: item.description,
+        estimatedTime: item.estimatedTime,
+        difficulty: item.difficulty,
+        reason,
+        score: Math.round(score * 1000) / 1000,
+        source: collaborative === null ? 'content' : 'collaborative'
+      });
+    }
+
+    return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = Recommender;
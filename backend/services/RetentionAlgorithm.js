@@ -163,7 +163,10 @@ class RetentionAlgorithm {
       }
 
       const lastAttemptDate = new Date(quiz.lastAttempt.date);
-      const nextReviewDate = new Date(quiz.lastAttempt.nextReviewDate);
+      // Attempts recorded before the retention algorithm was wired in may lack nextReview
+      const nextReviewDate = quiz.lastAttempt.nextReview
+        ? new Date(quiz.lastAttempt.nextReview)
+        : this.calculateNextReviewDate(quiz.lastAttempt.S || 5, lastAttemptDate);
       const daysSinceReview = (now - lastAttemptDate) / (1000 * 60 * 60 * 24);
       const daysUntilDue = (nextReviewDate - now) / (1000 * 60 * 60 * 24);
       const isDue = daysUntilDue <= 0;
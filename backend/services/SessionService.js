@@ -0,0 +1,285 @@
+/**
+ * Session Service
+ * Sign-in sessions: short-lived access tokens backed by rotating refresh tokens kept server-side.
+ *
+ * - Signing in creates a Session (one per device) and returns an access token (a JWT naming the
+ *   session as `sid`, ACCESS_TOKEN_TTL, default 15 minutes) and a refresh token.
+ * - The refresh token ("<sessionId>.<secret>") buys a new pair and is replaced on every use. Only
+ *   hashes are stored. An old refresh token used again after REUSE_GRACE_MS means it was copied,
+ *   so the whole session is revoked.
+ * - Access tokens are checked against their session (verifyAccessToken), so logging out,
+ *   logging out everywhere or revoking a lost device ends them at once. The check is cached for
+ *   REVOCATION_CACHE_MS per session; revocations on another server instance take up to that long.
+ * - Sessions expire REFRESH_TOKEN_DAYS (default 30) after their last refresh.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REUSE_GRACE_MS = 30 * 1000; // Two tabs refreshing with the same token at once
+const REVOCATION_CACHE_MS = 30 * 1000;
+const MAX_CACHED_SESSIONS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message, status = 401, code = 'SESSION_INVALID') {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sessionCache = new Map(); // sessionId -> { active, checkedAt }
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (a, b) => Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const refreshExpiry = (now = new Date()) => new Date(now.getTime() + REFRESH_TOKEN_DAYS * DAY_MS);
+
+// "<sessionId>.<secret>" into its parts, or null
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId) || !/^[0-9a-f]{64}$/.test(secret || '')) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+const cacheSession = (sessionId, active) => {
+  if (sessionCache.size >= MAX_CACHED_SESSIONS) sessionCache.clear();
+  sessionCache.set(String(sessionId), { active, checkedAt: Date.now() });
+};
+
+class SessionService {
+  /**
+   * Access token of a user for a session
+   *
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session ID
+   * @returns {string} Signed JWT
+   */
+  static accessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user._id, role: user.role, name: user.name, sid: String(sessionId) },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Start a session for a user who just signed in or registered
+   *
+   * @param {Object} user - User document
+   * @param {Object} meta - { userAgent, ip } of the request
+   * @returns {Promise<Object>} { token, refreshToken }
+   */
+  static async start(user, { userAgent = '', ip = '' } = {}) {
+    const secret = newSecret();
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: hash(secret),
+      userAgent: String(userAgent).slice(0, 300),
+      ip,
+      expiresAt: refreshExpiry()
+    });
+    return { token: this.accessToken(user, session._id), refreshToken: `${session._id}.${secret}` };
+  }
+
+  /**
+   * Trade a refresh token for a new access token and refresh token
+   *
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} meta - { userAgent, ip } of the request
+   * @returns {Promise<Object>} { token, refreshToken, user }
+   * @throws {SessionError} When the token is invalid, expired, revoked or reused
+   */
+  static async refresh(refreshToken, { userAgent, ip } = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw new SessionError('Invalid refresh token');
+
+    const now = new Date();
+    const presented = hash(parsed.secret);
+    const secret = newSecret();
+    const update = {
+      refreshTokenHash: hash(secret),
+      previousTokenHash: presented,
+      rotatedAt: now,
+      lastUsedAt: now,
+      expiresAt: refreshExpiry(now)
+    };
+    if (userAgent) update.userAgent = String(userAgent).slice(0, 300);
+    if (ip) update.ip = ip;
+
+    // Conditional on the presented token still being current, so only one refresh wins
+    const session = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, refreshTokenHash: presented, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!session) {
+      const existing = await Session.findById(parsed.sessionId);
+      if (!existing || existing.revokedAt || existing.expiresAt <= now) {
+        throw new SessionError('Session has ended, please sign in again', 401, 'SESSION_REVOKED');
+      }
+      if (sameHash(existing.previousTokenHash, presented)) {
+        if (existing.rotatedAt && now - existing.rotatedAt < REUSE_GRACE_MS) {
+          throw new SessionError('Refresh token was already used', 409, 'REFRESH_TOKEN_USED');
+        }
+        await this.revokeSessions({ _id: existing._id }, 'reuse');
+        throw new SessionError('Session has ended, please sign in again', 401, 'SESSION_REVOKED');
+      }
+      throw new SessionError('Invalid refresh token');
+    }
+
+    const user = await User.findById(session.user).select('name email role');
+    if (!user) {
+      await this.revokeSessions({ _id: session._id }, 'account_deleted');
+      throw new SessionError('Session has ended, please sign in again', 401, 'SESSION_REVOKED');
+    }
+
+    cacheSession(session._id, true);
+    return { token: this.accessToken(user, session._id), refreshToken: `${session._id}.${secret}`, user };
+  }
+
+  /**
+   * Verify an access token and check that its session is still active
+   *
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} Token payload ({ id, role, name, sid })
+   * @throws {SessionError} 403 when the token is invalid or expired, 401 when its session ended
+   */
+  static async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new SessionError(
+        'Invalid or expired token',
+        403,
+        error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
+      );
+    }
+
+    // Tokens issued before sessions existed name none
+    if (!payload.sid || !mongoose.Types.ObjectId.isValid(payload.sid)) {
+      throw new SessionError('Session has ended, please sign in again', 401, 'SESSION_REVOKED');
+    }
+
+    const cached = sessionCache.get(payload.sid);
+    let active;
+    if (cached && Date.now() - cached.checkedAt < REVOCATION_CACHE_MS) {
+      active = cached.active;
+    } else {
+      active = Boolean(await Session.exists({
+        _id: payload.sid,
+        user: payload.id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }));
+      cacheSession(payload.sid, active);
+    }
+
+    if (!active) {
+      throw new SessionError('Session has ended, please sign in again', 401, 'SESSION_REVOKED');
+    }
+    return payload;
+  }
+
+  /**
+   * End the session a refresh token belongs to. Unknown or ended sessions are ignored, so
+   * logging out always succeeds.
+   *
+   * @param {string} refreshToken - Refresh token of the session
+   * @returns {Promise<boolean>} Whether a session was ended
+   */
+  static async logout(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    // The previous token counts too: another tab may have refreshed just before
+    const presented = hash(parsed.secret);
+    const ended = await this.revokeSessions({
+      _id: parsed.sessionId,
+      $or: [{ refreshTokenHash: presented }, { previousTokenHash: presented }]
+    }, 'logout');
+    return ended > 0;
+  }
+
+  /**
+   * End every session of a user, optionally keeping one
+   *
+   * @param {string} userId - User ID
+   * @param {Object} options - { except: session ID to keep, reason }
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  static async logoutAll(userId, { except, reason = 'logout_all' } = {}) {
+    const filter = { user: userId };
+    if (except) filter._id = { $ne: except };
+    return this.revokeSessions(filter, reason);
+  }
+
+  /**
+   * End one session of a user, e.g. on a lost device
+   *
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   * @throws {SessionError} When the user has no such active session
+   */
+  static async revoke(userId, sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      throw new SessionError('Session not found', 404, 'SESSION_NOT_FOUND');
+    }
+    const ended = await this.revokeSessions({ _id: sessionId, user: userId }, 'revoked');
+    if (ended === 0) throw new SessionError('Session not found', 404, 'SESSION_NOT_FOUND');
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   *
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the request, flagged `current`
+   * @returns {Promise<Array>} Sessions without token hashes
+   */
+  static async list(userId, currentSessionId) {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+    return sessions.map(session => ({ ...session, current: String(session._id) === String(currentSessionId) }));
+  }
+
+  /**
+   * Revoke the active sessions matching a filter and close their sockets
+   *
+   * @param {Object} filter - Session query
+   * @param {string} reason - Session.revokedReason
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeSessions(filter, reason) {
+    const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map(session => session._id);
+    await Session.updateMany({ _id: { $in: ids }, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+    ids.forEach(id => cacheSession(id, false));
+
+    // Required here: SocketManager checks handshakes with this service
+    require('./SocketManager').disconnectSessions(ids);
+    return ids.length;
+  }
+}
+
+SessionService.SessionError = SessionError;
+
+module.exports = SessionService;
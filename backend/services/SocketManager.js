@@ -0,0 +1,204 @@
+/**
+ * Socket Manager
+ * Owns the Socket.IO server: authenticates connections, tracks which sockets belong to
+ * which user, and broadcasts presence.
+ *
+ * - The handshake must carry a valid access token (`io(url, { auth: { token } })`) of a session
+ *   that has not ended; the user is taken from the token, never from anything the client emits.
+ *   Expired tokens fail with `err.data.code` 'TOKEN_EXPIRED', so clients refresh and reconnect.
+ *   Ending a session closes its sockets.
+ * - A user may have several sockets (tabs, devices). Every socket joins the room named after
+ *   its user ID, so `emitToUser` reaches all of them.
+ * - Conversation partners receive 'presence' events when a user comes online or goes offline.
+ */
+
+const Conversation = require('../models/Conversation');
+const SessionService = require('./SessionService');
+
+// A reload closes the old socket before the new one connects; wait before announcing "offline"
+const OFFLINE_GRACE_MS = 5000;
+
+let io = null;
+const userSockets = new Map(); // userId -> Set of socket IDs
+const offlineTimers = new Map(); // userId -> pending offline broadcast
+const lastSeen = new Map(); // userId -> Date the last socket disconnected
+
+/**
+ * Read the token from the handshake: auth payload first, then an Authorization header
+ */
+const tokenFromHandshake = (handshake) => {
+  if (handshake.auth && handshake.auth.token) return handshake.auth.token;
+  const header = handshake.headers && handshake.headers.authorization;
+  return header && header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+class SocketManager {
+  /**
+   * Attach authentication and connection handling to a Socket.IO server
+   *
+   * @param {Object} server - Socket.IO Server instance
+   * @param {Object} handlers - Extra event handlers, { eventName: (socket, payload, ack) => {} },
+   *   registered on every authenticated socket
+   */
+  static init(server, handlers = {}) {
+    io = server;
+
+    io.use((socket, next) => {
+      const token = tokenFromHandshake(socket.handshake);
+      if (!token) {
+        return next(new Error('Authentication required'));
+      }
+      SessionService.verifyAccessToken(token)
+        .then((user) => {
+          socket.data.user = user;
+          next();
+        })
+        .catch((error) => {
+          const failure = new Error(error instanceof SessionService.SessionError
+            ? error.message
+            : 'Authentication failed');
+          failure.data = { code: error.code };
+          next(failure);
+        });
+    });
+
+    io.on('connection', (socket) => {
+      const userId = String(socket.data.user.id);
+      this.addSocket(userId, socket);
+
+      // Older clients still emit 'join'; the room was already joined from the token
+      socket.on('join', (requestedId) => {
+        if (requestedId && String(requestedId) !== userId) {
+          console.warn(`Socket ${socket.id} of user ${userId} tried to join room ${requestedId}`);
+        }
+      });
+
+      Object.entries(handlers).forEach(([event, handler]) => {
+        socket.on(event, (payload, ack) => handler(socket, payload, typeof ack === 'function' ? ack : () => {}));
+      });
+
+      socket.on('disconnect', () => this.removeSocket(userId, socket.id));
+    });
+  }
+
+  /**
+   * Register a connected socket and announce the user if this is their first one
+   */
+  static async addSocket(userId, socket) {
+    socket.join(userId);
+
+    const sockets = userSockets.get(userId) || new Set();
+    const wasOnline = sockets.size > 0 || offlineTimers.has(userId);
+    sockets.add(socket.id);
+    userSockets.set(userId, sockets);
+
+    if (offlineTimers.has(userId)) {
+      clearTimeout(offlineTimers.get(userId));
+      offlineTimers.delete(userId);
+    }
+
+    try {
+      const partners = await this.getPartnerIds(userId);
+      // Tell the new socket who is already online
+      socket.emit('presenceList', {
+        online: partners.filter(id => this.isOnline(id)),
+        lastSeen: Object.fromEntries(partners.filter(id => lastSeen.has(id)).map(id => [id, lastSeen.get(id)]))
+      });
+      if (!wasOnline) {
+        this.broadcastPresence(userId, partners, true);
+      }
+    } catch (error) {
+      console.error(`Error announcing presence of user ${userId}:`, error);
+    }
+  }
+
+  /**
+   * Forget a disconnected socket; the user goes offline once their last socket is gone
+   */
+  static removeSocket(userId, socketId) {
+    const sockets = userSockets.get(userId);
+    if (!sockets) return;
+
+    sockets.delete(socketId);
+    if (sockets.size > 0) return;
+    userSockets.delete(userId);
+
+    offlineTimers.set(userId, setTimeout(async () => {
+      offlineTimers.delete(userId);
+      if (userSockets.has(userId)) return; // Reconnected meanwhile
+      lastSeen.set(userId, new Date());
+      try {
+        this.broadcastPresence(userId, await this.getPartnerIds(userId), false);
+      } catch (error) {
+        console.error(`Error announcing user ${userId} offline:`, error);
+      }
+    }, OFFLINE_GRACE_MS));
+  }
+
+  /**
+   * Users who share a conversation with the given user
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Partner IDs
+   */
+  static async getPartnerIds(userId) {
+    const participants = await Conversation.find({ participants: userId }).distinct('participants');
+    return participants.map(id => id.toString()).filter(id => id !== userId);
+  }
+
+  static broadcastPresence(userId, partnerIds, online) {
+    const event = { userId, online, lastSeen: online ? null : lastSeen.get(userId) };
+    partnerIds.forEach(partnerId => io.to(partnerId).emit('presence', event));
+  }
+
+  /**
+   * Send an event to every socket of a user
+   *
+   * @param {string} userId - Recipient
+   * @param {string} event - Event name
+   * @param {*} payload - Event data
+   * @returns {boolean} Whether the user had a socket connected
+   */
+  static emitToUser(userId, event, payload) {
+    if (!io) return false;
+    const id = String(userId);
+    io.to(id).emit(event, payload);
+    return this.isOnline(id);
+  }
+
+  /**
+   * Disconnect the sockets opened with ended sessions
+   *
+   * @param {Array<string>} sessionIds - Session IDs
+   */
+  static disconnectSessions(sessionIds) {
+    if (!io) return;
+    const ended = new Set(sessionIds.map(String));
+    io.of('/').sockets.forEach((socket) => {
+      if (socket.data.user && ended.has(String(socket.data.user.sid))) socket.disconnect(true);
+    });
+  }
+
+  /**
+   * Whether a user has at least one connected socket
+   *
+   * @param {string} userId - User ID
+   * @returns {boolean} True when online
+   */
+  static isOnline(userId) {
+    const sockets = userSockets.get(String(userId));
+    return Boolean(sockets && sockets.size > 0);
+  }
+
+  /**
+   * When the user's last socket disconnected, if they have been seen since the server started
+   *
+   * @param {string} userId - User ID
+   * @returns {Date|null} Last seen time
+   */
+  static getLastSeen(userId) {
+    return lastSeen.get(String(userId)) || null;
+  }
+}
+
+module.exports = SocketManager;
@@ -0,0 +1,121 @@
+/**
+ * Student Stats
+ * The figures on a student's dashboard: study sessions, streak, quiz average and reviews due.
+ * Shared by the student dashboard (routes/DashboardRoute.js) and the read-only copy their
+ * guardians see (services/GuardianService.js), so both show the same numbers.
+ */
+
+const QuestionScheduler = require('./QuestionScheduler');
+
+class StudentStats {
+  /**
+   * Study sessions this calendar month
+   *
+   * @param {Array} studies - Student.studies
+   * @returns {number}
+   */
+  static calculateStudyHours(studies) {
+    if (!studies || studies.length === 0) return 0;
+
+    const now = new Date();
+    const currentMonth = now.getMonth();
+    const currentYear = now.getFullYear();
+
+    // Filter studies from current month
+    const currentMonthStudies = studies.filter(study => {
+      const studyDate = new Date(study.session_start);
+      return studyDate.getMonth() === currentMonth && studyDate.getFullYear() === currentYear;
+    });
+
+    return currentMonthStudies.length;
+  }
+
+  /**
+   * Consecutive days with at least one study session, up to today
+   *
+   * @param {Array} studies - Student.studies
+   * @returns {number}
+   */
+  static calculateActiveStreak(studies) {
+    if (!studies || studies.length === 0) return 0;
+
+    // Sort studies by date (most recent first)
+    const sortedStudies = [...studies].sort((a, b) => 
+      new Date(b.session_start) - new Date(a.session_start)
+    );
+
+    // Get unique dates (considering a day as studied if there's at least one session)
+    const studyDates = new Set();
+    sortedStudies.forEach(study => {
+      const date = new Date(study.session_start);
+      studyDates.add(`${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`);
+    });
+
+    const dateArray = Array.from(studyDates).map(dateStr => {
+      const [year, month, day] = dateStr.split('-').map(Number);
+      return new Date(year, month, day);
+    }).sort((a, b) => b - a); // Sort descending (newest first)
+
+    // Calculate streak
+    let streak = 0;
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Start with today or most recent study day
+    let currentDate = dateArray[0] > today ? dateArray[0] : today;
+
+    for (const date of dateArray) {
+      const daysDiff = Math.floor((currentDate - date) / (1000 * 60 * 60 * 24));
+
+      if (daysDiff <= 1) {
+        // Consecutive day - increase streak
+        if (daysDiff === 1) streak++;
+        else if (daysDiff === 0 && streak === 0) streak = 1;
+
+        currentDate = date;
+      } else {
+        // Break in streak
+        break;
+      }
+    }
+
+    return streak;
+  }
+
+  /**
+   * Average quiz score, rounded
+   *
+   * @param {Array} quizAttempts - QuizAttempt documents
+   * @returns {number}
+   */
+  static calculateQuizAverage(quizAttempts) {
+    if (!quizAttempts || quizAttempts.length === 0) return 0;
+
+    const totalScore = quizAttempts.reduce((sum, attempt) => sum + attempt.score, 0);
+    return Math.round(totalScore / quizAttempts.length);
+  }
+
+  /**
+   * Dashboard stats of a student
+   *
+   * @param {Object} student - Student document, with studies (chapters populated or not)
+   * @param {Array} quizAttempts - The student's QuizAttempt documents
+   * @returns {Promise<Object>} Stats
+   */
+  static async summarize(student, quizAttempts) {
+    const studies = student.studies || [];
+    return {
+      totalSessions: studies.length,
+      uniqueChapters: [...new Set(studies.map(study => String(study.chapter?._id || study.chapter)))].length,
+      lastStudySession: studies.length > 0 ? studies[studies.length - 1].session_start : null,
+      studyHoursThisMonth: this.calculateStudyHours(studies),
+      activeStreak: this.calculateActiveStreak(studies),
+      quizAttempts: quizAttempts.length,
+      quizAvgScore: this.calculateQuizAverage(quizAttempts),
+      // Questions due for spaced-repetition review today
+      dueCardsToday: await QuestionScheduler.countDueCards(student._id)
+    };
+  }
+}
+
+module.exports = StudentStats;
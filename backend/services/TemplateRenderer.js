@@ -0,0 +1,116 @@
+/**
+ * Template Renderer
+ * Renders the files under backend/templates with a small Mustache-like syntax:
+ * - {{name}} or {{a.b}}: a value; HTML-escaped in .html templates
+ * - {{#name}}...{{/name}}: repeated for each item of a list, rendered once for any other truthy
+ *   value (with it as context when it is an object), skipped when empty or falsy
+ * - {{^name}}...{{/name}}: rendered only when the value is empty or falsy
+ * Names not found in an item are looked up in the enclosing contexts. A section tag alone on
+ * its line does not leave a blank line behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_ROOT = path.join(__dirname, '..', 'templates');
+const TAG = /{{\s*([#^/]?)\s*([\w.]+)\s*}}/g;
+// A section tag alone on its line takes the line with it, so sections leave no blank lines
+const STANDALONE_SECTION_TAG = /^[ \t]*({{\s*[#^/]\s*[\w.]+\s*}})[ \t]*\r?\n/gm;
+
+const cache = new Map(); // template name -> parsed tree
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Text and tags into a tree of { text } | { name } | { section, inverted, children }
+const parse = (source, name) => {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push({ text: source.slice(last, match.index) });
+    last = TAG.lastIndex;
+
+    const [, kind, key] = match;
+    if (kind === '#' || kind === '^') {
+      const section = { section: key, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (current.section !== key) {
+        throw new Error(`Template ${name}: {{/${key}}} does not close {{#${current.section || ''}}}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ name: key });
+    }
+  }
+  if (stack.length > 1) {
+    throw new Error(`Template ${name}: {{#${stack[stack.length - 1].section}}} is never closed`);
+  }
+  if (last < source.length) root.children.push({ text: source.slice(last) });
+  return root;
+};
+
+// A dotted name, from the innermost context outwards
+const lookup = (contexts, key) => {
+  const [first, ...rest] = key.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, part) => (value == null ? undefined : value[part]), context[first]);
+    }
+  }
+  return undefined;
+};
+
+const renderNodes = (nodes, contexts, escape) => nodes.map(node => {
+  if (node.text !== undefined) return node.text;
+  if (node.name !== undefined) {
+    const value = lookup(contexts, node.name);
+    if (value === undefined || value === null) return '';
+    return escape ? escapeHtml(value) : String(value);
+  }
+
+  const value = lookup(contexts, node.section);
+  const empty = !value || (Array.isArray(value) && value.length === 0);
+  if (node.inverted) {
+    return empty ? renderNodes(node.children, contexts, escape) : '';
+  }
+  if (empty) return '';
+  if (Array.isArray(value)) {
+    return value.map(item => renderNodes(node.children, [...contexts, item], escape)).join('');
+  }
+  return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+}).join('');
+
+class TemplateRenderer {
+  /**
+   * Render a template file
+   *
+   * @param {string} name - Path under backend/templates, e.g. 'email/weekly-digest.html'
+   * @param {Object} data - Values for the template
+   * @returns {string} Rendered text
+   */
+  static render(name, data) {
+    if (!cache.has(name)) {
+      const file = path.resolve(TEMPLATE_ROOT, name);
+      if (!file.startsWith(TEMPLATE_ROOT + path.sep)) {
+        throw new Error(`Invalid template name "${name}"`);
+      }
+      const source = fs.readFileSync(file, 'utf8').replace(STANDALONE_SECTION_TAG, '$1');
+      cache.set(name, parse(source, name));
+    }
+    return renderNodes(cache.get(name).children, [data], name.endsWith('.html'));
+  }
+}
+
+module.exports = TemplateRenderer;
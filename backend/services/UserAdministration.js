@@ -0,0 +1,188 @@
+/**
+ * User Administration
+ * What admins do with accounts: find users, change their details or role, assign teachers to
+ * domains and delete accounts.
+ *
+ * - Access tokens carry the role, so changing a role or deleting an account ends the user's
+ *   sessions; the change applies on their next sign-in instead of when their token expires.
+ * - There is always at least one admin, and admins do not demote or delete themselves.
+ * - Students are stored as the Student discriminator (models/Student.js), so a role change to or
+ *   from student also sets or removes the discriminator key; their studies stay in the document.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Domain = require('../models/Domain');
+const SessionService = require('./SessionService');
+const GuardianService = require('./GuardianService');
+
+const EDITABLE_FIELDS = ['name', 'email', 'birthday', 'role'];
+// Teachers' domains are not in the User schema (see models/Teacher.js), so list them explicitly
+const USER_FIELDS = 'name email role birthday domains';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class UserAdministrationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'UserAdministrationError';
+    this.status = status;
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toObjectId = (id, what) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new UserAdministrationError(`Invalid ${what} ID`);
+  }
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+class UserAdministration {
+  /**
+   * A page of users, by name
+   *
+   * @param {Object} options - { search (name or email), role, limit, offset }
+   * @returns {Promise<Object>} { users, total }
+   */
+  static async list({ search, role, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const filter = {};
+    if (role) {
+      if (!User.ROLES.includes(role)) throw new UserAdministrationError(`Unknown role "${role}"`);
+      filter.role = role;
+    }
+    if (typeof search === 'string' && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+    const [users, total] = await Promise.all([
+      User.find(filter).select(USER_FIELDS).sort({ name: 1 }).skip(skip).limit(pageSize).lean(),
+      User.countDocuments(filter)
+    ]);
+    return { users, total };
+  }
+
+  /**
+   * One user, without their password
+   *
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} The user
+   */
+  static async get(userId) {
+    const user = await User.findById(toObjectId(userId, 'user')).select(USER_FIELDS).lean();
+    if (!user) throw new UserAdministrationError('User not found', 404);
+    return user;
+  }
+
+  /**
+   * Change a user's name, email, birthday or role
+   *
+   * @param {string} adminId - Admin making the change
+   * @param {string} userId - User to change
+   * @param {Object} updates - Any of { name, email, birthday, role }; other fields are ignored
+   * @returns {Promise<Object>} The updated user
+   */
+  static async update(adminId, userId, updates = {}) {
+    const user = await this.get(userId);
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) changes[field] = updates[field];
+    });
+    if (Object.keys(changes).length === 0) {
+      throw new UserAdministrationError(`Nothing to update; editable fields are ${EDITABLE_FIELDS.join(', ')}`);
+    }
+
+    const roleChanged = changes.role !== undefined && changes.role !== user.role;
+    if (roleChanged) {
+      if (!User.ROLES.includes(changes.role)) {
+        throw new UserAdministrationError(`Unknown role "${changes.role}"`);
+      }
+      if (user.role === 'admin') await this.assertNotLastAdmin(adminId, user, 'demote');
+    }
+
+    const update = { $set: changes };
+    if (roleChanged && changes.role === 'student') {
+      update.$set = { ...changes, __t: 'Student' };
+    } else if (roleChanged && user.role === 'student') {
+      update.$unset = { __t: 1 };
+    }
+
+    let updated;
+    try {
+      updated = await User.findByIdAndUpdate(user._id, update, { new: true, runValidators: true, overwriteDiscriminatorKey: true })
+        .select(USER_FIELDS)
+        .lean();
+    } catch (error) {
+      if (error.code === 11000) throw new UserAdministrationError('Email already in use', 409);
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        throw new UserAdministrationError(error.message);
+      }
+      throw error;
+    }
+
+    if (roleChanged) {
+      await SessionService.logoutAll(user._id, { reason: 'revoked' });
+    }
+    return updated;
+  }
+
+  /**
+   * Set the domains a teacher teaches
+   *
+   * @param {string} teacherId - Teacher
+   * @param {Array<string>} domainIds - All of the teacher's domains
+   * @returns {Promise<Object>} The updated teacher
+   */
+  static async setTeacherDomains(teacherId, domainIds) {
+    if (!Array.isArray(domainIds)) {
+      throw new UserAdministrationError('domainIds must be an array');
+    }
+    const ids = [...new Set(domainIds.map(String))].map(id => toObjectId(id, 'domain'));
+    if (await Domain.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+      throw new UserAdministrationError('Unknown domain', 404);
+    }
+
+    // Not cast by the User schema, hence the ObjectIds above and strict: false
+    const result = await User.updateOne(
+      { _id: toObjectId(teacherId, 'user'), role: 'teacher' },
+      { $set: { domains: ids } },
+      { strict: false }
+    );
+    if (result.matchedCount === 0) throw new UserAdministrationError('Teacher not found', 404);
+    return this.get(teacherId);
+  }
+
+  /**
+   * Delete an account and end its sessions
+   *
+   * @param {string} adminId - Admin deleting the account
+   * @param {string} userId - User to delete
+   * @returns {Promise<void>}
+   */
+  static async remove(adminId, userId) {
+    const user = await this.get(userId);
+    if (user.role === 'admin') await this.assertNotLastAdmin(adminId, user, 'delete');
+
+    await User.deleteOne({ _id: user._id });
+    await GuardianService.removeUser(user._id);
+    await SessionService.logoutAll(user._id, { reason: 'account_deleted' });
+  }
+
+  static async assertNotLastAdmin(adminId, user, action) {
+    if (String(user._id) === String(adminId)) {
+      throw new UserAdministrationError(`Admins cannot ${action} themselves; ask another admin`, 403);
+    }
+    if (await User.countDocuments({ role: 'admin', _id: { $ne: user._id } }) === 0) {
+      throw new UserAdministrationError('The last admin cannot be removed', 409);
+    }
+  }
+}
+
+UserAdministration.UserAdministrationError = UserAdministrationError;
+
+module.exports = UserAdministration;
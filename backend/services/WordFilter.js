@@ -0,0 +1,73 @@
+/**
+ * Word Filter
+ * Finds filtered words and phrases in message text. Matches do not stop a message from being
+ * sent; MessageModeration flags the message for review.
+ *
+ * Terms come from config/messageFilter.js, plus MESSAGE_FILTER_WORDS (comma-separated) and
+ * MESSAGE_FILTER_FILE (one term per line, # for comments). Matching is case-insensitive on
+ * whole words and phrases; a trailing * matches any ending ("bull*" matches "bullying").
+ */
+
+const fs = require('fs');
+const defaultTerms = require('../config/messageFilter');
+
+let pattern; // Built on first use; null when there are no terms
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Curly apostrophes from phone keyboards, runs of whitespace
+const normalize = (text) => text.toLowerCase().replace(/[‘’]/g, "'").replace(/\s+/g, ' ');
+
+class WordFilter {
+  /**
+   * The configured terms
+   *
+   * @returns {Array<string>} Normalized, de-duplicated terms
+   */
+  static getTerms() {
+    let terms = [...defaultTerms];
+    if (process.env.MESSAGE_FILTER_WORDS) {
+      terms = terms.concat(process.env.MESSAGE_FILTER_WORDS.split(','));
+    }
+    if (process.env.MESSAGE_FILTER_FILE) {
+      try {
+        const lines = fs.readFileSync(process.env.MESSAGE_FILTER_FILE, 'utf8').split('\n');
+        terms = terms.concat(lines.filter(line => !line.trim().startsWith('#')));
+      } catch (error) {
+        console.error(`Error reading message filter file ${process.env.MESSAGE_FILTER_FILE}:`, error);
+      }
+    }
+    return [...new Set(terms.map(term => normalize(term.trim())).filter(Boolean))];
+  }
+
+  /**
+   * Rebuild the pattern, e.g. after the environment or filter file changed
+   */
+  static reload() {
+    const alternatives = this.getTerms().map(term => {
+      const prefix = term.endsWith('*');
+      const body = escapeRegExp(prefix ? term.slice(0, -1) : term).replace(/ /g, '\\s+');
+      return prefix ? `${body}\\w*` : body;
+    });
+    // Lookarounds rather than \b, so terms may start or end with punctuation
+    pattern = alternatives.length > 0
+      ? new RegExp(`(?<![\\w'])(?:${alternatives.join('|')})(?![\\w'])`, 'giu')
+      : null;
+  }
+
+  /**
+   * Filtered terms found in a text
+   *
+   * @param {string} text - Message text
+   * @returns {Array<string>} Matched words or phrases, lower-cased (empty when clean)
+   */
+  static match(text) {
+    if (!text) return [];
+    if (pattern === undefined) this.reload();
+    if (!pattern) return [];
+    const matches = normalize(text).match(pattern) || [];
+    return [...new Set(matches)];
+  }
+}
+
+module.exports = WordFilter;
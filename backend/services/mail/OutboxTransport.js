@@ -0,0 +1,41 @@
+/**
+ * Outbox Transport
+ * Default mail transport for development and tests: nothing is sent, every message is written
+ * as an .eml file (openable in any mail client) under MAIL_OUTBOX_DIR (default backend/outbox).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'outbox');
+
+// Builds the raw message without connecting anywhere
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+class OutboxTransport {
+  static get id() {
+    return 'outbox';
+  }
+
+  static get root() {
+    return path.resolve(process.env.MAIL_OUTBOX_DIR || DEFAULT_ROOT);
+  }
+
+  /**
+   * Write one message to the outbox
+   *
+   * @param {Object} message - { from, to, subject, text, html, headers }
+   * @returns {Promise<Object>} { messageId, file }
+   */
+  static async send(message) {
+    const info = await composer.sendMail(message);
+    const file = path.join(this.root, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID()}.eml`);
+    await fs.promises.mkdir(this.root, { recursive: true });
+    await fs.promises.writeFile(file, info.message, { flag: 'wx' });
+    return { messageId: info.messageId, file };
+  }
+}
+
+module.exports = OutboxTransport;
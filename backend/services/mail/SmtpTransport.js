@@ -0,0 +1,45 @@
+/**
+ * SMTP Transport
+ * Sends mail through an SMTP server: SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true'
+ * for implicit TLS, usually port 465; otherwise STARTTLS when the server offers it) and
+ * SMTP_USER / SMTP_PASS when the server needs a login.
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+class SmtpTransport {
+  static get id() {
+    return 'smtp';
+  }
+
+  // Created on first use so a server that never sends mail needs no SMTP settings
+  static getTransporter() {
+    if (!transporter) {
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not set');
+      }
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    return transporter;
+  }
+
+  /**
+   * Send one message
+   *
+   * @param {Object} message - { from, to, subject, text, html, headers }
+   * @returns {Promise<Object>} { messageId }
+   */
+  static async send(message) {
+    const info = await this.getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,64 @@
+/**
+ * Exponential Scheduler
+ * Per-question adapter for the existing forgetting-curve model (Retention = e^(-t / S)).
+ * Learning strength S is updated with RetentionAlgorithm.updateLearningStrength, using
+ * the card's previous answer as the attempt history.
+ */
+
+const RetentionAlgorithm = require('../RetentionAlgorithm');
+
+class ExponentialScheduler {
+  static get id() {
+    return 'exponential';
+  }
+
+  /**
+   * State of a card that has never been reviewed
+   *
+   * @returns {Object} Initial card state
+   */
+  static initialState() {
+    return { stability: 0, difficulty: 0, reps: 0, lapses: 0 };
+  }
+
+  /**
+   * Apply one answer to a card
+   *
+   * @param {Object} card - Current card state (stability, reps, lapses, lastGrade, lastReview)
+   * @param {Object} review - { grade: 0-100, now: Date }
+   * @returns {Object} Updated card state including the next due date
+   */
+  static review(card, { grade, now = new Date() }) {
+    const history = card.lastReview
+      ? [{ date: card.lastReview, score: card.lastGrade }]
+      : [];
+
+    const { S } = RetentionAlgorithm.updateLearningStrength(history, grade);
+    const correct = grade >= 50;
+
+    return {
+      stability: S,
+      difficulty: card.difficulty || 0,
+      reps: correct ? (card.reps || 0) + 1 : 0,
+      lapses: !correct && card.reps > 0 ? (card.lapses || 0) + 1 : (card.lapses || 0),
+      lastGrade: grade,
+      lastReview: now,
+      due: RetentionAlgorithm.calculateNextReviewDate(S, now)
+    };
+  }
+
+  /**
+   * Estimated probability (0-100) that the card is still remembered
+   *
+   * @param {Object} card - Card state
+   * @param {Date} now - Reference time
+   * @returns {number} Retention percentage
+   */
+  static retrievability(card, now = new Date()) {
+    if (!card.lastReview) return 0;
+    const days = (now - new Date(card.lastReview)) / (1000 * 60 * 60 * 24);
+    return RetentionAlgorithm.calculateRetention(days, card.stability || 5);
+  }
+}
+
+module.exports = ExponentialScheduler;
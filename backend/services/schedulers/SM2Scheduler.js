@@ -0,0 +1,92 @@
+/**
+ * SM-2 Scheduler
+ * Classic SuperMemo-2 algorithm applied to a single question.
+ *
+ * - difficulty holds the ease factor (EF, starts at 2.5, never below 1.3)
+ * - stability holds the current interval in days
+ * - a grade (0-100) is mapped to the SM-2 quality scale (0-5)
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+class SM2Scheduler {
+  static get id() {
+    return 'sm2';
+  }
+
+  /**
+   * State of a card that has never been reviewed
+   *
+   * @returns {Object} Initial card state
+   */
+  static initialState() {
+    return { stability: 0, difficulty: INITIAL_EASE, reps: 0, lapses: 0 };
+  }
+
+  /**
+   * Map a 0-100 grade to SM-2 quality (0-5). Quality below 3 counts as a lapse.
+   *
+   * @param {number} grade - Score for the answer (0-100)
+   * @returns {number} Quality 0-5
+   */
+  static gradeToQuality(grade) {
+    return Math.max(0, Math.min(5, Math.round(grade / 20)));
+  }
+
+  /**
+   * Apply one answer to a card
+   *
+   * @param {Object} card - Current card state
+   * @param {Object} review - { grade: 0-100, now: Date }
+   * @returns {Object} Updated card state including the next due date
+   */
+  static review(card, { grade, now = new Date() }) {
+    const quality = this.gradeToQuality(grade);
+    let ease = card.difficulty || INITIAL_EASE;
+    let reps = card.reps || 0;
+    let lapses = card.lapses || 0;
+    let interval;
+
+    if (quality < 3) {
+      if (reps > 0) lapses++;
+      reps = 0;
+      interval = 1;
+    } else {
+      if (reps === 0) interval = 1;
+      else if (reps === 1) interval = 6;
+      else interval = Math.round((card.stability || 1) * ease);
+      reps++;
+    }
+
+    ease = ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    ease = Math.max(MIN_EASE, ease);
+
+    return {
+      stability: interval,
+      difficulty: ease,
+      reps,
+      lapses,
+      lastGrade: grade,
+      lastReview: now,
+      due: new Date(now.getTime() + interval * DAY_MS)
+    };
+  }
+
+  /**
+   * Estimated probability (0-100) that the card is still remembered.
+   * SM-2 has no memory model, so the interval is treated as the point where recall hits 90%.
+   *
+   * @param {Object} card - Card state
+   * @param {Date} now - Reference time
+   * @returns {number} Retention percentage
+   */
+  static retrievability(card, now = new Date()) {
+    if (!card.lastReview || !card.stability) return 0;
+    const days = (now - new Date(card.lastReview)) / DAY_MS;
+    return 100 * Math.pow(0.9, days / card.stability);
+  }
+}
+
+module.exports = SM2Scheduler;
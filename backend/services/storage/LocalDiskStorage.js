@@ -0,0 +1,73 @@
+/**
+ * Local Disk Storage
+ * Default attachment storage adapter: files live under ATTACHMENT_DIR
+ * (default backend/uploads/attachments), one file per key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', 'uploads', 'attachments');
+
+class LocalDiskStorage {
+  static get id() {
+    return 'local';
+  }
+
+  static get root() {
+    return path.resolve(process.env.ATTACHMENT_DIR || DEFAULT_ROOT);
+  }
+
+  /**
+   * Absolute path for a key, refusing keys that would escape the storage root
+   *
+   * @param {string} key - Storage key, e.g. "2026/10/<uuid>.png"
+   * @returns {string} File path
+   */
+  static pathFor(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   *
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   */
+  static async save(key, buffer) {
+    const filePath = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  }
+
+  /**
+   * Open a stored file for reading
+   *
+   * @param {string} key - Storage key
+   * @returns {Promise<ReadableStream>} File contents
+   */
+  static async read(key) {
+    const filePath = this.pathFor(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a stored file; missing files are ignored
+   *
+   * @param {string} key - Storage key
+   */
+  static async remove(key) {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
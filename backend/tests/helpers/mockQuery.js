@@ -0,0 +1,13 @@
+// Stand-in for a Mongoose query, so mocked model methods can be chained and awaited like the
+// real ones: find().select().sort().lean(), findById().populate() ...
+const mockQuery = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  ['select', 'sort', 'skip', 'limit', 'lean', 'populate', 'distinct'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+module.exports = mockQuery;
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const GuardianLink = require('../../models/GuardianLink');
+const GuardianInvite = require('../../models/GuardianInvite');
+const StudentStats = require('../../services/StudentStats');
+const GuardianService = require('../../services/GuardianService');
+const mockQuery = require('../helpers/mockQuery');
+
+const { GuardianError } = GuardianService;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const objectId = () => String(new mongoose.Types.ObjectId());
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GuardianService.createInvite', () => {
+  it('replaces earlier invites with a code stored as a hash', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'student-1' });
+    const deleteMany = jest.spyOn(GuardianInvite, 'deleteMany').mockResolvedValue({});
+    const create = jest.spyOn(GuardianInvite, 'create').mockResolvedValue({});
+
+    const { code, expiresAt } = await GuardianService.createInvite('student-1');
+
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    expect(deleteMany).toHaveBeenCalledWith({ student: 'student-1' });
+    expect(create).toHaveBeenCalledWith({ student: 'student-1', codeHash: sha256(code.replace('-', '')), expiresAt });
+    expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+  });
+
+  it('is only for students', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(GuardianInvite, 'create');
+
+    await expect(GuardianService.createInvite('teacher-1')).rejects.toMatchObject({ status: 403 });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GuardianService.assertInviteValid', () => {
+  it('accepts a code however it is typed', async () => {
+    const exists = jest.spyOn(GuardianInvite, 'exists').mockResolvedValue({ _id: 'invite-1' });
+
+    await expect(GuardianService.assertInviteValid(' abcd efgh ')).resolves.toBeUndefined();
+    expect(exists.mock.calls[0][0]).toMatchObject({ codeHash: sha256('ABCDEFGH') });
+  });
+
+  it('refuses unknown or expired codes', async () => {
+    jest.spyOn(GuardianInvite, 'exists').mockResolvedValue(null);
+    await expect(GuardianService.assertInviteValid('ABCD-EFGH')).rejects.toThrow(GuardianError);
+  });
+
+  it('refuses codes of the wrong length without a query', async () => {
+    const exists = jest.spyOn(GuardianInvite, 'exists');
+    await expect(GuardianService.assertInviteValid('ABC')).rejects.toThrow(GuardianError);
+    await expect(GuardianService.assertInviteValid(undefined)).rejects.toThrow(GuardianError);
+    expect(exists).not.toHaveBeenCalled();
+  });
+});
+
+describe('GuardianService.redeemInvite', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'guardian-1' });
+  });
+
+  it('uses up the code and links the guardian to its student', async () => {
+    const claim = jest.spyOn(GuardianInvite, 'findOneAndDelete').mockResolvedValue({ student: 'student-1' });
+    const linkedAt = new Date();
+    const create = jest.spyOn(GuardianLink, 'create').mockResolvedValue({ createdAt: linkedAt });
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ name: 'Ada' }));
+
+    await expect(GuardianService.redeemInvite('guardian-1', 'abcd-efgh'))
+      .resolves.toEqual({ _id: 'student-1', name: 'Ada', linkedAt });
+    expect(claim.mock.calls[0][0]).toMatchObject({ codeHash: sha256('ABCDEFGH') });
+    expect(create).toHaveBeenCalledWith({ guardian: 'guardian-1', student: 'student-1' });
+  });
+
+  it('refuses codes that were used or have expired', async () => {
+    jest.spyOn(GuardianInvite, 'findOneAndDelete').mockResolvedValue(null);
+    const create = jest.spyOn(GuardianLink, 'create');
+
+    await expect(GuardianService.redeemInvite('guardian-1', 'ABCD-EFGH')).rejects.toThrow('This invite code is invalid or has expired');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when the guardian already follows the student', async () => {
+    jest.spyOn(GuardianInvite, 'findOneAndDelete').mockResolvedValue({ student: 'student-1' });
+    jest.spyOn(GuardianLink, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    await expect(GuardianService.redeemInvite('guardian-1', 'ABCD-EFGH')).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('is only for guardians', async () => {
+    User.exists.mockResolvedValue(null);
+    const claim = jest.spyOn(GuardianInvite, 'findOneAndDelete');
+
+    await expect(GuardianService.redeemInvite('student-2', 'ABCD-EFGH')).rejects.toMatchObject({ status: 403 });
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
+
+describe('GuardianService.unlink', () => {
+  it('removes the link between the two', async () => {
+    const guardianId = objectId();
+    const studentId = objectId();
+    const deleteOne = jest.spyOn(GuardianLink, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    await GuardianService.unlink(guardianId, studentId);
+    const filter = deleteOne.mock.calls[0][0];
+    expect(String(filter.guardian)).toBe(guardianId);
+    expect(String(filter.student)).toBe(studentId);
+  });
+
+  it('answers 404 for links that do not exist and 400 for bad IDs', async () => {
+    jest.spyOn(GuardianLink, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+    await expect(GuardianService.unlink(objectId(), objectId())).rejects.toMatchObject({ status: 404 });
+    await expect(GuardianService.unlink('nope', objectId())).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('GuardianService.getDashboard', () => {
+  it('only shows students the guardian follows', async () => {
+    jest.spyOn(GuardianLink, 'exists').mockResolvedValue(null);
+    const findStudent = jest.spyOn(User, 'findOne');
+    const summarize = jest.spyOn(StudentStats, 'summarize');
+
+    await expect(GuardianService.getDashboard(objectId(), objectId())).rejects.toMatchObject({ status: 404 });
+    expect(findStudent).not.toHaveBeenCalled();
+    expect(summarize).not.toHaveBeenCalled();
+  });
+});
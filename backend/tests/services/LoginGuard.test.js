@@ -0,0 +1,138 @@
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const LoginAttempt = require('../../models/LoginAttempt');
+const LoginThrottle = require('../../models/LoginThrottle');
+const LoginGuard = require('../../services/LoginGuard');
+const mockQuery = require('../helpers/mockQuery');
+
+const { LoginBlockedError, LoginGuardError } = LoginGuard;
+
+const NOW = new Date('2026-03-18T12:00:00Z');
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(LoginAttempt, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('LoginGuard.check', () => {
+  it('lets the attempt through when nothing is blocked', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([
+      { key: 'account:ada@example.com', failures: 2, blockedUntil: new Date(NOW.getTime() - SECOND) }
+    ]));
+
+    await expect(LoginGuard.check('Ada@Example.com ', '10.0.0.1')).resolves.toBeUndefined();
+    expect(LoginThrottle.find).toHaveBeenCalledWith({ key: { $in: ['account:ada@example.com', 'ip:10.0.0.1'] } });
+    expect(LoginAttempt.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses and logs an attempt during a backoff', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([
+      { key: 'ip:10.0.0.1', blockedUntil: new Date(NOW.getTime() + 4 * SECOND) }
+    ]));
+
+    const error = await LoginGuard.check('ada@example.com', '10.0.0.1').catch(e => e);
+    expect(error).toBeInstanceOf(LoginBlockedError);
+    expect(error).toMatchObject({ status: 429, retryAfter: 4, code: 'LOGIN_THROTTLED' });
+    expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ reason: 'throttled' }));
+  });
+
+  it('reports a lock over a shorter backoff', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockReturnValue(mockQuery([
+      { key: 'account:ada@example.com', blockedUntil: new Date(NOW.getTime() + 8 * SECOND), lockedUntil: new Date(NOW.getTime() + 30 * MINUTE) }
+    ]));
+
+    await expect(LoginGuard.check('ada@example.com', '10.0.0.1'))
+      .rejects.toMatchObject({ code: 'LOGIN_LOCKED', retryAfter: 30 * 60 });
+    expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ reason: 'locked' }));
+  });
+});
+
+describe('LoginGuard.recordFailure', () => {
+  // Answers the failure-count update with the given count per key, and collects the follow-ups
+  const mockCounts = (counts) => {
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async ({ key }) => ({ _id: key, key, failures: counts[key] || 1 }));
+    return jest.spyOn(LoginThrottle, 'updateOne').mockResolvedValue({});
+  };
+  const updateFor = (updateOne, key) => {
+    const call = updateOne.mock.calls.find(([filter]) => filter._id === key);
+    return call ? call[1].$set : null;
+  };
+
+  it('logs the attempt as an unknown user or a bad password', async () => {
+    mockCounts({});
+    await LoginGuard.recordFailure('nobody@example.com', '10.0.0.1');
+    await LoginGuard.recordFailure('ada@example.com', '10.0.0.1', { user: { _id: 'u1' } });
+
+    expect(LoginAttempt.create.mock.calls[0][0]).toMatchObject({ email: 'nobody@example.com', user: null, reason: 'unknown_user' });
+    expect(LoginAttempt.create.mock.calls[1][0]).toMatchObject({ user: 'u1', reason: 'bad_password' });
+  });
+
+  it('allows a few free failures before backing off', async () => {
+    const updateOne = mockCounts({ 'account:ada@example.com': 2 });
+    await LoginGuard.recordFailure('ada@example.com', '10.0.0.1');
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it.each([[3, 1], [4, 2], [6, 8]])('waits after failure %i for %i seconds', async (failures, seconds) => {
+    const updateOne = mockCounts({ 'account:ada@example.com': failures });
+    await LoginGuard.recordFailure('ada@example.com', '10.0.0.1');
+    expect(updateFor(updateOne, 'account:ada@example.com')).toEqual({ blockedUntil: new Date(NOW.getTime() + seconds * SECOND) });
+  });
+
+  it('locks the account after ten failures', async () => {
+    const updateOne = mockCounts({ 'account:ada@example.com': 10 });
+    await LoginGuard.recordFailure('ada@example.com', '10.0.0.1');
+    expect(updateFor(updateOne, 'account:ada@example.com').lockedUntil).toEqual(new Date(NOW.getTime() + 30 * MINUTE));
+  });
+
+  it('caps the backoff at 15 minutes and never locks an IP', async () => {
+    const updateOne = mockCounts({ 'account:ada@example.com': 40, 'ip:10.0.0.1': 60 });
+    await LoginGuard.recordFailure('ada@example.com', '10.0.0.1');
+    expect(updateFor(updateOne, 'account:ada@example.com').blockedUntil).toEqual(new Date(NOW.getTime() + 15 * MINUTE));
+    expect(updateFor(updateOne, 'ip:10.0.0.1')).toEqual({ blockedUntil: new Date(NOW.getTime() + 15 * MINUTE) });
+  });
+
+  it('gives an IP more free failures than an account', async () => {
+    const updateOne = mockCounts({ 'ip:10.0.0.1': 19 });
+    await LoginGuard.recordFailure('ada@example.com', '10.0.0.1');
+    expect(updateFor(updateOne, 'ip:10.0.0.1')).toBeNull();
+  });
+});
+
+describe('LoginGuard.verifyPassword', () => {
+  it('checks the password against the user', async () => {
+    jest.useRealTimers();
+    const user = { password: await bcrypt.hash('secret1', 4) };
+    await expect(LoginGuard.verifyPassword(user, 'secret1')).resolves.toBe(true);
+    await expect(LoginGuard.verifyPassword(user, 'wrong')).resolves.toBe(false);
+  });
+
+  it('still compares a hash when there is no user', async () => {
+    jest.useRealTimers();
+    const compare = jest.spyOn(bcrypt, 'compare');
+    await expect(LoginGuard.verifyPassword(null, 'anything')).resolves.toBe(false);
+    expect(compare).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('LoginGuard unlocking', () => {
+  it('forgets the failures of an account', async () => {
+    const deleteOne = jest.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    await LoginGuard.unlockAccount(' Ada@example.com');
+    await LoginGuard.recordSuccess('ada@example.com');
+    expect(deleteOne.mock.calls).toEqual([[{ key: 'account:ada@example.com' }], [{ key: 'account:ada@example.com' }]]);
+  });
+
+  it('lifts a block by ID for admins', async () => {
+    jest.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+    await expect(LoginGuard.unblock('nope')).rejects.toThrow(LoginGuardError);
+    await expect(LoginGuard.unblock(String(new mongoose.Types.ObjectId()))).rejects.toMatchObject({ status: 404 });
+  });
+});
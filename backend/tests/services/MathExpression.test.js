@@ -0,0 +1,65 @@
+const MathExpression = require('../../services/MathExpression');
+
+const { MathExpressionError } = MathExpression;
+
+describe('MathExpression.evaluate', () => {
+  it('follows operator precedence and implicit multiplication', () => {
+    expect(MathExpression.evaluate('2 + 3 * 4')).toBe(14);
+    expect(MathExpression.evaluate('2^3^2')).toBe(512);
+    expect(MathExpression.evaluate('2x + 3(x - 1)', { x: 2 })).toBe(7);
+    expect(MathExpression.evaluate('(x+1)(x-1)', { x: 3 })).toBe(8);
+  });
+
+  it('knows functions and constants', () => {
+    expect(MathExpression.evaluate('sqrt(16)')).toBe(4);
+    expect(MathExpression.evaluate('2pi')).toBeCloseTo(2 * Math.PI);
+    expect(MathExpression.evaluate('ln(e)')).toBeCloseTo(1);
+  });
+
+  it('reads a decimal comma', () => {
+    expect(MathExpression.evaluate('1,5')).toBe(1.5);
+    expect(MathExpression.evaluate('0,125')).toBe(0.125);
+    expect(MathExpression.evaluate('3,14')).toBe(3.14);
+  });
+
+  it.each(['1,000', '12,345', '1,000,000', '1,000.5'])('refuses "%s", which may group thousands', (input) => {
+    expect(() => MathExpression.evaluate(input)).toThrow(MathExpressionError);
+  });
+
+  it('refuses overlong or deeply nested input instead of exhausting the stack', () => {
+    expect(() => MathExpression.evaluate(`${'('.repeat(20000)}1${')'.repeat(20000)}`)).toThrow(MathExpressionError);
+    expect(() => MathExpression.evaluate(`${'('.repeat(400)}1${')'.repeat(400)}`)).toThrow('nested too deeply');
+    expect(() => MathExpression.evaluate(`${'-'.repeat(500)}1`)).toThrow('nested too deeply');
+    expect(MathExpression.evaluate(`${'('.repeat(50)}1${')'.repeat(50)}`)).toBe(1);
+  });
+
+  it.each(['2 +', '(1 + 2', '.', '1.2.3', '3 $ 4'])('rejects the malformed "%s"', (input) => {
+    expect(() => MathExpression.evaluate(input)).toThrow(MathExpressionError);
+  });
+});
+
+describe('MathExpression.equivalent', () => {
+  it('accepts algebraically equal expressions', () => {
+    expect(MathExpression.equivalent('(x+1)^2', 'x^2 + 2x + 1')).toBe(true);
+    expect(MathExpression.equivalent('2(a+b)', '2a + 2b')).toBe(true);
+    expect(MathExpression.equivalent('(x^2-1)/(x-1)', 'x+1')).toBe(true);
+  });
+
+  it('rejects different expressions', () => {
+    expect(MathExpression.equivalent('(x+1)^2', 'x^2 + 1')).toBe(false);
+    expect(MathExpression.equivalent('3', '4')).toBe(false);
+  });
+});
+
+describe('MathExpression.createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const first = MathExpression.createRandom(42);
+    const second = MathExpression.createRandom(42);
+    const values = [first(), first(), first()];
+    expect([second(), second(), second()]).toEqual(values);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const PasswordResetToken = require('../../models/PasswordResetToken');
+const SessionService = require('../../services/SessionService');
+const MailService = require('../../services/MailService');
+const LoginGuard = require('../../services/LoginGuard');
+const PasswordService = require('../../services/PasswordService');
+const mockQuery = require('../helpers/mockQuery');
+
+const { PasswordError } = PasswordService;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+const user = { _id: 'user-1', name: 'Ada', email: 'ada@example.com' };
+
+beforeEach(() => {
+  jest.spyOn(SessionService, 'logoutAll').mockResolvedValue(2);
+  jest.spyOn(PasswordResetToken, 'deleteMany').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PasswordService.changePassword', () => {
+  let hash;
+
+  beforeAll(async () => {
+    hash = await bcrypt.hash('old-password', 4);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ _id: 'user-1', password: hash }));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  it('stores the new hash and signs out every other session', async () => {
+    await expect(PasswordService.changePassword('user-1', { currentPassword: 'old-password', newPassword: 'new-password' }, { sessionId: 's1' }))
+      .resolves.toBe(2);
+
+    const [, update] = User.updateOne.mock.calls[0];
+    await expect(bcrypt.compare('new-password', update.password)).resolves.toBe(true);
+    expect(PasswordResetToken.deleteMany).toHaveBeenCalledWith({ user: 'user-1', usedAt: null });
+    expect(SessionService.logoutAll).toHaveBeenCalledWith('user-1', { except: 's1', reason: 'password_changed' });
+  });
+
+  it.each([
+    ['Current password is incorrect', { currentPassword: 'wrong', newPassword: 'new-password' }],
+    ['New password must be different from the current one', { currentPassword: 'old-password', newPassword: 'old-password' }],
+    ['Password must be at least 6 characters', { currentPassword: 'old-password', newPassword: '123' }],
+    ['Password must be at most 72 characters', { currentPassword: 'old-password', newPassword: 'x'.repeat(73) }],
+    ['Current and new password are required', { newPassword: 'new-password' }]
+  ])('refuses: %s', async (message, passwords) => {
+    await expect(PasswordService.changePassword('user-1', passwords)).rejects.toThrow(new PasswordError(message));
+    expect(User.updateOne).not.toHaveBeenCalled();
+    expect(SessionService.logoutAll).not.toHaveBeenCalled();
+  });
+});
+
+describe('PasswordService.requestReset', () => {
+  it('answers before looking up the account', async () => {
+    const findOne = jest.spyOn(User, 'findOne');
+    const send = jest.spyOn(PasswordService, 'sendResetLink').mockResolvedValue(true);
+
+    await PasswordService.requestReset(' ada@example.com ', { ip: '10.0.0.1' });
+    expect(findOne).not.toHaveBeenCalled();
+    expect(send).not.toHaveBeenCalled();
+
+    await nextTick();
+    expect(send).toHaveBeenCalledWith('ada@example.com', { ip: '10.0.0.1' });
+  });
+
+  it('needs an email', async () => {
+    await expect(PasswordService.requestReset('  ')).rejects.toThrow(PasswordError);
+  });
+});
+
+describe('PasswordService.sendResetLink', () => {
+  beforeEach(() => {
+    jest.spyOn(PasswordResetToken, 'exists').mockResolvedValue(null);
+    jest.spyOn(PasswordResetToken, 'create').mockImplementation(async (record) => ({ _id: 'token-1', ...record }));
+    jest.spyOn(MailService, 'send').mockResolvedValue({});
+  });
+
+  it('does nothing for unknown emails', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(null));
+
+    await expect(PasswordService.sendResetLink('nobody@example.com')).resolves.toBe(false);
+    expect(PasswordResetToken.create).not.toHaveBeenCalled();
+    expect(MailService.send).not.toHaveBeenCalled();
+  });
+
+  it('mails a link whose token is stored only as a hash', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+
+    await expect(PasswordService.sendResetLink('ada@example.com', { ip: '10.0.0.1' })).resolves.toBe(true);
+
+    const mail = MailService.send.mock.calls[0][0];
+    expect(mail.to).toBe('ada@example.com');
+    const token = /reset-password\?token=([0-9a-f]{64})/.exec(mail.text)[1];
+    const record = PasswordResetToken.create.mock.calls[0][0];
+    expect(record).toMatchObject({ user: 'user-1', tokenHash: sha256(token), requestedIp: '10.0.0.1' });
+    expect(JSON.stringify(record)).not.toContain(token);
+  });
+
+  it('mails an account at most once every two minutes', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+    PasswordResetToken.exists.mockResolvedValue({ _id: 'recent' });
+
+    await expect(PasswordService.sendResetLink('ada@example.com')).resolves.toBe(false);
+    expect(MailService.send).not.toHaveBeenCalled();
+  });
+
+  it('drops the token when the mail cannot be sent', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    MailService.send.mockRejectedValue(new Error('SMTP down'));
+    const deleteOne = jest.spyOn(PasswordResetToken, 'deleteOne').mockResolvedValue({});
+
+    await expect(PasswordService.sendResetLink('ada@example.com')).resolves.toBe(false);
+    expect(deleteOne).toHaveBeenCalledWith({ _id: 'token-1' });
+  });
+});
+
+describe('PasswordService.resetPassword', () => {
+  const token = 'b'.repeat(64);
+
+  it('claims the token once, sets the password, ends every session and unlocks the login', async () => {
+    const claim = jest.spyOn(PasswordResetToken, 'findOneAndUpdate').mockResolvedValue({ user: 'user-1' });
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockReturnValue(mockQuery(user));
+    const unlock = jest.spyOn(LoginGuard, 'unlockAccount').mockResolvedValue();
+
+    await PasswordService.resetPassword(token, 'new-password');
+
+    expect(claim.mock.calls[0][0]).toMatchObject({ tokenHash: sha256(token), usedAt: null });
+    await expect(bcrypt.compare('new-password', update.mock.calls[0][1].password)).resolves.toBe(true);
+    expect(SessionService.logoutAll).toHaveBeenCalledWith('user-1', { reason: 'password_reset' });
+    expect(unlock).toHaveBeenCalledWith('ada@example.com');
+  });
+
+  it('refuses used, expired or unknown tokens', async () => {
+    jest.spyOn(PasswordResetToken, 'findOneAndUpdate').mockResolvedValue(null);
+    const update = jest.spyOn(User, 'findOneAndUpdate');
+
+    await expect(PasswordService.resetPassword(token, 'new-password')).rejects.toThrow('This reset link is invalid or has expired');
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('refuses malformed tokens and weak passwords without a query', async () => {
+    const claim = jest.spyOn(PasswordResetToken, 'findOneAndUpdate');
+
+    await expect(PasswordService.resetPassword('abc', 'new-password')).rejects.toThrow(PasswordError);
+    await expect(PasswordService.resetPassword(token, '123')).rejects.toThrow(PasswordError);
+    expect(claim).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,94 @@
+const QuestionGrader = require('../../services/QuestionGrader');
+
+const numeric = (fields = {}) => ({ type: 'numeric', correctAnswer: '3', ...fields });
+
+describe('QuestionGrader.grade', () => {
+  it('treats empty answers as unanswered', () => {
+    expect(QuestionGrader.grade(numeric(), '')).toEqual({ isCorrect: false, credit: 0 });
+    expect(QuestionGrader.grade(numeric(), { value: '' })).toEqual({ isCorrect: false, credit: 0 });
+    expect(QuestionGrader.grade({ type: 'multi-select', correctAnswers: ['a'] }, [])).toEqual({ isCorrect: false, credit: 0 });
+  });
+
+  it('grades multiple-choice by exact match', () => {
+    const question = { correctAnswer: 'Paris' };
+    expect(QuestionGrader.grade(question, 'Paris').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(question, 'paris').isCorrect).toBe(false);
+  });
+
+  it('gives partial credit on multi-select', () => {
+    const question = { type: 'multi-select', correctAnswers: ['a', 'b'] };
+    expect(QuestionGrader.grade(question, ['a', 'b'])).toEqual({ isCorrect: true, credit: 1 });
+    expect(QuestionGrader.grade(question, ['a'])).toEqual({ isCorrect: false, credit: 0.5 });
+    expect(QuestionGrader.grade(question, ['a', 'c'])).toEqual({ isCorrect: false, credit: 0 });
+  });
+});
+
+describe('QuestionGrader.gradeNumeric', () => {
+  it('accepts numbers, fractions and decimal commas within tolerance', () => {
+    expect(QuestionGrader.grade(numeric(), '3').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(numeric(), 3).isCorrect).toBe(true);
+    expect(QuestionGrader.grade(numeric({ correctAnswer: '0.75' }), '3/4').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(numeric({ correctAnswer: '2.5' }), '2,5').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(numeric({ correctAnswer: '3.14', tolerance: 0.01 }), '3.15').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(numeric(), '3.1').isCorrect).toBe(false);
+  });
+
+  it('does not read "1,000" as 1', () => {
+    const result = QuestionGrader.grade(numeric({ correctAnswer: '1' }), '1,000');
+    expect(result.isCorrect).toBe(false);
+  });
+
+  it('converts between units of the same dimension', () => {
+    const question = numeric({ correctAnswer: '3', unit: 'cm' });
+    expect(QuestionGrader.grade(question, '30 mm').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(question, '3').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(question, { value: '0.03', unit: 'm' }).isCorrect).toBe(true);
+    expect(QuestionGrader.grade(question, '3 kg')).toMatchObject({ isCorrect: false, feedback: 'Expected an answer in cm' });
+  });
+
+  it('rejects a unit when the question has none', () => {
+    expect(QuestionGrader.grade(numeric(), '3 apples')).toMatchObject({ isCorrect: false, credit: 0 });
+    expect(QuestionGrader.grade(numeric(), '3 cm').isCorrect).toBe(false);
+  });
+
+  it('grades an unreadable stored answer as wrong instead of throwing', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(QuestionGrader.grade(numeric({ correctAnswer: '3 +' }), '3'))
+      .toEqual({ isCorrect: false, credit: 0, feedback: 'This question could not be graded' });
+    expect(QuestionGrader.grade(numeric({ correctAnswer: '1/0' }), '3').isCorrect).toBe(false);
+    console.error.mockRestore();
+  });
+
+  it('explains answers that are not numbers', () => {
+    expect(QuestionGrader.grade(numeric(), 'three')).toMatchObject({ isCorrect: false, feedback: 'Answer is not a number' });
+  });
+});
+
+describe('QuestionGrader.gradeExpression', () => {
+  const question = { type: 'expression', correctAnswer: 'x^2 + 2x + 1' };
+
+  it('accepts equivalent expressions', () => {
+    expect(QuestionGrader.grade(question, '(x+1)^2').isCorrect).toBe(true);
+    expect(QuestionGrader.grade(question, 'x^2 + 1').isCorrect).toBe(false);
+  });
+
+  it('returns feedback for unreadable input', () => {
+    expect(QuestionGrader.grade(question, '(x+1').feedback).toMatch(/^Could not read your expression/);
+    expect(QuestionGrader.grade(question, `${'('.repeat(20000)}x${')'.repeat(20000)}`).feedback).toMatch(/^Could not read your expression/);
+  });
+});
+
+describe('QuestionGrader.gradeAll', () => {
+  it('scores partial credit as a percentage and reveals the answers', () => {
+    const questions = [
+      { correctAnswer: 'a', explanation: 'Because' },
+      { type: 'multi-select', correctAnswers: ['a', 'b'] },
+      numeric({ unit: 'cm' })
+    ];
+    const { results, correctCount, score } = QuestionGrader.gradeAll(questions, ['a', ['a'], 'wrong']);
+    expect(correctCount).toBe(1);
+    expect(score).toBe(50);
+    expect(results[0]).toMatchObject({ isCorrect: true, correctAnswer: 'a', explanation: 'Because' });
+    expect(results[2]).toMatchObject({ correctAnswer: '3 cm', feedback: 'Answer is not a number' });
+  });
+});
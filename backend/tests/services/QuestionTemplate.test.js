@@ -0,0 +1,104 @@
+const QuestionTemplate = require('../../services/QuestionTemplate');
+
+const { QuestionTemplateError } = QuestionTemplate;
+
+const linearEquation = () => ({
+  _id: 'question-1',
+  question: 'Solve {a}x + {b} = {c}',
+  type: 'numeric',
+  correctAnswer: '',
+  template: {
+    variables: [
+      { name: 'a', min: 1, max: 9 },
+      { name: 'b', min: -20, max: 20 },
+      { name: 'c', min: -20, max: 20 }
+    ],
+    answer: '(c-b)/a'
+  }
+});
+
+describe('QuestionTemplate.instantiate', () => {
+  it('returns questions without a template unchanged', () => {
+    const question = { _id: 'plain', question: 'What is 2+2?', correctAnswer: '4' };
+    expect(QuestionTemplate.instantiate(question, 7)).toEqual(question);
+  });
+
+  it('fills placeholders, computes the answer and drops the template', () => {
+    const variant = QuestionTemplate.instantiate(linearEquation(), 7);
+    expect(variant.question).not.toMatch(/[{}]/);
+    expect(variant.template).toBeUndefined();
+    expect(variant.isVariant).toBe(true);
+    expect(variant._id).toBe('question-1');
+    expect(Number(variant.correctAnswer)).not.toBeNaN();
+  });
+
+  it('gives the same variant for the same seed', () => {
+    expect(QuestionTemplate.instantiate(linearEquation(), 123)).toEqual(QuestionTemplate.instantiate(linearEquation(), 123));
+  });
+
+  it('folds a negative value into the sign before it', () => {
+    const question = { question: 'x + {b}', template: { variables: [{ name: 'b', values: [-3] }] } };
+    expect(QuestionTemplate.instantiate(question, 1).question).toBe('x - 3');
+  });
+
+  it('honours constraints', () => {
+    const question = {
+      question: '{a}',
+      template: { variables: [{ name: 'a', min: -5, max: 5 }], constraints: ['a > 2'] }
+    };
+    for (let seed = 0; seed < 50; seed++) {
+      expect(Number(QuestionTemplate.instantiate(question, seed).question)).toBeGreaterThan(2);
+    }
+  });
+
+  it('falls back to another seed when the drawn values do not work', () => {
+    // Without an "a != 0" constraint, a third of the seeds divide by zero
+    const question = { _id: 'q', question: 'What is 1/{a}?', template: { variables: [{ name: 'a', min: 0, max: 2 }], answer: '1/a' } };
+    for (let seed = 0; seed < 100; seed++) {
+      const variant = QuestionTemplate.instantiate(question, seed);
+      expect(variant.question).toMatch(/^What is 1\/[12]\?$/);
+      expect(QuestionTemplate.instantiate(question, seed)).toEqual(variant);
+    }
+  });
+
+  it('returns the question without its template when no seed works', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const question = { _id: 'q', question: '{1/0}', template: { variables: [{ name: 'a', values: [1] }] } };
+    expect(QuestionTemplate.instantiate(question, 1)).toEqual({ _id: 'q', question: '{1/0}' });
+    console.error.mockRestore();
+  });
+});
+
+describe('QuestionTemplate.validate', () => {
+  it('accepts a working template', () => {
+    expect(() => QuestionTemplate.validate(linearEquation())).not.toThrow();
+  });
+
+  it('rejects a template that divides by zero for some seeds', () => {
+    const question = linearEquation();
+    question.template.variables[0] = { name: 'a', min: -9, max: 9 };
+    expect(() => QuestionTemplate.validate(question)).toThrow(QuestionTemplateError);
+  });
+
+  it('rejects variable names that are not single letters, and "e"', () => {
+    const question = linearEquation();
+    question.template.variables[0].name = 'ab';
+    expect(() => QuestionTemplate.validate(question)).toThrow('must be a single letter');
+    question.template.variables[0].name = 'e';
+    expect(() => QuestionTemplate.validate(question)).toThrow('reserved');
+  });
+
+  it('rejects constraints that cannot be met', () => {
+    const question = { question: '{a}', template: { variables: [{ name: 'a', min: 1, max: 5 }], constraints: ['a > 10'] } };
+    expect(() => QuestionTemplate.validate(question)).toThrow(QuestionTemplateError);
+  });
+});
+
+describe('QuestionTemplate.seedFor', () => {
+  it('is deterministic per student, quiz and attempt', () => {
+    const seed = QuestionTemplate.seedFor('student', 'quiz', 1);
+    expect(QuestionTemplate.seedFor('student', 'quiz', 1)).toBe(seed);
+    expect(QuestionTemplate.seedFor('student', 'quiz', 2)).not.toBe(seed);
+    expect(QuestionTemplate.seedFor('other', 'quiz', 1)).not.toBe(seed);
+  });
+});
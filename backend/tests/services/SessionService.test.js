@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+jest.mock('../../services/SocketManager', () => ({ disconnectSessions: jest.fn() }));
+
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+const SocketManager = require('../../services/SocketManager');
+const SessionService = require('../../services/SessionService');
+const mockQuery = require('../helpers/mockQuery');
+
+const { SessionError } = SessionService;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const secretOf = (refreshToken) => refreshToken.split('.')[1];
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Ada', email: 'ada@example.com', role: 'student' };
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  SocketManager.disconnectSessions.mockClear();
+});
+
+describe('SessionService.start', () => {
+  it('stores only the hash of the refresh token', async () => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const create = jest.spyOn(Session, 'create').mockResolvedValue({ _id: sessionId });
+
+    const { token, refreshToken } = await SessionService.start(user, { userAgent: 'Browser', ip: '10.0.0.1' });
+
+    const [storedId, secret] = refreshToken.split('.');
+    expect(storedId).toBe(String(sessionId));
+    expect(secret).toMatch(/^[0-9a-f]{64}$/);
+    const stored = create.mock.calls[0][0];
+    expect(stored.refreshTokenHash).toBe(sha256(secret));
+    expect(JSON.stringify(stored)).not.toContain(secret);
+    expect(jwt.verify(token, 'test-secret')).toMatchObject({ id: String(user._id), role: 'student', sid: String(sessionId) });
+  });
+});
+
+describe('SessionService.refresh', () => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const oldSecret = 'a'.repeat(64);
+  const refreshToken = `${sessionId}.${oldSecret}`;
+
+  it('rotates the refresh token when it is current', async () => {
+    const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue({ _id: sessionId, user: user._id });
+    jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+
+    const result = await SessionService.refresh(refreshToken);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: String(sessionId), refreshTokenHash: sha256(oldSecret), revokedAt: null });
+    expect(update.$set.previousTokenHash).toBe(sha256(oldSecret));
+    expect(update.$set.refreshTokenHash).toBe(sha256(secretOf(result.refreshToken)));
+    expect(secretOf(result.refreshToken)).not.toBe(oldSecret);
+    expect(result.user).toBe(user);
+  });
+
+  it('rejects malformed tokens without a query', async () => {
+    const findOneAndUpdate = jest.spyOn(Session, 'findOneAndUpdate');
+    await expect(SessionService.refresh('not-a-token')).rejects.toThrow(SessionError);
+    await expect(SessionService.refresh(`${sessionId}.short`)).rejects.toThrow(SessionError);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when another tab just used the same token', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'findById').mockResolvedValue({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60000),
+      previousTokenHash: sha256(oldSecret),
+      rotatedAt: new Date()
+    });
+    const revoke = jest.spyOn(SessionService, 'revokeSessions');
+
+    await expect(SessionService.refresh(refreshToken)).rejects.toMatchObject({ status: 409, code: 'REFRESH_TOKEN_USED' });
+    expect(revoke).not.toHaveBeenCalled();
+  });
+
+  it('revokes the session when an old token is used again later', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'findById').mockResolvedValue({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: new Date(Date.now() + 60000),
+      previousTokenHash: sha256(oldSecret),
+      rotatedAt: new Date(Date.now() - 5 * 60 * 1000)
+    });
+    const revoke = jest.spyOn(SessionService, 'revokeSessions').mockResolvedValue(1);
+
+    await expect(SessionService.refresh(refreshToken)).rejects.toMatchObject({ status: 401, code: 'SESSION_REVOKED' });
+    expect(revoke).toHaveBeenCalledWith({ _id: sessionId }, 'reuse');
+  });
+
+  it('refuses tokens of ended sessions', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'findById').mockResolvedValue({ _id: sessionId, revokedAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+
+    await expect(SessionService.refresh(refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+});
+
+describe('SessionService.verifyAccessToken', () => {
+  const sign = (payload, options = {}) => jwt.sign(payload, 'test-secret', { expiresIn: '15m', ...options });
+
+  it('accepts a token whose session is active', async () => {
+    const sid = String(new mongoose.Types.ObjectId());
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: sid });
+
+    await expect(SessionService.verifyAccessToken(sign({ id: 'u1', role: 'student', sid }))).resolves.toMatchObject({ id: 'u1', sid });
+  });
+
+  it('flags expired tokens so clients know to refresh', async () => {
+    const token = sign({ id: 'u1', sid: String(new mongoose.Types.ObjectId()) }, { expiresIn: -10 });
+    await expect(SessionService.verifyAccessToken(token)).rejects.toMatchObject({ code: 'TOKEN_EXPIRED' });
+  });
+
+  it('refuses forged tokens and tokens without a session', async () => {
+    const forged = jwt.sign({ id: 'u1', sid: String(new mongoose.Types.ObjectId()) }, 'other-secret');
+    await expect(SessionService.verifyAccessToken(forged)).rejects.toMatchObject({ code: 'TOKEN_INVALID' });
+    await expect(SessionService.verifyAccessToken(sign({ id: 'u1' }))).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+
+  it('refuses tokens of a revoked session at once', async () => {
+    const sid = new mongoose.Types.ObjectId();
+    jest.spyOn(Session, 'find').mockReturnValue(mockQuery([{ _id: sid }]));
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+    const exists = jest.spyOn(Session, 'exists').mockResolvedValue({ _id: sid });
+    const token = sign({ id: 'u1', sid: String(sid) });
+
+    await SessionService.verifyAccessToken(token);
+    await SessionService.revoke('u1', String(sid));
+
+    await expect(SessionService.verifyAccessToken(token)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+    expect(exists).toHaveBeenCalledTimes(1); // The revocation updated the cache
+  });
+});
+
+describe('SessionService.logoutAll', () => {
+  it('revokes every other session and closes their sockets', async () => {
+    const keep = new mongoose.Types.ObjectId();
+    const others = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const find = jest.spyOn(Session, 'find').mockReturnValue(mockQuery(others.map(_id => ({ _id }))));
+    const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+
+    await expect(SessionService.logoutAll(user._id, { except: keep, reason: 'password_changed' })).resolves.toBe(2);
+
+    expect(find.mock.calls[0][0]).toEqual({ user: user._id, _id: { $ne: keep }, revokedAt: null });
+    expect(updateMany.mock.calls[0][1]).toMatchObject({ revokedReason: 'password_changed' });
+    expect(SocketManager.disconnectSessions).toHaveBeenCalledWith(others);
+  });
+});
@@ -0,0 +1,5 @@
+// Tests run without a database: models are mocked per test, and a query that was not mocked
+// fails at once instead of waiting for a connection
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
@@ -3,6 +3,8 @@ import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import NavBar from './components/NavBar';
 import Login from "./pages/Login_Modern";
 import Signup from "./pages/Signup_Modern";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
 import Learning from "./pages/Learning";
 import StudentDashboard from "./components/StudentDashboard_Modern";
 import TeacherDashboard from "./components/TeacherDashboard";
@@ -15,6 +17,9 @@ import Home from "./pages/Home";
 import ChapterView from './pages/ChapterView_Modern';
 import EnhancedChapterView from './pages/ChapterView_Modern';
 import QuizView from './components/QuizView';
+import AdminDashboard from './components/Admin/AdminDashboard';
+import GuardianDashboard from './components/Guardian/GuardianDashboard';
+import AuthService from './services/AuthService';
 
 const App = () => {
     const [authState, setAuthState] = useState({
@@ -29,9 +34,9 @@ const App = () => {
         checkAuthStatus();
     }, []);
     
-    const checkAuthStatus = () => {
+    const checkAuthStatus = async () => {
         // Check if token exists
-        const token = localStorage.getItem('token');
+        let token = localStorage.getItem('token');
         const userRole = localStorage.getItem('userRole');
         const userName = localStorage.getItem('userName');
         
@@ -49,6 +54,11 @@ const App = () => {
         }
         
         try {
+            // An expired access token is renewed with the refresh token when there is one
+            if (AuthService.isExpiring(token) && localStorage.getItem('refreshToken')) {
+                token = await AuthService.refresh();
+            }
+
             // Parse token to check expiration
             const base64Url = token.split('.')[1];
             const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
@@ -106,19 +116,25 @@ const App = () => {
                     <Routes>
                         <Route path="/" element={
                             authState.isAuthenticated ?
-                                <Navigate to={authState.userRole === 'student' ? '/dashboard/student' : '/dashboard/teacher'} /> :
+                                <Navigate to={AuthService.dashboardPath(authState.userRole)} /> :
                                 <Home />
                         } />
                         <Route path="/login" element={
                             authState.isAuthenticated ? 
-                                <Navigate to={authState.userRole === 'student' ? '/dashboard/student' : '/dashboard/teacher'} /> :
+                                <Navigate to={AuthService.dashboardPath(authState.userRole)} /> :
                                 <Login />
                         } />
                         <Route path="/signup" element={
                             authState.isAuthenticated ? 
-                                <Navigate to={authState.userRole === 'student' ? '/dashboard/student' : '/dashboard/teacher'} /> :
+                                <Navigate to={AuthService.dashboardPath(authState.userRole)} /> :
                                 <Signup />
                         } />
+                        <Route path="/forgot-password" element={
+                            authState.isAuthenticated ?
+                                <Navigate to={AuthService.dashboardPath(authState.userRole)} /> :
+                                <ForgotPassword />
+                        } />
+                        <Route path="/reset-password" element={<ResetPassword />} />
                         <Route path="/chapter/:chapterId" element={<EnhancedChapterView key="enhanced-view" />} />
                         <Route path="/quiz/:quizId" element={<QuizView />} />
                         <Route path="/learning" element={<Learning />} />
@@ -132,6 +148,16 @@ const App = () => {
                                 <TeacherDashboard /> : 
                                 <Navigate to="/login" />
                         } />
+                        <Route path="/dashboard/admin" element={
+                            authState.isAuthenticated && authState.userRole === 'admin' ? 
+                                <AdminDashboard /> : 
+                                <Navigate to="/login" />
+                        } />
+                        <Route path="/dashboard/guardian" element={
+                            authState.isAuthenticated && authState.userRole === 'guardian' ? 
+                                <GuardianDashboard /> : 
+                                <Navigate to="/login" />
+                        } />
                         <Route path="/profile" element={
                             authState.isAuthenticated ? 
                                 <Profile /> : 
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import { FaPlus, FaTrash, FaEdit, FaTimes } from 'react-icons/fa';
+import AdminService from '../../services/AdminService';
+import './Admin.css';
+
+// Age ranges as the tree update expects them: domains as IDs
+const plainRanges = (tree) => tree.ageRanges.map(range => ({
+    _id: range._id,
+    range: range.range,
+    domains: range.domains.map(domain => domain._id || domain)
+}));
+
+/**
+ * The curriculum: domains, and the Tree that places them in age ranges. Students see the
+ * domains of their age range, and teachers assigned to a domain teach its students.
+ */
+const AdminCurriculum = () => {
+    const [domains, setDomains] = useState([]);
+    const [trees, setTrees] = useState([]);
+    const [newDomain, setNewDomain] = useState('');
+    const [newTree, setNewTree] = useState('');
+    const [newRanges, setNewRanges] = useState({}); // treeId -> age range being added
+    const [editing, setEditing] = useState(null); // { id, name } of the domain being renamed
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const load = async () => {
+        try {
+            setError(null);
+            const [domainList, treeList] = await Promise.all([AdminService.getDomains(), AdminService.getTrees()]);
+            setDomains(domainList);
+            setTrees(treeList);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load the curriculum.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        load();
+    }, []);
+
+    // Run a change, then reload everything it may have touched
+    const change = async (action, failure) => {
+        try {
+            setError(null);
+            await action();
+            await load();
+        } catch (err) {
+            setError(err.response?.data?.message || failure);
+        }
+    };
+
+    const handleAddDomain = (e) => {
+        e.preventDefault();
+        if (!newDomain.trim()) return;
+        change(async () => {
+            await AdminService.createDomain(newDomain.trim());
+            setNewDomain('');
+        }, 'Could not create the domain.');
+    };
+
+    const handleRenameDomain = (e) => {
+        e.preventDefault();
+        if (!editing.name.trim()) return;
+        change(async () => {
+            await AdminService.renameDomain(editing.id, editing.name.trim());
+            setEditing(null);
+        }, 'Could not rename the domain.');
+    };
+
+    const handleDeleteDomain = (domain) => {
+        if (!window.confirm(`Delete the domain "${domain.name}"? It is also removed from the tree and from its teachers.`)) return;
+        change(() => AdminService.deleteDomain(domain._id), 'Could not delete the domain.');
+    };
+
+    const handleAddTree = (e) => {
+        e.preventDefault();
+        if (!newTree.trim()) return;
+        change(async () => {
+            await AdminService.createTree(newTree.trim());
+            setNewTree('');
+        }, 'Could not create the tree.');
+    };
+
+    const handleDeleteTree = (tree) => {
+        if (!window.confirm(`Delete the tree "${tree.name}" and all its age ranges?`)) return;
+        change(() => AdminService.deleteTree(tree._id), 'Could not delete the tree.');
+    };
+
+    const handleAddRange = (e, tree) => {
+        e.preventDefault();
+        const range = (newRanges[tree._id] || '').trim();
+        if (!range) return;
+        change(async () => {
+            await AdminService.updateTree(tree._id, { ageRanges: [...plainRanges(tree), { range, domains: [] }] });
+            setNewRanges({ ...newRanges, [tree._id]: '' });
+        }, 'Could not add the age range.');
+    };
+
+    const handleRemoveRange = (tree, range) => {
+        if (!window.confirm(`Remove the age range ${range.range} from "${tree.name}"?`)) return;
+        change(
+            () => AdminService.updateTree(tree._id, { ageRanges: plainRanges(tree).filter(item => item._id !== range._id) }),
+            'Could not remove the age range.'
+        );
+    };
+
+    const handleAddToRange = (tree, range, domainId) => {
+        if (!domainId) return;
+        change(() => AdminService.addDomainToAgeRange(tree._id, range._id, domainId), 'Could not add the domain.');
+    };
+
+    const handleRemoveFromRange = (tree, range, domainId) => {
+        change(() => AdminService.removeDomainFromAgeRange(tree._id, range._id, domainId), 'Could not remove the domain.');
+    };
+
+    if (loading) return <p className="admin-hint">Loading curriculum...</p>;
+
+    return (
+        <div className="admin-section">
+            {error && <div className="admin-error">{error}</div>}
+
+            <div className="admin-section-header">
+                <h2>Domains</h2>
+            </div>
+            <ul className="admin-list">
+                {domains.map(domain => (
+                    <li key={domain._id}>
+                        {editing?.id === domain._id ? (
+                            <form className="admin-inline-form" onSubmit={handleRenameDomain}>
+                                <input
+                                    type="text"
+                                    value={editing.name}
+                                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                                    autoFocus
+                                />
+                                <button type="submit" className="admin-btn primary">Save</button>
+                                <button type="button" className="admin-btn" onClick={() => setEditing(null)}>
+                                    <FaTimes />
+                                </button>
+                            </form>
+                        ) : (
+                            <>
+                                <span>
+                                    {domain.name}
+                                    <span className="admin-hint"> · {(domain.chapters || []).length} chapters</span>
+                                </span>
+                                <span>
+                                    <button
+                                        className="admin-btn"
+                                        onClick={() => setEditing({ id: domain._id, name: domain.name })}
+                                        title="Rename"
+                                    >
+                                        <FaEdit />
+                                    </button>
+                                    <button className="admin-btn danger" onClick={() => handleDeleteDomain(domain)} title="Delete">
+                                        <FaTrash />
+                                    </button>
+                                </span>
+                            </>
+                        )}
+                    </li>
+                ))}
+            </ul>
+            <form className="admin-inline-form" onSubmit={handleAddDomain}>
+                <input
+                    type="text"
+                    placeholder="New domain name"
+                    value={newDomain}
+                    onChange={(e) => setNewDomain(e.target.value)}
+                />
+                <button type="submit" className="admin-btn primary"><FaPlus /> Add Domain</button>
+            </form>
+
+            <div className="admin-section-header">
+                <h2>Tree</h2>
+            </div>
+            {trees.map(tree => (
+                <div key={tree._id} className="admin-tree">
+                    <div className="admin-tree-header">
+                        <h3>{tree.name}</h3>
+                        <button className="admin-btn danger" onClick={() => handleDeleteTree(tree)} title="Delete tree">
+                            <FaTrash />
+                        </button>
+                    </div>
+
+                    {tree.ageRanges.map(range => {
+                        const inRange = range.domains.map(domain => domain._id || domain);
+                        return (
+                            <div key={range._id} className="admin-age-range">
+                                <div className="admin-age-range-header">
+                                    <strong>Ages {range.range}</strong>
+                                    <button className="admin-btn danger" onClick={() => handleRemoveRange(tree, range)} title="Remove age range">
+                                        <FaTrash />
+                                    </button>
+                                </div>
+                                <div className="admin-chips">
+                                    {range.domains.map(domain => (
+                                        <span key={domain._id || domain} className="admin-chip">
+                                            {domain.name || domain}
+                                            <button onClick={() => handleRemoveFromRange(tree, range, domain._id || domain)} title="Remove">
+                                                <FaTimes />
+                                            </button>
+                                        </span>
+                                    ))}
+                                    <select value="" onChange={(e) => handleAddToRange(tree, range, e.target.value)}>
+                                        <option value="">Add a domain...</option>
+                                        {domains.filter(domain => !inRange.includes(domain._id)).map(domain => (
+                                            <option key={domain._id} value={domain._id}>{domain.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+                        );
+                    })}
+
+                    <form className="admin-inline-form" onSubmit={(e) => handleAddRange(e, tree)}>
+                        <input
+                            type="text"
+                            placeholder="Age range, e.g. 5-8"
+                            pattern="\d+-\d+"
+                            value={newRanges[tree._id] || ''}
+                            onChange={(e) => setNewRanges({ ...newRanges, [tree._id]: e.target.value })}
+                        />
+                        <button type="submit" className="admin-btn"><FaPlus /> Add Age Range</button>
+                    </form>
+                </div>
+            ))}
+            <form className="admin-inline-form" onSubmit={handleAddTree}>
+                <input
+                    type="text"
+                    placeholder="New tree name"
+                    value={newTree}
+                    onChange={(e) => setNewTree(e.target.value)}
+                />
+                <button type="submit" className="admin-btn primary"><FaPlus /> Add Tree</button>
+            </form>
+        </div>
+    );
+};
+
+export default AdminCurriculum;
@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { FaUsers, FaSitemap, FaCogs, FaShieldAlt, FaLock } from 'react-icons/fa';
+import AdminUsers from './AdminUsers';
+import AdminCurriculum from './AdminCurriculum';
+import AdminJobs from './AdminJobs';
+import AdminLogins from './AdminLogins';
+import ModerationQueue from '../Messages/ModerationQueue';
+import '../../styles/TeacherDashboard.css';
+import './Admin.css';
+
+const TABS = [
+    { id: 'users', label: 'Users', icon: FaUsers },
+    { id: 'logins', label: 'Logins', icon: FaLock },
+    { id: 'curriculum', label: 'Curriculum', icon: FaSitemap },
+    { id: 'moderation', label: 'Moderation', icon: FaShieldAlt },
+    { id: 'jobs', label: 'Jobs', icon: FaCogs }
+];
+
+/**
+ * Platform administration: accounts, failed logins, the curriculum, message moderation and
+ * background jobs
+ */
+const AdminDashboard = () => {
+    const [activeTab, setActiveTab] = useState('users');
+
+    return (
+        <div className="teacher-dashboard admin-dashboard">
+            <div className="dashboard-header">
+                <h1>Administration</h1>
+            </div>
+
+            <div className="dashboard-layout">
+                <div className="sidebar">
+                    {TABS.map(({ id, label, icon: Icon }) => (
+                        <button
+                            key={id}
+                            className={`sidebar-tab ${activeTab === id ? 'active' : ''}`}
+                            onClick={() => setActiveTab(id)}
+                        >
+                            <Icon /> {label}
+                        </button>
+                    ))}
+                </div>
+
+                <div className="main-content">
+                    {activeTab === 'users' && <AdminUsers />}
+                    {activeTab === 'logins' && <AdminLogins />}
+                    {activeTab === 'curriculum' && <AdminCurriculum />}
+                    {activeTab === 'moderation' && <ModerationQueue />}
+                    {activeTab === 'jobs' && <AdminJobs />}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaPlay, FaPause, FaRedo } from 'react-icons/fa';
+import AdminService from '../../services/AdminService';
+import './Admin.css';
+
+const formatDateTime = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '—');
+
+/**
+ * Background jobs (review reminders, cleanup, recommender training, digests): their schedule
+ * and last run, with controls to run one now or pause it.
+ */
+const AdminJobs = () => {
+    const [jobs, setJobs] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadJobs = useCallback(async () => {
+        try {
+            setError(null);
+            const status = await AdminService.getJobs();
+            setJobs(status.jobs);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load jobs.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadJobs();
+    }, [loadJobs]);
+
+    const handleRun = async (job) => {
+        try {
+            await AdminService.runJob(job.name);
+            await loadJobs();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not run the job.');
+        }
+    };
+
+    const handleToggle = async (job) => {
+        try {
+            await AdminService.setJobEnabled(job.name, !job.enabled);
+            await loadJobs();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not update the job.');
+        }
+    };
+
+    return (
+        <div className="admin-section">
+            <div className="admin-section-header">
+                <h2>Background Jobs</h2>
+                <button className="admin-btn" onClick={loadJobs} title="Refresh"><FaRedo /></button>
+            </div>
+
+            {error && <div className="admin-error">{error}</div>}
+            {loading && <p className="admin-hint">Loading...</p>}
+
+            <table className="admin-table">
+                <thead>
+                    <tr>
+                        <th>Job</th>
+                        <th>Schedule</th>
+                        <th>Last run</th>
+                        <th>Status</th>
+                        <th>Next run</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {jobs.map(job => (
+                        <tr key={job.name} className={job.enabled ? '' : 'admin-muted'}>
+                            <td>{job.name}</td>
+                            <td><code>{job.schedule}</code></td>
+                            <td>{formatDateTime(job.lastRunAt)}</td>
+                            <td>
+                                <span className={`admin-status ${job.lastStatus || ''}`}>{job.lastStatus || 'never run'}</span>
+                                {job.lastError && <div className="admin-hint" title={job.lastError}>{job.lastError.slice(0, 80)}</div>}
+                            </td>
+                            <td>{job.enabled ? formatDateTime(job.nextRunAt) : 'Paused'}</td>
+                            <td>
+                                <button className="admin-btn" onClick={() => handleRun(job)} title="Run now" disabled={!job.defined}>
+                                    <FaPlay />
+                                </button>
+                                <button className="admin-btn" onClick={() => handleToggle(job)} title={job.enabled ? 'Pause' : 'Resume'}>
+                                    {job.enabled ? <FaPause /> : 'Resume'}
+                                </button>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default AdminJobs;
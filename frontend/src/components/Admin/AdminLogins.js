@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaSearch, FaRedo, FaUnlock } from 'react-icons/fa';
+import AdminService from '../../services/AdminService';
+import './Admin.css';
+
+const PAGE_SIZE = 50;
+
+const REASON_LABELS = {
+    bad_password: 'Wrong password',
+    unknown_user: 'No such account',
+    throttled: 'Refused: backing off',
+    locked: 'Refused: locked'
+};
+
+const formatDateTime = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '—');
+
+/**
+ * Failed logins: email addresses and IPs that are locked out or backing off, which can be
+ * unlocked here, and the audit of failed and refused attempts.
+ */
+const AdminLogins = () => {
+    const [blocks, setBlocks] = useState([]);
+    const [attempts, setAttempts] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [search, setSearch] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadBlocks = useCallback(async () => {
+        try {
+            setBlocks(await AdminService.getLoginBlocks());
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load lockouts.');
+        }
+    }, []);
+
+    const loadAttempts = useCallback(async (offset = 0) => {
+        try {
+            setLoading(true);
+            setError(null);
+            const page = await AdminService.getLoginAttempts({ email: search, limit: PAGE_SIZE, offset });
+            setAttempts(prev => (offset === 0 ? page.attempts : [...prev, ...page.attempts]));
+            setTotal(page.total);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load login attempts.');
+        } finally {
+            setLoading(false);
+        }
+    }, [search]);
+
+    useEffect(() => {
+        loadBlocks();
+    }, [loadBlocks]);
+
+    useEffect(() => {
+        const timer = setTimeout(() => loadAttempts(0), 300); // Wait for typing to pause
+        return () => clearTimeout(timer);
+    }, [loadAttempts]);
+
+    const handleUnblock = async (block) => {
+        try {
+            setError(null);
+            await AdminService.unblockLogin(block._id);
+            setBlocks(prev => prev.filter(item => item._id !== block._id));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not unblock the login.');
+        }
+    };
+
+    const handleRefresh = () => {
+        loadBlocks();
+        loadAttempts(0);
+    };
+
+    return (
+        <div className="admin-section">
+            <div className="admin-section-header">
+                <h2>Lockouts</h2>
+                <button className="admin-btn" onClick={handleRefresh} title="Refresh"><FaRedo /></button>
+            </div>
+
+            {error && <div className="admin-error">{error}</div>}
+
+            {blocks.length === 0 ? (
+                <p className="admin-hint">No email address or IP is locked out right now.</p>
+            ) : (
+                <table className="admin-table">
+                    <thead>
+                        <tr>
+                            <th>Email / IP</th>
+                            <th>Failures</th>
+                            <th>Last failure</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {blocks.map(block => {
+                            const locked = block.lockedUntil && new Date(block.lockedUntil) > new Date();
+                            return (
+                                <tr key={block._id}>
+                                    <td>
+                                        {block.value}
+                                        <span className="admin-hint"> · {block.type === 'ip' ? 'IP' : 'account'}</span>
+                                    </td>
+                                    <td>{block.failures}</td>
+                                    <td>{formatDateTime(block.lastFailureAt)}</td>
+                                    <td>
+                                        <span className={`admin-status ${locked ? 'locked' : 'throttled'}`}>
+                                            {locked ? 'Locked' : 'Backing off'} until {formatDateTime(locked ? block.lockedUntil : block.blockedUntil)}
+                                        </span>
+                                    </td>
+                                    <td>
+                                        <button className="admin-btn" onClick={() => handleUnblock(block)} title="Unlock">
+                                            <FaUnlock /> Unlock
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            )}
+
+            <div className="admin-section-header">
+                <h2>Failed Logins</h2>
+                <span className="admin-hint">{total} in the last 30 days</span>
+            </div>
+
+            <div className="admin-toolbar">
+                <div className="admin-search">
+                    <FaSearch />
+                    <input
+                        type="text"
+                        placeholder="Search by email"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                    />
+                </div>
+            </div>
+
+            <table className="admin-table">
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>Email</th>
+                        <th>Account</th>
+                        <th>IP</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {attempts.map(attempt => (
+                        <tr key={attempt._id}>
+                            <td>{formatDateTime(attempt.createdAt)}</td>
+                            <td>{attempt.email}</td>
+                            <td>{attempt.user ? `${attempt.user.name} (${attempt.user.role})` : '—'}</td>
+                            <td title={attempt.userAgent}>{attempt.ip}</td>
+                            <td>
+                                <span className={`admin-status ${attempt.reason}`}>
+                                    {REASON_LABELS[attempt.reason] || attempt.reason}
+                                </span>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            {loading && <p className="admin-hint">Loading...</p>}
+            {!loading && attempts.length === 0 && <p className="admin-hint">No failed logins.</p>}
+            {!loading && attempts.length < total && (
+                <button className="admin-btn" onClick={() => loadAttempts(attempts.length)}>Load more</button>
+            )}
+        </div>
+    );
+};
+
+export default AdminLogins;
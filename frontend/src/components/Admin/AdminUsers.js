@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaSearch, FaTrash, FaLayerGroup } from 'react-icons/fa';
+import AdminService from '../../services/AdminService';
+import './Admin.css';
+
+const ROLES = ['student', 'teacher', 'guardian', 'admin'];
+const PAGE_SIZE = 50;
+
+// Checkbox list of every domain for one teacher
+const TeacherDomains = ({ teacher, domains, onSaved }) => {
+    const [selected, setSelected] = useState((teacher.domains || []).map(String));
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const toggle = (domainId) => {
+        setSelected(selected.includes(domainId)
+            ? selected.filter(id => id !== domainId)
+            : [...selected, domainId]);
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            setError(null);
+            onSaved(await AdminService.setTeacherDomains(teacher._id, selected));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not save the domains.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="admin-teacher-domains">
+            {domains.length === 0 && <p className="admin-hint">No domains yet; add them under Curriculum.</p>}
+            {domains.map(domain => (
+                <label key={domain._id} className="admin-checkbox">
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(domain._id)}
+                        onChange={() => toggle(domain._id)}
+                        disabled={saving}
+                    />
+                    {domain.name}
+                </label>
+            ))}
+            {error && <div className="admin-error">{error}</div>}
+            <button className="admin-btn primary" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Domains'}
+            </button>
+        </div>
+    );
+};
+
+/**
+ * User accounts: search, change roles, assign teachers to domains and delete accounts.
+ * A role change signs the user out everywhere.
+ */
+const AdminUsers = () => {
+    const [users, setUsers] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [domains, setDomains] = useState([]);
+    const [search, setSearch] = useState('');
+    const [role, setRole] = useState('');
+    const [editingDomainsFor, setEditingDomainsFor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const currentUserId = localStorage.getItem('userId');
+
+    const loadUsers = useCallback(async (offset = 0) => {
+        try {
+            setLoading(true);
+            setError(null);
+            const page = await AdminService.getUsers({ search, role, limit: PAGE_SIZE, offset });
+            setUsers(prev => (offset === 0 ? page.users : [...prev, ...page.users]));
+            setTotal(page.total);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load users.');
+        } finally {
+            setLoading(false);
+        }
+    }, [search, role]);
+
+    useEffect(() => {
+        const timer = setTimeout(() => loadUsers(0), 300); // Wait for typing to pause
+        return () => clearTimeout(timer);
+    }, [loadUsers]);
+
+    useEffect(() => {
+        AdminService.getDomains().then(setDomains).catch(() => setDomains([]));
+    }, []);
+
+    const replaceUser = (updated) => {
+        setUsers(prev => prev.map(user => (user._id === updated._id ? { ...user, ...updated } : user)));
+    };
+
+    const handleRoleChange = async (user, newRole) => {
+        if (!window.confirm(`Make ${user.name} a ${newRole}? They will be signed out everywhere.`)) return;
+        try {
+            setError(null);
+            replaceUser(await AdminService.updateUser(user._id, { role: newRole }));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not change the role.');
+        }
+    };
+
+    const handleDelete = async (user) => {
+        if (!window.confirm(`Delete the account of ${user.name} (${user.email})? This cannot be undone.`)) return;
+        try {
+            setError(null);
+            await AdminService.deleteUser(user._id);
+            setUsers(prev => prev.filter(item => item._id !== user._id));
+            setTotal(count => count - 1);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not delete the account.');
+        }
+    };
+
+    const domainNames = (user) => (user.domains || [])
+        .map(id => domains.find(domain => domain._id === String(id))?.name)
+        .filter(Boolean)
+        .join(', ');
+
+    return (
+        <div className="admin-section">
+            <div className="admin-section-header">
+                <h2>Users</h2>
+                <span className="admin-hint">{total} account{total === 1 ? '' : 's'}</span>
+            </div>
+
+            <div className="admin-toolbar">
+                <div className="admin-search">
+                    <FaSearch />
+                    <input
+                        type="text"
+                        placeholder="Search by name or email"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                    />
+                </div>
+                <select value={role} onChange={(e) => setRole(e.target.value)}>
+                    <option value="">All roles</option>
+                    {ROLES.map(item => <option key={item} value={item}>{item}</option>)}
+                </select>
+            </div>
+
+            {error && <div className="admin-error">{error}</div>}
+
+            <table className="admin-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Role</th>
+                        <th>Domains</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {users.map(user => (
+                        <React.Fragment key={user._id}>
+                            <tr>
+                                <td>{user.name}</td>
+                                <td>{user.email}</td>
+                                <td>
+                                    <select
+                                        value={user.role}
+                                        onChange={(e) => handleRoleChange(user, e.target.value)}
+                                        disabled={user._id === currentUserId}
+                                    >
+                                        {ROLES.map(item => <option key={item} value={item}>{item}</option>)}
+                                    </select>
+                                </td>
+                                <td>
+                                    {user.role === 'teacher' && (
+                                        <button
+                                            className="admin-btn"
+                                            onClick={() => setEditingDomainsFor(editingDomainsFor === user._id ? null : user._id)}
+                                            title="Assign domains"
+                                        >
+                                            <FaLayerGroup /> {domainNames(user) || 'None'}
+                                        </button>
+                                    )}
+                                </td>
+                                <td>
+                                    {user._id !== currentUserId && (
+                                        <button className="admin-btn danger" onClick={() => handleDelete(user)} title="Delete account">
+                                            <FaTrash />
+                                        </button>
+                                    )}
+                                </td>
+                            </tr>
+                            {editingDomainsFor === user._id && (
+                                <tr>
+                                    <td colSpan="5">
+                                        <TeacherDomains
+                                            teacher={user}
+                                            domains={domains}
+                                            onSaved={(updated) => {
+                                                replaceUser(updated);
+                                                setEditingDomainsFor(null);
+                                            }}
+                                        />
+                                    </td>
+                                </tr>
+                            )}
+                        </React.Fragment>
+                    ))}
+                </tbody>
+            </table>
+
+            {loading && <p className="admin-hint">Loading...</p>}
+            {!loading && users.length === 0 && <p className="admin-hint">No users found.</p>}
+            {!loading && users.length < total && (
+                <button className="admin-btn" onClick={() => loadUsers(users.length)}>Load more</button>
+            )}
+        </div>
+    );
+};
+
+export default AdminUsers;
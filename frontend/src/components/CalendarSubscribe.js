@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { FaCalendarPlus, FaCopy, FaSyncAlt } from 'react-icons/fa';
+import MessagingService from '../services/MessagingService';
+import '../styles/MeetingRequest.css';
+
+/**
+ * Link to subscribe to the user's calendar feed (accepted meetings and, for students,
+ * upcoming quiz reviews) from any calendar app
+ */
+const CalendarSubscribe = () => {
+    const [feed, setFeed] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadFeed = async (rotate = false) => {
+        if (rotate && !window.confirm('Create a new link? Calendars subscribed with the old link stop updating.')) return;
+        try {
+            setLoading(true);
+            setError(null);
+            setFeed(await MessagingService.getCalendarFeedUrl(rotate));
+        } catch (err) {
+            setError('Could not load your calendar link');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(feed.url);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            setError('Copy the link by hand');
+        }
+    };
+
+    return (
+        <div className="calendar-subscribe">
+            <h4><FaCalendarPlus /> Calendar</h4>
+            {!feed ? (
+                <button type="button" className="message-btn" onClick={() => loadFeed()} disabled={loading}>
+                    {loading ? 'Loading...' : 'Add my meetings and reviews to my calendar'}
+                </button>
+            ) : !feed.url ? (
+                <>
+                    <p className="form-hint">
+                        You already have a calendar link. It is only shown when it is created; make a new one to see it again.
+                    </p>
+                    <button type="button" className="message-btn" onClick={() => loadFeed(true)} disabled={loading}>
+                        <FaSyncAlt /> {loading ? 'Loading...' : 'Create a new link'}
+                    </button>
+                </>
+            ) : (
+                <>
+                    <p className="form-hint">
+                        Subscribe to this link in your calendar app; it is shown only once. Keep it private: anyone with it can see your meetings.
+                    </p>
+                    <div className="calendar-feed-url">
+                        <input type="text" value={feed.url} readOnly onFocus={(e) => e.target.select()} />
+                        <button type="button" className="icon-button" title="Copy" onClick={handleCopy}>
+                            <FaCopy />
+                        </button>
+                        <button type="button" className="icon-button" title="New link" onClick={() => loadFeed(true)} disabled={loading}>
+                            <FaSyncAlt />
+                        </button>
+                    </div>
+                    <a href={feed.webcalUrl} className="calendar-open-link">Open in calendar app</a>
+                    {copied && <span className="form-hint"> Copied</span>}
+                </>
+            )}
+            {error && <div className="meeting-error-message">{error}</div>}
+        </div>
+    );
+};
+
+export default CalendarSubscribe;
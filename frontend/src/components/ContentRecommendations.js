@@ -54,7 +54,7 @@ const ContentRecommendations = ({ userId, currentChapterId }) => {
                     // Fallback to regular API call if no personalized recommendations
                     const token = localStorage.getItem('token');
                     const response = await axios.get(
-                        `http://localhost:5000/api/recommendations${currentChapterId ? `?currentChapter=${currentChapterId}` : ''}`,
+                        `http://localhost:5000/api/recommendations${currentChapterId ? `?chapterId=${currentChapterId}` : ''}`,
                         {
                             headers: {
                                 Authorization: `Bearer ${token}`
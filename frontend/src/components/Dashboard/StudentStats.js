@@ -59,6 +59,11 @@ const StudentStats = ({ stats, studies, quizAttempts, summary = false }) => {
                             <div className="stat-value">{stats.quizAttempts || 0}</div>
                             <div className="stat-detail">Total attempts</div>
                         </div>
+                        <div className="stat-card">
+                            <h3>Reviews Due</h3>
+                            <div className="stat-value">{stats.dueCardsToday || 0}</div>
+                            <div className="stat-detail">Questions to review today</div>
+                        </div>
                     </>
                 )}
             </div>
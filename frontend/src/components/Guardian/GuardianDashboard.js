@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FaUserGraduate, FaPlus, FaEnvelope, FaFire, FaBook, FaStar, FaRedo } from 'react-icons/fa';
+import GuardianService from '../../services/GuardianService';
+import '../../styles/TeacherDashboard.css';
+import './Guardian.css';
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString() : '—');
+
+// Read-only view of one student: the figures of their own dashboard and their week
+const StudentOverview = ({ studentId, onUnlink }) => {
+    const [dashboard, setDashboard] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        setDashboard(null);
+        setError(null);
+        GuardianService.getStudentDashboard(studentId)
+            .then(setDashboard)
+            .catch(err => setError(err.response?.data?.message || 'Could not load the dashboard.'));
+    }, [studentId]);
+
+    if (error) return <div className="guardian-error">{error}</div>;
+    if (!dashboard) return <p className="guardian-hint">Loading...</p>;
+
+    const { student, stats, recentQuizzes, week } = dashboard;
+    return (
+        <div className="overview-section">
+            <div className="guardian-student-header">
+                <h2>{student.name}</h2>
+                <button className="guardian-btn" onClick={() => onUnlink(student)}>Stop following</button>
+            </div>
+
+            <div className="stats-grid">
+                <div className="stat-card">
+                    <div className="stat-icon"><FaBook /></div>
+                    <h3>Study sessions this month</h3>
+                    <div className="stat-value">{stats.studyHoursThisMonth}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-icon"><FaFire /></div>
+                    <h3>Day streak</h3>
+                    <div className="stat-value">{stats.activeStreak}</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-icon"><FaStar /></div>
+                    <h3>Quiz average ({stats.quizAttempts} taken)</h3>
+                    <div className="stat-value">{stats.quizAvgScore}%</div>
+                </div>
+                <div className="stat-card">
+                    <div className="stat-icon"><FaRedo /></div>
+                    <h3>Reviews due today</h3>
+                    <div className="stat-value">{stats.dueCardsToday}</div>
+                </div>
+            </div>
+
+            <div className="guardian-panel">
+                <h3>This week <span className="guardian-hint">{week.period}</span></h3>
+                <p>
+                    {week.study.active
+                        ? `${week.study.minutes} minutes of study over ${week.study.activeDays} day(s).`
+                        : 'No study time recorded this week.'}
+                </p>
+                <p>
+                    {week.quizzes.count > 0
+                        ? `${week.quizzes.count} quiz attempt(s), ${week.quizzes.averageScore}% on average.`
+                        : 'No quizzes taken this week.'}
+                </p>
+                {week.retention && (
+                    <p>
+                        Remembers about {week.retention.now}% of what was practised; without review that
+                        drops to {week.retention.nextWeek}% by next week.
+                    </p>
+                )}
+            </div>
+
+            <div className="guardian-panel">
+                <h3>Upcoming reviews</h3>
+                {week.reviews.overdue > 0 && (
+                    <p className="guardian-warning">{week.reviews.overdue} review(s) are overdue.</p>
+                )}
+                {week.reviews.upcoming.length === 0 ? (
+                    <p className="guardian-hint">No reviews scheduled for the next 7 days.</p>
+                ) : (
+                    <ul className="guardian-list">
+                        {week.reviews.upcoming.map((review, index) => (
+                            <li key={index}><span>{review.title}</span><span>{review.date}</span></li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="guardian-panel">
+                <h3>Recent quizzes</h3>
+                {recentQuizzes.length === 0 ? (
+                    <p className="guardian-hint">No quizzes taken yet.</p>
+                ) : (
+                    <ul className="guardian-list">
+                        {recentQuizzes.map(quiz => (
+                            <li key={quiz._id}>
+                                <span>{quiz.title}</span>
+                                <span>{formatDate(quiz.finishedAt)} · <strong>{quiz.score}%</strong></span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Dashboard of a guardian (parent): the progress of each student they follow, read-only.
+ * Students are added with an invite code the student creates on their profile page.
+ */
+const GuardianDashboard = () => {
+    const [students, setStudents] = useState([]);
+    const [selectedId, setSelectedId] = useState(null);
+    const [code, setCode] = useState('');
+    const [linking, setLinking] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadStudents = useCallback(async () => {
+        try {
+            const list = await GuardianService.getStudents();
+            setStudents(list);
+            setSelectedId(current => (list.some(student => student._id === current) ? current : list[0]?._id || null));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load your students.');
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadStudents();
+    }, [loadStudents]);
+
+    const handleLink = async (e) => {
+        e.preventDefault();
+        if (!code.trim()) return;
+        try {
+            setLinking(true);
+            setError(null);
+            const student = await GuardianService.linkStudent(code.trim());
+            setCode('');
+            await loadStudents();
+            setSelectedId(student._id);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not link the student.');
+        } finally {
+            setLinking(false);
+        }
+    };
+
+    const handleUnlink = async (student) => {
+        if (!window.confirm(`Stop following ${student.name}? You will need a new invite code to follow them again.`)) return;
+        try {
+            setError(null);
+            await GuardianService.unlinkStudent(student._id);
+            await loadStudents();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not remove the student.');
+        }
+    };
+
+    return (
+        <div className="teacher-dashboard guardian-dashboard">
+            <div className="dashboard-header">
+                <h1>Family Dashboard</h1>
+                <div className="header-actions">
+                    <Link to="/messages" className="primary-btn"><FaEnvelope /> Message Teachers</Link>
+                </div>
+            </div>
+
+            <div className="dashboard-layout">
+                <div className="sidebar">
+                    {students.map(student => (
+                        <button
+                            key={student._id}
+                            className={`sidebar-tab ${selectedId === student._id ? 'active' : ''}`}
+                            onClick={() => setSelectedId(student._id)}
+                        >
+                            <FaUserGraduate /> {student.name}
+                        </button>
+                    ))}
+
+                    <form className="guardian-link-form" onSubmit={handleLink}>
+                        <label htmlFor="inviteCode">Add a student</label>
+                        <input
+                            id="inviteCode"
+                            type="text"
+                            placeholder="Invite code, e.g. ABCD-EFGH"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            disabled={linking}
+                        />
+                        <button type="submit" className="guardian-btn primary" disabled={linking || !code.trim()}>
+                            <FaPlus /> {linking ? 'Linking...' : 'Link'}
+                        </button>
+                    </form>
+                </div>
+
+                <div className="main-content">
+                    {error && <div className="guardian-error">{error}</div>}
+                    {loading && <p className="guardian-hint">Loading...</p>}
+                    {!loading && students.length === 0 && (
+                        <div className="guardian-panel">
+                            <h3>No students yet</h3>
+                            <p>
+                                Ask your child to open their profile page and create an invite code under
+                                "Guardians", then enter the code on the left. Codes work for 7 days.
+                            </p>
+                        </div>
+                    )}
+                    {selectedId && <StudentOverview studentId={selectedId} onUnlink={handleUnlink} />}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default GuardianDashboard;
@@ -1,21 +1,25 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
-import { FaCalendarAlt, FaUser, FaComment, FaBookOpen, FaBell, FaTimes } from 'react-icons/fa';
+import { FaCalendarAlt, FaComment, FaBookOpen, FaBell, FaTimes } from 'react-icons/fa';
 import MessagingService from '../services/MessagingService';
 import WindowManager from '../services/WindowManager';
+import SlotPicker from './SlotPicker';
 import '../styles/MeetingRequest.css';
 
 /**
  * Enhanced component for requesting a meeting with a teacher
  * Now integrates with messaging system and window management
+ * Students pick a free slot from the teacher's office hours
  */
 const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, conversationId = null }) => {
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(false);
     const [domainsList, setDomainsList] = useState(domains || []);
+    const [slots, setSlots] = useState([]);
+    const [slotsLoading, setSlotsLoading] = useState(false);
     const [formData, setFormData] = useState({
-        requestedTime: '',
+        slot: null, // { windowId, startsAt }
         message: '',
         relatedDomain: domains?.length > 0 ? domains[0]._id : '',
         notifyInConversation: true
@@ -56,6 +60,24 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
         fetchDomains();
     }, [domains, formData.relatedDomain]);
 
+    // Load the teacher's office-hours slots
+    const fetchSlots = useCallback(async () => {
+        if (!teacher) return;
+        try {
+            setSlotsLoading(true);
+            setSlots(await MessagingService.getTeacherSlots(teacher._id));
+        } catch (err) {
+            console.error('Error fetching slots:', err);
+            setError('Could not load the teacher\'s office hours');
+        } finally {
+            setSlotsLoading(false);
+        }
+    }, [teacher]);
+
+    useEffect(() => {
+        fetchSlots();
+    }, [fetchSlots]);
+
     // Ensure meeting window is active when form is mounted
     useEffect(() => {
         WindowManager.openWindow('meeting');
@@ -74,11 +96,18 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
         });
     };
 
+    const handleSelectSlot = (slot) => {
+        setFormData({
+            ...formData,
+            slot: { windowId: slot.windowId, startsAt: slot.startsAt }
+        });
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         
         // Form validation
-        if (!formData.requestedTime) {
+        if (!formData.slot) {
             setError('Please select a meeting time');
             return;
         }
@@ -96,7 +125,8 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
             
             const requestData = {
                 teacherId: teacher._id,
-                requestedTime: formData.requestedTime,
+                windowId: formData.slot.windowId,
+                startsAt: formData.slot.startsAt,
                 message: formData.message,
                 relatedDomain: formData.relatedDomain || undefined
             };
@@ -117,7 +147,7 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
             
             setSuccess(true);
             setFormData({
-                requestedTime: '',
+                slot: null,
                 message: '',
                 relatedDomain: domainsList.length > 0 ? domainsList[0]._id : '',
                 notifyInConversation: true
@@ -138,6 +168,8 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
         } catch (err) {
             console.error('Error creating meeting request:', err);
             setError(err.response?.data?.message || 'Failed to create meeting request');
+            // The slot may have filled up or clashed meanwhile
+            if (err.response?.status === 409) fetchSlots();
         } finally {
             setLoading(false);
         }
@@ -153,43 +185,6 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
         }
     };
     
-    // Create date options for the next 14 days, starting tomorrow
-    const getDateOptions = () => {
-        const options = [];
-        const today = new Date();
-        
-        for (let i = 1; i <= 14; i++) {
-            const date = new Date();
-            date.setDate(today.getDate() + i);
-            
-            // Add time slots for this date (9AM, 11AM, 1PM, 3PM)
-            [9, 11, 13, 15].forEach(hour => {
-                const dateTime = new Date(date);
-                dateTime.setHours(hour, 0, 0, 0);
-                
-                const formattedDate = dateTime.toLocaleDateString('en-US', { 
-                    weekday: 'short',
-                    month: 'short', 
-                    day: 'numeric'
-                });
-                
-                const formattedTime = dateTime.toLocaleTimeString('en-US', {
-                    hour: 'numeric',
-                    minute: '2-digit'
-                });
-                
-                options.push({
-                    value: dateTime.toISOString(),
-                    label: `${formattedDate} at ${formattedTime}`
-                });
-            });
-        }
-        
-        return options;
-    };
-    
-    const dateOptions = getDateOptions();
-    
     if (!teacher) {
         return <p>Please select a teacher first.</p>;
     }
@@ -226,21 +221,16 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
                     <label>
                         <FaCalendarAlt /> Preferred Time
                     </label>
-                    <select
-                        name="requestedTime"
-                        value={formData.requestedTime}
-                        onChange={handleChange}
-                        required
+                    {slotsLoading && <p className="form-hint">Loading office hours...</p>}
+                    {!slotsLoading && slots.length === 0 && (
+                        <p className="form-hint">{teacher.name} has no open office hours at the moment.</p>
+                    )}
+                    <SlotPicker
+                        slots={slots}
+                        selected={formData.slot ? [formData.slot.startsAt] : []}
+                        onToggle={handleSelectSlot}
                         disabled={loading}
-                        className="meeting-select"
-                    >
-                        <option value="">Select a time</option>
-                        {dateOptions.map((option, index) => (
-                            <option key={index} value={option.value}>
-                                {option.label}
-                            </option>
-                        ))}
-                    </select>
+                    />
                 </div>
                 
                 {domainsList.length > 0 && (
@@ -309,7 +299,7 @@ const MeetingRequestForm = ({ teacher, domains, onRequestSent, onCancel, convers
                     <button 
                         type="submit" 
                         className="meeting-request-btn"
-                        disabled={loading}
+                        disabled={loading || !formData.slot}
                     >
                         {loading ? 'Sending...' : 'Request Meeting'}
                     </button>
@@ -1,9 +1,25 @@
 import React, { useState, useEffect } from 'react';
-import { FaCalendarAlt, FaCheck, FaTimes, FaTrash, FaClock, FaComment, FaEnvelope, FaVideo } from 'react-icons/fa';
+import { FaCalendarAlt, FaCheck, FaTimes, FaTrash, FaClock, FaComment, FaEnvelope, FaVideo, FaExchangeAlt, FaHistory, FaCalendarPlus } from 'react-icons/fa';
 import MessagingService from '../services/MessagingService';
 import WindowManager from '../services/WindowManager';
+import ProposeTimesForm from './ProposeTimesForm';
 import '../styles/MeetingRequest.css';
 
+const HISTORY_LABELS = {
+    requested: 'requested the meeting',
+    accepted: 'accepted',
+    rejected: 'declined',
+    cancelled: 'cancelled',
+    countered: 'proposed other times',
+    counter_accepted: 'accepted a proposed time',
+    counter_withdrawn: 'withdrew the proposed times',
+    counter_declined: 'declined the proposed times',
+    reschedule_proposed: 'proposed to reschedule',
+    rescheduled: 'accepted the new time',
+    reschedule_withdrawn: 'withdrew the reschedule proposal',
+    reschedule_declined: 'declined the reschedule proposal',
+};
+
 /**
  * Enhanced component for displaying a list of meeting requests
  * Used by both students and teachers with better messaging integration
@@ -14,6 +30,9 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
     const [error, setError] = useState(null);
     const [refreshKey, setRefreshKey] = useState(0);
     const [statusUpdating, setStatusUpdating] = useState({});
+    const [proposing, setProposing] = useState(null); // { requestId, mode: 'counter' | 'reschedule' }
+    const [historyOpen, setHistoryOpen] = useState({});
+    const currentUserId = localStorage.getItem('userId');
 
     // Fetch meeting requests
     useEffect(() => {
@@ -48,14 +67,16 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
             setRefreshKey(prev => prev + 1);
         } catch (err) {
             console.error(`Error updating meeting request status:`, err);
-            alert('Failed to update meeting request status');
+            // e.g. the slot filled up before this request was accepted
+            alert(err.response?.data?.message || 'Failed to update meeting request status');
         } finally {
             setStatusUpdating(prev => ({ ...prev, [requestId]: false }));
         }
     };
     
-    // Cancel request (student only)
-    const handleCancelRequest = async (requestId) => {
+    // Cancel a pending request or an accepted meeting (frees the slot)
+    const handleCancelRequest = async (requestId, isAccepted) => {
+        if (isAccepted && !window.confirm('Cancel this meeting? The other person will be notified.')) return;
         try {
             setStatusUpdating(prev => ({ ...prev, [requestId]: true }));
             
@@ -66,12 +87,61 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
             setRefreshKey(prev => prev + 1);
         } catch (err) {
             console.error(`Error cancelling meeting request:`, err);
-            alert('Failed to cancel meeting request');
+            alert(err.response?.data?.message || 'Failed to cancel meeting request');
+        } finally {
+            setStatusUpdating(prev => ({ ...prev, [requestId]: false }));
+        }
+    };
+    
+    // Accept one of the times the other side proposed
+    const handleAcceptProposedTime = async (requestId, proposedTimeId) => {
+        try {
+            setStatusUpdating(prev => ({ ...prev, [requestId]: true }));
+            await MessagingService.acceptProposedTime(requestId, proposedTimeId);
+            setRefreshKey(prev => prev + 1);
+        } catch (err) {
+            console.error('Error accepting proposed time:', err);
+            alert(err.response?.data?.message || 'Failed to accept the proposed time');
         } finally {
             setStatusUpdating(prev => ({ ...prev, [requestId]: false }));
         }
     };
     
+    // Withdraw my proposal, or decline the other side's
+    const handleCloseProposal = async (requestId) => {
+        try {
+            setStatusUpdating(prev => ({ ...prev, [requestId]: true }));
+            await MessagingService.closeProposal(requestId);
+            setRefreshKey(prev => prev + 1);
+        } catch (err) {
+            console.error('Error closing proposal:', err);
+            alert(err.response?.data?.message || 'Failed to update the proposal');
+        } finally {
+            setStatusUpdating(prev => ({ ...prev, [requestId]: false }));
+        }
+    };
+    
+    // Save an accepted meeting as an .ics file for a calendar app
+    const handleDownloadCalendar = async (requestId) => {
+        try {
+            const blob = await MessagingService.getMeetingCalendar(requestId);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `meeting-${requestId}.ics`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (err) {
+            console.error('Error downloading meeting calendar:', err);
+            alert('Failed to download the calendar file');
+        }
+    };
+    
+    const handleProposalSent = () => {
+        setProposing(null);
+        setRefreshKey(prev => prev + 1);
+    };
+    
     // Message the participant
     const handleMessageParticipant = async (participantId, name) => {
         try {
@@ -113,6 +183,11 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
         return `${formattedDate} at ${formattedTime}`;
     };
     
+    const formatTime = (dateString) => new Date(dateString).toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    
     // Calculate days/hours until meeting
     const getTimeUntilMeeting = (dateString) => {
         if (!dateString) return '';
@@ -140,6 +215,8 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
         switch (status) {
             case 'pending':
                 return { className: 'status-pending', text: 'Pending', icon: <FaClock /> };
+            case 'countered':
+                return { className: 'status-countered', text: 'New times proposed', icon: <FaExchangeAlt /> };
             case 'accepted':
                 return { className: 'status-accepted', text: 'Accepted', icon: <FaCheck /> };
             case 'rejected':
@@ -180,7 +257,7 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
         return (
             <div className="no-meeting-requests">
                 <FaCalendarAlt size={24} />
-                <p>{userRole === 'teacher' ? 'No pending meeting requests from students.' : 'You have not requested any meetings yet.'}</p>
+                <p>{userRole === 'teacher' ? 'No meeting requests or upcoming meetings.' : 'You have not requested any meetings yet.'}</p>
             </div>
         );
     }
@@ -204,7 +281,11 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
                     const statusBadge = getStatusBadge(request.status);
                     const isStudent = userRole === 'student';
                     const isPending = request.status === 'pending';
+                    const isCountered = request.status === 'countered';
                     const isAccepted = request.status === 'accepted';
+                    const proposal = request.proposal;
+                    const proposedByMe = proposal && String(proposal.by) === currentUserId;
+                    const isProposing = proposing?.requestId === request._id;
                     const otherPerson = isStudent ? request.teacher : request.student;
                     const domainName = request.relatedDomain?.name || 'General';
                     const timeUntilMeeting = getTimeUntilMeeting(request.requestedTime);
@@ -226,7 +307,10 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
                             <div className="meeting-details">
                                 <div className="meeting-time">
                                     <FaCalendarAlt />
-                                    <span>{formatDateTime(request.requestedTime)}</span>
+                                    <span>
+                                        {formatDateTime(request.requestedTime)}
+                                        {request.endTime && ` - ${formatTime(request.endTime)}`}
+                                    </span>
                                     {timeUntilMeeting && (
                                         <span className="time-until">({timeUntilMeeting})</span>
                                     )}
@@ -243,6 +327,67 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
                                     </div>
                                 )}
                                 
+                                {proposal && (
+                                    <div className="meeting-proposal" onClick={(e) => e.stopPropagation()}>
+                                        <p>
+                                            <FaExchangeAlt />{' '}
+                                            {proposedByMe
+                                                ? `You proposed ${isAccepted ? 'to move this meeting' : 'other times'}. Waiting for ${otherPerson.name}.`
+                                                : `${otherPerson.name} proposed ${isAccepted ? 'to move this meeting' : 'other times'}:`}
+                                        </p>
+                                        {proposal.note && <p className="proposal-note">"{proposal.note}"</p>}
+                                        <ul className="proposal-times">
+                                            {proposal.times.map(time => (
+                                                <li key={time._id}>
+                                                    <span>
+                                                        {formatDateTime(time.startsAt)} - {formatTime(time.endsAt)}
+                                                        {time.availabilityWindow && <span className="proposal-slot-tag">office hours</span>}
+                                                    </span>
+                                                    {!proposedByMe && (
+                                                        <button
+                                                            className="accept-btn"
+                                                            onClick={() => handleAcceptProposedTime(request._id, time._id)}
+                                                            disabled={isUpdateInProgress}
+                                                        >
+                                                            <FaCheck /> Accept
+                                                        </button>
+                                                    )}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                        <button
+                                            className="reject-btn"
+                                            onClick={() => handleCloseProposal(request._id)}
+                                            disabled={isUpdateInProgress}
+                                        >
+                                            <FaTimes /> {proposedByMe ? 'Withdraw proposal' : 'Decline all'}
+                                        </button>
+                                    </div>
+                                )}
+                                
+                                {isProposing && (
+                                    <ProposeTimesForm
+                                        request={request}
+                                        mode={proposing.mode}
+                                        isTeacher={!isStudent}
+                                        onSubmitted={handleProposalSent}
+                                        onCancel={() => setProposing(null)}
+                                    />
+                                )}
+                                
+                                {historyOpen[request._id] && request.history?.length > 0 && (
+                                    <ol className="meeting-history">
+                                        {request.history.map((entry, index) => (
+                                            <li key={index}>
+                                                <span className="history-date">{new Date(entry.at).toLocaleString()}</span>{' '}
+                                                {String(entry.by) === currentUserId ? 'You' : otherPerson.name}{' '}
+                                                {HISTORY_LABELS[entry.action] || entry.action}
+                                                {entry.note && <>: "{entry.note}"</>}
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+                                
                                 {isAccepted && (
                                     <div className="meeting-video-link">
                                         <FaVideo className="video-icon" />
@@ -276,23 +421,71 @@ const MeetingRequestList = ({ userRole, onStartConversation, onRequestClick }) =
                                     <FaEnvelope /> Message {isStudent ? 'Teacher' : 'Student'}
                                 </button>
                                 
-                                {isPending && isStudent && (
+                                {request.history?.length > 0 && (
+                                    <button
+                                        className="message-btn"
+                                        onClick={(e) => {
+                                            e.stopPropagation(); // Prevent card click
+                                            setHistoryOpen(prev => ({ ...prev, [request._id]: !prev[request._id] }));
+                                        }}
+                                    >
+                                        <FaHistory /> History
+                                    </button>
+                                )}
+                                
+                                {isAccepted && (
+                                    <button
+                                        className="message-btn"
+                                        onClick={(e) => {
+                                            e.stopPropagation(); // Prevent card click
+                                            handleDownloadCalendar(request._id);
+                                        }}
+                                    >
+                                        <FaCalendarPlus /> Add to calendar
+                                    </button>
+                                )}
+                                
+                                {isAccepted && !proposedByMe && !isProposing && timeUntilMeeting !== 'Past' && (
+                                    <button
+                                        className="message-btn"
+                                        onClick={(e) => {
+                                            e.stopPropagation(); // Prevent card click
+                                            setProposing({ requestId: request._id, mode: 'reschedule' });
+                                        }}
+                                    >
+                                        <FaExchangeAlt /> Reschedule
+                                    </button>
+                                )}
+                                
+                                {(((isPending || isCountered) && isStudent) || (isAccepted && timeUntilMeeting !== 'Past')) && (
                                     <button 
                                         className="cancel-btn"
                                         onClick={(e) => {
                                             e.stopPropagation(); // Prevent card click
-                                            handleCancelRequest(request._id);
+                                            handleCancelRequest(request._id, isAccepted);
                                         }}
                                         disabled={isUpdateInProgress}
                                     >
                                         {isUpdateInProgress ? 'Cancelling...' : (
-                                            <><FaTrash /> Cancel Request</>
+                                            <><FaTrash /> {isAccepted ? 'Cancel Meeting' : 'Cancel Request'}</>
                                         )}
                                     </button>
                                 )}
                                 
                                 {isPending && !isStudent && (
                                     <div className="teacher-action-buttons">
+                                        {!isProposing && (
+                                            <button
+                                                className="message-btn"
+                                                onClick={(e) => {
+                                                    e.stopPropagation(); // Prevent card click
+                                                    setProposing({ requestId: request._id, mode: 'counter' });
+                                                }}
+                                                disabled={isUpdateInProgress}
+                                            >
+                                                <FaExchangeAlt /> Propose other times
+                                            </button>
+                                        )}
                                         <button 
                                             className="accept-btn"
                                             onClick={(e) => {
@@ -1,7 +1,9 @@
 import React from 'react';
+import { FaUsers, FaPaperclip } from 'react-icons/fa';
+import ReceiptStatus from './ReceiptStatus';
 import '../../styles/Messages.css';
 
-const ConversationList = ({ conversations, onSelectConversation, selectedConversationId, currentUser }) => {
+const ConversationList = ({ conversations, onSelectConversation, selectedConversationId, currentUser, presence = {}, typingUsers = {} }) => {
     const formatDate = (dateString) => {
         if (!dateString) return '';
         const date = new Date(dateString);
@@ -13,11 +15,18 @@ const ConversationList = ({ conversations, onSelectConversation, selectedConvers
             <h3>Conversations</h3>
             {conversations.length === 0 && <p>No conversations yet.</p>}
             {conversations.map(conv => {
+                const isGroup = conv.type === 'group' || conv.type === 'class';
                 // Find the other participant
-                const otherParticipant = conv.participants.find(p => p._id !== currentUser?.id);
+                const otherParticipant = isGroup ? null : conv.participants.find(p => p._id !== currentUser?.id);
                 const lastMsg = conv.lastMessage;
                 const isSelected = conv._id === selectedConversationId;
-                const isUnread = lastMsg && lastMsg.sender !== currentUser?.id && !lastMsg.read;
+                const unreadCount = isSelected ? 0 : (conv.unreadCount || 0);
+                const isUnread = unreadCount > 0;
+                const isOnline = Boolean(otherParticipant && presence[otherParticipant._id]?.online);
+                const onlineMembers = isGroup
+                    ? conv.participants.filter(p => p._id !== currentUser?.id && presence[p._id]?.online).length
+                    : 0;
+                const typingNames = Object.values(typingUsers[conv._id] || {});
 
                 return (
                     <div 
@@ -26,16 +35,46 @@ const ConversationList = ({ conversations, onSelectConversation, selectedConvers
                         onClick={() => onSelectConversation(conv._id)}
                     >
                         <div className="participant-info">
-                            <div className="avatar">
-                                {otherParticipant?.name?.[0]?.toUpperCase() || '?'}
-                            </div>
+                            {isGroup ? (
+                                <div className="avatar group-avatar">
+                                    <FaUsers />
+                                </div>
+                            ) : (
+                                <div className="avatar">
+                                    {otherParticipant?.name?.[0]?.toUpperCase() || '?'}
+                                    <span
+                                        className={`presence-dot ${isOnline ? 'online' : 'offline'}`}
+                                        title={isOnline ? 'Online' : 'Offline'}
+                                    ></span>
+                                </div>
+                            )}
                             <div className="name-preview">
-                                <span className="participant-name">{otherParticipant?.name || 'Unknown User'}</span>
+                                <span className="participant-name">
+                                    {isGroup ? conv.name : (otherParticipant?.name || 'Unknown User')}
+                                </span>
+                                {isGroup && (
+                                    <span className="group-meta">
+                                        {conv.type === 'class' ? 'Class channel' : 'Group'} · {conv.participants.length} members
+                                        {onlineMembers > 0 && `, ${onlineMembers} online`}
+                                    </span>
+                                )}
                                 <p className="message-preview">
-                                    {lastMsg ? (
+                                    {typingNames.length > 0 ? (
+                                        <span className="typing-preview">
+                                            {isGroup ? `${typingNames[0]} is typing…` : 'typing…'}
+                                        </span>
+                                    ) : lastMsg ? (
                                         <>
+                                            {lastMsg.sender === currentUser?.id && (
+                                                <ReceiptStatus
+                                                    message={lastMsg}
+                                                    recipientIds={conv.participants.map(p => p._id).filter(id => id !== currentUser.id)}
+                                                />
+                                            )}
                                             {lastMsg.sender === currentUser?.id ? 'You: ' : ''}
-                                            {lastMsg.content}
+                                            {lastMsg.content || (lastMsg.attachments?.length > 0 && (
+                                                <><FaPaperclip /> {lastMsg.attachments[0].fileName}</>
+                                            ))}
                                         </>
                                     ) : (
                                         <i>No messages yet</i>
@@ -47,7 +86,7 @@ const ConversationList = ({ conversations, onSelectConversation, selectedConvers
                             {lastMsg && (
                                 <span className="last-message-time">{formatDate(lastMsg.createdAt)}</span>
                             )}
-                            {isUnread && <span className="unread-dot"></span>}
+                            {isUnread && <span className="unread-count">{unreadCount > 99 ? '99+' : unreadCount}</span>}
                         </div>
                     </div>
                 );
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { FaTimes, FaUserPlus, FaUserMinus, FaSignOutAlt } from 'react-icons/fa';
+import MessagingService from '../../services/MessagingService';
+import '../../styles/Messages.css';
+
+const GroupMembersPanel = ({ conversation, currentUser, presence = {}, onConversationUpdated, onLeft, onClose }) => {
+    const [availableUsers, setAvailableUsers] = useState([]);
+    const [selectedToAdd, setSelectedToAdd] = useState([]);
+    const [groupName, setGroupName] = useState(conversation.name);
+    const [error, setError] = useState(null);
+
+    const isAdmin = conversation.admins?.includes(currentUser?.id);
+
+    useEffect(() => {
+        setGroupName(conversation.name);
+    }, [conversation.name]);
+
+    // Only admins add members, so only they need the list of candidates
+    useEffect(() => {
+        if (!isAdmin) return;
+        MessagingService.getAvailableUsers()
+            .then(setAvailableUsers)
+            .catch(() => setAvailableUsers([]));
+    }, [isAdmin]);
+
+    const run = async (action) => {
+        try {
+            setError(null);
+            const updated = await action();
+            if (updated?._id) onConversationUpdated(updated);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not update the group.');
+        }
+    };
+
+    const handleRename = (e) => {
+        e.preventDefault();
+        if (!groupName.trim() || groupName.trim() === conversation.name) return;
+        run(() => MessagingService.renameGroup(conversation._id, groupName.trim()));
+    };
+
+    const handleAdd = () => {
+        if (selectedToAdd.length === 0) return;
+        run(() => MessagingService.addGroupMembers(conversation._id, selectedToAdd));
+        setSelectedToAdd([]);
+    };
+
+    const handleRemove = (userId) => {
+        run(() => MessagingService.removeGroupMember(conversation._id, userId));
+    };
+
+    const handleLeave = async () => {
+        if (!window.confirm(`Leave "${conversation.name}"?`)) return;
+        try {
+            await MessagingService.removeGroupMember(conversation._id, currentUser.id);
+            onLeft(conversation._id);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not leave the group.');
+        }
+    };
+
+    const toggleSelected = (userId) => {
+        setSelectedToAdd(prev => (
+            prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+        ));
+    };
+
+    const memberIds = conversation.participants.map(p => p._id);
+    const candidates = availableUsers.filter(user => !memberIds.includes(user._id));
+
+    return (
+        <div className="group-members-panel">
+            <div className="group-members-header">
+                <h4>Members ({conversation.participants.length})</h4>
+                <button className="icon-button" onClick={onClose} title="Close">
+                    <FaTimes />
+                </button>
+            </div>
+
+            {isAdmin && (
+                <form className="group-rename-form" onSubmit={handleRename}>
+                    <input
+                        type="text"
+                        value={groupName}
+                        onChange={(e) => setGroupName(e.target.value)}
+                        placeholder="Group name"
+                    />
+                    <button type="submit" disabled={!groupName.trim() || groupName.trim() === conversation.name}>
+                        Rename
+                    </button>
+                </form>
+            )}
+
+            <ul className="group-member-list">
+                {conversation.participants.map(member => (
+                    <li key={member._id} className="group-member">
+                        <span className={`presence-dot inline ${presence[member._id]?.online || member._id === currentUser?.id ? 'online' : 'offline'}`}></span>
+                        <span className="group-member-name">
+                            {member.name}{member._id === currentUser?.id ? ' (you)' : ''}
+                        </span>
+                        <span className="user-role">{member.role}</span>
+                        {conversation.admins?.includes(member._id) && <span className="admin-badge">admin</span>}
+                        {isAdmin && member._id !== currentUser?.id && (
+                            <button className="icon-button" onClick={() => handleRemove(member._id)} title="Remove from group">
+                                <FaUserMinus />
+                            </button>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {isAdmin && candidates.length > 0 && (
+                <div className="group-add-members">
+                    <h5>Add members</h5>
+                    <div className="group-candidate-list">
+                        {candidates.map(user => (
+                            <label key={user._id} className="group-candidate">
+                                <input
+                                    type="checkbox"
+                                    checked={selectedToAdd.includes(user._id)}
+                                    onChange={() => toggleSelected(user._id)}
+                                />
+                                {user.name}
+                            </label>
+                        ))}
+                    </div>
+                    <button onClick={handleAdd} disabled={selectedToAdd.length === 0}>
+                        <FaUserPlus /> Add {selectedToAdd.length > 0 ? selectedToAdd.length : ''}
+                    </button>
+                </div>
+            )}
+
+            <button className="leave-group-btn" onClick={handleLeave}>
+                <FaSignOutAlt /> Leave group
+            </button>
+
+            {error && <div className="group-error">{error}</div>}
+        </div>
+    );
+};
+
+export default GroupMembersPanel;
@@ -0,0 +1,79 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FaFilePdf, FaImage } from 'react-icons/fa';
+import MessagingService from '../../services/MessagingService';
+import '../../styles/Messages.css';
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// loadFile(attachmentId, thumbnail) fetches the bytes; by default from the message attachment
+// endpoint (moderators pass one that reads files kept with a report)
+const MessageAttachment = ({ messageId, attachment, loadFile }) => {
+    const [thumbnailUrl, setThumbnailUrl] = useState(null);
+    const [error, setError] = useState(false);
+    const isImage = attachment.mimeType.startsWith('image/');
+    // Kept in a ref so that a new loadFile function on every render does not refetch the thumbnail
+    const loadFileRef = useRef(loadFile);
+    loadFileRef.current = loadFile;
+
+    // Images show their thumbnail inline
+    useEffect(() => {
+        if (!isImage) return;
+        let url = null;
+        let cancelled = false;
+        const fetchFile = loadFileRef.current
+            || ((attachmentId, thumbnail) => MessagingService.getAttachment(messageId, attachmentId, thumbnail));
+        fetchFile(attachment._id, attachment.hasThumbnail)
+            .then(blob => {
+                if (cancelled) return;
+                url = URL.createObjectURL(blob);
+                setThumbnailUrl(url);
+            })
+            .catch(() => !cancelled && setError(true));
+        return () => {
+            cancelled = true;
+            if (url) URL.revokeObjectURL(url);
+        };
+    }, [messageId, attachment._id, attachment.hasThumbnail, isImage]);
+
+    // Full files open in a new tab
+    const handleOpen = async () => {
+        const newWindow = window.open('', '_blank');
+        try {
+            const blob = loadFileRef.current
+                ? await loadFileRef.current(attachment._id, false)
+                : await MessagingService.getAttachment(messageId, attachment._id);
+            const url = URL.createObjectURL(blob);
+            if (newWindow) {
+                newWindow.location.href = url;
+            } else {
+                window.location.href = url;
+            }
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        } catch (err) {
+            if (newWindow) newWindow.close();
+            setError(true);
+        }
+    };
+
+    if (isImage && thumbnailUrl) {
+        return (
+            <button className="attachment-image" onClick={handleOpen} title={attachment.fileName}>
+                <img src={thumbnailUrl} alt={attachment.fileName} />
+            </button>
+        );
+    }
+
+    return (
+        <button className={`attachment-file ${error ? 'error' : ''}`} onClick={handleOpen} title={attachment.fileName}>
+            {isImage ? <FaImage /> : <FaFilePdf />}
+            <span className="attachment-name">{attachment.fileName}</span>
+            <span className="attachment-size">{error ? 'Unavailable' : formatSize(attachment.size)}</span>
+        </button>
+    );
+};
+
+export default MessageAttachment;
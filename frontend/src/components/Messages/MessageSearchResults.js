@@ -0,0 +1,47 @@
+import React from 'react';
+import '../../styles/Messages.css';
+
+const MessageSearchResults = ({ results, query, currentUser, onSelectResult }) => {
+    const conversationTitle = (conversation) => {
+        if (conversation.type === 'group' || conversation.type === 'class') return conversation.name;
+        const other = conversation.participants.find(p => p._id !== currentUser?.id);
+        return other?.name || 'Unknown User';
+    };
+
+    // Wrap the searched words in <mark> so matches stand out in the snippet
+    const highlight = (text) => {
+        const words = query.trim().split(/\s+/).filter(Boolean)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (words.length === 0 || !text) return text;
+        const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+        return text.split(pattern).map((part, index) => (
+            index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+        ));
+    };
+
+    return (
+        <div className="conversation-list search-results">
+            <h3>Search results</h3>
+            {results.length === 0 && <p className="search-empty">No messages match "{query}".</p>}
+            {results.map(({ message, conversation }) => (
+                <div
+                    key={message._id}
+                    className="conversation-item search-result"
+                    onClick={() => onSelectResult(conversation._id)}
+                >
+                    <div className="name-preview">
+                        <span className="participant-name">{conversationTitle(conversation)}</span>
+                        <p className="message-preview">
+                            {message.sender?._id === currentUser?.id ? 'You' : message.sender?.name}: {highlight(message.content)}
+                        </p>
+                    </div>
+                    <div className="time-status">
+                        <span className="last-message-time">{new Date(message.createdAt).toLocaleDateString()}</span>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default MessageSearchResults;
@@ -1,17 +1,47 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FaPaperPlane } from 'react-icons/fa';
+import { FaPaperPlane, FaUsers, FaPaperclip, FaTimes, FaFlag, FaBan } from 'react-icons/fa';
+import MessageAttachment from './MessageAttachment';
+import ReceiptStatus from './ReceiptStatus';
+import ReportDialog from './ReportDialog';
+import MessagingService from '../../services/MessagingService';
 import '../../styles/Messages.css';
 
-const MessageWindow = ({ messages, onSendMessage, currentUser, recipient }) => {
+// Mirrors the server's limits (backend/services/AttachmentStorage.js)
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+
+// While typing, 'typing' is re-sent this often; it stops after this long without a keystroke
+const TYPING_REFRESH_MS = 3000;
+const TYPING_IDLE_MS = 3000;
+
+const MessageWindow = ({
+    messages, onSendMessage, currentUser, recipient, recipientPresence, group, onShowMembers,
+    hasMore = false, loadingOlder = false, onLoadOlder, onTyping, typingNames = [],
+    blockedUserIds = [], onBlockedUsersChange
+}) => {
     const [newMessage, setNewMessage] = useState('');
+    const [reporting, setReporting] = useState(null); // { target: { messageId } | { userId }, userName }
+    const [blockError, setBlockError] = useState(null);
+    const [files, setFiles] = useState([]);
+    const [fileError, setFileError] = useState(null);
     const messagesEndRef = useRef(null);
+    const fileInputRef = useRef(null);
+    const lastMessageIdRef = useRef(null);
+    const typingSentAtRef = useRef(0);
+    const typingIdleTimerRef = useRef(null);
 
     const scrollToBottom = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
     }
 
     useEffect(() => {
-        scrollToBottom();
+        // Scroll for new messages at the bottom, not for older pages loaded above
+        const lastId = messages[messages.length - 1]?._id;
+        if (lastId !== lastMessageIdRef.current) {
+            lastMessageIdRef.current = lastId;
+            scrollToBottom();
+        }
         // Mark all messages as read in localStorage for this thread
         if (recipient?._id && messages.length > 0) {
             const threads = JSON.parse(localStorage.getItem('messageThreads') || '{}');
@@ -26,12 +56,76 @@ const MessageWindow = ({ messages, onSendMessage, currentUser, recipient }) => {
         }
     }, [messages, recipient, currentUser]); // Scroll when messages change
 
+    const isBlocked = Boolean(!group && recipient?._id && blockedUserIds.includes(recipient._id));
+    // Blocking and reporting need somewhere to keep the block list
+    const canModerate = Boolean(onBlockedUsersChange);
+
+    // A group has no single recipient; the server delivers to all of its members
+    const canSend = Boolean(group || recipient?._id) && !isBlocked;
+
+    // Other members, whose receipts count for our messages
+    const recipientIds = group
+        ? group.participants.map(p => p._id).filter(id => id !== currentUser?.id)
+        : (recipient?._id ? [recipient._id] : []);
+
+    const stopTyping = () => {
+        clearTimeout(typingIdleTimerRef.current);
+        if (typingSentAtRef.current && onTyping) {
+            onTyping(false);
+        }
+        typingSentAtRef.current = 0;
+    };
+
+    const handleInputChange = (e) => {
+        setNewMessage(e.target.value);
+        if (!onTyping) return;
+        if (!e.target.value) {
+            stopTyping();
+            return;
+        }
+        const now = Date.now();
+        if (now - typingSentAtRef.current > TYPING_REFRESH_MS) {
+            typingSentAtRef.current = now;
+            onTyping(true);
+        }
+        clearTimeout(typingIdleTimerRef.current);
+        typingIdleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+    };
+
+    // Stop the indicator when leaving the conversation
+    useEffect(() => () => clearTimeout(typingIdleTimerRef.current), []);
+
+    const hasContent = Boolean(newMessage.trim() || files.length > 0);
+
     const handleSend = (e) => {
         e.preventDefault();
-        if (newMessage.trim() && recipient?._id) {
-            onSendMessage(recipient._id, newMessage.trim());
+        if (hasContent && canSend) {
+            stopTyping();
+            onSendMessage(recipient?._id, newMessage.trim(), files);
             setNewMessage('');
+            setFiles([]);
+            setFileError(null);
+        }
+    };
+
+    const handleFilesChosen = (e) => {
+        const chosen = Array.from(e.target.files || []);
+        e.target.value = ''; // Allow choosing the same file again after removing it
+        const rejected = chosen.find(file => !ATTACHMENT_TYPES.includes(file.type) || file.size > MAX_ATTACHMENT_BYTES);
+        if (rejected) {
+            setFileError(`${rejected.name}: only images and PDFs up to 10 MB can be attached.`);
+            return;
         }
+        if (files.length + chosen.length > MAX_ATTACHMENTS) {
+            setFileError(`You can attach at most ${MAX_ATTACHMENTS} files.`);
+            return;
+        }
+        setFileError(null);
+        setFiles(prev => [...prev, ...chosen]);
+    };
+
+    const removeFile = (index) => {
+        setFiles(prev => prev.filter((_, i) => i !== index));
     };
 
     const formatTimestamp = (dateString) => {
@@ -40,38 +134,187 @@ const MessageWindow = ({ messages, onSendMessage, currentUser, recipient }) => {
         return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     };
 
+    const handleToggleBlock = async () => {
+        if (!isBlocked && !window.confirm(`Block ${recipient.name}? Neither of you will be able to send the other messages.`)) {
+            return;
+        }
+        try {
+            setBlockError(null);
+            const blocked = isBlocked
+                ? await MessagingService.unblockUser(recipient._id)
+                : await MessagingService.blockUser(recipient._id);
+            onBlockedUsersChange(blocked);
+        } catch (err) {
+            setBlockError(err.response?.data?.message || 'Could not update the block.');
+        }
+    };
+
+    const handleReported = (result) => {
+        if (result.blocked) onBlockedUsersChange(result.blocked);
+    };
+
+    const presenceLabel = () => {
+        if (!recipient || !recipientPresence) return null;
+        if (recipientPresence.online) return 'Online';
+        if (!recipientPresence.lastSeen) return 'Offline';
+        const lastSeen = new Date(recipientPresence.lastSeen);
+        return `Last seen ${lastSeen.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}, ${lastSeen.toLocaleDateString()}`;
+    };
+
     return (
         <div className="message-window">
-            <div className="message-header">
-                <h4>{recipient?.name || 'Select a conversation'}</h4>
-                <span className="recipient-role">{recipient?.role}</span>
-            </div>
+            {group ? (
+                <div className="message-header group-header">
+                    <div>
+                        <h4>{group.name}</h4>
+                        <span className="recipient-role">
+                            {group.type === 'class' ? 'Class channel' : 'Group'} · {group.participants.length} members
+                        </span>
+                    </div>
+                    {onShowMembers && (
+                        <button className="members-btn" onClick={onShowMembers}>
+                            <FaUsers /> Members
+                        </button>
+                    )}
+                </div>
+            ) : (
+                <div className="message-header">
+                    <h4>{recipient?.name || 'Select a conversation'}</h4>
+                    <span className="recipient-role">{recipient?.role}</span>
+                    {presenceLabel() && (
+                        <span className={`recipient-presence ${recipientPresence.online ? 'online' : ''}`}>
+                            {presenceLabel()}
+                        </span>
+                    )}
+                    {canModerate && recipient?._id && (
+                        <div className="message-header-actions">
+                            <button
+                                className="icon-button"
+                                onClick={() => setReporting({ target: { userId: recipient._id }, userName: recipient.name })}
+                                title={`Report ${recipient.name}`}
+                            >
+                                <FaFlag />
+                            </button>
+                            <button
+                                className={`icon-button ${isBlocked ? 'active' : ''}`}
+                                onClick={handleToggleBlock}
+                                title={isBlocked ? `Unblock ${recipient.name}` : `Block ${recipient.name}`}
+                            >
+                                <FaBan />
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
             <div className="message-list">
+                {hasMore && onLoadOlder && (
+                    <button className="load-older-btn" onClick={onLoadOlder} disabled={loadingOlder}>
+                        {loadingOlder ? 'Loading...' : 'Load earlier messages'}
+                    </button>
+                )}
                 {messages.map(msg => (
                     <div 
                         key={msg._id} 
                         className={`message-item ${msg.sender._id === currentUser?.id ? 'sent' : 'received'}`}
                     >
                         <div className="message-content">
-                            <p>{msg.content}</p>
+                            {group && msg.sender._id !== currentUser?.id && (
+                                <span className="message-sender">{msg.sender.name}</span>
+                            )}
+                            {msg.content && <p>{msg.content}</p>}
+                            {msg.attachments?.length > 0 && (
+                                <div className="message-attachments">
+                                    {msg.attachments.map(attachment => (
+                                        <MessageAttachment
+                                            key={attachment._id}
+                                            messageId={msg._id}
+                                            attachment={attachment}
+                                        />
+                                    ))}
+                                </div>
+                            )}
                         </div>
-                        <span className="message-timestamp">{formatTimestamp(msg.createdAt)}</span>
+                        <span className="message-timestamp">
+                            {canModerate && msg.sender._id !== currentUser?.id && (
+                                <button
+                                    className="message-report-btn"
+                                    onClick={() => setReporting({ target: { messageId: msg._id }, userName: msg.sender.name })}
+                                    title="Report this message"
+                                >
+                                    <FaFlag />
+                                </button>
+                            )}
+                            {formatTimestamp(msg.createdAt)}
+                            {msg.sender._id === currentUser?.id && (
+                                <ReceiptStatus message={msg} recipientIds={recipientIds} />
+                            )}
+                        </span>
                     </div>
                 ))}
+                {typingNames.length > 0 && (
+                    <div className="typing-indicator">
+                        {group ? `${typingNames.join(', ')} ${typingNames.length > 1 ? 'are' : 'is'} typing` : 'Typing'}
+                        <span className="typing-dots"><span>.</span><span>.</span><span>.</span></span>
+                    </div>
+                )}
                 <div ref={messagesEndRef} /> {/* Anchor for scrolling */} 
             </div>
+            {isBlocked && (
+                <div className="blocked-notice">
+                    You blocked {recipient.name}. Unblock them to send messages.
+                </div>
+            )}
+            {blockError && <div className="blocked-notice">{blockError}</div>}
+            {(files.length > 0 || fileError) && (
+                <div className="pending-attachments">
+                    {files.map((file, index) => (
+                        <span key={`${file.name}-${index}`} className="pending-attachment">
+                            {file.name}
+                            <button type="button" onClick={() => removeFile(index)} title="Remove">
+                                <FaTimes />
+                            </button>
+                        </span>
+                    ))}
+                    {fileError && <span className="attachment-error">{fileError}</span>}
+                </div>
+            )}
             <form className="message-input-form" onSubmit={handleSend}>
+                <input
+                    type="file"
+                    ref={fileInputRef}
+                    accept={ATTACHMENT_TYPES.join(',')}
+                    multiple
+                    onChange={handleFilesChosen}
+                    style={{ display: 'none' }}
+                />
+                <button
+                    type="button"
+                    className="attach-button"
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={!canSend || files.length >= MAX_ATTACHMENTS}
+                    title="Attach an image or PDF"
+                >
+                    <FaPaperclip />
+                </button>
                 <input 
                     type="text" 
                     placeholder="Type your message..." 
                     value={newMessage}
-                    onChange={(e) => setNewMessage(e.target.value)}
-                    disabled={!recipient}
+                    onChange={handleInputChange}
+                    disabled={!canSend}
                 />
-                <button type="submit" disabled={!newMessage.trim() || !recipient}>
+                <button type="submit" disabled={!hasContent || !canSend}>
                     <FaPaperPlane /> Send
                 </button>
             </form>
+            {reporting && (
+                <ReportDialog
+                    target={reporting.target}
+                    userName={reporting.userName}
+                    onReported={handleReported}
+                    onClose={() => setReporting(null)}
+                />
+            )}
         </div>
     );
 };
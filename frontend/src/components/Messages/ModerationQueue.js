@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaShieldAlt, FaFlag, FaRobot } from 'react-icons/fa';
+import MessageAttachment from './MessageAttachment';
+import MessagingService from '../../services/MessagingService';
+import '../../styles/Messages.css';
+
+const STATUSES = ['open', 'actioned', 'dismissed', 'all'];
+
+const REASON_LABELS = {
+    inappropriate: 'Inappropriate',
+    bullying: 'Bullying',
+    personal_information: 'Personal information',
+    spam: 'Spam',
+    other: 'Other',
+};
+
+const formatDateTime = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '');
+
+// One report with its retained message, context and the resolve form
+const ReportCard = ({ report, onResolved }) => {
+    const [note, setNote] = useState('');
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const handleResolve = async (status) => {
+        try {
+            setSaving(true);
+            setError(null);
+            const updated = await MessagingService.resolveReport(report._id, status, note.trim());
+            onResolved(updated);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not update the report.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const loadFile = (attachmentId, thumbnail) => MessagingService.getReportAttachment(report._id, attachmentId, thumbnail);
+
+    return (
+        <div className={`report-card ${report.status}`}>
+            <div className="report-card-header">
+                <span className="report-source">
+                    {report.source === 'filter'
+                        ? <><FaRobot /> Word filter</>
+                        : <><FaFlag /> Reported by {report.reporter?.name || 'a user'}</>}
+                </span>
+                <span className="report-reason">{REASON_LABELS[report.reason] || report.reason}</span>
+                <span className="report-date">{formatDateTime(report.createdAt)}</span>
+            </div>
+
+            <div className="report-subject">
+                About <strong>{report.reportedUser?.name || 'Unknown user'}</strong>
+                {report.reportedUser?.role && <span className="user-role">{report.reportedUser.role}</span>}
+            </div>
+
+            {report.matchedTerms?.length > 0 && (
+                <div className="report-terms">
+                    Matched: {report.matchedTerms.map(term => <code key={term}>{term}</code>)}
+                </div>
+            )}
+            {report.details && <p className="report-details">"{report.details}"</p>}
+
+            {report.context?.length > 0 && (
+                <div className="report-context">
+                    {report.context.map((previous, index) => (
+                        <div key={index} className="report-context-message">
+                            <span className="message-sender">{previous.sender?.name || 'Unknown'}:</span> {previous.content}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {report.snapshot && (report.snapshot.content || report.snapshot.attachments?.length > 0) && (
+                <div className="report-snapshot">
+                    <span className="message-sender">{report.reportedUser?.name}, {formatDateTime(report.snapshot.sentAt)}</span>
+                    {report.snapshot.content && <p>{report.snapshot.content}</p>}
+                    {report.snapshot.attachments?.length > 0 && (
+                        <div className="message-attachments">
+                            {report.snapshot.attachments.map(attachment => (
+                                <MessageAttachment key={attachment._id} attachment={attachment} loadFile={loadFile} />
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {report.status === 'open' ? (
+                <div className="report-resolve">
+                    <input
+                        type="text"
+                        placeholder="Note (what did you do?)"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        maxLength={1000}
+                    />
+                    <button onClick={() => handleResolve('actioned')} disabled={saving}>Action taken</button>
+                    <button className="cancel-btn" onClick={() => handleResolve('dismissed')} disabled={saving}>Dismiss</button>
+                </div>
+            ) : (
+                <div className="report-resolution">
+                    {report.status === 'actioned' ? 'Actioned' : 'Dismissed'} by {report.reviewedBy?.name || 'a teacher'}
+                    {' '}on {formatDateTime(report.reviewedAt)}
+                    {report.resolutionNote && <>: {report.resolutionNote}</>}
+                </div>
+            )}
+            {error && <div className="report-error">{error}</div>}
+        </div>
+    );
+};
+
+// Teachers' queue of reported and filter-flagged messages.
+// refreshKey changes when a new report arrives over the socket.
+const ModerationQueue = ({ refreshKey, onOpenCountChange }) => {
+    const [status, setStatus] = useState('open');
+    const [reports, setReports] = useState([]);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadReports = useCallback(async (offset = 0) => {
+        try {
+            setLoading(true);
+            setError(null);
+            const page = await MessagingService.getModerationReports({ status, offset });
+            setReports(prev => (offset === 0 ? page.reports : [...prev, ...page.reports]));
+            setHasMore(page.hasMore);
+            if (onOpenCountChange) onOpenCountChange(page.openCount);
+        } catch (err) {
+            setError('Failed to load reports.');
+        } finally {
+            setLoading(false);
+        }
+    }, [status, onOpenCountChange]);
+
+    useEffect(() => {
+        loadReports(0);
+    }, [loadReports, refreshKey]);
+
+    // Reload, so resolved reports leave the open list and the open count stays right
+    const handleResolved = () => loadReports(0);
+
+    return (
+        <div className="moderation-queue">
+            <h3><FaShieldAlt /> Moderation</h3>
+            <div className="moderation-filters">
+                {STATUSES.map(option => (
+                    <button
+                        key={option}
+                        className={`filter-btn ${status === option ? 'active' : ''}`}
+                        onClick={() => setStatus(option)}
+                    >
+                        {option.charAt(0).toUpperCase() + option.slice(1)}
+                    </button>
+                ))}
+            </div>
+
+            {error && <div className="report-error">{error}</div>}
+            {!loading && reports.length === 0 && <p className="no-reports">No {status === 'all' ? '' : status} reports.</p>}
+
+            {reports.map(report => (
+                <ReportCard key={report._id} report={report} onResolved={handleResolved} />
+            ))}
+
+            {hasMore && (
+                <button className="load-older-btn" onClick={() => loadReports(reports.length)} disabled={loading}>
+                    {loading ? 'Loading...' : 'Load more'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ModerationQueue;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { FaCheck, FaCheckDouble } from 'react-icons/fa';
+import '../../styles/Messages.css';
+
+const formatTime = (dateString) => new Date(dateString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const receiptUserId = (receipt) => (receipt.user?._id || receipt.user);
+
+// Sent / delivered / read ticks for one of our own messages.
+// recipientIds are the other members of the conversation.
+const ReceiptStatus = ({ message, recipientIds = [] }) => {
+    const readBy = (message.readBy || []).filter(receipt => recipientIds.includes(receiptUserId(receipt)));
+    const deliveredTo = (message.deliveredTo || []).filter(receipt => recipientIds.includes(receiptUserId(receipt)));
+    const isGroup = recipientIds.length > 1;
+
+    if (readBy.length > 0) {
+        const allRead = readBy.length >= recipientIds.length;
+        const title = isGroup
+            ? `Read by ${readBy.length} of ${recipientIds.length}`
+            : `Read ${formatTime(readBy[0].at)}`;
+        return (
+            <span className={`receipt-status ${allRead ? 'read' : 'delivered'}`} title={title}>
+                <FaCheckDouble />
+                {isGroup && <span className="receipt-count">{readBy.length}</span>}
+            </span>
+        );
+    }
+
+    if (deliveredTo.length > 0) {
+        const title = isGroup
+            ? `Delivered to ${deliveredTo.length} of ${recipientIds.length}`
+            : `Delivered ${formatTime(deliveredTo[0].at)}`;
+        return (
+            <span className="receipt-status delivered" title={title}>
+                <FaCheckDouble />
+            </span>
+        );
+    }
+
+    return (
+        <span className="receipt-status sent" title="Sent">
+            <FaCheck />
+        </span>
+    );
+};
+
+export default ReceiptStatus;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { FaFlag, FaTimes } from 'react-icons/fa';
+import MessagingService from '../../services/MessagingService';
+import '../../styles/Messages.css';
+
+const REASONS = [
+    { value: 'inappropriate', label: 'Inappropriate or upsetting' },
+    { value: 'bullying', label: 'Bullying or threats' },
+    { value: 'personal_information', label: 'Asking for personal information or photos' },
+    { value: 'spam', label: 'Spam' },
+    { value: 'other', label: 'Something else' },
+];
+
+// Report a message ({ messageId }) or a user ({ userId }) to the moderators.
+// onReported receives the server's answer, including the updated block list when blocking.
+const ReportDialog = ({ target, userName, onReported, onClose }) => {
+    const [reason, setReason] = useState('inappropriate');
+    const [details, setDetails] = useState('');
+    const [block, setBlock] = useState(false);
+    const [sending, setSending] = useState(false);
+    const [sent, setSent] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSending(true);
+            setError(null);
+            const result = await MessagingService.reportContent(target, reason, details.trim(), block);
+            setSent(true);
+            if (onReported) onReported(result);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not send the report.');
+        } finally {
+            setSending(false);
+        }
+    };
+
+    return (
+        <div className="report-dialog-backdrop" onClick={onClose}>
+            <div className="report-dialog" onClick={(e) => e.stopPropagation()}>
+                <div className="report-dialog-header">
+                    <h4><FaFlag /> {target.messageId ? 'Report message' : `Report ${userName || 'user'}`}</h4>
+                    <button className="icon-button" onClick={onClose} title="Close">
+                        <FaTimes />
+                    </button>
+                </div>
+
+                {sent ? (
+                    <div className="report-dialog-done">
+                        <p>Thank you. A teacher will look at your report.</p>
+                        <p>If you feel unsafe, talk to a parent or a teacher you trust straight away.</p>
+                        <button onClick={onClose}>Close</button>
+                    </div>
+                ) : (
+                    <form onSubmit={handleSubmit}>
+                        <label htmlFor="report-reason">What is wrong?</label>
+                        <select id="report-reason" value={reason} onChange={(e) => setReason(e.target.value)}>
+                            {REASONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+
+                        <label htmlFor="report-details">Tell us more (optional)</label>
+                        <textarea
+                            id="report-details"
+                            value={details}
+                            onChange={(e) => setDetails(e.target.value)}
+                            maxLength={1000}
+                            rows={4}
+                        />
+
+                        <label className="report-block-option">
+                            <input type="checkbox" checked={block} onChange={(e) => setBlock(e.target.checked)} />
+                            Also block {userName || 'this user'}
+                        </label>
+
+                        {error && <div className="report-error">{error}</div>}
+
+                        <div className="report-dialog-actions">
+                            <button type="button" className="cancel-btn" onClick={onClose}>Cancel</button>
+                            <button type="submit" disabled={sending}>
+                                {sending ? 'Sending...' : 'Send report'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ReportDialog;
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import NotificationBell from '../Notifications/NotificationBell';
+import AuthService from '../../services/AuthService';
 import './NavBar.css';
 
 const NavBar = ({ userName, userRole }) => {
@@ -12,19 +14,14 @@ const NavBar = ({ userName, userRole }) => {
 
     const handleBrandClick = () => {
         // Route to the correct dashboard based on role
-        const dashboardPath = userRole === 'teacher' ? '/dashboard/teacher' : '/dashboard/student';
-        navigate(dashboardPath);
+        navigate(AuthService.dashboardPath(userRole));
     };
 
-    const handleLogout = () => {
+    const handleLogout = async () => {
         console.log("Logging out...");
         try {
-            // Clear all auth data
-            localStorage.clear();
-            sessionStorage.clear();
-            
-            // Force a complete page refresh to reset app state
-            window.location.href = '/';
+            // Ends the session on the server, clears all auth data and reloads the app
+            await AuthService.logout();
             
             console.log("Logout successful");
         } catch (error) {
@@ -40,6 +37,7 @@ const NavBar = ({ userName, userRole }) => {
                 <h1>Mathemann</h1>
             </div>
             <div className="profile-section">
+                <NotificationBell userRole={userRole} />
                 <div 
                     className="profile-trigger" 
                     onClick={() => setShowDropdown(!showDropdown)}
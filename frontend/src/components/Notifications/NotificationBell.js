@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import io from 'socket.io-client';
+import AuthService from '../../services/AuthService';
+import { FaBell, FaCheck, FaCog, FaTrash } from 'react-icons/fa';
+import NotificationService from '../../services/NotificationService';
+import NotificationPreferences from './NotificationPreferences';
+import './Notifications.css';
+
+const SOCKET_SERVER_URL = process.env.REACT_APP_SOCKET_URL || "http://localhost:5000";
+
+// Where a notification leads when clicked
+const linkFor = (notification, userRole) => {
+    switch (notification.itemModel) {
+        case 'Conversation':
+        case 'Message':
+        case 'MeetingRequest':
+            return '/messages';
+        case 'Quiz':
+            return `/quiz/${notification.relatedItem}`;
+        case 'Chapter':
+            return `/chapter/${notification.relatedItem}`;
+        default:
+            if (notification.type === 'review') return '/dashboard/student';
+            return userRole === 'teacher' ? '/dashboard/teacher' : null;
+    }
+};
+
+const formatTime = (date) => {
+    const minutes = Math.round((Date.now() - new Date(date)) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+    return new Date(date).toLocaleDateString();
+};
+
+/**
+ * Bell in the navigation bar: unread count, the latest notifications and notification settings.
+ * New notifications are pushed over Socket.IO while the user is not in quiet hours.
+ */
+const NotificationBell = ({ userRole }) => {
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [open, setOpen] = useState(false);
+    const [showPreferences, setShowPreferences] = useState(false);
+    const [loading, setLoading] = useState(false);
+    const containerRef = useRef(null);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        NotificationService.getUnreadCount().then(setUnreadCount);
+
+        const socket = io(SOCKET_SERVER_URL, { auth: AuthService.socketAuth });
+        socket.on('notification', (notification) => {
+            // Message notifications are updated in place while unread, so replace by ID
+            setNotifications(prev => [notification, ...prev.filter(item => item._id !== notification._id)]);
+            NotificationService.getUnreadCount().then(setUnreadCount);
+        });
+        socket.on('connect_error', (err) => {
+            if (AuthService.reconnectAfterRefresh(socket, err)) return;
+            console.error('Notification socket connection error:', err.message);
+        });
+
+        return () => socket.disconnect();
+    }, []);
+
+    // Close the dropdown on clicks elsewhere
+    useEffect(() => {
+        if (!open) return;
+        const handleClick = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [open]);
+
+    const fetchNotifications = async () => {
+        try {
+            setLoading(true);
+            const list = await NotificationService.getNotifications();
+            setNotifications(list);
+            setUnreadCount(list.filter(notification => !notification.isRead).length);
+        } catch (err) {
+            setNotifications([]);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleToggle = () => {
+        if (!open) {
+            setShowPreferences(false);
+            fetchNotifications();
+        }
+        setOpen(!open);
+    };
+
+    const handleOpenNotification = async (notification) => {
+        if (!notification.isRead) {
+            try {
+                await NotificationService.markAsRead(notification._id);
+                setNotifications(prev => prev.map(item => (
+                    item._id === notification._id ? { ...item, isRead: true } : item
+                )));
+                setUnreadCount(count => Math.max(0, count - 1));
+            } catch (err) {
+                // Still follow the link
+            }
+        }
+        const link = linkFor(notification, userRole);
+        if (link) {
+            setOpen(false);
+            navigate(link);
+        }
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await NotificationService.markAllAsRead();
+            setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+            setUnreadCount(0);
+        } catch (err) {
+            alert('Failed to mark notifications as read.');
+        }
+    };
+
+    const handleClearRead = async () => {
+        try {
+            await NotificationService.deleteAllRead();
+            setNotifications(prev => prev.filter(item => !item.isRead));
+        } catch (err) {
+            alert('Failed to clear notifications.');
+        }
+    };
+
+    return (
+        <div className="notification-bell" ref={containerRef}>
+            <button type="button" className="notification-bell-trigger" onClick={handleToggle} title="Notifications">
+                <FaBell />
+                {unreadCount > 0 && (
+                    <span className="notification-bell-count">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                )}
+            </button>
+
+            {open && (
+                <div className="notification-dropdown">
+                    <div className="notification-dropdown-header">
+                        <strong>{showPreferences ? 'Notification settings' : 'Notifications'}</strong>
+                        <div className="notification-dropdown-actions">
+                            {!showPreferences && (
+                                <>
+                                    <button type="button" title="Mark all as read" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+                                        <FaCheck />
+                                    </button>
+                                    <button type="button" title="Clear read notifications" onClick={handleClearRead}>
+                                        <FaTrash />
+                                    </button>
+                                </>
+                            )}
+                            <button
+                                type="button"
+                                title="Settings"
+                                className={showPreferences ? 'active' : ''}
+                                onClick={() => setShowPreferences(!showPreferences)}
+                            >
+                                <FaCog />
+                            </button>
+                        </div>
+                    </div>
+
+                    {showPreferences ? (
+                        <NotificationPreferences onSaved={() => setShowPreferences(false)} />
+                    ) : (
+                        <ul className="notification-dropdown-list">
+                            {loading && notifications.length === 0 && (
+                                <li className="notification-dropdown-empty">Loading...</li>
+                            )}
+                            {!loading && notifications.length === 0 && (
+                                <li className="notification-dropdown-empty">You're all caught up.</li>
+                            )}
+                            {notifications.map(notification => (
+                                <li
+                                    key={notification._id}
+                                    className={`notification-dropdown-item ${notification.isRead ? '' : 'unread'}`}
+                                    onClick={() => handleOpenNotification(notification)}
+                                >
+                                    <div className="notification-dropdown-title">
+                                        {notification.title}
+                                        <span className="notification-dropdown-time">{formatTime(notification.createdAt)}</span>
+                                    </div>
+                                    <div className="notification-dropdown-message">{notification.message}</div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NotificationBell;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import NotificationService from '../../services/NotificationService';
+import './Notifications.css';
+
+const TYPE_LABELS = {
+    message: 'New messages',
+    meeting: 'Meeting requests',
+    review: 'Quizzes due for review',
+    assignment: 'Assignments',
+    announcement: 'Announcements',
+    progress: 'Progress updates'
+};
+
+/**
+ * Mute notification types and set quiet hours. Muted notifications are not kept at all;
+ * during quiet hours notifications are kept but not shown as they arrive. Students also
+ * choose whether they get the weekly progress email.
+ */
+const NotificationPreferences = ({ onSaved }) => {
+    const isStudent = localStorage.getItem('userRole') === 'student';
+    const [mutableTypes, setMutableTypes] = useState([]);
+    const [mutedTypes, setMutedTypes] = useState([]);
+    const [weeklyDigest, setWeeklyDigest] = useState(true);
+    const [quietEnabled, setQuietEnabled] = useState(false);
+    const [quietHours, setQuietHours] = useState({
+        start: '21:00',
+        end: '07:00',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+    });
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchPreferences = async () => {
+            try {
+                const preferences = await NotificationService.getPreferences();
+                setMutableTypes(preferences.mutableTypes || []);
+                setMutedTypes(preferences.mutedTypes || []);
+                setWeeklyDigest(preferences.weeklyDigest !== false);
+                if (preferences.quietHours) {
+                    setQuietEnabled(true);
+                    setQuietHours(preferences.quietHours);
+                }
+            } catch (err) {
+                setError('Failed to load notification settings');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchPreferences();
+    }, []);
+
+    const handleToggleType = (type) => {
+        setMutedTypes(mutedTypes.includes(type)
+            ? mutedTypes.filter(muted => muted !== type)
+            : [...mutedTypes, type]);
+    };
+
+    const handleQuietChange = (e) => {
+        const { name, value } = e.target;
+        setQuietHours({ ...quietHours, [name]: value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            setError(null);
+            await NotificationService.updatePreferences({
+                mutedTypes,
+                quietHours: quietEnabled ? quietHours : null,
+                weeklyDigest
+            });
+            if (onSaved) onSaved();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save notification settings');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading) {
+        return <p className="notification-preferences-hint">Loading settings...</p>;
+    }
+
+    return (
+        <form className="notification-preferences" onSubmit={handleSubmit}>
+            <p className="notification-preferences-hint">Notify me about:</p>
+            {mutableTypes.map(type => (
+                <label key={type} className="notification-preferences-option">
+                    <input
+                        type="checkbox"
+                        checked={!mutedTypes.includes(type)}
+                        onChange={() => handleToggleType(type)}
+                        disabled={saving}
+                    />
+                    {TYPE_LABELS[type] || type}
+                </label>
+            ))}
+
+            {isStudent && (
+                <label className="notification-preferences-option quiet-hours-toggle">
+                    <input
+                        type="checkbox"
+                        checked={weeklyDigest}
+                        onChange={(e) => setWeeklyDigest(e.target.checked)}
+                        disabled={saving}
+                    />
+                    Weekly progress email
+                </label>
+            )}
+
+            <label className="notification-preferences-option quiet-hours-toggle">
+                <input
+                    type="checkbox"
+                    checked={quietEnabled}
+                    onChange={(e) => setQuietEnabled(e.target.checked)}
+                    disabled={saving}
+                />
+                Quiet hours
+            </label>
+            {quietEnabled && (
+                <div className="notification-quiet-hours">
+                    <input type="time" name="start" value={quietHours.start} onChange={handleQuietChange} required />
+                    <span>to</span>
+                    <input type="time" name="end" value={quietHours.end} onChange={handleQuietChange} required />
+                    <input
+                        type="text"
+                        name="timezone"
+                        value={quietHours.timezone}
+                        onChange={handleQuietChange}
+                        title="Timezone"
+                        required
+                    />
+                </div>
+            )}
+
+            {error && <div className="notification-preferences-error">{error}</div>}
+
+            <button type="submit" className="notification-preferences-save" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+            </button>
+        </form>
+    );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { FaClock, FaPlus, FaTrash, FaEdit } from 'react-icons/fa';
+import MessagingService from '../services/MessagingService';
+import '../styles/MeetingRequest.css';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const getEmptyWindow = () => ({
+    dayOfWeek: 1,
+    startTime: '14:00',
+    endTime: '16:00',
+    slotMinutes: 30,
+    capacity: 1,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    location: ''
+});
+
+/**
+ * Teachers publish their weekly office hours here; students book slots from them
+ * in the meeting request form.
+ */
+const OfficeHoursEditor = () => {
+    const [windows, setWindows] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [editingId, setEditingId] = useState(null); // 'new' or a window ID
+    const [formData, setFormData] = useState(getEmptyWindow());
+
+    const fetchWindows = async () => {
+        try {
+            setLoading(true);
+            setWindows(await MessagingService.getAvailability());
+        } catch (err) {
+            setError('Failed to load your office hours');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchWindows();
+    }, []);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData({ ...formData, [name]: value });
+    };
+
+    const handleEdit = (officeHours) => {
+        setError(null);
+        setEditingId(officeHours._id);
+        setFormData({
+            dayOfWeek: officeHours.dayOfWeek,
+            startTime: officeHours.startTime,
+            endTime: officeHours.endTime,
+            slotMinutes: officeHours.slotMinutes,
+            capacity: officeHours.capacity,
+            timezone: officeHours.timezone,
+            location: officeHours.location || ''
+        });
+    };
+
+    const handleNew = () => {
+        setError(null);
+        setEditingId('new');
+        setFormData(getEmptyWindow());
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            setError(null);
+            await MessagingService.saveAvailabilityWindow(
+                {
+                    ...formData,
+                    dayOfWeek: Number(formData.dayOfWeek),
+                    slotMinutes: Number(formData.slotMinutes),
+                    capacity: Number(formData.capacity)
+                },
+                editingId === 'new' ? null : editingId
+            );
+            setEditingId(null);
+            fetchWindows();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save office hours');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (windowId) => {
+        if (!window.confirm('Stop offering these office hours? Meetings you already accepted stay booked.')) return;
+        try {
+            setError(null);
+            await MessagingService.deleteAvailabilityWindow(windowId);
+            fetchWindows();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to remove office hours');
+        }
+    };
+
+    return (
+        <div className="office-hours-editor">
+            <div className="meeting-form-header">
+                <h3><FaClock /> Office Hours</h3>
+                {!editingId && (
+                    <button type="button" className="meeting-request-btn" onClick={handleNew}>
+                        <FaPlus /> Add
+                    </button>
+                )}
+            </div>
+            <p className="form-hint">Students book meetings in these weekly slots. Accepting a request reserves its place.</p>
+
+            {error && <div className="meeting-error-message">{error}</div>}
+            {loading && <p className="form-hint">Loading office hours...</p>}
+            {!loading && windows.length === 0 && !editingId && (
+                <p className="form-hint">You have no office hours yet, so students cannot book meetings with you.</p>
+            )}
+
+            <ul className="office-hours-list">
+                {windows.map(officeHours => (
+                    <li key={officeHours._id} className="office-hours-item">
+                        <span className="office-hours-when">
+                            {DAYS[officeHours.dayOfWeek]} {officeHours.startTime}-{officeHours.endTime}
+                            <span className="office-hours-zone"> ({officeHours.timezone})</span>
+                        </span>
+                        <span className="office-hours-slots">
+                            {officeHours.slotMinutes} min slots, {officeHours.capacity} student{officeHours.capacity !== 1 ? 's' : ''} each
+                            {officeHours.location && ` - ${officeHours.location}`}
+                        </span>
+                        <span className="office-hours-actions">
+                            <button type="button" className="icon-button" title="Edit" onClick={() => handleEdit(officeHours)}>
+                                <FaEdit />
+                            </button>
+                            <button type="button" className="icon-button" title="Remove" onClick={() => handleDelete(officeHours._id)}>
+                                <FaTrash />
+                            </button>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+
+            {editingId && (
+                <form onSubmit={handleSubmit} className="meeting-form office-hours-form">
+                    <div className="form-group">
+                        <label>Day</label>
+                        <select name="dayOfWeek" value={formData.dayOfWeek} onChange={handleChange} className="meeting-select">
+                            {DAYS.map((day, index) => (
+                                <option key={day} value={index}>{day}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group office-hours-times">
+                        <label>From</label>
+                        <input type="time" name="startTime" value={formData.startTime} onChange={handleChange} required />
+                        <label>to</label>
+                        <input type="time" name="endTime" value={formData.endTime} onChange={handleChange} required />
+                    </div>
+                    <div className="form-group office-hours-times">
+                        <label>Slot length (minutes)</label>
+                        <input type="number" name="slotMinutes" min={5} max={240} value={formData.slotMinutes} onChange={handleChange} required />
+                        <label>Students per slot</label>
+                        <input type="number" name="capacity" min={1} max={50} value={formData.capacity} onChange={handleChange} required />
+                    </div>
+                    <div className="form-group">
+                        <label>Timezone</label>
+                        <input type="text" name="timezone" value={formData.timezone} onChange={handleChange} required />
+                    </div>
+                    <div className="form-group">
+                        <label>Location (optional)</label>
+                        <input
+                            type="text"
+                            name="location"
+                            value={formData.location}
+                            onChange={handleChange}
+                            maxLength={200}
+                            placeholder="Room 12, or video call"
+                        />
+                    </div>
+                    <div className="form-actions">
+                        <button type="button" className="cancel-meeting-btn" onClick={() => setEditingId(null)} disabled={saving}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="meeting-request-btn" disabled={saving}>
+                            {saving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default OfficeHoursEditor;
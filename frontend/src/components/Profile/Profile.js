@@ -27,7 +27,7 @@ const Profile = () => {
                 return;
             }
             
-            const response = await axios.get('http://localhost:5000/api/user/profile', {
+            const response = await axios.get('http://localhost:5000/api/users/profile', {
                 headers: { Authorization: `Bearer ${token}` }
             });
             
@@ -57,7 +57,7 @@ const Profile = () => {
         e.preventDefault();
         try {
             const token = localStorage.getItem('token');
-            const response = await axios.put('http://localhost:5000/api/user/profile', formData, {
+            const response = await axios.put('http://localhost:5000/api/users/profile', formData, {
                 headers: { Authorization: `Bearer ${token}` }
             });
             setMessage('Profile updated successfully');
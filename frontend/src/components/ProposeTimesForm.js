@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { FaCalendarAlt, FaPlus, FaTimes } from 'react-icons/fa';
+import MessagingService from '../services/MessagingService';
+import SlotPicker from './SlotPicker';
+import '../styles/MeetingRequest.css';
+
+const MAX_TIMES = 5;
+const DURATIONS = [15, 30, 45, 60, 90];
+
+/**
+ * Propose other times for a meeting: a teacher's counter-proposal to a pending request
+ * (mode 'counter') or a reschedule of an accepted meeting by either side (mode 'reschedule').
+ * Teachers can offer any time or their office-hours slots; students pick from the teacher's slots.
+ */
+const ProposeTimesForm = ({ request, mode, isTeacher, onSubmitted, onCancel }) => {
+    const teacherId = isTeacher ? localStorage.getItem('userId') : (request.teacher._id || request.teacher);
+    const currentLength = request.endTime
+        ? Math.round((new Date(request.endTime) - new Date(request.requestedTime)) / 60000)
+        : 30;
+
+    const [slots, setSlots] = useState([]);
+    const [selectedSlots, setSelectedSlots] = useState([]);
+    const [freeTimes, setFreeTimes] = useState(isTeacher ? [''] : []);
+    const [duration, setDuration] = useState(DURATIONS.includes(currentLength) ? currentLength : 30);
+    const [note, setNote] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchSlots = async () => {
+            try {
+                setSlots(await MessagingService.getTeacherSlots(teacherId));
+            } catch (err) {
+                console.error('Error fetching slots:', err);
+            }
+        };
+        fetchSlots();
+    }, [teacherId]);
+
+    const filledTimes = freeTimes.filter(Boolean);
+    const count = filledTimes.length + selectedSlots.length;
+
+    const handleToggleSlot = (slot) => {
+        if (selectedSlots.some(selected => selected.startsAt === slot.startsAt)) {
+            setSelectedSlots(selectedSlots.filter(selected => selected.startsAt !== slot.startsAt));
+        } else if (count < MAX_TIMES) {
+            setSelectedSlots([...selectedSlots, slot]);
+        }
+    };
+
+    const handleFreeTimeChange = (index, value) => {
+        setFreeTimes(freeTimes.map((time, i) => (i === index ? value : time)));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const times = [
+            ...filledTimes.map(value => {
+                const startsAt = new Date(value);
+                return {
+                    startsAt: startsAt.toISOString(),
+                    endsAt: new Date(startsAt.getTime() + duration * 60000).toISOString()
+                };
+            }),
+            ...selectedSlots.map(slot => ({ windowId: slot.windowId, startsAt: slot.startsAt }))
+        ];
+        if (times.length === 0) {
+            setError('Pick at least one time');
+            return;
+        }
+
+        try {
+            setSaving(true);
+            setError(null);
+            const updated = mode === 'counter'
+                ? await MessagingService.counterProposeMeeting(request._id, times, note.trim())
+                : await MessagingService.proposeReschedule(request._id, times, note.trim());
+            if (onSubmitted) onSubmitted(updated);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to send the proposal');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form className="propose-times-form" onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()}>
+            <h5>
+                <FaCalendarAlt /> {mode === 'counter' ? 'Propose other times' : 'Propose a new time'}
+                <span className="form-hint"> (up to {MAX_TIMES})</span>
+            </h5>
+
+            {isTeacher && (
+                <div className="form-group">
+                    <label>Any time</label>
+                    {freeTimes.map((time, index) => (
+                        <input
+                            key={index}
+                            type="datetime-local"
+                            value={time}
+                            onChange={(e) => handleFreeTimeChange(index, e.target.value)}
+                            disabled={saving}
+                        />
+                    ))}
+                    <div className="propose-times-row">
+                        {freeTimes.length + selectedSlots.length < MAX_TIMES && (
+                            <button type="button" className="filter-btn" onClick={() => setFreeTimes([...freeTimes, ''])}>
+                                <FaPlus /> Another time
+                            </button>
+                        )}
+                        <label>
+                            Length
+                            <select value={duration} onChange={(e) => setDuration(Number(e.target.value))} className="meeting-select">
+                                {DURATIONS.map(minutes => (
+                                    <option key={minutes} value={minutes}>{minutes} min</option>
+                                ))}
+                            </select>
+                        </label>
+                    </div>
+                </div>
+            )}
+
+            <div className="form-group">
+                <label>{isTeacher ? 'Or your office hours' : "The teacher's office hours"}</label>
+                {slots.length === 0
+                    ? <p className="form-hint">No open office-hours slots.</p>
+                    : (
+                        <SlotPicker
+                            slots={slots}
+                            selected={selectedSlots.map(slot => slot.startsAt)}
+                            onToggle={handleToggleSlot}
+                            disabled={saving}
+                        />
+                    )}
+            </div>
+
+            <div className="form-group">
+                <input
+                    type="text"
+                    placeholder="Note (optional)"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    maxLength={500}
+                    disabled={saving}
+                />
+            </div>
+
+            {error && <div className="meeting-error-message">{error}</div>}
+
+            <div className="form-actions">
+                <button type="button" className="cancel-meeting-btn" onClick={onCancel} disabled={saving}>
+                    <FaTimes /> Cancel
+                </button>
+                <button type="submit" className="meeting-request-btn" disabled={saving || count === 0}>
+                    {saving ? 'Sending...' : `Propose ${count || ''} time${count === 1 ? '' : 's'}`}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default ProposeTimesForm;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import { useNavigate, useParams } from 'react-router-dom';
 import '../styles/QuizView.css';
@@ -7,6 +7,13 @@ import { FaClock, FaCheck, FaTimes, FaLightbulb, FaBrain, FaRandom,
 import QuizService from '../services/QuizService';
 import TechniqueBanner from './QuizComponents/TechniqueBanner';
 
+// Arrays (multi-select) count as answered once something is ticked
+const isAnswered = (answer) => (
+    Array.isArray(answer) ? answer.length > 0 : answer !== undefined && answer !== null && String(answer).trim() !== ''
+);
+
+const formatAnswer = (answer) => (Array.isArray(answer) ? answer.join(', ') : answer);
+
 const QuizView = () => {
     const [quiz, setQuiz] = useState(null);
     const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
@@ -19,14 +26,21 @@ const QuizView = () => {
     const [timeLeft, setTimeLeft] = useState(null);
     const [chapterContent, setChapterContent] = useState(null);
     const [mnemonicVisible, setMnemonicVisible] = useState(false);
+    // Timing data sent with the attempt
+    const startedAtRef = useRef(null);
+    const questionTimesRef = useRef([]);
+    const questionEnteredAtRef = useRef(null);
     const { quizId } = useParams();
     const navigate = useNavigate();
 
     // Initialize allAnswers array when quiz loads
     useEffect(() => {
         if (quiz) {
-            // Create an array with empty strings for each question
-            setAllAnswers(new Array(quiz.questions.length).fill(''));
+            // Create an empty answer for each question (a list for multi-select)
+            setAllAnswers(quiz.questions.map(q => (q.type === 'multi-select' ? [] : '')));
+            questionTimesRef.current = new Array(quiz.questions.length).fill(0);
+            startedAtRef.current = new Date().toISOString();
+            questionEnteredAtRef.current = Date.now();
         }
     }, [quiz]);
 
@@ -70,6 +84,14 @@ const QuizView = () => {
         fetchQuiz();
     }, [quizId, navigate]);
 
+    // Add the time spent on a question since it was shown (in seconds)
+    const recordQuestionTime = useCallback((index) => {
+        if (questionEnteredAtRef.current === null) return;
+        const elapsed = (Date.now() - questionEnteredAtRef.current) / 1000;
+        questionTimesRef.current[index] = (questionTimesRef.current[index] || 0) + elapsed;
+        questionEnteredAtRef.current = Date.now();
+    }, []);
+
     // Define handleSubmitQuiz with useCallback before using it in the effect
     const handleSubmitQuiz = useCallback(async () => {
         try {
@@ -78,20 +100,25 @@ const QuizView = () => {
             finalAnswers[currentQuestionIndex] = selectedAnswer;
             
             // Check if all questions are answered
-            const hasUnanswered = finalAnswers.some(answer => !answer);
+            const hasUnanswered = finalAnswers.some(answer => !isAnswered(answer));
             if (hasUnanswered) {
                 setError("Please answer all questions before submitting.");
                 // Find the first unanswered question and go to it
-                const unansweredIndex = finalAnswers.findIndex(answer => !answer);
+                const unansweredIndex = finalAnswers.findIndex(answer => !isAnswered(answer));
                 setCurrentQuestionIndex(unansweredIndex);
                 return;
             }
 
             // Submit all answers to backend
+            recordQuestionTime(currentQuestionIndex);
             const token = localStorage.getItem("token");
             const response = await axios.post(
                 `http://localhost:5000/api/quizzes/${quizId}/attempt`,
-                { answers: finalAnswers },
+                {
+                    answers: finalAnswers,
+                    startedAt: startedAtRef.current,
+                    questionTimes: questionTimesRef.current.map(t => Math.round(t))
+                },
                 {
                     headers: {
                         Authorization: `Bearer ${token}`
@@ -102,16 +129,20 @@ const QuizView = () => {
             setQuizResults(response.data);
             setQuizCompleted(true);
 
-            // If it's a spaced repetition quiz, schedule the next review
+            // If it's a spaced repetition quiz, mirror the server-scheduled review locally
             if (quiz?.type === 'spaced-repetition') {
-                QuizService.trackSpacedRepetition(quizId, response.data.score);
+                QuizService.trackSpacedRepetition(
+                    quizId,
+                    response.data.score,
+                    response.data.retentionData?.nextReviewDate
+                );
             }
 
         } catch (err) {
             console.error("Error submitting quiz:", err);
             setError("Failed to submit quiz. Please try again.");
         }
-    }, [allAnswers, currentQuestionIndex, selectedAnswer, quizId, quiz, setQuizResults, setQuizCompleted, setError, setCurrentQuestionIndex]);
+    }, [allAnswers, currentQuestionIndex, selectedAnswer, quizId, quiz, recordQuestionTime, setQuizResults, setQuizCompleted, setError, setCurrentQuestionIndex]);
 
     // Timer effect for timed quizzes
     useEffect(() => {
@@ -129,21 +160,6 @@ const QuizView = () => {
         return () => clearTimeout(timerId);
     }, [timeLeft, quizCompleted, handleSubmitQuiz]); // Add handleSubmitQuiz to dependencies
 
-    // Special handling for spaced repetition quizzes
-    useEffect(() => {
-        if (quiz?.type === 'spaced-repetition' && quizCompleted && quizResults) {
-            // Calculate next review date based on performance
-            const daysToAdd = calculateSpacedRepetitionInterval(quizResults.score);
-            const nextReview = new Date();
-            nextReview.setDate(nextReview.getDate() + daysToAdd);
-            
-            // Store in local storage for scheduling future reviews
-            QuizService.trackSpacedRepetition(quizId, quizResults.score);
-            
-            console.log(`Next review scheduled for: ${nextReview.toLocaleDateString()}`);
-        }
-    }, [quiz, quizCompleted, quizResults, quizId]);
-
     // Add new effect to fetch associated chapter content for context
     useEffect(() => {
         const fetchChapterContent = async () => {
@@ -192,6 +208,84 @@ const QuizView = () => {
         setAllAnswers(updatedAnswers);
     };
 
+    // Multi-select: add or remove an option from the current selection
+    const handleOptionToggle = (option) => {
+        const current = Array.isArray(selectedAnswer) ? selectedAnswer : [];
+        const updated = current.includes(option)
+            ? current.filter(o => o !== option)
+            : [...current, option];
+        handleAnswerSelect(updated);
+    };
+
+    // Render the input widget matching the question type
+    const renderAnswerInput = (question) => {
+        switch (question.type) {
+            case 'multi-select':
+                return (
+                    <div className="answer-options">
+                        <p className="answer-hint">Select all that apply.</p>
+                        {question.options.map((option, index) => {
+                            const checked = Array.isArray(selectedAnswer) && selectedAnswer.includes(option);
+                            return (
+                                <div
+                                    key={index}
+                                    className={`answer-option multi-select ${checked ? 'selected' : ''}`}
+                                    onClick={() => handleOptionToggle(option)}
+                                >
+                                    <div className="option-letter">
+                                        {checked ? <FaCheck /> : String.fromCharCode(65 + index)}
+                                    </div>
+                                    <div className="option-text">{option}</div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                );
+            case 'numeric':
+                return (
+                    <div className="answer-input numeric">
+                        <input
+                            type="text"
+                            inputMode="decimal"
+                            placeholder="Enter a number"
+                            value={selectedAnswer || ''}
+                            onChange={(e) => handleAnswerSelect(e.target.value)}
+                        />
+                        {question.unit && <span className="answer-unit">{question.unit}</span>}
+                    </div>
+                );
+            case 'expression':
+                return (
+                    <div className="answer-input expression">
+                        <input
+                            type="text"
+                            placeholder="e.g. 2(x+1)"
+                            value={selectedAnswer || ''}
+                            onChange={(e) => handleAnswerSelect(e.target.value)}
+                        />
+                        <p className="answer-hint">Use ^ for powers and * or brackets for multiplication, e.g. x^2 - 3x or 2(x+1).</p>
+                    </div>
+                );
+            default:
+                return (
+                    <div className="answer-options">
+                        {question.options.map((option, index) => (
+                            <div 
+                                key={index}
+                                className={`answer-option ${selectedAnswer === option ? 'selected' : ''}`}
+                                onClick={() => handleAnswerSelect(option)}
+                            >
+                                <div className="option-letter">
+                                    {String.fromCharCode(65 + index)}
+                                </div>
+                                <div className="option-text">{option}</div>
+                            </div>
+                        ))}
+                    </div>
+                );
+        }
+    };
+
     const handleNextQuestion = () => {
         if (currentQuestionIndex < quiz.questions.length - 1) {
             // Save current answer before moving to next question
@@ -200,6 +294,7 @@ const QuizView = () => {
             setAllAnswers(updatedAnswers);
             
             // Move to next question
+            recordQuestionTime(currentQuestionIndex);
             setCurrentQuestionIndex(currentQuestionIndex + 1);
             // Set selected answer to previously stored answer for the next question (if any)
             setSelectedAnswer(updatedAnswers[currentQuestionIndex + 1]);
@@ -215,21 +310,13 @@ const QuizView = () => {
             setAllAnswers(updatedAnswers);
             
             // Move to previous question
+            recordQuestionTime(currentQuestionIndex);
             setCurrentQuestionIndex(currentQuestionIndex - 1);
             // Set selected answer to previously stored answer for the previous question
             setSelectedAnswer(updatedAnswers[currentQuestionIndex - 1]);
         }
     };
 
-    // Helper functions for spaced repetition
-    const calculateSpacedRepetitionInterval = (score) => {
-        if (score >= 90) return 21; // 3 weeks
-        if (score >= 80) return 14; // 2 weeks
-        if (score >= 70) return 7;  // 1 week
-        if (score >= 60) return 3;  // 3 days
-        return 1; // 1 day
-    };
-
     const handleBackToChapter = () => {
         navigate(`/chapter/${quiz.chapter}`);
     };
@@ -284,11 +371,11 @@ const QuizView = () => {
                 </div>
                 
                 {/* Technique-specific feedback */}
-                {quiz.type === 'spaced-repetition' && (
+                {quiz.type === 'spaced-repetition' && quizResults.retentionData && (
                     <div className="technique-feedback spaced-repetition">
                         <h3><FaClock /> Spaced Repetition</h3>
-                        <p>To optimize your learning, we'll remind you to review this material again in 
-                           {calculateSpacedRepetitionInterval(quizResults.score)} days.</p>
+                        <p>To optimize your learning, we'll remind you to review this material again in{' '}
+                           {quizResults.retentionData.daysUntilReview} days.</p>
                         <p>Spaced repetition helps move knowledge into long-term memory by reviewing just before you're likely to forget.</p>
                     </div>
                 )}
@@ -342,10 +429,16 @@ const QuizView = () => {
                             </div>
                             <p className="question-text">{quiz.questions[index].question}</p>
                             <div className="answer-review">
-                                <p>Your answer: <strong>{result.userAnswer}</strong></p>
+                                <p>Your answer: <strong>{formatAnswer(result.userAnswer)}</strong></p>
+                                {!result.isCorrect && result.credit > 0 && (
+                                    <p className="partial-credit">Partially correct ({Math.round(result.credit * 100)}%)</p>
+                                )}
                                 {!result.isCorrect && (
                                     <p>Correct answer: <strong>{result.correctAnswer}</strong></p>
                                 )}
+                                {result.feedback && (
+                                    <p className="answer-feedback">{result.feedback}</p>
+                                )}
                             </div>
                             {result.explanation && (
                                 <div className="answer-explanation">
@@ -402,11 +495,15 @@ const QuizView = () => {
     const renderContextualAid = () => {
         if (quiz.type !== 'contextual-variation') return null;
         
+        const isVariant = quiz.questions[currentQuestionIndex]?.isVariant;
         return (
             <div className="technique-tip">
                 <h4><FaExchangeAlt /> Context Tip</h4>
                 <p>Notice how this problem applies the concept in a different context. 
                    Try to identify the core mathematical principle being used.</p>
+                {isVariant && (
+                    <p>The numbers in this problem change on every attempt, so focus on the method rather than the answer.</p>
+                )}
             </div>
         );
     };
@@ -494,20 +591,7 @@ const QuizView = () => {
                     />
                 )}
                 
-                <div className="answer-options">
-                    {currentQuestion.options.map((option, index) => (
-                        <div 
-                            key={index}
-                            className={`answer-option ${selectedAnswer === option ? 'selected' : ''}`}
-                            onClick={() => handleAnswerSelect(option)}
-                        >
-                            <div className="option-letter">
-                                {String.fromCharCode(65 + index)}
-                            </div>
-                            <div className="option-text">{option}</div>
-                        </div>
-                    ))}
-                </div>
+                {renderAnswerInput(currentQuestion)}
             </div>
             
             <div className="quiz-navigation">
@@ -524,7 +608,7 @@ const QuizView = () => {
                     <button 
                         onClick={handleNextQuestion}
                         className="next-button"
-                        disabled={!selectedAnswer}
+                        disabled={!isAnswered(selectedAnswer)}
                     >
                         Next <FaArrowRight />
                     </button>
@@ -532,7 +616,7 @@ const QuizView = () => {
                     <button 
                         onClick={handleSubmitQuiz}
                         className="next-button submit-button"
-                        disabled={!selectedAnswer}
+                        disabled={!isAnswered(selectedAnswer)}
                     >
                         Submit Quiz
                     </button>
@@ -541,7 +625,7 @@ const QuizView = () => {
             
             {/* Add a progress indicator showing answered/total questions */}
             <div className="quiz-completion-status">
-                {allAnswers.filter(a => a).length} of {quiz.questions.length} questions answered
+                {allAnswers.filter(isAnswered).length} of {quiz.questions.length} questions answered
             </div>
         </div>
     );
@@ -0,0 +1,71 @@
+import React from 'react';
+import '../styles/MeetingRequest.css';
+
+// Group slots by day for display
+const groupByDay = (slots) => {
+    const days = [];
+    slots.forEach(slot => {
+        const label = new Date(slot.startsAt).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+        const day = days[days.length - 1];
+        if (day && day.label === label) {
+            day.slots.push(slot);
+        } else {
+            days.push({ label, slots: [slot] });
+        }
+    });
+    return days;
+};
+
+const getTitle = (slot) => {
+    if (slot.myStatus) {
+        return `You already ${slot.myStatus === 'accepted' ? 'booked' : 'requested'} this slot`;
+    }
+    if (!slot.available) return 'Fully booked';
+    return `${slot.capacity - slot.booked} of ${slot.capacity} places free${slot.location ? ` - ${slot.location}` : ''}`;
+};
+
+/**
+ * Office-hours slots from GET /api/meetings/teachers/:teacherId/slots, grouped by day.
+ * Full slots and slots the student already requested cannot be picked.
+ * `selected` lists the startsAt values of the picked slots.
+ */
+const SlotPicker = ({ slots, selected, onToggle, disabled }) => (
+    <div className="slot-picker">
+        {groupByDay(slots).map(day => (
+            <div key={day.label} className="slot-day">
+                <span className="slot-day-label">{day.label}</span>
+                <div className="slot-day-times">
+                    {day.slots.map(slot => {
+                        const isSelected = selected.includes(slot.startsAt);
+                        const taken = !slot.available || Boolean(slot.myStatus);
+                        return (
+                            <button
+                                key={slot.startsAt}
+                                type="button"
+                                className={`slot-btn ${isSelected ? 'selected' : ''} ${slot.myStatus ? 'mine' : ''}`}
+                                onClick={() => onToggle(slot)}
+                                disabled={disabled || taken}
+                                title={getTitle(slot)}
+                            >
+                                {new Date(slot.startsAt).toLocaleTimeString('en-US', {
+                                    hour: 'numeric',
+                                    minute: '2-digit'
+                                })}
+                                {slot.capacity > 1 && slot.available && (
+                                    <span className="slot-places">{slot.capacity - slot.booked} left</span>
+                                )}
+                                {!slot.available && <span className="slot-places">Full</span>}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
+        ))}
+    </div>
+);
+
+export default SlotPicker;
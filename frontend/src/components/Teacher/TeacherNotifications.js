@@ -1,15 +1,16 @@
 import React, { useState } from 'react';
-import { FaBell, FaCheck, FaTrash, FaFilter, FaEllipsisV, FaExclamationCircle } from 'react-icons/fa';
+import { FaBell, FaCheck, FaTrash, FaFilter, FaEllipsisV, FaExclamationCircle, FaEnvelope, FaCalendarAlt } from 'react-icons/fa';
 
-const TeacherNotifications = ({ notifications, onRead }) => {
+const TeacherNotifications = ({ notifications, onRead, onReadAll, onClearRead }) => {
   const [selectedFilter, setSelectedFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
   const [showFilterMenu, setShowFilterMenu] = useState(false);
 
   // Filter notifications based on selected filter and search query
   const filteredNotifications = notifications.filter(notification => {
-    // Filter by type
-    const typeMatch = selectedFilter === 'all' || notification.type === selectedFilter;
+    // Filter by type, or to unread ones
+    const typeMatch = selectedFilter === 'all' ||
+                     (selectedFilter === 'unread' ? !notification.isRead : notification.type === selectedFilter);
     
     // Filter by search query
     const searchLower = searchQuery.toLowerCase();
@@ -60,6 +61,10 @@ const TeacherNotifications = ({ notifications, onRead }) => {
         return <FaCheck className="notification-icon achievement" />;
       case 'system':
         return <FaBell className="notification-icon system" />;
+      case 'message':
+        return <FaEnvelope className="notification-icon message" />;
+      case 'meeting':
+        return <FaCalendarAlt className="notification-icon meeting" />;
       default:
         return <FaBell className="notification-icon" />;
     }
@@ -72,6 +77,9 @@ const TeacherNotifications = ({ notifications, onRead }) => {
       case 'achievement': return 'Achievement';
       case 'system': return 'System';
       case 'message': return 'Message';
+      case 'meeting': return 'Meeting';
+      case 'assignment': return 'Assignment';
+      case 'announcement': return 'Announcement';
       case 'student': return 'Student';
       default: return 'Notification';
     }
@@ -127,13 +135,22 @@ const TeacherNotifications = ({ notifications, onRead }) => {
                   Alerts
                 </button>
                 <button 
-                  className={`filter-option ${selectedFilter === 'student' ? 'active' : ''}`}
+                  className={`filter-option ${selectedFilter === 'message' ? 'active' : ''}`}
                   onClick={() => {
-                    setSelectedFilter('student');
+                    setSelectedFilter('message');
                     setShowFilterMenu(false);
                   }}
                 >
-                  Student Activities
+                  Messages
+                </button>
+                <button 
+                  className={`filter-option ${selectedFilter === 'meeting' ? 'active' : ''}`}
+                  onClick={() => {
+                    setSelectedFilter('meeting');
+                    setShowFilterMenu(false);
+                  }}
+                >
+                  Meetings
                 </button>
                 <button 
                   className={`filter-option ${selectedFilter === 'system' ? 'active' : ''}`}
@@ -159,11 +176,11 @@ const TeacherNotifications = ({ notifications, onRead }) => {
         </div>
         
         <div className="global-actions">
-          <button className="action-button">
+          <button className="action-button" onClick={onReadAll} disabled={!onReadAll}>
             <FaCheck /> Mark All as Read
           </button>
-          <button className="action-button">
-            <FaTrash /> Clear All
+          <button className="action-button" onClick={onClearRead} disabled={!onClearRead}>
+            <FaTrash /> Clear Read
           </button>
         </div>
       </div>
@@ -9,6 +9,9 @@ import {
 import MnemonicForm from './TeacherDashboard/MnemonicForm';
 import '../styles/TeacherDashboard.css';
 import MessagesPage from '../pages/MessagesPage';
+import MessagingService from '../services/MessagingService';
+import NotificationService from '../services/NotificationService';
+import TeacherNotifications from './Teacher/TeacherNotifications';
 
 const TeacherDashboard = () => {
     const [dashboardData, setDashboardData] = useState(null);
@@ -32,6 +35,7 @@ const TeacherDashboard = () => {
     const [unreadCount, setUnreadCount] = useState(0);
     const [showMessages, setShowMessages] = useState(false);
     const [notifications, setNotifications] = useState([]);
+    const [activityNotifications, setActivityNotifications] = useState([]);
     const [showNotifications, setShowNotifications] = useState(false);
     const navigate = useNavigate();
 
@@ -111,6 +115,7 @@ const TeacherDashboard = () => {
     useEffect(() => {
         if (activeTab === 'notifications') {
             fetchNotifications();
+            fetchActivityNotifications();
         }
         if (activeTab === 'messages') {
             fetchUnreadMessages();
@@ -242,13 +247,45 @@ const TeacherDashboard = () => {
         }
     };
 
-    const fetchUnreadMessages = () => {
-        const threads = JSON.parse(localStorage.getItem('messageThreads') || '{}');
-        let count = 0;
-        Object.values(threads).forEach(thread => {
-            count += thread.messages.filter(m => !m.read && m.recipientRole === 'teacher').length;
-        });
-        setUnreadCount(count);
+    const fetchActivityNotifications = async () => {
+        try {
+            setActivityNotifications(await NotificationService.getNotifications());
+        } catch (err) {
+            setActivityNotifications([]);
+        }
+    };
+
+    const handleReadNotification = async (notificationId) => {
+        try {
+            await NotificationService.markAsRead(notificationId);
+            setActivityNotifications(prev => prev.map(notification => (
+                notification._id === notificationId ? { ...notification, isRead: true } : notification
+            )));
+        } catch (err) {
+            alert('Failed to mark notification as read.');
+        }
+    };
+
+    const handleReadAllNotifications = async () => {
+        try {
+            await NotificationService.markAllAsRead();
+            setActivityNotifications(prev => prev.map(notification => ({ ...notification, isRead: true })));
+        } catch (err) {
+            alert('Failed to mark notifications as read.');
+        }
+    };
+
+    const handleClearReadNotifications = async () => {
+        try {
+            await NotificationService.deleteAllRead();
+            setActivityNotifications(prev => prev.filter(notification => !notification.isRead));
+        } catch (err) {
+            alert('Failed to clear notifications.');
+        }
+    };
+
+    const fetchUnreadMessages = async () => {
+        setUnreadCount(await MessagingService.getUnreadCount());
     };
 
     const toggleDomainExpand = (domainId) => {
@@ -318,9 +355,14 @@ const TeacherDashboard = () => {
     const handleMeetingRequest = async (requestId, status) => {
         const token = localStorage.getItem('token');
         if (!token) return;
-        await axios.put(`http://localhost:5000/api/meetings/teacher/requests/${requestId}`, { status }, {
-            headers: { Authorization: `Bearer ${token}` }
-        });
+        try {
+            await axios.patch(`http://localhost:5000/api/meetings/${requestId}/status`, { status }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+        } catch (err) {
+            // e.g. the slot filled up before this request was accepted
+            alert(err.response?.data?.message || 'Failed to update meeting request.');
+        }
         fetchNotifications();
     };
 
@@ -592,6 +634,12 @@ const TeacherDashboard = () => {
                     ))}
                 </div>
             )}
+            <TeacherNotifications
+                notifications={activityNotifications}
+                onRead={handleReadNotification}
+                onReadAll={handleReadAllNotifications}
+                onClearRead={handleClearReadNotifications}
+            />
         </div>
     );
 
@@ -1,8 +1,12 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App';
+import AuthService from './services/AuthService';
 import './index.css';
 
+// Keep access tokens fresh for every API request
+AuthService.installInterceptors();
+
 const root = createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
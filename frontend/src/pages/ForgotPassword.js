@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import "../styles/ModernTheme.css";
+import "../pages/Login_Modern.css";
+import { FaEnvelope } from "react-icons/fa";
+import AuthService from "../services/AuthService";
+
+// Asks for a reset link. The answer does not say whether the email has an account.
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+    setLoading(true);
+
+    try {
+      setMessage(await AuthService.requestPasswordReset(email));
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not send the reset link. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-background"></div>
+
+      <div className="login-wrapper">
+        <div className="login-card">
+          <div className="login-header">
+            <div className="logo">
+              <span className="logo-icon">📚</span>
+              <h1>Matheman</h1>
+            </div>
+            <p className="subtitle">Enter your email and we will send you a link to choose a new password</p>
+          </div>
+
+          <form onSubmit={handleSubmit} className="login-form">
+            {error && (
+              <div className="alert alert-danger">
+                <span>{error}</span>
+              </div>
+            )}
+            {message && (
+              <div className="alert alert-success">
+                <span>{message}</span>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="email">Email Address</label>
+              <div className="input-wrapper">
+                <FaEnvelope className="input-icon" />
+                <input
+                  type="email"
+                  id="email"
+                  placeholder="you@example.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  disabled={loading}
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-login"
+              disabled={loading}
+            >
+              {loading ? (
+                <>
+                  <span className="spinner-small"></span>
+                  Sending...
+                </>
+              ) : (
+                "Send Reset Link"
+              )}
+            </button>
+          </form>
+
+          <div className="login-footer">
+            <p>Remembered it? <Link to="/login">Back to login</Link></p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,9 +1,10 @@
 import React, { useState } from "react";
 import axios from "axios";
-import { useNavigate, Link } from "react-router-dom";
+import { Link } from "react-router-dom";
 import "../styles/ModernTheme.css";
 import "../pages/Login_Modern.css";
 import { FaEnvelope, FaLock, FaEye, FaEyeSlash } from "react-icons/fa";
+import AuthService from "../services/AuthService";
 
 const Login = () => {
   const [email, setEmail] = useState("");
@@ -11,7 +12,6 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
-  const navigate = useNavigate();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -19,21 +19,17 @@ const Login = () => {
     setLoading(true);
 
     try {
-      const response = await axios.post("http://localhost:5000/api/auth/login", {
+      const response = await axios.post("http://localhost:5000/api/users/login", {
         email,
         password,
       });
 
       if (response.data.token) {
-        localStorage.setItem("token", response.data.token);
+        AuthService.storeSession(response.data);
         localStorage.setItem("user", JSON.stringify(response.data.user));
         
-        // Redirect based on role
-        if (response.data.user.role === "teacher") {
-          navigate("/dashboard/teacher");
-        } else {
-          navigate("/dashboard/student");
-        }
+        // Reload so the app picks up the new session, then land on the role's dashboard
+        window.location.href = AuthService.dashboardPath(response.data.user.role);
       }
     } catch (err) {
       setError(err.response?.data?.message || "Login failed. Please try again.");
@@ -1,16 +1,31 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import ConversationList from '../components/Messages/ConversationList';
 import MessageWindow from '../components/Messages/MessageWindow';
+import GroupMembersPanel from '../components/Messages/GroupMembersPanel';
+import MessageSearchResults from '../components/Messages/MessageSearchResults';
+import ModerationQueue from '../components/Messages/ModerationQueue';
 import MeetingRequestForm from '../components/MeetingRequestForm';
 import MeetingRequestList from '../components/MeetingRequestList';
+import OfficeHoursEditor from '../components/OfficeHoursEditor';
+import CalendarSubscribe from '../components/CalendarSubscribe';
 import { useNavigate, useLocation } from 'react-router-dom';
 import MessagingService from '../services/MessagingService';
 import WindowManager from '../services/WindowManager';
 import io from 'socket.io-client';
-import { FaUsers, FaCalendarAlt, FaComments, FaPlus } from 'react-icons/fa';
+import AuthService from '../services/AuthService';
+import { FaUsers, FaCalendarAlt, FaComments, FaPlus, FaSearch, FaTimes, FaShieldAlt } from 'react-icons/fa';
 import '../styles/Messages.css';
 
 const SOCKET_SERVER_URL = process.env.REACT_APP_SOCKET_URL || "http://localhost:5000";
+// Clear a typing indicator when its user has gone quiet for this long
+const TYPING_TIMEOUT_MS = 6000;
+
+// Add a delivery or read receipt to a message, once per user
+const addReceipt = (message, field, userId, at) => (
+    (message[field] || []).some(receipt => receipt.user === userId)
+        ? message
+        : { ...message, [field]: [...(message[field] || []), { user: userId, at }] }
+);
 
 const MessagesPage = () => {
     const [conversations, setConversations] = useState([]);
@@ -25,7 +40,25 @@ const MessagesPage = () => {
     const [selectedUser, setSelectedUser] = useState(null);
     const [showNewMessageForm, setShowNewMessageForm] = useState(false);
     const [domains, setDomains] = useState([]);
+    const [presence, setPresence] = useState({}); // userId -> { online, lastSeen }
+    const [showNewGroupForm, setShowNewGroupForm] = useState(false);
+    const [newGroupName, setNewGroupName] = useState('');
+    const [newGroupMemberIds, setNewGroupMemberIds] = useState([]);
+    const [showGroupMembers, setShowGroupMembers] = useState(false);
+    const [hasMoreMessages, setHasMoreMessages] = useState(false);
+    const [olderCursor, setOlderCursor] = useState(null);
+    const [loadingOlder, setLoadingOlder] = useState(false);
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchResults, setSearchResults] = useState(null);
+    const [typingUsers, setTypingUsers] = useState({}); // conversationId -> { userId: name }
+    const [blockedUsers, setBlockedUsers] = useState([]);
+    const [moderationOpenCount, setModerationOpenCount] = useState(0);
+    const [moderationRefreshKey, setModerationRefreshKey] = useState(0);
     const socketRef = useRef(null);
+    // Read by socket handlers, which are registered once per connection
+    const selectedConversationRef = useRef(selectedConversationId);
+    const activeTabRef = useRef(activeTab);
+    const typingTimersRef = useRef({});
     const navigate = useNavigate();
     const location = useLocation();
 
@@ -45,20 +78,64 @@ const MessagesPage = () => {
         fetchUserInfo();
     }, [navigate]);
 
+    useEffect(() => {
+        selectedConversationRef.current = selectedConversationId;
+        activeTabRef.current = activeTab;
+    }, [selectedConversationId, activeTab]);
+
+    // Insert or replace a conversation (e.g. a group whose name or members changed)
+    const upsertConversation = useCallback((conversation) => {
+        setConversations(prevConvs => [
+            conversation,
+            ...prevConvs.filter(conv => conv._id !== conversation._id)
+        ].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)));
+    }, []);
+
+    const removeConversation = useCallback((conversationId) => {
+        setConversations(prevConvs => prevConvs.filter(conv => conv._id !== conversationId));
+        if (selectedConversationRef.current === conversationId) {
+            setSelectedConversationId(null);
+            setMessages([]);
+            setShowGroupMembers(false);
+        }
+    }, []);
+
+    // Show or clear another user's typing indicator. A user who stops sending updates
+    // (e.g. closed the tab mid-sentence) is cleared after TYPING_TIMEOUT_MS.
+    const setUserTyping = useCallback((conversationId, userId, name, typing) => {
+        const timerKey = `${conversationId}:${userId}`;
+        clearTimeout(typingTimersRef.current[timerKey]);
+        delete typingTimersRef.current[timerKey];
+        if (typing) {
+            typingTimersRef.current[timerKey] = setTimeout(
+                () => setUserTyping(conversationId, userId, name, false),
+                TYPING_TIMEOUT_MS
+            );
+        }
+        setTypingUsers(prev => {
+            const current = { ...(prev[conversationId] || {}) };
+            if (typing) {
+                current[userId] = name;
+            } else if (current[userId]) {
+                delete current[userId];
+            } else {
+                return prev;
+            }
+            return { ...prev, [conversationId]: current };
+        });
+    }, []);
+
     // Initialize Socket.IO connection and event listeners
     useEffect(() => {
         if (!currentUser?.id) return;
 
-        // Connect to Socket.IO server
-        socketRef.current = io(SOCKET_SERVER_URL, {
-            query: { userId: currentUser.id }
-        });
+        // Connect to Socket.IO server; the server identifies us from the token, read on every reconnect
+        socketRef.current = io(SOCKET_SERVER_URL, { auth: AuthService.socketAuth });
 
         const socket = socketRef.current;
 
         socket.on('connect', () => {
             console.log('Socket connected:', socket.id);
-            socket.emit('join', currentUser.id);
         });
 
         socket.on('disconnect', (reason) => {
@@ -66,42 +143,158 @@ const MessagesPage = () => {
         });
 
         socket.on('connect_error', (err) => {
+            if (AuthService.reconnectAfterRefresh(socket, err)) return;
             console.error("Socket connection error:", err);
             setError("Cannot connect to messaging service.");
         });
 
-        // Listen for incoming messages
+        // Online status of conversation partners: the full list on connect, then changes
+        socket.on('presenceList', ({ online, lastSeen }) => {
+            const next = {};
+            Object.entries(lastSeen || {}).forEach(([userId, seen]) => {
+                next[userId] = { online: false, lastSeen: seen };
+            });
+            online.forEach(userId => {
+                next[userId] = { online: true, lastSeen: null };
+            });
+            setPresence(next);
+        });
+
+        socket.on('presence', ({ userId, online, lastSeen }) => {
+            setPresence(prev => ({ ...prev, [userId]: { online, lastSeen } }));
+        });
+
+        // Listen for incoming messages (including our own, sent from another tab or device)
         socket.on('receiveMessage', (newMessage) => {
             console.log('Received message:', newMessage);
-            if (newMessage.conversationId === selectedConversationId) {
-                setMessages(prevMessages => [...prevMessages, newMessage]);
-            } else {
-                setConversations(prevConvs => 
-                    prevConvs.map(conv => 
-                        conv._id === newMessage.conversationId 
-                        ? { ...conv, lastMessage: newMessage, updatedAt: newMessage.createdAt }
-                        : conv
-                    ).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
-                );
+            const isOpen = newMessage.conversationId === selectedConversationRef.current;
+            const fromOther = newMessage.sender._id !== currentUser.id;
+            if (fromOther) {
+                socket.emit('delivered', { messageIds: [newMessage._id] });
+                setUserTyping(newMessage.conversationId, newMessage.sender._id, newMessage.sender.name, false);
+            }
+            if (isOpen) {
+                setMessages(prevMessages => (
+                    prevMessages.some(msg => msg._id === newMessage._id)
+                        ? prevMessages
+                        : [...prevMessages, newMessage]
+                ));
+                // Seen as it arrived, as long as the page is actually visible
+                if (fromOther && document.visibilityState === 'visible') {
+                    socket.emit('markRead', { conversationId: newMessage.conversationId, upTo: newMessage._id });
+                }
+            }
+            setConversations(prevConvs => {
+                if (!prevConvs.some(conv => conv._id === newMessage.conversationId)) {
+                    // A conversation we have not loaded yet; fetch it with its participants
+                    MessagingService.getConversations().then(setConversations).catch(() => {});
+                    return prevConvs;
+                }
+                return prevConvs.map(conv => 
+                    conv._id === newMessage.conversationId 
+                    ? {
+                        ...conv,
+                        lastMessage: { ...newMessage, sender: newMessage.sender._id },
+                        updatedAt: newMessage.createdAt,
+                        unreadCount: fromOther && !isOpen ? (conv.unreadCount || 0) + 1 : (conv.unreadCount || 0)
+                    }
+                    : conv
+                ).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+            });
+        });
+
+        // A conversation was marked read, by us (possibly on another device) or by another member
+        socket.on('conversationRead', ({ conversationId, userId, readAt, at }) => {
+            const isMe = userId === currentUser.id;
+            // Messages the reader has now seen get a read receipt (and are delivered, too)
+            const markSeen = (message) => {
+                if (isMe || (message.sender?._id || message.sender) === userId
+                    || new Date(message.createdAt) > new Date(readAt)) {
+                    return message;
+                }
+                return addReceipt(addReceipt(message, 'deliveredTo', userId, at), 'readBy', userId, at);
+            };
+            setConversations(prevConvs => prevConvs.map(conv => {
+                if (conv._id !== conversationId) return conv;
+                const readState = [
+                    ...(conv.readState || []).filter(state => state.user !== userId),
+                    { user: userId, lastReadAt: readAt }
+                ];
+                const lastMessage = conv.lastMessage && markSeen(conv.lastMessage);
+                return isMe
+                    ? { ...conv, readState, unreadCount: 0 }
+                    : { ...conv, readState, lastMessage };
+            }));
+            if (!isMe && conversationId === selectedConversationRef.current) {
+                setMessages(prevMessages => prevMessages.map(markSeen));
             }
         });
 
-        // Listen for meeting request updates
-        socket.on('meetingRequestUpdate', (updatedRequest) => {
-            console.log('Meeting request updated:', updatedRequest);
+        // Messages we sent reached another member's device
+        socket.on('messagesDelivered', ({ conversationId, messageIds, userId, at }) => {
+            const markDelivered = (message) => (
+                messageIds.includes(message._id) ? addReceipt(message, 'deliveredTo', userId, at) : message
+            );
+            setConversations(prevConvs => prevConvs.map(conv => (
+                conv._id === conversationId && conv.lastMessage
+                    ? { ...conv, lastMessage: markDelivered(conv.lastMessage) }
+                    : conv
+            )));
+            if (conversationId === selectedConversationRef.current) {
+                setMessages(prevMessages => prevMessages.map(markDelivered));
+            }
+        });
+
+        socket.on('typing', ({ conversationId, userId, name, typing }) => {
+            setUserTyping(conversationId, userId, name, typing);
+        });
+
+        // Teachers: a message was reported or caught by the word filter
+        socket.on('moderationReport', () => {
+            setModerationOpenCount(count => count + 1);
+            setModerationRefreshKey(key => key + 1);
+        });
+
+        // Group created, renamed, or its members changed
+        socket.on('conversationUpdated', upsertConversation);
+        socket.on('removedFromConversation', ({ conversationId }) => removeConversation(conversationId));
+
+        // Listen for meeting request updates (answered or cancelled by the other side)
+        const refreshMeetings = () => {
             // Refresh data if on meetings tab
-            if (activeTab === 'meetings') {
+            if (activeTabRef.current === 'meetings') {
                 setActiveTab('meetings-refresh');
                 setTimeout(() => setActiveTab('meetings'), 100);
             }
+        };
+        socket.on('meetingRequestUpdate', (updatedRequest) => {
+            console.log('Meeting request updated:', updatedRequest);
+            refreshMeetings();
         });
+        // Teachers: a student booked a slot
+        socket.on('newMeetingRequest', refreshMeetings);
 
         // Cleanup on unmount
         return () => {
             console.log("Disconnecting socket...");
+            Object.values(typingTimersRef.current).forEach(clearTimeout);
+            typingTimersRef.current = {};
             socket.disconnect();
         };
-    }, [currentUser, selectedConversationId, activeTab]);
+    }, [currentUser, upsertConversation, removeConversation, setUserTyping]);
+
+    // Users we blocked, and for teachers how many reports wait for review
+    useEffect(() => {
+        if (!currentUser) return;
+        MessagingService.getBlockedUsers()
+            .then(setBlockedUsers)
+            .catch(() => setBlockedUsers([]));
+        if (currentUser.role === 'teacher') {
+            MessagingService.getModerationReports({ limit: 1 })
+                .then(page => setModerationOpenCount(page.openCount))
+                .catch(() => {});
+        }
+    }, [currentUser]);
 
     // Fetch conversations
     useEffect(() => {
@@ -112,6 +305,13 @@ const MessagesPage = () => {
                 setLoadingConversations(true);
                 const fetchedConversations = await MessagingService.getConversations();
                 setConversations(fetchedConversations);
+                setPresence(prev => {
+                    const next = { ...prev };
+                    fetchedConversations.forEach(conv => conv.participants.forEach(p => {
+                        if (!next[p._id]) next[p._id] = { online: p.online, lastSeen: p.lastSeen };
+                    }));
+                    return next;
+                });
                 setError(null);
 
                 // Check if we need to pre-select a conversation based on navigation state
@@ -148,16 +348,22 @@ const MessagesPage = () => {
             
             try {
                 setLoadingMessages(true);
-                const messagesData = await MessagingService.getMessages(selectedConversationId);
-                setMessages(messagesData);
+                const page = await MessagingService.getMessages(selectedConversationId);
+                setMessages(page.messages);
+                setHasMoreMessages(page.hasMore);
+                setOlderCursor(page.nextCursor);
                 setError(null);
                 
-                // Mark messages as read
-                await MessagingService.markAsRead(selectedConversationId);
+                // Mark what we are showing as read
+                const lastMessage = page.messages[page.messages.length - 1];
+                if (lastMessage) {
+                    await MessagingService.markAsRead(selectedConversationId, lastMessage._id);
+                }
             } catch (err) {
                 console.error('Error fetching messages:', err);
                 setError('Failed to load messages.');
                 setMessages([]);
+                setHasMoreMessages(false);
             } finally {
                 setLoadingMessages(false);
             }
@@ -171,7 +377,7 @@ const MessagesPage = () => {
     // Fetch available users to message when starting a new conversation
     useEffect(() => {
         const fetchAvailableUsers = async () => {
-            if (!currentUser || !showNewMessageForm) return;
+            if (!currentUser || !(showNewMessageForm || showNewGroupForm)) return;
             
             try {
                 const users = await MessagingService.getAvailableUsers();
@@ -198,49 +404,96 @@ const MessagesPage = () => {
         };
         
         fetchAvailableUsers();
-    }, [currentUser, showNewMessageForm]);
+    }, [currentUser, showNewMessageForm, showNewGroupForm]);
+
+    // Tell the other members of the open conversation whether we are typing
+    const handleTyping = (typing) => {
+        if (!selectedConversationId || !socketRef.current) return;
+        socketRef.current.emit('typing', { conversationId: selectedConversationId, typing });
+    };
+
+    const handleLoadOlderMessages = async () => {
+        if (!selectedConversationId || !olderCursor || loadingOlder) return;
+        try {
+            setLoadingOlder(true);
+            const page = await MessagingService.getMessages(selectedConversationId, { before: olderCursor });
+            setMessages(prevMessages => [...page.messages, ...prevMessages]);
+            setHasMoreMessages(page.hasMore);
+            setOlderCursor(page.nextCursor);
+        } catch (err) {
+            console.error('Error loading older messages:', err);
+            setError('Failed to load older messages.');
+        } finally {
+            setLoadingOlder(false);
+        }
+    };
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        const query = searchQuery.trim();
+        if (query.length < 2) {
+            setSearchResults(null);
+            return;
+        }
+        try {
+            const { results } = await MessagingService.searchMessages(query);
+            setSearchResults(results);
+        } catch (err) {
+            console.error('Error searching messages:', err);
+            setError(err.response?.data?.message || 'Search failed.');
+        }
+    };
+
+    const clearSearch = () => {
+        setSearchQuery('');
+        setSearchResults(null);
+    };
 
     const handleSelectConversation = (conversationId) => {
         setSelectedConversationId(conversationId);
         setShowNewMessageForm(false);
+        setShowNewGroupForm(false);
+        setShowGroupMembers(false);
         // Use WindowManager to ensure only message window is open
         WindowManager.openWindow('message');
     };
 
-    const handleSendMessage = async (recipientId, content) => {
+    const handleSendMessage = async (recipientId, content, files = []) => {
         try {
-            // If we don't have a conversation yet, create one first
-            let conversationId = selectedConversationId;
-            
-            if (!conversationId) {
-                const newConversation = await MessagingService.startOrGetConversation(recipientId);
-                conversationId = newConversation._id;
+            // Inside an existing conversation the server works out the recipient itself
+            const sentMessage = await MessagingService.sendMessage(recipientId, content, selectedConversationId, files);
+            const conversationId = sentMessage.conversationId;
+
+            if (!selectedConversationId) {
                 setSelectedConversationId(conversationId);
-                
-                // Add this new conversation to our list
-                if (!conversations.some(c => c._id === conversationId)) {
-                    setConversations(prevConvs => [newConversation, ...prevConvs]);
-                }
+                setShowNewMessageForm(false);
+            }
+
+            // Update local state (the socket echo of this message is ignored as a duplicate)
+            setMessages(prevMessages => (
+                prevMessages.some(msg => msg._id === sentMessage._id)
+                    ? prevMessages
+                    : [...prevMessages, sentMessage]
+            ));
+
+            if (!conversations.some(c => c._id === conversationId)) {
+                // First message to this user: load the new conversation with its participants
+                setConversations(await MessagingService.getConversations());
+                return;
             }
-            
-            // Now send the message
-            const sentMessage = await MessagingService.sendMessage(recipientId, content);
-            
-            // Update local state
-            setMessages(prevMessages => [...prevMessages, sentMessage]);
 
             // Update conversation list with the new last message
             setConversations(prevConvs => 
                 prevConvs.map(conv => 
-                    conv._id === sentMessage.conversationId 
-                    ? { ...conv, lastMessage: sentMessage, updatedAt: sentMessage.createdAt }
+                    conv._id === conversationId 
+                    ? { ...conv, lastMessage: { ...sentMessage, sender: currentUser.id }, updatedAt: sentMessage.createdAt }
                     : conv
                 ).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
             );
 
         } catch (err) {
             console.error('Error sending message:', err);
-            setError('Failed to send message.');
+            setError(err.response?.data?.message || 'Failed to send message.');
         }
     };
     
@@ -248,11 +501,43 @@ const MessagesPage = () => {
         setSelectedConversationId(null);
         setMessages([]);
         setSelectedUser(null);
+        setShowNewGroupForm(false);
+        setShowGroupMembers(false);
         setShowNewMessageForm(true);
         // Use WindowManager to ensure only message composition window is open
         WindowManager.openWindow('message');
     };
     
+    const handleStartNewGroup = () => {
+        setSelectedConversationId(null);
+        setMessages([]);
+        setNewGroupName('');
+        setNewGroupMemberIds([]);
+        setShowNewMessageForm(false);
+        setShowGroupMembers(false);
+        setShowNewGroupForm(true);
+        WindowManager.openWindow('message');
+    };
+
+    const toggleNewGroupMember = (userId) => {
+        setNewGroupMemberIds(prev => (
+            prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]
+        ));
+    };
+
+    const handleCreateGroup = async (e) => {
+        e.preventDefault();
+        try {
+            const group = await MessagingService.createGroup(newGroupName.trim(), newGroupMemberIds);
+            upsertConversation(group);
+            setShowNewGroupForm(false);
+            setSelectedConversationId(group._id);
+        } catch (err) {
+            console.error('Error creating group:', err);
+            setError(err.response?.data?.message || 'Failed to create group.');
+        }
+    };
+
     const handleSelectUserForNewMessage = (user) => {
         setSelectedUser(user);
     };
@@ -276,16 +561,20 @@ const MessagesPage = () => {
             } else {
                 WindowManager.closeAllWindows();
             }
-        } else if (tab === 'meetings') {
-            // Close all windows when switching to meetings tab
+        } else if (tab === 'meetings' || tab === 'moderation') {
+            // Close all windows when switching to meetings or moderation tab
             setShowNewMessageForm(false);
+            setShowNewGroupForm(false);
             WindowManager.closeAllWindows();
         }
     };
     
+    const blockedUserIds = blockedUsers.map(user => user._id);
+
     // Determine the recipient of the selected conversation
     const selectedConversation = conversations.find(c => c._id === selectedConversationId);
-    const recipient = selectedConversation?.participants.find(p => p._id !== currentUser?.id);
+    const selectedGroup = ['group', 'class'].includes(selectedConversation?.type) ? selectedConversation : null;
+    const recipient = selectedGroup ? null : selectedConversation?.participants.find(p => p._id !== currentUser?.id);
 
     return (
         <div className="messages-page-container">
@@ -303,6 +592,17 @@ const MessagesPage = () => {
                     >
                         <FaCalendarAlt /> Meetings
                     </button>
+                    {currentUser?.role === 'teacher' && (
+                        <button 
+                            className={`tab-button ${activeTab === 'moderation' ? 'active' : ''}`}
+                            onClick={() => handleTabChange('moderation')}
+                        >
+                            <FaShieldAlt /> Moderation
+                            {moderationOpenCount > 0 && (
+                                <span className="unread-count">{moderationOpenCount > 99 ? '99+' : moderationOpenCount}</span>
+                            )}
+                        </button>
+                    )}
                 </div>
                 
                 {activeTab === 'messages' && (
@@ -314,14 +614,51 @@ const MessagesPage = () => {
                             >
                                 <FaPlus /> New Message
                             </button>
+                            {currentUser?.role === 'teacher' && (
+                                <button 
+                                    className="new-message-btn"
+                                    onClick={handleStartNewGroup}
+                                >
+                                    <FaUsers /> New Group
+                                </button>
+                            )}
                         </div>
+
+                        <form className="message-search-form" onSubmit={handleSearch}>
+                            <FaSearch />
+                            <input
+                                type="text"
+                                placeholder="Search messages..."
+                                value={searchQuery}
+                                onChange={(e) => setSearchQuery(e.target.value)}
+                            />
+                            {searchResults && (
+                                <button type="button" className="icon-button" onClick={clearSearch} title="Clear search">
+                                    <FaTimes />
+                                </button>
+                            )}
+                        </form>
                         
-                        <ConversationList 
-                            conversations={conversations}
-                            onSelectConversation={handleSelectConversation}
-                            selectedConversationId={selectedConversationId}
-                            currentUser={currentUser}
-                        />
+                        {searchResults ? (
+                            <MessageSearchResults
+                                results={searchResults}
+                                query={searchQuery}
+                                currentUser={currentUser}
+                                onSelectResult={(conversationId) => {
+                                    clearSearch();
+                                    handleSelectConversation(conversationId);
+                                }}
+                            />
+                        ) : (
+                            <ConversationList 
+                                conversations={conversations}
+                                onSelectConversation={handleSelectConversation}
+                                selectedConversationId={selectedConversationId}
+                                currentUser={currentUser}
+                                presence={presence}
+                                typingUsers={typingUsers}
+                            />
+                        )}
                     </div>
                 )}
                 
@@ -342,14 +679,76 @@ const MessagesPage = () => {
             </div>
             
             <div className="messages-main-content">
-                {activeTab === 'messages' && !showNewMessageForm && (
+                {activeTab === 'messages' && !showNewMessageForm && !showNewGroupForm && (
                     <MessageWindow 
                         messages={messages}
                         onSendMessage={handleSendMessage}
                         currentUser={currentUser}
                         recipient={recipient}
+                        recipientPresence={recipient && presence[recipient._id]}
+                        group={selectedGroup}
+                        onShowMembers={() => setShowGroupMembers(show => !show)}
+                        hasMore={hasMoreMessages}
+                        loadingOlder={loadingOlder}
+                        onLoadOlder={handleLoadOlderMessages}
+                        onTyping={handleTyping}
+                        typingNames={Object.values(typingUsers[selectedConversationId] || {})}
+                        blockedUserIds={blockedUserIds}
+                        onBlockedUsersChange={setBlockedUsers}
+                    />
+                )}
+
+                {activeTab === 'messages' && selectedGroup && showGroupMembers && (
+                    <GroupMembersPanel
+                        conversation={selectedGroup}
+                        currentUser={currentUser}
+                        presence={presence}
+                        onConversationUpdated={upsertConversation}
+                        onLeft={removeConversation}
+                        onClose={() => setShowGroupMembers(false)}
                     />
                 )}
+
+                {activeTab === 'messages' && showNewGroupForm && (
+                    <form className="new-message-form new-group-form" onSubmit={handleCreateGroup}>
+                        <h3><FaUsers /> New Group</h3>
+                        <input
+                            type="text"
+                            className="group-name-input"
+                            placeholder="Group name, e.g. Algebra study group"
+                            value={newGroupName}
+                            onChange={(e) => setNewGroupName(e.target.value)}
+                        />
+                        {availableUsers.length === 0 ? (
+                            <p>No users available to add.</p>
+                        ) : (
+                            <div className="user-list">
+                                {availableUsers.map(user => (
+                                    <div 
+                                        key={user._id}
+                                        className={`user-item ${newGroupMemberIds.includes(user._id) ? 'selected' : ''}`}
+                                        onClick={() => toggleNewGroupMember(user._id)}
+                                    >
+                                        <div className="user-avatar">
+                                            {user.name[0].toUpperCase()}
+                                        </div>
+                                        <div className="user-info">
+                                            <span className="user-name">{user.name}</span>
+                                            <span className="user-role">{user.role}</span>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        <button
+                            type="submit"
+                            className="new-message-btn"
+                            disabled={!newGroupName.trim() || newGroupMemberIds.length === 0}
+                        >
+                            Create group ({newGroupMemberIds.length} selected)
+                        </button>
+                    </form>
+                )}
                 
                 {activeTab === 'messages' && showNewMessageForm && (
                     <div className="new-message-form">
@@ -381,9 +780,12 @@ const MessagesPage = () => {
                                     <div className="compose-message">
                                         <MessageWindow 
                                             messages={[]}
-                                            onSendMessage={(_, content) => handleSendMessage(selectedUser._id, content)}
+                                            onSendMessage={(_, content, files) => handleSendMessage(selectedUser._id, content, files)}
                                             currentUser={currentUser}
                                             recipient={selectedUser}
+                                            recipientPresence={presence[selectedUser._id]}
+                                            blockedUserIds={blockedUserIds}
+                                            onBlockedUsersChange={setBlockedUsers}
                                         />
                                     </div>
                                 )}
@@ -392,6 +794,20 @@ const MessagesPage = () => {
                     </div>
                 )}
                 
+                {activeTab === 'moderation' && currentUser?.role === 'teacher' && (
+                    <ModerationQueue
+                        refreshKey={moderationRefreshKey}
+                        onOpenCountChange={setModerationOpenCount}
+                    />
+                )}
+                
+                {activeTab === 'meetings' && currentUser?.role === 'teacher' && (
+                    <div className="meeting-request-section">
+                        <OfficeHoursEditor />
+                        <CalendarSubscribe />
+                    </div>
+                )}
+                
                 {activeTab === 'meetings' && currentUser?.role === 'student' && (
                     <div className="meeting-request-section">
                         {selectedUser ? (
@@ -434,6 +850,8 @@ const MessagesPage = () => {
                                         ))
                                     )}
                                 </div>
+                                
+                                <CalendarSubscribe />
                             </div>
                         )}
                     </div>
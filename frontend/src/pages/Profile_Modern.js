@@ -2,7 +2,9 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import '../styles/ModernTheme.css';
 import '../pages/Profile_Modern.css';
-import { FaUser, FaEnvelope, FaEdit, FaSave, FaTimes, FaCamera, FaKey } from 'react-icons/fa';
+import { FaUser, FaEnvelope, FaEdit, FaSave, FaTimes, FaCamera, FaKey, FaSignOutAlt, FaUserFriends } from 'react-icons/fa';
+import AuthService from '../services/AuthService';
+import GuardianService from '../services/GuardianService';
 
 const Profile = () => {
   const [user, setUser] = useState(null);
@@ -21,11 +23,71 @@ const Profile = () => {
     newPassword: '',
     confirmPassword: '',
   });
+  const [sessions, setSessions] = useState([]);
+  const [guardians, setGuardians] = useState([]);
+  const [invite, setInvite] = useState(null); // { code, expiresAt } just created
+  const isStudent = localStorage.getItem('userRole') === 'student';
 
   useEffect(() => {
     fetchUserProfile();
+    fetchSessions();
+    if (localStorage.getItem('userRole') === 'student') fetchGuardians();
   }, []);
 
+  // Parents following this student's progress
+  const fetchGuardians = async () => {
+    try {
+      setGuardians(await GuardianService.getGuardians());
+    } catch (err) {
+      setGuardians([]);
+    }
+  };
+
+  const handleCreateInvite = async () => {
+    try {
+      setInvite(await GuardianService.createInvite());
+    } catch (err) {
+      setError(err.response?.data?.message || 'Error creating the invite code');
+    }
+  };
+
+  const handleRemoveGuardian = async (guardian) => {
+    if (!window.confirm(`Stop ${guardian.name} from following your progress?`)) return;
+    try {
+      await GuardianService.removeGuardian(guardian._id);
+      setGuardians(guardians.filter(item => item._id !== guardian._id));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Error removing the guardian');
+    }
+  };
+
+  // Devices this account is signed in on
+  const fetchSessions = async () => {
+    try {
+      setSessions(await AuthService.getSessions());
+    } catch (err) {
+      setSessions([]);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await AuthService.revokeSession(sessionId);
+      setSessions(sessions.filter(session => session._id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Error signing out the device');
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out on every device, including this one?')) return;
+    try {
+      await AuthService.logoutEverywhere();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Error signing out everywhere');
+    }
+  };
+
   const fetchUserProfile = async () => {
     try {
       setLoading(true);
@@ -36,7 +98,7 @@ const Profile = () => {
         return;
       }
 
-      const response = await axios.get('http://localhost:5000/api/user/profile', {
+      const response = await axios.get('http://localhost:5000/api/users/profile', {
         headers: { Authorization: `Bearer ${token}` }
       });
 
@@ -86,7 +148,7 @@ const Profile = () => {
       const token = localStorage.getItem('token');
       
       const response = await axios.put(
-        'http://localhost:5000/api/user/profile',
+        'http://localhost:5000/api/users/profile',
         formData,
         {
           headers: { Authorization: `Bearer ${token}` }
@@ -119,26 +181,16 @@ const Profile = () => {
 
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
-      
-      await axios.put(
-        'http://localhost:5000/api/user/change-password',
-        {
-          currentPassword: passwordData.currentPassword,
-          newPassword: passwordData.newPassword,
-        },
-        {
-          headers: { Authorization: `Bearer ${token}` }
-        }
-      );
+      await AuthService.changePassword(passwordData.currentPassword, passwordData.newPassword);
 
-      setSuccess('Password changed successfully!');
+      setSuccess('Password changed. Your other devices have been signed out.');
       setPasswordData({
         currentPassword: '',
         newPassword: '',
         confirmPassword: '',
       });
       setIsChangingPassword(false);
+      fetchSessions();
       setTimeout(() => setSuccess(''), 3000);
     } catch (err) {
       setError(err.response?.data?.message || 'Error changing password');
@@ -227,6 +279,70 @@ const Profile = () => {
                   <FaKey /> Change Password
                 </button>
               </div>
+
+              {isStudent && (
+                <div className="info-section">
+                  <h2>Guardians</h2>
+                  <p className="session-meta">
+                    Parents you link can follow your progress and message your teachers. They cannot change anything.
+                  </p>
+                  <ul className="session-list">
+                    {guardians.map(guardian => (
+                      <li key={guardian._id} className="session-item">
+                        <div>
+                          <p className="session-device">{guardian.name}</p>
+                          <p className="session-meta">
+                            {guardian.email} · Linked {new Date(guardian.linkedAt).toLocaleDateString()}
+                          </p>
+                        </div>
+                        <button className="btn btn-secondary" onClick={() => handleRemoveGuardian(guardian)}>
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  {invite && (
+                    <p className="invite-code">
+                      Give this code to your parent: <strong>{invite.code}</strong>
+                      <span className="session-meta"> It works once, until {new Date(invite.expiresAt).toLocaleDateString()}.</span>
+                    </p>
+                  )}
+                  <button className="btn btn-secondary" onClick={handleCreateInvite}>
+                    <FaUserFriends /> {invite ? 'New Invite Code' : 'Invite a Parent'}
+                  </button>
+                </div>
+              )}
+
+              <div className="info-section">
+                <h2>Signed-in Devices</h2>
+                <ul className="session-list">
+                  {sessions.map(session => (
+                    <li key={session._id} className="session-item">
+                      <div>
+                        <p className="session-device">
+                          {session.userAgent || 'Unknown device'}
+                          {session.current && <span className="session-current">This device</span>}
+                        </p>
+                        <p className="session-meta">
+                          {session.ip && `${session.ip} · `}
+                          Last active {new Date(session.lastUsedAt).toLocaleString()}
+                        </p>
+                      </div>
+                      {!session.current && (
+                        <button
+                          className="btn btn-secondary"
+                          onClick={() => handleRevokeSession(session._id)}
+                        >
+                          Sign Out
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                <button className="btn btn-secondary" onClick={handleLogoutEverywhere}>
+                  <FaSignOutAlt /> Sign Out Everywhere
+                </button>
+              </div>
             </div>
           ) : (
             // Edit Mode
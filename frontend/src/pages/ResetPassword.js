@@ -0,0 +1,132 @@
+import React, { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import "../styles/ModernTheme.css";
+import "../pages/Login_Modern.css";
+import { FaLock } from "react-icons/fa";
+import AuthService from "../services/AuthService";
+
+// Opened from the emailed link: /reset-password?token=...
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (newPassword !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+    if (newPassword.length < 6) {
+      setError("Password must be at least 6 characters");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await AuthService.resetPassword(token, newPassword);
+      // Every session of the account has ended, including any on this device
+      localStorage.clear();
+      setDone(true);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not reset the password. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-background"></div>
+
+      <div className="login-wrapper">
+        <div className="login-card">
+          <div className="login-header">
+            <div className="logo">
+              <span className="logo-icon">📚</span>
+              <h1>Matheman</h1>
+            </div>
+            <p className="subtitle">Choose a new password</p>
+          </div>
+
+          {done ? (
+            <div className="alert alert-success">
+              <span>Your password has been reset and you have been signed out everywhere. <Link to="/login">Log in</Link> with your new password.</span>
+            </div>
+          ) : !token ? (
+            <div className="alert alert-danger">
+              <span>This reset link is incomplete. <Link to="/forgot-password">Ask for a new one.</Link></span>
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="login-form">
+              {error && (
+                <div className="alert alert-danger">
+                  <span>{error}</span>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="newPassword">New Password</label>
+                <div className="input-wrapper">
+                  <FaLock className="input-icon" />
+                  <input
+                    type="password"
+                    id="newPassword"
+                    placeholder="At least 6 characters"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    required
+                    disabled={loading}
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm New Password</label>
+                <div className="input-wrapper">
+                  <FaLock className="input-icon" />
+                  <input
+                    type="password"
+                    id="confirmPassword"
+                    placeholder="••••••••"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    required
+                    disabled={loading}
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                className="btn btn-primary btn-login"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>
+                    <span className="spinner-small"></span>
+                    Saving...
+                  </>
+                ) : (
+                  "Reset Password"
+                )}
+              </button>
+            </form>
+          )}
+
+          <div className="login-footer">
+            <p><Link to="/login">Back to login</Link></p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,9 +1,10 @@
 import React, { useState } from "react";
 import axios from "axios";
-import { useNavigate, Link } from "react-router-dom";
+import { Link } from "react-router-dom";
 import "../styles/ModernTheme.css";
 import "../pages/Signup_Modern.css";
-import { FaUser, FaEnvelope, FaLock, FaEye, FaEyeSlash, FaCalendar } from "react-icons/fa";
+import { FaUser, FaEnvelope, FaLock, FaEye, FaEyeSlash, FaCalendar, FaKey } from "react-icons/fa";
+import AuthService from "../services/AuthService";
 
 const Signup = () => {
   const [formData, setFormData] = useState({
@@ -13,12 +14,12 @@ const Signup = () => {
     confirmPassword: "",
     birthday: "",
     role: "student",
+    inviteCode: "",
   });
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
-  const navigate = useNavigate();
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -46,18 +47,22 @@ const Signup = () => {
     setLoading(true);
 
     try {
-      const response = await axios.post("http://localhost:5000/api/auth/signup", {
+      const response = await axios.post("http://localhost:5000/api/users/register", {
         name: formData.name,
         email: formData.email,
         password: formData.password,
         birthday: formData.birthday,
         role: formData.role,
+        inviteCode: formData.role === "guardian" ? formData.inviteCode.trim() || undefined : undefined,
       });
 
       if (response.data.token) {
-        localStorage.setItem("token", response.data.token);
+        AuthService.storeSession(response.data);
         localStorage.setItem("user", JSON.stringify(response.data.user));
-        navigate("/dashboard/student");
+        if (response.data.inviteError) {
+          window.alert(`Your account was created, but the invite code could not be used: ${response.data.inviteError}`);
+        }
+        window.location.href = AuthService.dashboardPath(response.data.user.role);
       }
     } catch (err) {
       setError(err.response?.data?.message || "Signup failed. Please try again.");
@@ -206,9 +211,28 @@ const Signup = () => {
               >
                 <option value="student">Student</option>
                 <option value="teacher">Teacher</option>
+                <option value="guardian">Parent / Guardian</option>
               </select>
             </div>
 
+            {formData.role === "guardian" && (
+              <div className="form-group">
+                <label htmlFor="inviteCode">Invite code from your child (optional)</label>
+                <div className="input-wrapper">
+                  <FaKey className="input-icon" />
+                  <input
+                    type="text"
+                    id="inviteCode"
+                    name="inviteCode"
+                    placeholder="ABCD-EFGH"
+                    value={formData.inviteCode}
+                    onChange={handleChange}
+                    disabled={loading}
+                  />
+                </div>
+              </div>
+            )}
+
             <button
               type="submit"
               className="btn btn-signup"
@@ -0,0 +1,323 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api';
+
+const authHeaders = () => {
+    const token = localStorage.getItem('token');
+    if (!token) throw new Error('Authentication required');
+    return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * Service class for the admin console: user accounts, failed logins, teachers' domains, the
+ * curriculum (domains and the Tree) and background jobs. Every call needs an admin token.
+ */
+class AdminService {
+    /**
+     * Get a page of users, by name
+     * @param {Object} options - { search, role, limit, offset }
+     * @returns {Promise<Object>} { users, total }
+     */
+    static async getUsers({ search = '', role = '', limit = 50, offset = 0 } = {}) {
+        try {
+            const response = await axios.get(`${API_URL}/users`, {
+                headers: authHeaders(),
+                params: { search: search || undefined, role: role || undefined, limit, offset }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change a user's name, email, birthday or role
+     * @param {string} userId - User ID
+     * @param {Object} updates - Changed fields
+     * @returns {Promise<Object>} Updated user
+     */
+    static async updateUser(userId, updates) {
+        try {
+            const response = await axios.put(`${API_URL}/users/${userId}`, updates, { headers: authHeaders() });
+            return response.data.user;
+        } catch (error) {
+            console.error('Error updating user:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the domains a teacher teaches
+     * @param {string} teacherId - Teacher ID
+     * @param {Array<string>} domainIds - All of the teacher's domains
+     * @returns {Promise<Object>} Updated teacher
+     */
+    static async setTeacherDomains(teacherId, domainIds) {
+        try {
+            const response = await axios.put(`${API_URL}/users/${teacherId}/domains`, { domainIds }, { headers: authHeaders() });
+            return response.data.user;
+        } catch (error) {
+            console.error('Error updating teacher domains:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a user account
+     * @param {string} userId - User ID
+     */
+    static async deleteUser(userId) {
+        try {
+            await axios.delete(`${API_URL}/users/${userId}`, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of failed and refused logins, newest first
+     * @param {Object} options - { email, ip, limit, offset }
+     * @returns {Promise<Object>} { attempts, total }
+     */
+    static async getLoginAttempts({ email = '', ip = '', limit = 50, offset = 0 } = {}) {
+        try {
+            const response = await axios.get(`${API_URL}/users/login-attempts`, {
+                headers: authHeaders(),
+                params: { email: email || undefined, ip: ip || undefined, limit, offset }
+            });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching login attempts:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the email addresses and IPs currently locked out or backing off
+     * @returns {Promise<Array>} Blocks
+     */
+    static async getLoginBlocks() {
+        try {
+            const response = await axios.get(`${API_URL}/users/login-blocks`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching login blocks:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Lift a lockout or backoff
+     * @param {string} blockId - Block ID
+     */
+    static async unblockLogin(blockId) {
+        try {
+            await axios.delete(`${API_URL}/users/login-blocks/${blockId}`, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error unblocking login:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all domains
+     * @returns {Promise<Array>} Domains with their chapters
+     */
+    static async getDomains() {
+        try {
+            const response = await axios.get(`${API_URL}/domains`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching domains:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a domain
+     * @param {string} name - Domain name
+     * @returns {Promise<Object>} New domain
+     */
+    static async createDomain(name) {
+        try {
+            const response = await axios.post(`${API_URL}/domains`, { name }, { headers: authHeaders() });
+            return response.data.domain;
+        } catch (error) {
+            console.error('Error creating domain:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a domain
+     * @param {string} domainId - Domain ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} Updated domain
+     */
+    static async renameDomain(domainId, name) {
+        try {
+            const response = await axios.put(`${API_URL}/domains/${domainId}`, { name }, { headers: authHeaders() });
+            return response.data.domain;
+        } catch (error) {
+            console.error('Error renaming domain:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a domain; it is also taken out of the Tree and off teachers
+     * @param {string} domainId - Domain ID
+     */
+    static async deleteDomain(domainId) {
+        try {
+            await axios.delete(`${API_URL}/domains/${domainId}`, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error deleting domain:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the curriculum trees with their age ranges and domains
+     * @returns {Promise<Array>} Trees
+     */
+    static async getTrees() {
+        try {
+            const response = await axios.get(`${API_URL}/tree`);
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching trees:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a tree
+     * @param {string} name - Tree name
+     * @returns {Promise<Object>} New tree
+     */
+    static async createTree(name) {
+        try {
+            const response = await axios.post(`${API_URL}/tree`, { name, ageRanges: [] }, { headers: authHeaders() });
+            return response.data.tree;
+        } catch (error) {
+            console.error('Error creating tree:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a tree's name or age ranges
+     * @param {string} treeId - Tree ID
+     * @param {Object} updates - { name, ageRanges: [{ _id, range, domains: [domainId] }] }
+     * @returns {Promise<Object>} Updated tree
+     */
+    static async updateTree(treeId, updates) {
+        try {
+            const response = await axios.put(`${API_URL}/tree/${treeId}`, updates, { headers: authHeaders() });
+            return response.data.tree;
+        } catch (error) {
+            console.error('Error updating tree:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a tree
+     * @param {string} treeId - Tree ID
+     */
+    static async deleteTree(treeId) {
+        try {
+            await axios.delete(`${API_URL}/tree/${treeId}`, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error deleting tree:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add a domain to an age range of a tree
+     * @param {string} treeId - Tree ID
+     * @param {string} rangeId - Age range ID
+     * @param {string} domainId - Domain ID
+     * @returns {Promise<Object>} Updated tree
+     */
+    static async addDomainToAgeRange(treeId, rangeId, domainId) {
+        try {
+            const response = await axios.post(
+                `${API_URL}/tree/${treeId}/agerange/${rangeId}/domains`,
+                { domainId },
+                { headers: authHeaders() }
+            );
+            return response.data.tree;
+        } catch (error) {
+            console.error('Error adding domain to age range:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a domain from an age range of a tree
+     * @param {string} treeId - Tree ID
+     * @param {string} rangeId - Age range ID
+     * @param {string} domainId - Domain ID
+     * @returns {Promise<Object>} Updated tree
+     */
+    static async removeDomainFromAgeRange(treeId, rangeId, domainId) {
+        try {
+            const response = await axios.delete(
+                `${API_URL}/tree/${treeId}/agerange/${rangeId}/domains/${domainId}`,
+                { headers: authHeaders() }
+            );
+            return response.data.tree;
+        } catch (error) {
+            console.error('Error removing domain from age range:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the background jobs and their last runs
+     * @returns {Promise<Object>} { instance, now, jobs }
+     */
+    static async getJobs() {
+        try {
+            const response = await axios.get(`${API_URL}/jobs`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching jobs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Run a job now instead of at its next scheduled time
+     * @param {string} name - Job name
+     */
+    static async runJob(name) {
+        try {
+            await axios.post(`${API_URL}/jobs/${name}/run`, {}, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error running job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pause or resume a job
+     * @param {string} name - Job name
+     * @param {boolean} enabled - Whether the job runs on schedule
+     */
+    static async setJobEnabled(name, enabled) {
+        try {
+            await axios.patch(`${API_URL}/jobs/${name}`, { enabled }, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error updating job:', error);
+            throw error;
+        }
+    }
+}
+
+export default AdminService;
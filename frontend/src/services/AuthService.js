@@ -0,0 +1,268 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/users';
+const API_ORIGIN = 'http://localhost:5000/api/';
+const REFRESH_MARGIN_SECONDS = 60; // Refresh this long before the access token expires
+const RACE_WAIT_MS = 1000;
+
+let pendingRefresh = null; // One refresh at a time; concurrent callers share it
+
+const authHeaders = () => {
+    const token = localStorage.getItem('token');
+    if (!token) throw new Error('Authentication required');
+    return { Authorization: `Bearer ${token}` };
+};
+
+const tokenExpiry = (token) => {
+    try {
+        const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(base64)).exp || 0;
+    } catch (error) {
+        return 0;
+    }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Service class for the signed-in session. Access tokens are short-lived; the refresh token
+ * stored next to them buys new ones, so requests and sockets keep working without a new login.
+ * installInterceptors() makes every axios request to the API refresh when needed.
+ */
+class AuthService {
+    /**
+     * Store the tokens and user details of a login, registration or refresh response
+     * @param {Object} data - { token, refreshToken, user }
+     */
+    static storeSession({ token, refreshToken, user }) {
+        localStorage.setItem('token', token);
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+        if (user) {
+            localStorage.setItem('userId', user.id);
+            localStorage.setItem('userRole', user.role);
+            localStorage.setItem('userName', user.name);
+        }
+    }
+
+    /**
+     * Home page of a role
+     * @param {string} role - User role
+     * @returns {string} Dashboard path
+     */
+    static dashboardPath(role) {
+        if (role === 'admin') return '/dashboard/admin';
+        if (role === 'guardian') return '/dashboard/guardian';
+        return role === 'teacher' ? '/dashboard/teacher' : '/dashboard/student';
+    }
+
+    /**
+     * Forget the session on this device and go to the login page
+     */
+    static endSession() {
+        localStorage.clear();
+        sessionStorage.clear();
+        window.location.href = '/login';
+    }
+
+    /**
+     * Whether an access token is missing, expired or about to expire
+     * @param {string} token - Access token
+     * @returns {boolean}
+     */
+    static isExpiring(token) {
+        return !token || tokenExpiry(token) - REFRESH_MARGIN_SECONDS < Date.now() / 1000;
+    }
+
+    /**
+     * Get a new access token with the refresh token. Ends the session when the server no
+     * longer accepts the refresh token.
+     * @returns {Promise<string>} New access token
+     */
+    static refresh() {
+        if (!pendingRefresh) {
+            pendingRefresh = this.requestRefresh().finally(() => {
+                pendingRefresh = null;
+            });
+        }
+        return pendingRefresh;
+    }
+
+    static async requestRefresh() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) throw new Error('Not signed in');
+
+        try {
+            const response = await axios.post(`${API_URL}/refresh`, { refreshToken });
+            this.storeSession(response.data);
+            return response.data.token;
+        } catch (error) {
+            const status = error.response?.status;
+            // Another tab refreshed with the same token first; use what it stored
+            if (status === 409) await wait(RACE_WAIT_MS);
+            if (localStorage.getItem('refreshToken') !== refreshToken) {
+                return localStorage.getItem('token');
+            }
+            if (status === 401 || status === 400) {
+                this.endSession();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Refresh access tokens before API requests and retry requests rejected as expired
+     */
+    static installInterceptors() {
+        axios.interceptors.request.use(async (config) => {
+            const headers = config.headers || {};
+            const header = headers.Authorization ? 'Authorization' : headers.authorization ? 'authorization' : null;
+            if (!header || !config.url || !config.url.startsWith(API_ORIGIN)) return config;
+
+            let token = localStorage.getItem('token');
+            if (localStorage.getItem('refreshToken') && this.isExpiring(token)) {
+                try {
+                    token = await this.refresh();
+                } catch (error) {
+                    return config;
+                }
+            }
+            if (token) headers[header] = `Bearer ${token}`;
+            return config;
+        });
+
+        axios.interceptors.response.use(null, async (error) => {
+            const { config, response } = error;
+            if (!config || config.retriedAfterRefresh || response?.data?.code !== 'TOKEN_EXPIRED'
+                || !localStorage.getItem('refreshToken')) {
+                return Promise.reject(error);
+            }
+            config.retriedAfterRefresh = true;
+            try {
+                const token = await this.refresh();
+                config.headers.Authorization = `Bearer ${token}`;
+                return axios(config);
+            } catch (refreshError) {
+                return Promise.reject(error);
+            }
+        });
+    }
+
+    /**
+     * Socket.IO `auth` option: read the token on every (re)connect, so refreshed tokens are used
+     * @param {Function} callback - Receives the auth payload
+     */
+    static socketAuth(callback) {
+        callback({ token: localStorage.getItem('token') });
+    }
+
+    /**
+     * Reconnect a socket whose handshake failed on an expired token, after refreshing it
+     * @param {Object} socket - Socket.IO client socket
+     * @param {Error} err - The 'connect_error' error
+     * @returns {boolean} Whether a refresh was started
+     */
+    static reconnectAfterRefresh(socket, err) {
+        if (err?.data?.code !== 'TOKEN_EXPIRED') return false;
+        this.refresh()
+            .then(() => socket.connect())
+            .catch(refreshError => console.error('Error refreshing session:', refreshError));
+        return true;
+    }
+
+    /**
+     * Sign out on this device
+     */
+    static async logout() {
+        try {
+            await axios.post(`${API_URL}/logout`, { refreshToken: localStorage.getItem('refreshToken') });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        this.endSession();
+    }
+
+    /**
+     * Sign out on every device, this one included
+     */
+    static async logoutEverywhere() {
+        try {
+            await axios.post(`${API_URL}/logout-all`, {}, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error logging out everywhere:', error);
+            throw error;
+        }
+        this.endSession();
+    }
+
+    /**
+     * Get the devices the current user is signed in on
+     * @returns {Promise<Array>} Sessions, the current one flagged `current`
+     */
+    static async getSessions() {
+        try {
+            const response = await axios.get(`${API_URL}/sessions`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching sessions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sign out one device
+     * @param {string} sessionId - Session ID
+     */
+    static async revokeSession(sessionId) {
+        try {
+            await axios.delete(`${API_URL}/sessions/${sessionId}`, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error ending session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change the current user's password; other devices are signed out
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     */
+    static async changePassword(currentPassword, newPassword) {
+        try {
+            await axios.put(`${API_URL}/change-password`, { currentPassword, newPassword }, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error changing password:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ask for a password reset link by email
+     * @param {string} email - Email address of the account
+     * @returns {Promise<string>} Message to show; the same whether or not the account exists
+     */
+    static async requestPasswordReset(email) {
+        try {
+            const response = await axios.post(`${API_URL}/forgot-password`, { email });
+            return response.data.message;
+        } catch (error) {
+            console.error('Error requesting password reset:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set a new password with the token from a reset link
+     * @param {string} token - Token from the link
+     * @param {string} newPassword - New password
+     */
+    static async resetPassword(token, newPassword) {
+        try {
+            await axios.post(`${API_URL}/reset-password`, { token, newPassword });
+        } catch (error) {
+            console.error('Error resetting password:', error);
+            throw error;
+        }
+    }
+}
+
+export default AuthService;
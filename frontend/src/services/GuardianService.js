@@ -0,0 +1,115 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/guardians';
+
+const authHeaders = () => {
+    const token = localStorage.getItem('token');
+    if (!token) throw new Error('Authentication required');
+    return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * Service class for guardian (parent) accounts. Students create invite codes and see who follows
+ * them; guardians redeem the codes and get a read-only dashboard of each linked student.
+ */
+class GuardianService {
+    /**
+     * Create an invite code for a guardian; an earlier code stops working
+     * @returns {Promise<Object>} { code, expiresAt }
+     */
+    static async createInvite() {
+        try {
+            const response = await axios.post(`${API_URL}/invites`, {}, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error creating invite code:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the guardians following the current student
+     * @returns {Promise<Array>} Guardians ({ _id, name, email, linkedAt })
+     */
+    static async getGuardians() {
+        try {
+            const response = await axios.get(API_URL, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching guardians:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop a guardian from following the current student
+     * @param {string} guardianId - Guardian ID
+     */
+    static async removeGuardian(guardianId) {
+        try {
+            await axios.delete(`${API_URL}/${guardianId}`, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error removing guardian:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the students the current guardian follows
+     * @returns {Promise<Array>} Students ({ _id, name, linkedAt })
+     */
+    static async getStudents() {
+        try {
+            const response = await axios.get(`${API_URL}/students`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching students:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Follow a student with their invite code
+     * @param {string} code - Invite code
+     * @returns {Promise<Object>} The student ({ _id, name, linkedAt })
+     */
+    static async linkStudent(code) {
+        try {
+            const response = await axios.post(`${API_URL}/students`, { code }, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error linking student:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop following a student
+     * @param {string} studentId - Student ID
+     */
+    static async unlinkStudent(studentId) {
+        try {
+            await axios.delete(`${API_URL}/students/${studentId}`, { headers: authHeaders() });
+        } catch (error) {
+            console.error('Error removing student:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the read-only dashboard of a followed student
+     * @param {string} studentId - Student ID
+     * @returns {Promise<Object>} { student, stats, recentQuizzes, week }
+     */
+    static async getStudentDashboard(studentId) {
+        try {
+            const response = await axios.get(`${API_URL}/students/${studentId}/dashboard`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching student dashboard:', error);
+            throw error;
+        }
+    }
+}
+
+export default GuardianService;
@@ -31,11 +31,12 @@ class MessagingService {
     }
     
     /**
-     * Get messages for a specific conversation
+     * Get a page of messages for a specific conversation, newest page first
      * @param {string} conversationId - ID of the conversation
-     * @returns {Promise<Array>} List of messages in the conversation
+     * @param {Object} [options] - { before: nextCursor of the previous page, limit }
+     * @returns {Promise<Object>} { messages (oldest first), hasMore, nextCursor }
      */
-    static async getMessages(conversationId) {
+    static async getMessages(conversationId, { before = null, limit = 30 } = {}) {
         try {
             const token = localStorage.getItem('token');
             if (!token) throw new Error('Authentication required');
@@ -43,6 +44,7 @@ class MessagingService {
             const response = await axios.get(
                 `http://localhost:5000/api/messages/conversations/${conversationId}`,
                 {
+                    params: before ? { before, limit } : { limit },
                     headers: {
                         Authorization: `Bearer ${token}`
                     }
@@ -56,23 +58,59 @@ class MessagingService {
         }
     }
     
+    /**
+     * Search messages across all of the user's conversations
+     * @param {string} query - Words to search for
+     * @param {Object} [options] - { limit, offset }
+     * @returns {Promise<Object>} { results: [{ message, conversation }], hasMore }
+     */
+    static async searchMessages(query, { limit = 30, offset = 0 } = {}) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                'http://localhost:5000/api/messages/search',
+                {
+                    params: { q: query, limit, offset },
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error searching messages:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Send a new message
      * @param {string} recipientId - ID of the message recipient
      * @param {string} content - Message content
+     * @param {string} [conversationId] - Existing conversation; the server then resolves the recipient itself
+     * @param {Array<File>} [files] - Images or PDFs to attach
      * @returns {Promise<Object>} The sent message
      */
-    static async sendMessage(recipientId, content) {
+    static async sendMessage(recipientId, content, conversationId = null, files = []) {
         try {
             const token = localStorage.getItem('token');
             if (!token) throw new Error('Authentication required');
             
+            let body = conversationId ? { conversationId, content } : { recipientId, content };
+            if (files.length > 0) {
+                // Attachments go as multipart/form-data alongside the other fields
+                const formData = new FormData();
+                Object.entries(body).forEach(([key, value]) => formData.append(key, value || ''));
+                files.forEach(file => formData.append('attachments', file));
+                body = formData;
+            }
+            
             const response = await axios.post(
                 'http://localhost:5000/api/messages',
-                {
-                    recipient: recipientId,
-                    content
-                },
+                body,
                 {
                     headers: {
                         Authorization: `Bearer ${token}`
@@ -87,19 +125,51 @@ class MessagingService {
         }
     }
     
+    /**
+     * Download a message attachment. Attachments need the auth header, so they are fetched
+     * as blobs rather than linked directly.
+     * @param {string} messageId - ID of the message
+     * @param {string} attachmentId - ID of the attachment
+     * @param {boolean} [thumbnail] - Fetch the image thumbnail instead of the full file
+     * @returns {Promise<Blob>} The file contents
+     */
+    static async getAttachment(messageId, attachmentId, thumbnail = false) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                `http://localhost:5000/api/messages/attachments/${messageId}/${attachmentId}`,
+                {
+                    params: thumbnail ? { thumbnail: true } : {},
+                    responseType: 'blob',
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error fetching attachment ${attachmentId}:`, error);
+            throw error;
+        }
+    }
+    
     /**
      * Mark messages in a conversation as read
      * @param {string} conversationId - ID of the conversation
-     * @returns {Promise<Object>} Result of the operation
+     * @param {string} [upTo] - ID of the last message shown; defaults to everything
+     * @returns {Promise<Object>} { conversationId, readAt }
      */
-    static async markAsRead(conversationId) {
+    static async markAsRead(conversationId, upTo = null) {
         try {
             const token = localStorage.getItem('token');
             if (!token) throw new Error('Authentication required');
             
             const response = await axios.patch(
                 `http://localhost:5000/api/messages/conversations/${conversationId}/read`,
-                {},
+                upTo ? { upTo } : {},
                 {
                     headers: {
                         Authorization: `Bearer ${token}`
@@ -125,10 +195,10 @@ class MessagingService {
             
             const userRole = localStorage.getItem('userRole');
             
-            // Students can message teachers, teachers can message students
-            const endpoint = userRole === 'student' 
-                ? 'http://localhost:5000/api/dashboard/student/teachers'
-                : 'http://localhost:5000/api/dashboard/teacher/students';
+            // Students and guardians can message their teachers, teachers can message students
+            let endpoint = 'http://localhost:5000/api/users/students';
+            if (userRole === 'student') endpoint = 'http://localhost:5000/api/dashboard/student/teachers';
+            if (userRole === 'guardian') endpoint = 'http://localhost:5000/api/guardians/teachers';
             
             const response = await axios.get(endpoint, {
                 headers: {
@@ -170,6 +240,312 @@ class MessagingService {
         }
     }
     
+    /**
+     * Create a study group, or a class channel for a domain (teachers only)
+     * @param {string} name - Group name
+     * @param {Array<string>} memberIds - IDs of the members besides the creator
+     * @param {string} [domainId] - Domain whose students join the class channel
+     * @returns {Promise<Object>} The group conversation
+     */
+    static async createGroup(name, memberIds, domainId = null) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.post(
+                'http://localhost:5000/api/messages/groups',
+                { name, memberIds, domainId },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error creating group:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Rename a group (group admins only)
+     * @param {string} conversationId - ID of the group conversation
+     * @param {string} name - New name
+     * @returns {Promise<Object>} The updated group
+     */
+    static async renameGroup(conversationId, name) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.put(
+                `http://localhost:5000/api/messages/groups/${conversationId}`,
+                { name },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error renaming group ${conversationId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Add members to a group (group admins only)
+     * @param {string} conversationId - ID of the group conversation
+     * @param {Array<string>} memberIds - IDs of the users to add
+     * @returns {Promise<Object>} The updated group
+     */
+    static async addGroupMembers(conversationId, memberIds) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.post(
+                `http://localhost:5000/api/messages/groups/${conversationId}/members`,
+                { memberIds },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error adding members to group ${conversationId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Remove a member from a group; pass your own ID to leave it
+     * @param {string} conversationId - ID of the group conversation
+     * @param {string} userId - ID of the member to remove
+     * @returns {Promise<Object>} The updated group
+     */
+    static async removeGroupMember(conversationId, userId) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.delete(
+                `http://localhost:5000/api/messages/groups/${conversationId}/members/${userId}`,
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error removing member ${userId} from group ${conversationId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the users the current user has blocked
+     * @returns {Promise<Array>} Blocked users
+     */
+    static async getBlockedUsers() {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                'http://localhost:5000/api/messages/blocks',
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching blocked users:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Block a user; neither of you can send the other direct messages until unblocked
+     * @param {string} userId - ID of the user to block
+     * @returns {Promise<Array>} The updated list of blocked users
+     */
+    static async blockUser(userId) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.post(
+                `http://localhost:5000/api/messages/blocks/${userId}`,
+                {},
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error blocking user ${userId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Unblock a user
+     * @param {string} userId - ID of the blocked user
+     * @returns {Promise<Array>} The updated list of blocked users
+     */
+    static async unblockUser(userId) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.delete(
+                `http://localhost:5000/api/messages/blocks/${userId}`,
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error unblocking user ${userId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Report a message or a user to the moderators
+     * @param {Object} target - { messageId } or { userId }
+     * @param {string} reason - inappropriate, bullying, personal_information, spam or other
+     * @param {string} [details] - What happened, in the reporter's words
+     * @param {boolean} [block] - Also block the reported user
+     * @returns {Promise<Object>} { reportId, status, blocked (updated blocked users when block was set) }
+     */
+    static async reportContent(target, reason, details = '', block = false) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.post(
+                'http://localhost:5000/api/messages/reports',
+                { ...target, reason, details, block },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error reporting content:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get a page of the moderation queue (teachers only)
+     * @param {Object} [options] - { status: open, dismissed, actioned or all; limit; offset }
+     * @returns {Promise<Object>} { reports, hasMore, openCount }
+     */
+    static async getModerationReports({ status = 'open', limit = 20, offset = 0 } = {}) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                'http://localhost:5000/api/messages/moderation/reports',
+                {
+                    params: { status, limit, offset },
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching moderation reports:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Close a report (teachers only)
+     * @param {string} reportId - ID of the report
+     * @param {string} status - dismissed or actioned
+     * @param {string} [note] - What was done about it
+     * @returns {Promise<Object>} The updated report
+     */
+    static async resolveReport(reportId, status, note = '') {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.patch(
+                `http://localhost:5000/api/messages/moderation/reports/${reportId}`,
+                { status, note },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error resolving report ${reportId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Download a file kept with a report (teachers only)
+     * @param {string} reportId - ID of the report
+     * @param {string} attachmentId - ID of the attachment
+     * @param {boolean} [thumbnail] - Fetch the image thumbnail instead of the full file
+     * @returns {Promise<Blob>} The file contents
+     */
+    static async getReportAttachment(reportId, attachmentId, thumbnail = false) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                `http://localhost:5000/api/messages/moderation/reports/${reportId}/attachments/${attachmentId}`,
+                {
+                    params: thumbnail ? { thumbnail: true } : {},
+                    responseType: 'blob',
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error fetching report attachment ${attachmentId}:`, error);
+            throw error;
+        }
+    }
+    
     /**
      * Get all meeting requests for the current user
      * @returns {Promise<Array>} List of meeting requests
@@ -181,8 +557,8 @@ class MessagingService {
             
             const userRole = localStorage.getItem('userRole');
             const endpoint = userRole === 'teacher' 
-                ? 'http://localhost:5000/api/meeting-requests/pending'
-                : 'http://localhost:5000/api/meeting-requests/my-requests';
+                ? 'http://localhost:5000/api/meetings/teacher/meetings'
+                : 'http://localhost:5000/api/meetings/my-requests';
             
             const response = await axios.get(endpoint, {
                 headers: {
@@ -198,8 +574,114 @@ class MessagingService {
     }
     
     /**
-     * Create a meeting request
-     * @param {Object} requestData - Meeting request data
+     * Get a teacher's office-hours slots
+     * @param {string} teacherId - ID of the teacher
+     * @param {Object} range - Optional { from, to } dates
+     * @returns {Promise<Array>} Slots with capacity, booked and available
+     */
+    static async getTeacherSlots(teacherId, { from, to } = {}) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                `http://localhost:5000/api/meetings/teachers/${teacherId}/slots`,
+                {
+                    params: { from, to },
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error fetching slots of teacher ${teacherId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the current teacher's office hours
+     * @returns {Promise<Array>} Availability windows
+     */
+    static async getAvailability() {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                'http://localhost:5000/api/meetings/availability',
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching office hours:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Publish or change office hours
+     * @param {Object} windowData - { dayOfWeek, startTime, endTime, slotMinutes, capacity, timezone, location }
+     * @param {string} windowId - ID of the window to change; omit to create one
+     * @returns {Promise<Object>} The saved window
+     */
+    static async saveAvailabilityWindow(windowData, windowId = null) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const config = {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            };
+            const response = windowId
+                ? await axios.put(`http://localhost:5000/api/meetings/availability/${windowId}`, windowData, config)
+                : await axios.post('http://localhost:5000/api/meetings/availability', windowData, config);
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error saving office hours:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Stop offering office hours
+     * @param {string} windowId - ID of the window
+     * @returns {Promise<Object>} Confirmation message
+     */
+    static async deleteAvailabilityWindow(windowId) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.delete(
+                `http://localhost:5000/api/meetings/availability/${windowId}`,
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error removing office hours ${windowId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Book an office-hours slot
+     * @param {Object} requestData - { teacherId, windowId, startsAt, message, relatedDomain }
      * @returns {Promise<Object>} The created meeting request
      */
     static async createMeetingRequest(requestData) {
@@ -208,7 +690,7 @@ class MessagingService {
             if (!token) throw new Error('Authentication required');
             
             const response = await axios.post(
-                'http://localhost:5000/api/meeting-requests',
+                'http://localhost:5000/api/meetings',
                 requestData,
                 {
                     headers: {
@@ -236,7 +718,7 @@ class MessagingService {
             if (!token) throw new Error('Authentication required');
             
             const response = await axios.patch(
-                `http://localhost:5000/api/meeting-requests/${requestId}/status`,
+                `http://localhost:5000/api/meetings/${requestId}/status`,
                 { status },
                 {
                     headers: {
@@ -253,9 +735,9 @@ class MessagingService {
     }
     
     /**
-     * Cancel a meeting request
+     * Cancel a pending request or an accepted meeting
      * @param {string} requestId - ID of the meeting request
-     * @returns {Promise<Object>} The cancelled meeting request
+     * @returns {Promise<Object>} { message, request }
      */
     static async cancelMeetingRequest(requestId) {
         try {
@@ -263,7 +745,7 @@ class MessagingService {
             if (!token) throw new Error('Authentication required');
             
             const response = await axios.patch(
-                `http://localhost:5000/api/meeting-requests/${requestId}/cancel`,
+                `http://localhost:5000/api/meetings/${requestId}/cancel`,
                 {},
                 {
                     headers: {
@@ -279,6 +761,174 @@ class MessagingService {
         }
     }
     
+    /**
+     * Propose other times for a pending request (teacher)
+     * @param {string} requestId - ID of the meeting request
+     * @param {Array} times - [{ startsAt, endsAt }] or office-hours slots [{ windowId, startsAt }]
+     * @param {string} note - Optional note for the student
+     * @returns {Promise<Object>} The countered meeting request
+     */
+    static async counterProposeMeeting(requestId, times, note) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.patch(
+                `http://localhost:5000/api/meetings/${requestId}/counter`,
+                { times, note },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error proposing other times:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Propose new times for an accepted meeting
+     * @param {string} requestId - ID of the meeting request
+     * @param {Array} times - Like counterProposeMeeting; students can only propose office-hours slots
+     * @param {string} note - Optional note
+     * @returns {Promise<Object>} The meeting request with the proposal
+     */
+    static async proposeReschedule(requestId, times, note) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.patch(
+                `http://localhost:5000/api/meetings/${requestId}/reschedule`,
+                { times, note },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error proposing to reschedule:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Accept one of the times the other side proposed
+     * @param {string} requestId - ID of the meeting request
+     * @param {string} proposedTimeId - ID of the chosen time in the proposal
+     * @returns {Promise<Object>} The accepted meeting request
+     */
+    static async acceptProposedTime(requestId, proposedTimeId) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.patch(
+                `http://localhost:5000/api/meetings/${requestId}/proposal/accept`,
+                { proposedTimeId },
+                {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error accepting proposed time:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Withdraw your own proposal, or decline the other side's
+     * @param {string} requestId - ID of the meeting request
+     * @param {string} note - Optional reason
+     * @returns {Promise<Object>} The updated meeting request
+     */
+    static async closeProposal(requestId, note) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.delete(
+                `http://localhost:5000/api/meetings/${requestId}/proposal`,
+                {
+                    data: { note },
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error closing proposal:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Download an accepted meeting as an .ics file
+     * @param {string} requestId - ID of the meeting request
+     * @returns {Promise<Blob>} The calendar file
+     */
+    static async getMeetingCalendar(requestId) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const response = await axios.get(
+                `http://localhost:5000/api/meetings/${requestId}/calendar.ics`,
+                {
+                    responseType: 'blob',
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                }
+            );
+            
+            return response.data;
+        } catch (error) {
+            console.error(`Error downloading meeting calendar ${requestId}:`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get the current user's calendar feed URL (meetings and quiz reviews). The URL is only
+     * returned when it is created; later calls get { url: null } until it is replaced.
+     * @param {boolean} rotate - Replace the URL; subscriptions to the old one stop updating
+     * @returns {Promise<Object>} { url, webcalUrl }
+     */
+    static async getCalendarFeedUrl(rotate = false) {
+        try {
+            const token = localStorage.getItem('token');
+            if (!token) throw new Error('Authentication required');
+            
+            const config = {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            };
+            const response = rotate
+                ? await axios.post('http://localhost:5000/api/calendar/feed-url/rotate', {}, config)
+                : await axios.get('http://localhost:5000/api/calendar/feed-url', config);
+            
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching calendar feed URL:', error);
+            throw error;
+        }
+    }
+    
     /**
      * Notify about a meeting request in a conversation
      * @param {string} conversationId - ID of the conversation
@@ -300,7 +950,7 @@ class MessagingService {
             if (!recipient) throw new Error('Recipient not found in conversation');
             
             // Format the meeting time for the message
-            const meetingTime = new Date(meetingData.requestedTime).toLocaleString('en-US', {
+            const meetingTime = new Date(meetingData.requestedTime || meetingData.startsAt).toLocaleString('en-US', {
                 weekday: 'long',
                 month: 'long',
                 day: 'numeric',
@@ -381,7 +1031,7 @@ class MessagingService {
                 }
             );
             
-            return response.data.count;
+            return response.data.unreadCount;
         } catch (error) {
             console.error('Error fetching unread count:', error);
             return 0;
@@ -0,0 +1,132 @@
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/notifications';
+
+const authHeaders = () => {
+    const token = localStorage.getItem('token');
+    if (!token) throw new Error('Authentication required');
+    return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * Service class for the current user's notifications and notification preferences.
+ * New notifications arrive over Socket.IO as 'notification' events.
+ */
+class NotificationService {
+    /**
+     * Get the current user's notifications, newest first
+     * @returns {Promise<Array>} Notifications
+     */
+    static async getNotifications() {
+        try {
+            const response = await axios.get(API_URL, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the number of unread notifications
+     * @returns {Promise<number>} Unread count
+     */
+    static async getUnreadCount() {
+        try {
+            const response = await axios.get(`${API_URL}/unread-count`, { headers: authHeaders() });
+            return response.data.unreadCount || 0;
+        } catch (error) {
+            console.error('Error fetching unread notification count:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Mark one notification as read
+     * @param {string} notificationId - Notification ID
+     * @returns {Promise<Object>} The updated notification
+     */
+    static async markAsRead(notificationId) {
+        try {
+            const response = await axios.put(`${API_URL}/${notificationId}/read`, {}, { headers: authHeaders() });
+            return response.data.notification;
+        } catch (error) {
+            console.error(`Error marking notification ${notificationId} as read:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark all notifications as read
+     * @returns {Promise<Object>} { count }
+     */
+    static async markAllAsRead() {
+        try {
+            const response = await axios.put(`${API_URL}/mark-all-read`, {}, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error marking all notifications as read:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete all read notifications
+     * @returns {Promise<Object>} { count }
+     */
+    static async deleteAllRead() {
+        try {
+            const response = await axios.delete(`${API_URL}/read`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error deleting read notifications:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Teacher: send an assignment or announcement to students
+     * @param {Object} data - { recipientIds, type: 'assignment' | 'announcement', title, message, relatedItem, itemModel }
+     * @returns {Promise<Object>} { count, notifications }
+     */
+    static async sendNotification(data) {
+        try {
+            const response = await axios.post(API_URL, data, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error sending notification:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current user's notification preferences
+     * @returns {Promise<Object>} { mutedTypes, quietHours: { start, end, timezone } | null, mutableTypes }
+     */
+    static async getPreferences() {
+        try {
+            const response = await axios.get(`${API_URL}/preferences`, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error fetching notification preferences:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save notification preferences
+     * @param {Object} preferences - { mutedTypes, quietHours: { start, end, timezone } | null }
+     * @returns {Promise<Object>} The saved preferences
+     */
+    static async updatePreferences(preferences) {
+        try {
+            const response = await axios.put(`${API_URL}/preferences`, preferences, { headers: authHeaders() });
+            return response.data;
+        } catch (error) {
+            console.error('Error saving notification preferences:', error);
+            throw error;
+        }
+    }
+}
+
+export default NotificationService;
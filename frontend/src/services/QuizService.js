@@ -62,7 +62,11 @@ class QuizService {
             // If it's a spaced repetition quiz, update local tracking
             const quiz = await this.getQuizById(quizId);
             if (quiz.type === 'spaced-repetition') {
-                this.trackSpacedRepetition(quizId, response.data.score);
+                this.trackSpacedRepetition(
+                    quizId,
+                    response.data.score,
+                    response.data.retentionData?.nextReviewDate
+                );
             }
             
             return response.data;
@@ -86,7 +90,19 @@ class QuizService {
     }
     
     // Track spaced repetition quiz in local storage
-    static trackSpacedRepetition(quizId, score) {
+    // When the server has scheduled the review (retention algorithm), its date wins
+    static trackSpacedRepetition(quizId, score, serverNextReview = null) {
+        if (serverNextReview) {
+            const existing = JSON.parse(localStorage.getItem(`spaced_quiz_${quizId}`) || '{}');
+            localStorage.setItem(`spaced_quiz_${quizId}`, JSON.stringify({
+                lastAttempt: new Date().toISOString(),
+                score: score,
+                nextReview: new Date(serverNextReview).toISOString(),
+                reviewCount: (existing.reviewCount || 0) + 1
+            }));
+            return new Date(serverNextReview);
+        }
+
         const nextReviewDays = this.calculateSpacedRepetitionInterval(score);
         const nextReview = new Date();
         nextReview.setDate(nextReview.getDate() + nextReviewDays);
@@ -1,5 +1,10 @@
 import axios from 'axios';
 
+// Interactions and time-spent reports are sent in batches of up to this many events...
+const BATCH_SIZE = 20;
+// ...or at this interval, whichever comes first
+const FLUSH_INTERVAL_MS = 10000;
+
 /**
  * Service for tracking user metrics in real-time to enhance content recommendations
  * Handles tracking various user interactions, learning patterns, and engagement metrics
@@ -16,6 +21,8 @@ class UserMetricsService {
             timeSpentByContent: {},
         };
         this.isTracking = false;
+        this.eventQueue = [];
+        this.flushTimer = null;
     }
 
     /**
@@ -23,6 +30,9 @@ class UserMetricsService {
      * @returns {string} The session ID
      */
     initializeSession() {
+        // The user may have logged in since this singleton was created
+        this.userId = localStorage.getItem('userId');
+        this.token = localStorage.getItem('token');
         this.sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         this.sessionMetrics.startTime = new Date().toISOString();
         this.isTracking = true;
@@ -33,6 +43,10 @@ class UserMetricsService {
         // Initialize session on the server
         this._saveSessionData();
         
+        // Send queued events periodically
+        clearInterval(this.flushTimer);
+        this.flushTimer = setInterval(() => this._flushEvents(), FLUSH_INTERVAL_MS);
+        
         return this.sessionId;
     }
 
@@ -50,6 +64,11 @@ class UserMetricsService {
         this.sessionMetrics.endTime = endTime;
         this.sessionMetrics.duration = sessionDuration;
         
+        // Send whatever is still queued
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        await this._flushEvents();
+        
         // Save final session data to server
         await this._saveSessionData();
         
@@ -81,27 +100,8 @@ class UserMetricsService {
         // Add to local session metrics
         this.sessionMetrics.interactions.push(interaction);
         
-        // Also send to server immediately for real-time tracking
-        try {
-            await axios.post(
-                `${this.baseUrl}/metrics/interaction`,
-                {
-                    userId: this.userId,
-                    sessionId: this.sessionId,
-                    interaction
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${this.token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-        } catch (error) {
-            console.error('Error tracking interaction:', error);
-            // Store failed requests for retry
-            this._storeFailedRequest('interaction', interaction);
-        }
+        // Queue for the next batch sent to the server
+        await this._queueEvent({ kind: 'interaction', ...interaction });
     }
 
     /**
@@ -119,28 +119,14 @@ class UserMetricsService {
         }
         this.sessionMetrics.timeSpentByContent[contentId] += timeSpent;
 
-        // Send to server
-        try {
-            await axios.post(
-                `${this.baseUrl}/metrics/timeSpent`,
-                {
-                    userId: this.userId,
-                    sessionId: this.sessionId,
-                    contentId,
-                    contentType,
-                    timeSpent
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${this.token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-        } catch (error) {
-            console.error('Error tracking time spent:', error);
-            this._storeFailedRequest('timeSpent', { contentId, contentType, timeSpent });
-        }
+        // Queue for the next batch sent to the server
+        await this._queueEvent({
+            kind: 'time_spent',
+            contentId,
+            contentType,
+            timeSpent,
+            timestamp: new Date().toISOString()
+        });
     }
 
     /**
@@ -169,13 +155,6 @@ class UserMetricsService {
                 }
             );
             
-            // Also track as an interaction
-            this.trackInteraction('difficulty_rating', {
-                contentId,
-                contentType,
-                rating
-            });
-            
             return true;
         } catch (error) {
             console.error('Error tracking difficulty rating:', error);
@@ -209,13 +188,6 @@ class UserMetricsService {
                 }
             );
             
-            // Also track as an interaction
-            this.trackInteraction('comprehension_level', {
-                contentId,
-                contentType,
-                level
-            });
-            
             return true;
         } catch (error) {
             console.error('Error tracking comprehension level:', error);
@@ -301,6 +273,49 @@ class UserMetricsService {
         }
     }
 
+    /**
+     * Add an event to the queue, sending the batch once it is full
+     * @param {object} event Event with its kind ('interaction', 'time_spent')
+     * @private
+     */
+    async _queueEvent(event) {
+        this.eventQueue.push(event);
+        if (this.eventQueue.length >= BATCH_SIZE) {
+            await this._flushEvents();
+        }
+    }
+
+    /**
+     * Send all queued events to the server in one request
+     * @private
+     */
+    async _flushEvents() {
+        if (this.eventQueue.length === 0 || !this.userId) return;
+
+        const events = this.eventQueue;
+        this.eventQueue = [];
+
+        try {
+            await axios.post(
+                `${this.baseUrl}/metrics/batch`,
+                {
+                    sessionId: this.sessionId,
+                    events
+                },
+                {
+                    headers: {
+                        Authorization: `Bearer ${this.token}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+        } catch (error) {
+            console.error('Error sending metrics batch:', error);
+            // Store failed requests for retry
+            this._storeFailedRequest('batch', events);
+        }
+    }
+
     /**
      * Save current session data to the server
      * @private